@@ -0,0 +1,152 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "./MedicineRegistry.sol";
+
+/**
+ * @title ChannelSettlement
+ * @dev State channels batches are registered through off-chain and settled in bulk. Deployed
+ * alongside MedicineRegistry, whose admin grants it CHANNEL_ROLE so settled batches are
+ * registered on behalf of the channel operator, who must manufacture their products.
+ */
+contract ChannelSettlement is AccessControl, EIP712 {
+    using ECDSA for bytes32;
+
+    bytes32 public constant CHANNEL_ROLE = keccak256("CHANNEL_ROLE");
+
+    bytes32 public constant CHANNEL_STATE_TYPEHASH = keccak256(
+        "ChannelState(bytes32 channelId,uint256 nonce,bytes32 batchesHash)"
+    );
+
+    struct StateChannel {
+        bytes32 id;
+        address[] participants;
+        uint256 nonce; // Nonce of the latest settled state; settlements must strictly increase it
+        bool isOpen;
+        uint256 openedAt;
+        uint256 closedAt;
+    }
+
+    MedicineRegistry public immutable registry;
+
+    mapping(bytes32 => StateChannel) public channels;
+
+    event ChannelOpened(bytes32 indexed channelId, address[] participants);
+    event ChannelClosed(bytes32 indexed channelId, uint256 timestamp);
+    event BatchSettled(string indexed batchId, bytes32 channelId);
+    event ChannelStateSettled(bytes32 indexed channelId, uint256 nonce, bytes32 stateHash, uint256 batchCount);
+
+    constructor(MedicineRegistry _registry) EIP712("ChannelSettlement", "1") {
+        registry = _registry;
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(CHANNEL_ROLE, msg.sender);
+    }
+
+    function openChannel(bytes32 _channelId, address[] memory _participants)
+        external
+        onlyRole(CHANNEL_ROLE)
+    {
+        require(channels[_channelId].openedAt == 0, "Channel already exists");
+        require(_participants.length > 0, "Channel requires participants");
+
+        channels[_channelId] = StateChannel({
+            id: _channelId,
+            participants: _participants,
+            nonce: 0,
+            isOpen: true,
+            openedAt: block.timestamp,
+            closedAt: 0
+        });
+
+        emit ChannelOpened(_channelId, _participants);
+    }
+
+    function closeChannel(bytes32 _channelId)
+        external
+        onlyRole(CHANNEL_ROLE)
+    {
+        require(channels[_channelId].isOpen, "Channel not open");
+
+        channels[_channelId].isOpen = false;
+        channels[_channelId].closedAt = block.timestamp;
+
+        emit ChannelClosed(_channelId, block.timestamp);
+    }
+
+    /**
+     * @dev Settle a closed channel. Every registered channel participant must sign
+     * the EIP-712 hash of (channelId, nonce, batches), in participant order, and the
+     * nonce must be higher than any previously settled state.
+     */
+    function settleChannel(
+        bytes32 _channelId,
+        MedicineRegistry.BatchData[] memory _batches,
+        uint256 _nonce,
+        bytes[] memory _signatures
+    ) external onlyRole(CHANNEL_ROLE) {
+        StateChannel storage channel = channels[_channelId];
+        require(channel.openedAt != 0, "Channel not found");
+        require(!channel.isOpen, "Channel still open");
+        require(_nonce > channel.nonce, "Stale channel state");
+
+        bytes32 stateHash = getChannelStateHash(_channelId, _nonce, _batches);
+        _verifyChannelSignatures(channel, stateHash, _signatures);
+        channel.nonce = _nonce;
+
+        for (uint256 i = 0; i < _batches.length; i++) {
+            // Batches settled by an earlier state are skipped
+            if (registry.registerChannelBatch(_batches[i], msg.sender, _channelId)) {
+                emit BatchSettled(_batches[i].batchId, _channelId);
+            }
+        }
+
+        emit ChannelStateSettled(_channelId, _nonce, stateHash, _batches.length);
+    }
+
+    /**
+     * @dev EIP-712 digest channel participants sign to approve a settlement
+     */
+    function getChannelStateHash(
+        bytes32 _channelId,
+        uint256 _nonce,
+        MedicineRegistry.BatchData[] memory _batches
+    ) public view returns (bytes32) {
+        return _hashTypedDataV4(
+            keccak256(
+                abi.encode(
+                    CHANNEL_STATE_TYPEHASH,
+                    _channelId,
+                    _nonce,
+                    keccak256(abi.encode(_batches))
+                )
+            )
+        );
+    }
+
+    /**
+     * @dev Get the participants registered for a channel
+     */
+    function getChannelParticipants(bytes32 _channelId) external view returns (address[] memory) {
+        return channels[_channelId].participants;
+    }
+
+    /**
+     * @dev Require one valid signature per channel participant, in registration order
+     */
+    function _verifyChannelSignatures(
+        StateChannel storage _channel,
+        bytes32 _stateHash,
+        bytes[] memory _signatures
+    ) internal view {
+        require(_signatures.length == _channel.participants.length, "Signature count mismatch");
+        for (uint256 i = 0; i < _signatures.length; i++) {
+            require(
+                _stateHash.recover(_signatures[i]) == _channel.participants[i],
+                "Invalid participant signature"
+            );
+        }
+    }
+}
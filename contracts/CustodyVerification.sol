@@ -0,0 +1,147 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./MedicineRegistry.sol";
+import "./QuantityLedger.sol";
+import "./RewardPolicy.sol";
+
+/**
+ * @title CustodyVerification
+ * @dev Records a participant's custody verification of a MedicineRegistry batch once the
+ * registry has checked the participant may verify: advances the batch's hop, forwards unit
+ * counts and on-time rewards, and checks the logged conditions against the storage policy.
+ * Location and additional data are emitted, not stored.
+ */
+library CustodyVerification {
+    event SupplyChainVerification(
+        string indexed batchId,
+        address indexed verifier,
+        MedicineRegistry.SupplyChainRole role,
+        uint256 hop,
+        uint256 timestamp,
+        string location,
+        string additionalData
+    );
+    event HopCompleted(string indexed batchId, uint256 hop, uint256 timestamp);
+    event ColdChainExcursion(
+        string indexed batchId,
+        address indexed participant,
+        uint256 hop,
+        uint256 totalExcursionMinutes,
+        bool compromised
+    );
+    event BatchStatusChanged(
+        string indexed batchId,
+        MedicineRegistry.BatchStatus previousStatus,
+        MedicineRegistry.BatchStatus newStatus,
+        string reason,
+        address indexed changedBy,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Record a participant's verification of `_batch`, enforcing hop order
+     */
+    function record(
+        MedicineRegistry.MedicineBatch storage _batch,
+        mapping(address => MedicineRegistry.ConditionReading) storage _readings,
+        string memory _batchId,
+        address _participant,
+        string memory _location,
+        string memory _additionalData,
+        MedicineRegistry.ConditionReading memory _reading,
+        RewardPolicy _rewardPolicy,
+        QuantityLedger _quantityLedger
+    ) external {
+        MedicineRegistry.SupplyChainParticipant storage participant = _batch.participants[_participant];
+        require(!participant.hasVerified, "Already verified");
+        uint256 hop = participant.hop;
+        require(hop == _batch.currentHop, "Out of order: previous hop not verified");
+
+        participant.hasVerified = true;
+        participant.verifiedAt = uint40(block.timestamp);
+
+        _batch.verifiedCount++;
+
+        emit SupplyChainVerification(
+            _batchId,
+            _participant,
+            participant.role,
+            hop,
+            block.timestamp,
+            _location,
+            _additionalData
+        );
+
+        // Advance custody once every member of the current hop has verified
+        bool hopCompleted = --_batch.pendingAtHop[hop] == 0;
+        if (hopCompleted) {
+            // Skip later hops whose verifications stood while an invalidated hop was redone
+            uint256 next = hop + 1;
+            while (next < _batch.totalHops && _batch.pendingAtHop[next] == 0) next++;
+            _batch.currentHop = uint32(next);
+            emit HopCompleted(_batchId, hop, block.timestamp);
+        }
+        if (_batch.coldChainPolicy.enabled) {
+            _readings[_participant] = _reading;
+            _checkConditions(_batch, _batchId, _participant, hop, _reading);
+        }
+
+        // A verification that compromised the batch earns no on-time reward
+        if (address(_rewardPolicy) != address(0) && _batch.status != MedicineRegistry.BatchStatus.COMPROMISED) {
+            _rewardPolicy.recordVerification(_batchId, _participant, hopCompleted);
+        }
+
+        if (_batch.quantity != 0) {
+            _quantityLedger.recordCounts(
+                _batchId,
+                _participant,
+                hop,
+                _reading.unitsReceived,
+                _reading.unitsDispatched
+            );
+        }
+    }
+
+    /**
+     * @dev Compare a hop's logged conditions with the batch's storage policy. Time out of
+     * range accumulates across hops; exceeding the allowance, or any humidity breach,
+     * compromises the batch so it can no longer move or pay a reward.
+     */
+    function _checkConditions(
+        MedicineRegistry.MedicineBatch storage _batch,
+        string memory _batchId,
+        address _participant,
+        uint256 _hop,
+        MedicineRegistry.ConditionReading memory _reading
+    ) private {
+        MedicineRegistry.ColdChainPolicy memory policy = _batch.coldChainPolicy;
+        bool temperatureExcursion = _reading.minTemperature < policy.minTemperature ||
+            _reading.maxTemperature > policy.maxTemperature;
+        bool humidityExcursion = policy.maxHumidity != 0 && _reading.humidity > policy.maxHumidity;
+        if (!temperatureExcursion && !humidityExcursion) return;
+
+        if (temperatureExcursion) {
+            // A reading out of range spent time there even if the logger rounded it down to zero
+            _batch.excursionMinutes += _reading.excursionMinutes == 0 ? 1 : _reading.excursionMinutes;
+        }
+        bool compromised = humidityExcursion || _batch.excursionMinutes > policy.maxExcursionMinutes;
+
+        emit ColdChainExcursion(_batchId, _participant, _hop, _batch.excursionMinutes, compromised);
+        if (compromised) {
+            MedicineRegistry.BatchStatus previousStatus = _batch.status;
+            _batch.status = MedicineRegistry.BatchStatus.COMPROMISED;
+            _batch.statusReason = "Cold chain excursion";
+            _batch.statusUpdatedAt = block.timestamp;
+
+            emit BatchStatusChanged(
+                _batchId,
+                previousStatus,
+                MedicineRegistry.BatchStatus.COMPROMISED,
+                "Cold chain excursion",
+                msg.sender,
+                block.timestamp
+            );
+        }
+    }
+}
@@ -0,0 +1,266 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/Nonces.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "./MedicineRegistry.sol";
+
+/**
+ * @title DelegateRegistry
+ * @dev Addresses participant organizations authorize to verify batches on their behalf, such as
+ * warehouse staff scanning shipments. Deployed alongside MedicineRegistry, whose admin grants it
+ * VERIFIER_ROLE and points the registry at it so isParticipant honors delegates. An
+ * organization invites a delegate, which serves it once it accepts and until either side ends
+ * it. A delegate serves one organization at a time; verifications it performs are recorded
+ * for the organization, along with which delegate performed them.
+ */
+contract DelegateRegistry is EIP712, Nonces {
+    using ECDSA for bytes32;
+
+    bytes32 public constant DELEGATE_UPDATE_TYPEHASH = keccak256(
+        "DelegateUpdate(address organization,address delegate,bool active,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant DELEGATE_CONSENT_TYPEHASH = keccak256(
+        "DelegateConsent(address organization,address delegate,bool active,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant DELEGATED_VERIFICATION_TYPEHASH = keccak256(
+        "DelegatedVerification(string batchId,address delegate,string location,string data,ConditionReading reading,uint256 nonce,uint256 deadline)"
+        "ConditionReading(int32 minTemperature,int32 maxTemperature,uint32 excursionMinutes,uint32 humidity,uint32 unitsReceived,uint32 unitsDispatched)"
+    );
+    bytes32 public constant CONDITION_READING_TYPEHASH = keccak256(
+        "ConditionReading(int32 minTemperature,int32 maxTemperature,uint32 excursionMinutes,uint32 humidity,uint32 unitsReceived,uint32 unitsDispatched)"
+    );
+
+    MedicineRegistry public immutable registry;
+
+    mapping(address => address) public organizationOf; // delegate => organization it verifies for
+    mapping(address => address[]) internal delegates;
+    mapping(address => uint256) internal delegateIndex; // 1-based index into the organization's delegates
+    mapping(string => mapping(address => address)) public verifiedBy; // batchId => organization => delegate
+    mapping(address => mapping(address => bool)) public invitations; // delegate => organization => awaiting acceptance
+
+    event DelegateInvited(address indexed organization, address indexed delegate);
+    event DelegateAdded(address indexed organization, address indexed delegate);
+    event DelegateRevoked(address indexed organization, address indexed delegate);
+    event DelegateResigned(address indexed organization, address indexed delegate);
+    event DelegatedVerification(string indexed batchId, address indexed organization, address indexed delegate);
+
+    constructor(MedicineRegistry _registry) EIP712("DelegateRegistry", "1") {
+        registry = _registry;
+    }
+
+    /**
+     * @dev Invite an address to verify on the caller's behalf; it becomes a delegate once it accepts
+     */
+    function addDelegate(address _delegate) external {
+        _inviteDelegate(msg.sender, _delegate);
+    }
+
+    /**
+     * @dev Withdraw a delegate's authorization, or an invitation it has not accepted;
+     * verifications it already performed stand
+     */
+    function revokeDelegate(address _delegate) external {
+        _revokeDelegate(msg.sender, _delegate);
+    }
+
+    /**
+     * @dev Accept an organization's invitation and start verifying on its behalf
+     */
+    function acceptDelegation(address _organization) external {
+        _acceptDelegation(_organization, msg.sender);
+    }
+
+    /**
+     * @dev Stop verifying for the caller's organization; verifications already performed stand
+     */
+    function resignDelegate() external {
+        address organization = organizationOf[msg.sender];
+        require(organization != address(0), "Not an active delegate");
+        _resignDelegate(organization, msg.sender);
+    }
+
+    /**
+     * @dev Relayed add (`_active`) or revoke: the organization signs EIP-712 typed data in its own wallet
+     */
+    function updateDelegateWithSignature(
+        address _organization,
+        address _delegate,
+        bool _active,
+        uint256 _deadline,
+        bytes memory _signature
+    ) external {
+        require(block.timestamp <= _deadline, "Signature expired");
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                DELEGATE_UPDATE_TYPEHASH,
+                _organization,
+                _delegate,
+                _active,
+                _useNonce(_organization),
+                _deadline
+            )
+        );
+        require(_hashTypedDataV4(structHash).recover(_signature) == _organization, "Invalid signature");
+
+        if (_active) {
+            _inviteDelegate(_organization, _delegate);
+        } else {
+            _revokeDelegate(_organization, _delegate);
+        }
+    }
+
+    /**
+     * @dev Relayed accept (`_active`) or resignation: the delegate signs EIP-712 typed data in its own wallet
+     */
+    function updateConsentWithSignature(
+        address _organization,
+        address _delegate,
+        bool _active,
+        uint256 _deadline,
+        bytes memory _signature
+    ) external {
+        require(block.timestamp <= _deadline, "Signature expired");
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                DELEGATE_CONSENT_TYPEHASH,
+                _organization,
+                _delegate,
+                _active,
+                _useNonce(_delegate),
+                _deadline
+            )
+        );
+        require(_hashTypedDataV4(structHash).recover(_signature) == _delegate, "Invalid signature");
+
+        if (_active) {
+            _acceptDelegation(_organization, _delegate);
+        } else {
+            _resignDelegate(_organization, _delegate);
+        }
+    }
+
+    /**
+     * @dev Delegate verifies batch receipt for its organization
+     */
+    function verifyBatch(
+        string memory _batchId,
+        string memory _location,
+        string memory _data,
+        MedicineRegistry.ConditionReading memory _reading
+    ) external {
+        _verify(_batchId, msg.sender, _location, _data, _reading);
+    }
+
+    /**
+     * @dev Relayed verification: the delegate signs EIP-712 typed data in its own wallet
+     */
+    function verifyBatchAsDelegate(
+        string memory _batchId,
+        address _delegate,
+        string memory _location,
+        string memory _data,
+        MedicineRegistry.ConditionReading memory _reading,
+        uint256 _deadline,
+        bytes memory _signature
+    ) external {
+        require(block.timestamp <= _deadline, "Signature expired");
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                DELEGATED_VERIFICATION_TYPEHASH,
+                keccak256(bytes(_batchId)),
+                _delegate,
+                keccak256(bytes(_location)),
+                keccak256(bytes(_data)),
+                keccak256(abi.encode(CONDITION_READING_TYPEHASH, _reading)),
+                _useNonce(_delegate),
+                _deadline
+            )
+        );
+        require(_hashTypedDataV4(structHash).recover(_signature) == _delegate, "Invalid signature");
+
+        _verify(_batchId, _delegate, _location, _data, _reading);
+    }
+
+    /**
+     * @dev Get the delegates currently authorized by an organization
+     */
+    function getDelegates(address _organization) external view returns (address[] memory) {
+        return delegates[_organization];
+    }
+
+    function _verify(
+        string memory _batchId,
+        address _delegate,
+        string memory _location,
+        string memory _data,
+        MedicineRegistry.ConditionReading memory _reading
+    ) internal {
+        address organization = organizationOf[_delegate];
+        require(organization != address(0), "Not an active delegate");
+
+        registry.verifyBatchFor(_batchId, organization, _location, _data, _reading);
+        verifiedBy[_batchId][organization] = _delegate;
+
+        emit DelegatedVerification(_batchId, organization, _delegate);
+    }
+
+    function _inviteDelegate(address _organization, address _delegate) internal {
+        require(_delegate != address(0) && _delegate != _organization, "Invalid delegate");
+        require(organizationOf[_delegate] == address(0), "Delegate already assigned");
+
+        invitations[_delegate][_organization] = true;
+
+        emit DelegateInvited(_organization, _delegate);
+    }
+
+    function _acceptDelegation(address _organization, address _delegate) internal {
+        require(invitations[_delegate][_organization], "Not invited by organization");
+        require(organizationOf[_delegate] == address(0), "Delegate already assigned");
+
+        delete invitations[_delegate][_organization];
+        organizationOf[_delegate] = _organization;
+        delegates[_organization].push(_delegate);
+        delegateIndex[_delegate] = delegates[_organization].length;
+
+        emit DelegateAdded(_organization, _delegate);
+    }
+
+    function _revokeDelegate(address _organization, address _delegate) internal {
+        if (invitations[_delegate][_organization]) {
+            delete invitations[_delegate][_organization];
+        } else {
+            _removeDelegate(_organization, _delegate);
+        }
+
+        emit DelegateRevoked(_organization, _delegate);
+    }
+
+    function _resignDelegate(address _organization, address _delegate) internal {
+        _removeDelegate(_organization, _delegate);
+
+        emit DelegateResigned(_organization, _delegate);
+    }
+
+    function _removeDelegate(address _organization, address _delegate) internal {
+        require(
+            _organization != address(0) && organizationOf[_delegate] == _organization,
+            "Not a delegate of organization"
+        );
+
+        // Move the last delegate into the revoked one's place
+        address[] storage list = delegates[_organization];
+        uint256 index = delegateIndex[_delegate];
+        address last = list[list.length - 1];
+        list[index - 1] = last;
+        delegateIndex[last] = index;
+        list.pop();
+
+        delete delegateIndex[_delegate];
+        delete organizationOf[_delegate];
+    }
+}
@@ -0,0 +1,208 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/Nonces.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "./MedicineRegistry.sol";
+
+/**
+ * @title DisputeRegistry
+ * @dev Reports of counterfeit packs and falsified hops, reviewed by arbiters. Anyone can open a
+ * dispute on a batch, or on one participant's verification, with hashes of off-chain evidence.
+ * Arbiters hold ARBITER_ROLE on the registry. Deployed alongside MedicineRegistry, whose admin
+ * grants this contract REGULATOR_ROLE so that an upheld dispute can freeze the batch and
+ * invalidate the disputed verification. Penalties are counted per participant and, once the
+ * registry has a staking registry, slash the participant's bond; that needs SLASHER_ROLE.
+ */
+contract DisputeRegistry is EIP712, Nonces {
+    using ECDSA for bytes32;
+
+    bytes32 public constant ARBITER_ROLE = keccak256("ARBITER_ROLE");
+
+    bytes32 public constant DISPUTE_REPORT_TYPEHASH = keccak256(
+        "DisputeReport(string batchId,address participant,string reason,bytes32[] evidence,address reporter,uint256 nonce,uint256 deadline)"
+    );
+
+    enum DisputeStatus {
+        NONE,
+        OPEN,
+        UPHELD,
+        DISMISSED
+    }
+
+    // What an upheld dispute does
+    struct Outcome {
+        bool freeze; // Place the batch on hold
+        bool invalidate; // Strike the disputed verification; its hop must verify again
+        bool penalize; // Count a penalty against the disputed participant and slash its bond
+    }
+
+    struct Dispute {
+        string batchId;
+        address participant; // Participant whose verification is disputed; zero for the batch itself
+        string reason;
+        bytes32[] evidence; // Hashes of off-chain evidence such as photos or lab reports
+        address reporter;
+        uint256 openedAt;
+        DisputeStatus status;
+        Outcome outcome;
+        string resolution;
+        address resolvedBy;
+        uint256 resolvedAt;
+    }
+
+    MedicineRegistry public immutable registry;
+
+    uint256 public disputeCount; // Dispute ids start at 1
+    mapping(uint256 => Dispute) internal disputes;
+    mapping(string => uint256[]) internal batchDisputes;
+    mapping(address => uint256) public penalties; // Upheld disputes that penalized the participant
+
+    event DisputeOpened(uint256 indexed disputeId, string batchId, address indexed participant, address indexed reporter);
+    event DisputeResolved(uint256 indexed disputeId, DisputeStatus status, Outcome outcome, address indexed resolvedBy);
+    event ParticipantPenalized(address indexed participant, uint256 indexed disputeId, uint256 penalties);
+
+    modifier onlyArbiter() {
+        require(registry.hasRole(ARBITER_ROLE, msg.sender), "Not an arbiter");
+        _;
+    }
+
+    constructor(MedicineRegistry _registry) EIP712("DisputeRegistry", "1") {
+        registry = _registry;
+    }
+
+    /**
+     * @dev Open a dispute on a batch (`_participant` zero), or on a participant's verification
+     */
+    function openDispute(
+        string memory _batchId,
+        address _participant,
+        string memory _reason,
+        bytes32[] memory _evidence
+    ) external returns (uint256) {
+        return _openDispute(_batchId, _participant, _reason, _evidence, msg.sender);
+    }
+
+    /**
+     * @dev Relayed report: the reporter signs EIP-712 typed data in their own wallet
+     */
+    function openDisputeWithSignature(
+        string memory _batchId,
+        address _participant,
+        string memory _reason,
+        bytes32[] memory _evidence,
+        address _reporter,
+        uint256 _deadline,
+        bytes memory _signature
+    ) external returns (uint256) {
+        require(block.timestamp <= _deadline, "Signature expired");
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                DISPUTE_REPORT_TYPEHASH,
+                keccak256(bytes(_batchId)),
+                _participant,
+                keccak256(bytes(_reason)),
+                keccak256(abi.encodePacked(_evidence)),
+                _reporter,
+                _useNonce(_reporter),
+                _deadline
+            )
+        );
+        require(_hashTypedDataV4(structHash).recover(_signature) == _reporter, "Invalid signature");
+
+        return _openDispute(_batchId, _participant, _reason, _evidence, _reporter);
+    }
+
+    /**
+     * @dev Uphold a dispute, applying `_outcome`, or dismiss it without one. The resolution is
+     * recorded as the reason for any hold or invalidation.
+     */
+    function resolveDispute(
+        uint256 _disputeId,
+        bool _upheld,
+        Outcome memory _outcome,
+        string memory _resolution
+    ) external onlyArbiter {
+        Dispute storage dispute = disputes[_disputeId];
+        require(dispute.status == DisputeStatus.OPEN, "Dispute not open");
+        require(bytes(_resolution).length > 0, "Resolution required");
+        require(_upheld || !(_outcome.freeze || _outcome.invalidate || _outcome.penalize), "Dismissal has no outcome");
+        require(
+            dispute.participant != address(0) || !(_outcome.invalidate || _outcome.penalize),
+            "No participant disputed"
+        );
+
+        dispute.status = _upheld ? DisputeStatus.UPHELD : DisputeStatus.DISMISSED;
+        dispute.outcome = _outcome;
+        dispute.resolution = _resolution;
+        dispute.resolvedBy = msg.sender;
+        dispute.resolvedAt = block.timestamp;
+
+        if (_outcome.invalidate) {
+            registry.invalidateVerification(dispute.batchId, dispute.participant, _resolution);
+        }
+        if (_outcome.freeze) {
+            // A batch already on hold, recalled or otherwise stopped stays as it is
+            (MedicineRegistry.BatchStatus status, , ) = registry.getBatchLifecycle(dispute.batchId);
+            if (status == MedicineRegistry.BatchStatus.ACTIVE) {
+                registry.placeBatchOnHold(dispute.batchId, _resolution);
+            }
+        }
+        if (_outcome.penalize) {
+            penalties[dispute.participant]++;
+            emit ParticipantPenalized(dispute.participant, _disputeId, penalties[dispute.participant]);
+
+            StakingRegistry staking = registry.stakingRegistry();
+            if (address(staking) != address(0)) {
+                staking.slash(dispute.participant, _disputeId);
+            }
+        }
+
+        emit DisputeResolved(_disputeId, dispute.status, _outcome, msg.sender);
+    }
+
+    /**
+     * @dev Get a dispute (status NONE if the id was never used)
+     */
+    function getDispute(uint256 _disputeId) external view returns (Dispute memory) {
+        return disputes[_disputeId];
+    }
+
+    /**
+     * @dev Get the ids of every dispute opened on a batch, oldest first
+     */
+    function getBatchDisputes(string memory _batchId) external view returns (uint256[] memory) {
+        return batchDisputes[_batchId];
+    }
+
+    function _openDispute(
+        string memory _batchId,
+        address _participant,
+        string memory _reason,
+        bytes32[] memory _evidence,
+        address _reporter
+    ) internal returns (uint256 disputeId) {
+        require(bytes(_reason).length > 0, "Reason required");
+        require(_evidence.length > 0, "Evidence required");
+        registry.getBatch(_batchId); // Reverts for unknown batches
+        if (_participant != address(0)) {
+            (, bool hasVerified, , , ) = registry.getParticipantDetails(_batchId, _participant);
+            require(hasVerified, "Verification not found");
+        }
+
+        disputeId = ++disputeCount;
+        Dispute storage dispute = disputes[disputeId];
+        dispute.batchId = _batchId;
+        dispute.participant = _participant;
+        dispute.reason = _reason;
+        dispute.evidence = _evidence;
+        dispute.reporter = _reporter;
+        dispute.openedAt = block.timestamp;
+        dispute.status = DisputeStatus.OPEN;
+        batchDisputes[_batchId].push(disputeId);
+
+        emit DisputeOpened(disputeId, _batchId, _participant, _reporter);
+    }
+}
@@ -0,0 +1,75 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/IAccessControl.sol";
+
+/**
+ * @title EmergencyPause
+ * @dev Emergency stop for MedicineRegistry and MediToken. Guardians (GUARDIAN_ROLE on the
+ * registry) and the admin can pause instantly, either one operation or everything at once;
+ * only the admin can unpause. Deployed alongside the registry, whose admin points the registry
+ * at it; the token owner points MediToken at it too. Holds, recalls, amendments and disputes
+ * stay available while paused so regulators can still act on batches.
+ */
+contract EmergencyPause {
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+    bytes32 public constant DEFAULT_ADMIN_ROLE = 0x00;
+
+    enum Operation {
+        ALL, // Every operation below
+        REGISTRATION, // Registering batches, from manufacturers, channels and splits
+        VERIFICATION, // Supply chain verifications, direct, relayed or through a verifier contract
+        CLAIMS, // Customer reward claims
+        MINTING // MediToken.mint, for every minter
+    }
+
+    IAccessControl public immutable registry;
+
+    mapping(Operation => bool) public paused;
+
+    event Paused(Operation indexed operation, address indexed by);
+    event Unpaused(Operation indexed operation, address indexed by);
+
+    constructor(address _registry) {
+        registry = IAccessControl(_registry);
+    }
+
+    /**
+     * @dev Pause an operation, or everything with ALL
+     */
+    function pause(Operation _operation) external {
+        require(
+            registry.hasRole(GUARDIAN_ROLE, msg.sender) || registry.hasRole(DEFAULT_ADMIN_ROLE, msg.sender),
+            "Not a guardian"
+        );
+        require(!paused[_operation], "Already paused");
+
+        paused[_operation] = true;
+        emit Paused(_operation, msg.sender);
+    }
+
+    /**
+     * @dev Lift a pause. Unpausing ALL leaves operations paused on their own still paused.
+     */
+    function unpause(Operation _operation) external {
+        require(registry.hasRole(DEFAULT_ADMIN_ROLE, msg.sender), "Not an admin");
+        require(paused[_operation], "Not paused");
+
+        paused[_operation] = false;
+        emit Unpaused(_operation, msg.sender);
+    }
+
+    /**
+     * @dev Whether an operation is stopped, on its own or by pausing everything
+     */
+    function isPaused(Operation _operation) public view returns (bool) {
+        return paused[Operation.ALL] || paused[_operation];
+    }
+
+    /**
+     * @dev Revert while an operation is paused
+     */
+    function requireNotPaused(Operation _operation) external view {
+        require(!isPaused(_operation), "Operation paused");
+    }
+}
@@ -0,0 +1,146 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/**
+ * @title GovernanceTimelock
+ * @dev Holds the registry's DEFAULT_ADMIN_ROLE, MediToken's ownership, the ChannelSettlement admin
+ * role and the registry's proxy admin, so role grants, minters, reward parameters and upgrades
+ * only take effect after a delay everyone can watch. An operation is queued once
+ * `approvalThreshold` proposers have scheduled it; anyone can execute it once the delay passes.
+ */
+contract GovernanceTimelock is TimelockController {
+    uint256 public approvalThreshold;
+
+    // Proposers who scheduled each operation, cleared when a queued operation is cancelled
+    mapping(bytes32 => address[]) private approvers;
+
+    event OperationProposed(
+        bytes32 indexed id,
+        address[] targets,
+        uint256[] values,
+        bytes[] payloads,
+        bytes32 predecessor,
+        bytes32 salt
+    );
+    event OperationApproved(bytes32 indexed id, address indexed proposer, uint256 approvals);
+    event ApprovalRevoked(bytes32 indexed id, address indexed proposer, uint256 approvals);
+    event ApprovalThresholdChange(uint256 oldThreshold, uint256 newThreshold);
+
+    constructor(
+        uint256 _minDelay,
+        address[] memory _proposers,
+        uint256 _approvalThreshold
+    ) TimelockController(_minDelay, _proposers, _openExecution(), address(0)) {
+        require(_approvalThreshold > 0 && _approvalThreshold <= _proposers.length, "Invalid threshold");
+        approvalThreshold = _approvalThreshold;
+        emit ApprovalThresholdChange(0, _approvalThreshold);
+    }
+
+    /**
+     * @dev Approve an operation, queueing it with `delay` once enough proposers have
+     */
+    function schedule(
+        address target,
+        uint256 value,
+        bytes calldata data,
+        bytes32 predecessor,
+        bytes32 salt,
+        uint256 delay
+    ) public override onlyRole(PROPOSER_ROLE) {
+        bytes32 id = hashOperation(target, value, data, predecessor, salt);
+        if (approvers[id].length == 0) {
+            address[] memory targets = new address[](1);
+            uint256[] memory values = new uint256[](1);
+            bytes[] memory payloads = new bytes[](1);
+            targets[0] = target;
+            values[0] = value;
+            payloads[0] = data;
+            emit OperationProposed(id, targets, values, payloads, predecessor, salt);
+        }
+        if (_approve(id)) {
+            super.schedule(target, value, data, predecessor, salt, delay);
+        }
+    }
+
+    /**
+     * @dev Approve a batch of calls, queueing it with `delay` once enough proposers have
+     */
+    function scheduleBatch(
+        address[] calldata targets,
+        uint256[] calldata values,
+        bytes[] calldata payloads,
+        bytes32 predecessor,
+        bytes32 salt,
+        uint256 delay
+    ) public override onlyRole(PROPOSER_ROLE) {
+        bytes32 id = hashOperationBatch(targets, values, payloads, predecessor, salt);
+        if (approvers[id].length == 0) {
+            emit OperationProposed(id, targets, values, payloads, predecessor, salt);
+        }
+        if (_approve(id)) {
+            super.scheduleBatch(targets, values, payloads, predecessor, salt, delay);
+        }
+    }
+
+    /**
+     * @dev Withdraw an approval from an operation that is not queued yet
+     */
+    function revokeApproval(bytes32 _id) external onlyRole(PROPOSER_ROLE) {
+        require(getOperationState(_id) == OperationState.Unset, "Already queued");
+        address[] storage approved = approvers[_id];
+        for (uint256 i = 0; i < approved.length; i++) {
+            if (approved[i] == msg.sender) {
+                approved[i] = approved[approved.length - 1];
+                approved.pop();
+                emit ApprovalRevoked(_id, msg.sender, approved.length);
+                return;
+            }
+        }
+        revert("Not approved");
+    }
+
+    /**
+     * @dev Cancel a queued operation; proposing it again starts a fresh round of approvals
+     */
+    function cancel(bytes32 _id) public override onlyRole(CANCELLER_ROLE) {
+        super.cancel(_id);
+        delete approvers[_id];
+    }
+
+    /**
+     * @dev Change how many proposers must approve an operation. Only through the timelock itself.
+     */
+    function setApprovalThreshold(uint256 _approvalThreshold) external {
+        if (msg.sender != address(this)) {
+            revert TimelockUnauthorizedCaller(msg.sender);
+        }
+        require(_approvalThreshold > 0, "Invalid threshold");
+        emit ApprovalThresholdChange(approvalThreshold, _approvalThreshold);
+        approvalThreshold = _approvalThreshold;
+    }
+
+    /**
+     * @dev Proposers who have approved an operation
+     */
+    function getApprovers(bytes32 _id) external view returns (address[] memory) {
+        return approvers[_id];
+    }
+
+    function _approve(bytes32 _id) private returns (bool) {
+        require(getOperationState(_id) == OperationState.Unset, "Already queued");
+        address[] storage approved = approvers[_id];
+        for (uint256 i = 0; i < approved.length; i++) {
+            require(approved[i] != msg.sender, "Already approved");
+        }
+        approved.push(msg.sender);
+        emit OperationApproved(_id, msg.sender, approved.length);
+        return approved.length >= approvalThreshold;
+    }
+
+    // The zero address as executor lets anyone execute a ready operation
+    function _openExecution() private pure returns (address[] memory executors) {
+        executors = new address[](1);
+    }
+}
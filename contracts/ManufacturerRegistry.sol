@@ -0,0 +1,227 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/IAccessControl.sol";
+
+/**
+ * @title ManufacturerRegistry
+ * @dev Licensed manufacturer profiles behind MedicineRegistry's MANUFACTURER_ROLE. Deployed
+ * against the registry's proxy; connecting it with setModules makes this contract the admin of
+ * MANUFACTURER_ROLE: approving an application grants the role and revoking it takes the role away.
+ */
+contract ManufacturerRegistry {
+    bytes32 public constant MANUFACTURER_ROLE = keccak256("MANUFACTURER_ROLE");
+    bytes32 public constant REGULATOR_ROLE = keccak256("REGULATOR_ROLE");
+    bytes32 public constant DEFAULT_ADMIN_ROLE = 0x00;
+
+    enum ManufacturerStatus {
+        NONE,
+        PENDING,
+        APPROVED,
+        SUSPENDED,
+        REVOKED
+    }
+
+    struct Manufacturer {
+        string legalName;
+        string licenseNumber;
+        string jurisdiction;
+        uint256 licenseExpiry;
+        bytes32 metadataHash; // Hash of off-chain documents (license scan, registration certificate)
+        ManufacturerStatus status;
+        string statusReason;
+        uint256 appliedAt;
+        uint256 updatedAt;
+    }
+
+    IAccessControl public immutable registry;
+
+    mapping(address => Manufacturer) internal manufacturers;
+    address[] internal applicants;
+
+    event ManufacturerApplied(address indexed manufacturer, string legalName, string licenseNumber, string jurisdiction);
+    event ManufacturerStatusChanged(
+        address indexed manufacturer,
+        ManufacturerStatus previousStatus,
+        ManufacturerStatus newStatus,
+        string reason,
+        address indexed changedBy
+    );
+    event LicenseRenewed(address indexed manufacturer, uint256 licenseExpiry);
+
+    modifier onlyRegistryRole(bytes32 _role) {
+        require(registry.hasRole(_role, msg.sender), "Not authorized");
+        _;
+    }
+
+    constructor(address _registry) {
+        registry = IAccessControl(_registry);
+    }
+
+    /**
+     * @dev Apply to become a manufacturer. A pending application can be resubmitted to
+     * correct it; a revoked manufacturer cannot apply again.
+     */
+    function submitApplication(
+        string memory _legalName,
+        string memory _licenseNumber,
+        string memory _jurisdiction,
+        uint256 _licenseExpiry,
+        bytes32 _metadataHash
+    ) external {
+        Manufacturer storage manufacturer = manufacturers[msg.sender];
+        require(
+            manufacturer.status == ManufacturerStatus.NONE || manufacturer.status == ManufacturerStatus.PENDING,
+            "Application already decided"
+        );
+        require(bytes(_legalName).length > 0 && bytes(_licenseNumber).length > 0, "Legal name and license required");
+        require(_licenseExpiry > block.timestamp, "License expired");
+
+        if (manufacturer.status == ManufacturerStatus.NONE) {
+            applicants.push(msg.sender);
+        }
+
+        manufacturer.legalName = _legalName;
+        manufacturer.licenseNumber = _licenseNumber;
+        manufacturer.jurisdiction = _jurisdiction;
+        manufacturer.licenseExpiry = _licenseExpiry;
+        manufacturer.metadataHash = _metadataHash;
+        manufacturer.status = ManufacturerStatus.PENDING;
+        manufacturer.appliedAt = block.timestamp;
+        manufacturer.updatedAt = block.timestamp;
+
+        emit ManufacturerApplied(msg.sender, _legalName, _licenseNumber, _jurisdiction);
+    }
+
+    /**
+     * @dev Approve a pending application and grant MANUFACTURER_ROLE
+     */
+    function approveManufacturer(address _manufacturer) external onlyRegistryRole(DEFAULT_ADMIN_ROLE) {
+        require(manufacturers[_manufacturer].status == ManufacturerStatus.PENDING, "No pending application");
+        require(manufacturers[_manufacturer].licenseExpiry > block.timestamp, "License expired");
+
+        _setStatus(_manufacturer, ManufacturerStatus.APPROVED, "");
+        registry.grantRole(MANUFACTURER_ROLE, _manufacturer);
+    }
+
+    /**
+     * @dev Stop an approved manufacturer from registering batches until reinstated.
+     * Its existing batches are unaffected.
+     */
+    function suspendManufacturer(address _manufacturer, string memory _reason) external {
+        require(
+            registry.hasRole(DEFAULT_ADMIN_ROLE, msg.sender) || registry.hasRole(REGULATOR_ROLE, msg.sender),
+            "Not authorized"
+        );
+        require(manufacturers[_manufacturer].status == ManufacturerStatus.APPROVED, "Manufacturer not approved");
+        require(bytes(_reason).length > 0, "Reason required");
+
+        _setStatus(_manufacturer, ManufacturerStatus.SUSPENDED, _reason);
+    }
+
+    /**
+     * @dev Lift a suspension
+     */
+    function reinstateManufacturer(address _manufacturer) external onlyRegistryRole(DEFAULT_ADMIN_ROLE) {
+        require(manufacturers[_manufacturer].status == ManufacturerStatus.SUSPENDED, "Manufacturer not suspended");
+
+        _setStatus(_manufacturer, ManufacturerStatus.APPROVED, "");
+    }
+
+    /**
+     * @dev Permanently revoke a manufacturer and its MANUFACTURER_ROLE
+     */
+    function revokeManufacturer(address _manufacturer, string memory _reason)
+        external
+        onlyRegistryRole(DEFAULT_ADMIN_ROLE)
+    {
+        ManufacturerStatus status = manufacturers[_manufacturer].status;
+        require(
+            status == ManufacturerStatus.APPROVED || status == ManufacturerStatus.SUSPENDED,
+            "Manufacturer not approved"
+        );
+        require(bytes(_reason).length > 0, "Reason required");
+
+        _setStatus(_manufacturer, ManufacturerStatus.REVOKED, _reason);
+        registry.revokeRole(MANUFACTURER_ROLE, _manufacturer);
+    }
+
+    /**
+     * @dev Record a renewed license for an approved or suspended manufacturer
+     */
+    function renewLicense(address _manufacturer, uint256 _licenseExpiry)
+        external
+        onlyRegistryRole(DEFAULT_ADMIN_ROLE)
+    {
+        Manufacturer storage manufacturer = manufacturers[_manufacturer];
+        require(
+            manufacturer.status == ManufacturerStatus.APPROVED || manufacturer.status == ManufacturerStatus.SUSPENDED,
+            "Manufacturer not approved"
+        );
+        require(_licenseExpiry > block.timestamp, "License expired");
+
+        manufacturer.licenseExpiry = _licenseExpiry;
+        manufacturer.updatedAt = block.timestamp;
+
+        emit LicenseRenewed(_manufacturer, _licenseExpiry);
+    }
+
+    /**
+     * @dev Copy a manufacturer from an earlier registry when migrating, granting MANUFACTURER_ROLE
+     * back to approved and suspended manufacturers
+     */
+    function importManufacturer(address _manufacturer, Manufacturer memory _profile)
+        external
+        onlyRegistryRole(DEFAULT_ADMIN_ROLE)
+    {
+        require(manufacturers[_manufacturer].status == ManufacturerStatus.NONE, "Manufacturer already imported");
+        require(_profile.status != ManufacturerStatus.NONE, "Invalid manufacturer");
+
+        applicants.push(_manufacturer);
+        manufacturers[_manufacturer] = _profile;
+        if (_profile.status == ManufacturerStatus.APPROVED || _profile.status == ManufacturerStatus.SUSPENDED) {
+            registry.grantRole(MANUFACTURER_ROLE, _manufacturer);
+        }
+
+        emit ManufacturerStatusChanged(
+            _manufacturer,
+            ManufacturerStatus.NONE,
+            _profile.status,
+            _profile.statusReason,
+            msg.sender
+        );
+    }
+
+    /**
+     * @dev Whether a manufacturer may register batches: approved and holding an unexpired license
+     */
+    function isActive(address _manufacturer) external view returns (bool) {
+        Manufacturer storage manufacturer = manufacturers[_manufacturer];
+        return manufacturer.status == ManufacturerStatus.APPROVED && manufacturer.licenseExpiry > block.timestamp;
+    }
+
+    /**
+     * @dev Get a manufacturer's profile (status NONE if it never applied)
+     */
+    function getManufacturer(address _manufacturer) external view returns (Manufacturer memory) {
+        return manufacturers[_manufacturer];
+    }
+
+    /**
+     * @dev Get every address that has applied, in application order
+     */
+    function getApplicants() external view returns (address[] memory) {
+        return applicants;
+    }
+
+    function _setStatus(address _manufacturer, ManufacturerStatus _status, string memory _reason) internal {
+        Manufacturer storage manufacturer = manufacturers[_manufacturer];
+        ManufacturerStatus previousStatus = manufacturer.status;
+
+        manufacturer.status = _status;
+        manufacturer.statusReason = _reason;
+        manufacturer.updatedAt = block.timestamp;
+
+        emit ManufacturerStatusChanged(_manufacturer, previousStatus, _status, _reason, msg.sender);
+    }
+}
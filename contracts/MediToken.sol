@@ -3,6 +3,7 @@ pragma solidity ^0.8.20; // ⬅️ OZ v5 needs >= 0.8.20
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "./EmergencyPause.sol";
 
 /**
  * @title MediToken
@@ -13,8 +14,12 @@ contract MediToken is ERC20, Ownable {
 
     mapping(address => bool) public minters;
 
+    // Lets the registry's guardians stop minting; nothing pauses until set
+    EmergencyPause public emergencyPause;
+
     event MinterAdded(address indexed minter);
     event MinterRemoved(address indexed minter);
+    event EmergencyPauseUpdated(address indexed emergencyPause);
 
     // ⬅️ In OZ v5, pass the initial owner to Ownable()
     constructor() ERC20("MediTrust Token", "MEDI") Ownable(msg.sender) {
@@ -38,7 +43,15 @@ contract MediToken is ERC20, Ownable {
         emit MinterRemoved(_minter);
     }
 
+    function setEmergencyPause(EmergencyPause _emergencyPause) external onlyOwner {
+        emergencyPause = _emergencyPause;
+        emit EmergencyPauseUpdated(address(_emergencyPause));
+    }
+
     function mint(address to, uint256 amount) external onlyMinter {
+        if (address(emergencyPause) != address(0)) {
+            emergencyPause.requireNotPaused(EmergencyPause.Operation.MINTING);
+        }
         require(totalSupply() + amount <= MAX_SUPPLY, "Max supply exceeded");
         _mint(to, amount);
     }
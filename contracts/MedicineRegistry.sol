@@ -2,9 +2,23 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "./ProductCatalog.sol";
+import "./ManufacturerRegistry.sol";
+import "./QuantityLedger.sol";
+import "./SupplyChainAmendments.sol";
+import "./CustodyVerification.sol";
+import "./RegistryMigration.sol";
+import "./DelegateRegistry.sol";
+import "./StakingRegistry.sol";
+import "./RewardPolicy.sol";
+import "./EmergencyPause.sol";
 
 interface IMediToken {
     function mint(address to, uint256 amount) external;
@@ -12,14 +26,32 @@ interface IMediToken {
 
 /**
  * @title MedicineRegistry
- * @dev Registry for medicine batches with supply chain tracking and state channel support
+ * @dev Registry for medicine batches with supply chain tracking; channel-settled batches are
+ * registered through a ChannelSettlement holding CHANNEL_ROLE. Deployed behind a
+ * RegistryProxy whose RegistryProxyAdmin the admin owns; storage is append-only, as
+ * checked against storage-layouts/MedicineRegistry.json before every upgrade.
  */
-contract MedicineRegistry is AccessControl, ReentrancyGuard {
+contract MedicineRegistry is Initializable, AccessControl, ReentrancyGuard, EIP712, Nonces {
     using ECDSA for bytes32;
 
     bytes32 public constant MANUFACTURER_ROLE = keccak256("MANUFACTURER_ROLE");
     bytes32 public constant VERIFIER_ROLE = keccak256("VERIFIER_ROLE");
     bytes32 public constant CHANNEL_ROLE = keccak256("CHANNEL_ROLE");
+    bytes32 public constant REGULATOR_ROLE = keccak256("REGULATOR_ROLE");
+    // Admin of MANUFACTURER_ROLE, held only by the manufacturer registry
+    bytes32 public constant MANUFACTURER_ADMIN_ROLE = keccak256("MANUFACTURER_ADMIN_ROLE");
+
+    // EIP-712 typed data for relayed (gasless) participant and customer actions
+    bytes32 public constant VERIFICATION_TYPEHASH = keccak256(
+        "Verification(string batchId,address participant,string location,string data,ConditionReading reading,uint256 nonce,uint256 deadline)"
+        "ConditionReading(int32 minTemperature,int32 maxTemperature,uint32 excursionMinutes,uint32 humidity,uint32 unitsReceived,uint32 unitsDispatched)"
+    );
+    bytes32 public constant CONDITION_READING_TYPEHASH = keccak256(
+        "ConditionReading(int32 minTemperature,int32 maxTemperature,uint32 excursionMinutes,uint32 humidity,uint32 unitsReceived,uint32 unitsDispatched)"
+    );
+    bytes32 public constant CLAIM_TYPEHASH = keccak256(
+        "Claim(string batchId,string serial,address customer,uint256 nonce,uint256 deadline)"
+    );
 
     // Supply chain roles
     enum SupplyChainRole {
@@ -31,72 +63,143 @@ contract MedicineRegistry is AccessControl, ReentrancyGuard {
         RETAILER
     }
 
+    // Batch lifecycle
+    enum BatchStatus {
+        ACTIVE,
+        ON_HOLD,
+        RECALLED,
+        EXPIRED,
+        COMPLETED,
+        COMPROMISED
+    }
+
+    // Changes to the participants still to verify a batch
+    enum AmendmentAction {
+        ADD_HOP, // Insert a participant as a new hop, moving later hops back one
+        ADD_TO_HOP, // Add a participant to an existing hop as a parallel member
+        REMOVE,
+        REPLACE // Hand an unverified participant's place to another address
+    }
+
+    // Packed into one slot. Where and how a participant took custody is only emitted in
+    // SupplyChainVerification, not stored.
     struct SupplyChainParticipant {
-        address participantAddress;
         SupplyChainRole role;
+        uint32 hop; // Position in the custody order; equal hops form a parallel group
         bool hasVerified;
-        uint256 verifiedAt;
-        string location; // Optional: GPS or location data
-        string additionalData; // Optional: temperature, handling notes, etc.
+        uint40 verifiedAt;
+        uint32 position; // 1-based index into participantList; zero for non-participants
+    }
+
+    // Storage conditions a batch must be kept in. Temperatures are in tenths of a degree Celsius.
+    struct ColdChainPolicy {
+        int32 minTemperature;
+        int32 maxTemperature;
+        uint32 maxExcursionMinutes; // Cumulative time out of range the product tolerates
+        uint32 maxHumidity; // Relative humidity in percent; zero leaves humidity unmonitored
+        bool enabled;
+    }
+
+    // Conditions and unit counts logged while a participant held the batch
+    struct ConditionReading {
+        int32 minTemperature;
+        int32 maxTemperature;
+        uint32 excursionMinutes; // Minutes spent outside the policy's temperature range
+        uint32 humidity; // Peak relative humidity in percent
+        uint32 unitsReceived; // Units counted in; only recorded for batches with a unit count
+        uint32 unitsDispatched; // Units handed on to the next hop (or split into lots)
     }
 
     struct MedicineBatch {
         address manufacturer;
-        string batchId;
-        string drugName;
-        string ingredients;
+        BatchStatus status; // Shares the manufacturer's slot, read by nearly every call
+        bool exists;
+        bytes32 productId;
         uint256 expiryDate;
         uint256 registeredAt;
         bytes32 channelId;
         
-        // Supply chain tracking
-        SupplyChainParticipant[] supplyChainParticipants;
-        mapping(address => bool) isParticipant;
-        uint256 totalParticipants;
-        uint256 verifiedCount;
+        // Supply chain tracking; the four counters share a slot
+        address[] participantList;
+        mapping(address => SupplyChainParticipant) participants;
+        uint32 totalParticipants;
+        uint32 verifiedCount;
+        uint32 currentHop;
+        uint32 totalHops;
+        mapping(uint256 => uint256) pendingAtHop;
         
         // Customer reward tracking
         bool rewardClaimed;
         address rewardClaimedBy;
         uint256 rewardClaimedAt;
         
-        bool exists;
-    }
-
-    struct StateChannel {
-        bytes32 id;
-        address[] participants;
-        uint256 nonce;
-        bool isOpen;
-        uint256 openedAt;
-        uint256 closedAt;
+        // Unit serialization: Merkle root of unit serial numbers, one claim per serial
+        bytes32 serialRoot;
+        uint256 serialCount;
+        uint256 claimedSerials;
+        mapping(bytes32 => address) serialClaimedBy;
+        
+        // Cold chain: storage policy and minutes spent out of range across all hops
+        ColdChainPolicy coldChainPolicy;
+        uint256 excursionMinutes;
+        
+        // Lot tree: the custody holder of a fully verified batch can split it into child lots
+        string parentBatchId;
+        string[] childBatchIds;
+        uint256 quantity; // Units registered for the batch or split into the lot; zero when untracked
+        
+        // Lifecycle tracking
+        string statusReason;
+        uint256 statusUpdatedAt;
     }
 
     struct BatchData {
         string batchId;
-        string drugName;
-        string ingredients;
+        bytes32 productId;
         uint256 expiryDate;
         address[] supplyChainAddresses;
         SupplyChainRole[] supplyChainRoles;
+        uint256[] supplyChainHops;
     }
 
-    // Storage
-    mapping(string => MedicineBatch) public batches;
-    mapping(bytes32 => StateChannel) public channels;
-    mapping(address => uint256) public pendingRewards;
-    mapping(address => mapping(string => uint256)) public lastVerification;
-    
-    // Supply chain specific mappings
-    mapping(string => address[]) public batchParticipantsList;
-    mapping(string => mapping(address => SupplyChainParticipant)) public batchParticipants;
+    // Storage. A retired slot keeps its place so the variables after it do not move. The first
+    // held batches keyed by their id string, before participant records were packed; the second
+    // held rewards per address, which were never accrued since rewards are paid on claim.
+    uint256 private __retired_batches;
+    uint256 private __retired_pendingRewards;
+    mapping(bytes32 => uint256) public claimCommitments; // commitment => block committed in
+    mapping(string => mapping(address => ConditionReading)) public conditionReadings;
     
     // Token contract
     IMediToken public mediToken;
     
+    // Products batches are registered against; set once with the other modules below
+    ProductCatalog public productCatalog;
+    
+    // Licensed manufacturer profiles; grants and revokes MANUFACTURER_ROLE
+    ManufacturerRegistry public manufacturerRegistry;
+    
+    // Per-hop unit counts and shrinkage detection
+    QuantityLedger public quantityLedger;
+    
+    // Addresses organizations authorize to verify on their behalf; set once deployed
+    DelegateRegistry public delegateRegistry;
+    
+    // MEDI bonds participants need to be assigned to batches; unchecked until set
+    StakingRegistry public stakingRegistry;
+    
+    // Reward amounts, pools, on-time rewards and claim limits; CUSTOMER_REWARD is minted until set
+    RewardPolicy public rewardPolicy;
+    
+    // Guardian-triggered stop for registration, verification and claims; nothing pauses until set
+    EmergencyPause public emergencyPause;
+    
+    // Batches keyed by keccak256 of their id, the indexed batchId topic of their events
+    mapping(bytes32 => MedicineBatch) internal batches;
+    
     // Constants
-    uint256 public constant CUSTOMER_REWARD = 1 ether; // 1 MEDI for customers
-    uint256 public constant VERIFICATION_COOLDOWN = 24 hours;
+    uint256 public constant CUSTOMER_REWARD = 1 ether; // 1 MEDI for customers without a reward policy
+    uint256 public constant MAX_PARTICIPANTS = SupplyChainAmendments.MAX_PARTICIPANTS;
     
     // Events
     event BatchRegistered(
@@ -107,166 +210,596 @@ contract MedicineRegistry is AccessControl, ReentrancyGuard {
         uint256 participantCount
     );
     
+    // Emitted by CustodyVerification as participants verify, and replayed by RegistryMigration;
+    // the only record of where and how each participant took custody
     event SupplyChainVerification(
         string indexed batchId,
         address indexed verifier,
         SupplyChainRole role,
+        uint256 hop,
         uint256 timestamp,
-        string location
+        string location,
+        string additionalData
+    );
+    
+    event HopCompleted(
+        string indexed batchId,
+        uint256 hop,
+        uint256 timestamp
     );
     
     event CustomerRewardClaimed(
         string indexed batchId,
         address indexed customer,
+        string serial,
         uint256 reward,
         uint256 timestamp
     );
     
-    event ChannelOpened(bytes32 indexed channelId, address[] participants);
-    event ChannelClosed(bytes32 indexed channelId, uint256 timestamp);
-    event BatchSettled(string indexed batchId, bytes32 channelId);
+    // Emitted by CustodyVerification for readings outside the storage policy
+    event ColdChainExcursion(
+        string indexed batchId,
+        address indexed participant,
+        uint256 hop,
+        uint256 totalExcursionMinutes,
+        bool compromised
+    );
+    
+    event ClaimCommitted(bytes32 indexed commitment, uint256 blockNumber);
+    
+    event SerialRootRegistered(
+        string indexed batchId,
+        bytes32 serialRoot,
+        uint256 serialCount
+    );
+    
+    event BatchStatusChanged(
+        string indexed batchId,
+        BatchStatus previousStatus,
+        BatchStatus newStatus,
+        string reason,
+        address indexed changedBy,
+        uint256 timestamp
+    );
+    
+    event BatchSplit(
+        string indexed parentBatchId,
+        string childBatchId,
+        address indexed splitBy,
+        uint256 quantity
+    );
+    
+    event SupplyChainAmended(
+        string indexed batchId,
+        AmendmentAction action,
+        address indexed participant,
+        address replacement,
+        SupplyChainRole role,
+        uint256 hop,
+        string reason,
+        address indexed amendedBy
+    );
+
+    // Emitted by RegistryMigration when importBatch replays a batch from an earlier registry
+    event BatchImported(string indexed batchId, address indexed manufacturer, uint256 participantCount);
+
+    event VerificationInvalidated(
+        string indexed batchId,
+        address indexed participant,
+        uint256 hop,
+        string reason,
+        address indexed invalidatedBy
+    );
 
-    constructor(address _mediToken) {
+    modifier onlyBatchAuthority(string memory _batchId) {
+        _checkBatchAuthority(_batchId);
+        _;
+    }
+
+    // The EIP-712 name and version live in the implementation's code; the domain uses the proxy's address
+    constructor() EIP712("MedicineRegistry", "1") {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Initialize the proxy's storage; passed as the proxy's constructor data so nobody can front-run it
+     */
+    function initialize(address _mediToken, address _admin) external initializer {
         mediToken = IMediToken(_mediToken);
-        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
-        _grantRole(MANUFACTURER_ROLE, msg.sender);
-        _grantRole(CHANNEL_ROLE, msg.sender);
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+        
+        // Manufacturers are onboarded through the manufacturer registry rather than granted ad hoc
+        _setRoleAdmin(MANUFACTURER_ROLE, MANUFACTURER_ADMIN_ROLE);
+    }
+
+    /**
+     * @dev Connect the modules deployed against this registry's (proxy) address, once
+     */
+    function setModules(
+        ProductCatalog _productCatalog,
+        ManufacturerRegistry _manufacturerRegistry,
+        QuantityLedger _quantityLedger
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(address(productCatalog) == address(0), "Modules already set");
+        productCatalog = _productCatalog;
+        manufacturerRegistry = _manufacturerRegistry;
+        quantityLedger = _quantityLedger;
+        _grantRole(MANUFACTURER_ADMIN_ROLE, address(_manufacturerRegistry));
+    }
+
+    /**
+     * @dev Replay a batch exported from an earlier registry; see RegistryMigration
+     */
+    function importBatch(bytes calldata _data) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        RegistryMigration.importBatch(batches, conditionReadings, quantityLedger, _data);
+    }
+
+    /**
+     * @dev Point the registry at the delegate registry, which also needs VERIFIER_ROLE
+     */
+    function setDelegateRegistry(DelegateRegistry _delegateRegistry) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        delegateRegistry = _delegateRegistry;
+    }
+
+    /**
+     * @dev Point the registry at the staking registry; participants must then be bonded to be assigned
+     */
+    function setStakingRegistry(StakingRegistry _stakingRegistry) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        stakingRegistry = _stakingRegistry;
+    }
+
+    /**
+     * @dev Point the registry at the reward policy, which pays rewards from then on
+     */
+    function setRewardPolicy(RewardPolicy _rewardPolicy) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        rewardPolicy = _rewardPolicy;
     }
 
     /**
-     * @dev Register a new medicine batch with supply chain participants
+     * @dev Point the registry at the emergency pause its guardians trigger
+     */
+    function setEmergencyPause(EmergencyPause _emergencyPause) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        emergencyPause = _emergencyPause;
+    }
+
+    /**
+     * @dev Register a new batch of a catalog product with supply chain participants.
+     * Participants must verify in the order given; `_hops` optionally assigns
+     * each participant a hop index so that participants sharing an index form
+     * a parallel group. Pass an empty array for strictly sequential custody.
      */
     function registerBatchWithSupplyChain(
         string memory _batchId,
-        string memory _drugName,
-        string memory _ingredients,
+        bytes32 _productId,
         uint256 _expiryDate,
         address[] memory _participants,
         SupplyChainRole[] memory _roles,
+        uint256[] memory _hops,
         bytes32 _channelId
     ) external onlyRole(MANUFACTURER_ROLE) {
-        require(!batches[_batchId].exists, "Batch already exists");
-        require(_expiryDate > block.timestamp, "Expiry date must be in future");
-        require(_participants.length == _roles.length, "Participants and roles mismatch");
-        require(_participants.length > 0, "At least one participant required");
-        
-        MedicineBatch storage newBatch = batches[_batchId];
-        newBatch.manufacturer = msg.sender;
-        newBatch.batchId = _batchId;
-        newBatch.drugName = _drugName;
-        newBatch.ingredients = _ingredients;
-        newBatch.expiryDate = _expiryDate;
-        newBatch.registeredAt = block.timestamp;
-        newBatch.channelId = _channelId;
-        newBatch.totalParticipants = _participants.length;
-        newBatch.verifiedCount = 0;
-        newBatch.rewardClaimed = false;
-        newBatch.exists = true;
+        productCatalog.checkBatchManufacturer(_productId, msg.sender);
+        _registerBatchWithSupplyChainInternal(
+            _batchId,
+            msg.sender,
+            _productId,
+            _expiryDate,
+            _participants,
+            _roles,
+            _hops,
+            _channelId
+        );
+    }
+
+    /**
+     * @dev Register a batch from a settled channel state on behalf of the channel operator,
+     * who must manufacture the product. Returns false for a batch already registered, so
+     * later states can repeat earlier batches.
+     */
+    function registerChannelBatch(BatchData memory _batch, address _operator, bytes32 _channelId)
+        external
+        onlyRole(CHANNEL_ROLE)
+        returns (bool)
+    {
+        if (_batchOf(_batch.batchId).exists) return false;
         
-        // Add supply chain participants
-        batchParticipantsList[_batchId] = _participants;
-        for (uint256 i = 0; i < _participants.length; i++) {
-            require(_participants[i] != address(0), "Invalid participant address");
-            require(!newBatch.isParticipant[_participants[i]], "Duplicate participant");
-            
-            SupplyChainParticipant memory participant;
-            participant.participantAddress = _participants[i];
-            participant.role = _roles[i];
-            participant.hasVerified = false;
-            participant.verifiedAt = 0;
-            
-            newBatch.supplyChainParticipants.push(participant);
-            newBatch.isParticipant[_participants[i]] = true;
-            batchParticipants[_batchId][_participants[i]] = participant;
+        productCatalog.checkBatchManufacturer(_batch.productId, _operator);
+        _registerBatchWithSupplyChainInternal(
+            _batch.batchId,
+            _operator,
+            _batch.productId,
+            _batch.expiryDate,
+            _batch.supplyChainAddresses,
+            _batch.supplyChainRoles,
+            _batch.supplyChainHops,
+            _channelId
+        );
+        return true;
+    }
+
+    /**
+     * @dev Amend the participants still to verify a batch, e.g. when another carrier takes
+     * over. Verified participants, and hops any of them verified, cannot be changed.
+     * ADD_HOP inserts `_participant` as hop `_hop`, ADD_TO_HOP adds it to hop `_hop`,
+     * REMOVE drops it and REPLACE hands its hop to `_replacement` with `_role`.
+     * Participants stay ordered by hop, not by their position in the participant list.
+     */
+    function amendSupplyChain(
+        string memory _batchId,
+        AmendmentAction _action,
+        address _participant,
+        address _replacement,
+        SupplyChainRole _role,
+        uint256 _hop,
+        string memory _reason
+    ) external onlyBatchAuthority(_batchId) {
+        MedicineBatch storage batch = _batchOf(_batchId);
+        require(bytes(_reason).length > 0, "Reason required");
+        require(batch.rewardClaimedBy == address(0) && batch.childBatchIds.length == 0, "Batch already completed");
+        _requireActive(batch);
+        if (_action != AmendmentAction.REMOVE) {
+            _requireBonded(_action == AmendmentAction.REPLACE ? _replacement : _participant);
         }
         
-        emit BatchRegistered(
-            _batchId,
-            msg.sender,
-            _channelId,
-            block.timestamp,
-            _participants.length
+        (uint256 hop, bool hopCompleted) = SupplyChainAmendments.amend(
+            batch,
+            _action,
+            _participant,
+            _replacement,
+            _role,
+            _hop
+        );
+        if (hopCompleted) {
+            emit HopCompleted(_batchId, hop, block.timestamp);
+        }
+        
+        emit SupplyChainAmended(_batchId, _action, _participant, _replacement, _role, hop, _reason, msg.sender);
+    }
+
+    /**
+     * @dev Invalidate a verification found to be false, e.g. by a DisputeRegistry upholding a
+     * dispute. The participant must verify its hop again before the batch completes.
+     */
+    function invalidateVerification(string memory _batchId, address _participant, string memory _reason)
+        external
+        onlyRole(REGULATOR_ROLE)
+    {
+        MedicineBatch storage batch = _getBatch(_batchId);
+        require(bytes(_reason).length > 0, "Reason required");
+        require(batch.rewardClaimedBy == address(0) && batch.childBatchIds.length == 0, "Batch already completed");
+        
+        uint256 hop = SupplyChainAmendments.invalidate(batch, _participant);
+        
+        emit VerificationInvalidated(_batchId, _participant, hop, _reason, msg.sender);
+    }
+
+    /**
+     * @dev Split a child lot off a fully verified batch, continuing with its own downstream
+     * participants; call once per lot. Only a participant of the final hop, who holds
+     * custody, can split, and only before any reward is claimed. Lots inherit the product,
+     * expiry and storage policy, and stay answerable to every ancestor: holding, recalling
+     * or compromising an ancestor stops its lots too.
+     */
+    function splitBatch(
+        string memory _batchId,
+        string memory _lotId,
+        uint256 _quantity,
+        address[] memory _participants,
+        SupplyChainRole[] memory _roles,
+        uint256[] memory _hops
+    ) external {
+        MedicineBatch storage batch = _getBatch(_batchId);
+        SupplyChainParticipant storage holder = batch.participants[msg.sender];
+        require(holder.position != 0 && holder.hop == batch.totalHops - 1, "Not custody holder");
+        require(batch.verifiedCount == batch.totalParticipants, "Supply chain verification incomplete");
+        require(batch.rewardClaimedBy == address(0), "Reward already claimed");
+        require(_quantity > 0, "Invalid lot quantity");
+        _requireActive(batch);
+        
+        _registerBatchWithSupplyChainInternal(
+            _lotId,
+            batch.manufacturer,
+            batch.productId,
+            batch.expiryDate,
+            _participants,
+            _roles,
+            _hops,
+            batch.channelId
         );
+        
+        MedicineBatch storage lot = _batchOf(_lotId);
+        lot.parentBatchId = _batchId;
+        lot.quantity = _quantity;
+        lot.coldChainPolicy = batch.coldChainPolicy;
+        lot.excursionMinutes = batch.excursionMinutes;
+        batch.childBatchIds.push(_lotId);
+        quantityLedger.recordSplit(_batchId, _lotId, _quantity, batch.totalHops - 1);
+        
+        emit BatchSplit(_batchId, _lotId, msg.sender, _quantity);
+    }
+
+    /**
+     * @dev Set the storage policy verifications are checked against. Must be set
+     * before the first verification so every hop is held to the same conditions.
+     */
+    function setColdChainPolicy(string memory _batchId, ColdChainPolicy memory _policy)
+        external
+        onlyBatchAuthority(_batchId)
+    {
+        MedicineBatch storage batch = _batchOf(_batchId);
+        require(batch.verifiedCount == 0, "Verification already started");
+        require(_policy.minTemperature <= _policy.maxTemperature, "Invalid temperature range");
+        
+        _policy.enabled = true;
+        batch.coldChainPolicy = _policy;
     }
 
     /**
-     * @dev Supply chain participant verifies batch receipt
+     * @dev Track a batch's units: every verification then reports the units received and
+     * dispatched, and counts off by more than `_toleranceBps` of the units are flagged.
+     * Must be set before the first verification; lots take their units from the split.
+     */
+    function setBatchQuantity(string memory _batchId, uint256 _units, uint256 _toleranceBps)
+        external
+        onlyBatchAuthority(_batchId)
+    {
+        MedicineBatch storage batch = _batchOf(_batchId);
+        require(batch.verifiedCount == 0, "Verification already started");
+        require(batch.quantity == 0, "Quantity already set");
+        
+        batch.quantity = _units;
+        quantityLedger.setPolicy(_batchId, _units, _toleranceBps);
+    }
+
+    /**
+     * @dev Supply chain participant verifies batch receipt. `_reading` summarizes the
+     * conditions and unit counts logged in the participant's custody; conditions are ignored
+     * without a policy and counts for batches whose units are not tracked.
      */
     function verifySupplyChainTransfer(
         string memory _batchId,
         string memory _location,
-        string memory _additionalData
+        string memory _additionalData,
+        ConditionReading memory _reading
     ) external {
-        MedicineBatch storage batch = batches[_batchId];
-        require(batch.exists, "Batch not found");
-        require(batch.isParticipant[msg.sender], "Not authorized participant");
-        require(!batch.rewardClaimed, "Batch already completed");
+        _recordVerification(_batchId, msg.sender, _location, _additionalData, _reading);
+    }
+
+    /**
+     * @dev Relayed verification: the participant signs EIP-712 typed data in their
+     * own wallet and any relayer submits it. Nonces prevent signature replay.
+     */
+    function verifyBatchAsParticipant(
+        string memory _batchId,
+        address _participant,
+        string memory _location,
+        string memory _data,
+        ConditionReading memory _reading,
+        uint256 _deadline,
+        bytes memory _signature
+    ) external {
+        require(block.timestamp <= _deadline, "Signature expired");
         
-        // Find and update participant
-        for (uint256 i = 0; i < batch.supplyChainParticipants.length; i++) {
-            if (batch.supplyChainParticipants[i].participantAddress == msg.sender) {
-                require(!batch.supplyChainParticipants[i].hasVerified, "Already verified");
-                
-                batch.supplyChainParticipants[i].hasVerified = true;
-                batch.supplyChainParticipants[i].verifiedAt = block.timestamp;
-                batch.supplyChainParticipants[i].location = _location;
-                batch.supplyChainParticipants[i].additionalData = _additionalData;
-                
-                batch.verifiedCount++;
-                
-                // Update mapping
-                batchParticipants[_batchId][msg.sender].hasVerified = true;
-                batchParticipants[_batchId][msg.sender].verifiedAt = block.timestamp;
-                batchParticipants[_batchId][msg.sender].location = _location;
-                batchParticipants[_batchId][msg.sender].additionalData = _additionalData;
-                
-                emit SupplyChainVerification(
-                    _batchId,
-                    msg.sender,
-                    batch.supplyChainParticipants[i].role,
-                    block.timestamp,
-                    _location
-                );
-                
-                break;
-            }
-        }
+        bytes32 structHash = keccak256(
+            abi.encode(
+                VERIFICATION_TYPEHASH,
+                keccak256(bytes(_batchId)),
+                _participant,
+                keccak256(bytes(_location)),
+                keccak256(bytes(_data)),
+                keccak256(abi.encode(CONDITION_READING_TYPEHASH, _reading)),
+                _useNonce(_participant),
+                _deadline
+            )
+        );
+        require(_hashTypedDataV4(structHash).recover(_signature) == _participant, "Invalid signature");
+        
+        _recordVerification(_batchId, _participant, _location, _data, _reading);
     }
 
     /**
-     * @dev Customer claims reward after all supply chain verifications
+     * @dev Verification on behalf of a participant whose signature a verifier contract has
+     * already checked, such as a PackagingRegistry verifying a scanned pallet's batches.
+     * The admin grants VERIFIER_ROLE to such contracts.
      */
-    function claimCustomerReward(string memory _batchId) external nonReentrant {
-        MedicineBatch storage batch = batches[_batchId];
-        require(batch.exists, "Batch not found");
+    function verifyBatchFor(
+        string memory _batchId,
+        address _participant,
+        string memory _location,
+        string memory _data,
+        ConditionReading memory _reading
+    ) external onlyRole(VERIFIER_ROLE) {
+        _recordVerification(_batchId, _participant, _location, _data, _reading);
+    }
+
+    /**
+     * @dev Register the Merkle root of a batch's packs. Leaves are
+     * keccak256(bytes.concat(keccak256(abi.encode(serial, codeHash)))) with sorted-pair
+     * hashing, where codeHash is keccak256 of the pack's scratch-off claim code, or zero
+     * for packs without one. An unserialized batch is a single pack with an empty serial.
+     * Once set, each serial can claim one reward instead of one per batch.
+     */
+    function registerSerialRoot(
+        string memory _batchId,
+        bytes32 _serialRoot,
+        uint256 _serialCount
+    ) external {
+        MedicineBatch storage batch = _getBatch(_batchId);
+        require(batch.manufacturer == msg.sender, "Not batch manufacturer");
+        require(batch.serialRoot == bytes32(0), "Serials already registered");
         require(!batch.rewardClaimed, "Reward already claimed");
-        require(batch.verifiedCount == batch.totalParticipants, "Supply chain verification incomplete");
-        require(!batch.isParticipant[msg.sender], "Supply chain participants cannot claim rewards");
+        require(_serialRoot != bytes32(0) && _serialCount > 0, "Invalid serial root");
         
-        // Mark reward as claimed
-        batch.rewardClaimed = true;
-        batch.rewardClaimedBy = msg.sender;
-        batch.rewardClaimedAt = block.timestamp;
+        batch.serialRoot = _serialRoot;
+        batch.serialCount = _serialCount;
         
-        // Mint reward tokens to customer
-        mediToken.mint(msg.sender, CUSTOMER_REWARD);
+        emit SerialRootRegistered(_batchId, _serialRoot, _serialCount);
+    }
+
+    /**
+     * @dev Customer claims reward after all supply chain verifications. Serialized
+     * batches require the unit serial and its Merkle proof; otherwise pass an empty
+     * serial and proof. Packs protected by a claim code must use commitClaim/revealClaim.
+     */
+    function claimCustomerReward(
+        string memory _batchId,
+        string memory _serial,
+        bytes32[] memory _proof
+    ) external nonReentrant {
+        _claimReward(_batchId, _serial, _proof, bytes32(0), msg.sender);
+    }
+
+    /**
+     * @dev Relayed reward claim signed by the customer as EIP-712 typed data
+     */
+    function claimCustomerRewardWithSignature(
+        string memory _batchId,
+        string memory _serial,
+        bytes32[] memory _proof,
+        address _customer,
+        uint256 _deadline,
+        bytes memory _signature
+    ) external nonReentrant {
+        require(block.timestamp <= _deadline, "Signature expired");
         
-        emit CustomerRewardClaimed(
-            _batchId,
-            msg.sender,
-            CUSTOMER_REWARD,
-            block.timestamp
+        bytes32 structHash = keccak256(
+            abi.encode(
+                CLAIM_TYPEHASH,
+                keccak256(bytes(_batchId)),
+                keccak256(bytes(_serial)),
+                _customer,
+                _useNonce(_customer),
+                _deadline
+            )
         );
+        require(_hashTypedDataV4(structHash).recover(_signature) == _customer, "Invalid signature");
+        
+        _claimReward(_batchId, _serial, _proof, bytes32(0), _customer);
+    }
+
+    /**
+     * @dev Step one of a claim-code claim: commit to
+     * keccak256(abi.encode(batchId, serial, claimCode, customer)). The code stays hidden
+     * and the reward is bound to the customer, so anyone may submit the commitment.
+     */
+    function commitClaim(bytes32 _commitment) external {
+        require(claimCommitments[_commitment] == 0, "Already committed");
+        claimCommitments[_commitment] = block.number;
+        
+        emit ClaimCommitted(_commitment, block.number);
+    }
+
+    /**
+     * @dev Step two: reveal the claim code in a later block. A mempool watcher copying
+     * the code has no earlier commitment of their own, and resubmitting this reveal
+     * still pays the committed customer.
+     */
+    function revealClaim(
+        string memory _batchId,
+        string memory _serial,
+        bytes32[] memory _proof,
+        string memory _claimCode,
+        address _customer
+    ) external nonReentrant {
+        bytes32 commitment = keccak256(abi.encode(_batchId, _serial, _claimCode, _customer));
+        uint256 committedAt = claimCommitments[commitment];
+        require(committedAt != 0, "Claim not committed");
+        require(block.number > committedAt, "Reveal too early");
+        delete claimCommitments[commitment];
+        
+        _claimReward(_batchId, _serial, _proof, keccak256(bytes(_claimCode)), _customer);
+    }
+
+    /**
+     * @dev EIP-712 domain separator used for relayed signatures
+     */
+    function domainSeparator() external view returns (bytes32) {
+        return _domainSeparatorV4();
     }
 
     /**
      * @dev Check if batch is ready for customer claim
      */
     function isBatchReadyForCustomer(string memory _batchId) external view returns (bool) {
-        MedicineBatch storage batch = batches[_batchId];
+        MedicineBatch storage batch = _batchOf(_batchId);
         return batch.exists && 
                !batch.rewardClaimed && 
-               batch.verifiedCount == batch.totalParticipants;
+               batch.status == BatchStatus.ACTIVE &&
+               block.timestamp < batch.expiryDate &&
+               batch.verifiedCount == batch.totalParticipants &&
+               batch.childBatchIds.length == 0 &&
+               _ancestorsActive(batch);
+    }
+
+    /**
+     * @dev Place an active batch on hold pending investigation
+     */
+    function placeBatchOnHold(string memory _batchId, string memory _reason)
+        external
+        onlyBatchAuthority(_batchId)
+    {
+        require(_batchOf(_batchId).status == BatchStatus.ACTIVE, "Batch not active");
+        require(bytes(_reason).length > 0, "Reason required");
+        _setStatus(_batchId, BatchStatus.ON_HOLD, _reason);
+    }
+
+    /**
+     * @dev Release a held batch back into circulation
+     */
+    function releaseBatchHold(string memory _batchId, string memory _reason)
+        external
+        onlyBatchAuthority(_batchId)
+    {
+        require(_batchOf(_batchId).status == BatchStatus.ON_HOLD, "Batch not on hold");
+        _setStatus(_batchId, BatchStatus.ACTIVE, _reason);
+    }
+
+    /**
+     * @dev Permanently recall a batch; recalled batches can never be verified or claimed
+     */
+    function recallBatch(string memory _batchId, string memory _reason)
+        external
+        onlyBatchAuthority(_batchId)
+    {
+        require(_batchOf(_batchId).status != BatchStatus.RECALLED, "Batch already recalled");
+        require(bytes(_reason).length > 0, "Reason required");
+        _setStatus(_batchId, BatchStatus.RECALLED, _reason);
+    }
+
+    /**
+     * @dev Record that a batch has passed its expiry date (callable by anyone)
+     */
+    function markBatchExpired(string memory _batchId) external {
+        MedicineBatch storage batch = _getBatch(_batchId);
+        require(block.timestamp >= batch.expiryDate, "Batch not yet expired");
+        require(
+            batch.status == BatchStatus.ACTIVE || batch.status == BatchStatus.ON_HOLD,
+            "Batch already finalized"
+        );
+        _setStatus(_batchId, BatchStatus.EXPIRED, "Expiry date reached");
+    }
+
+    /**
+     * @dev Get batch lifecycle status; active batches past expiry report EXPIRED
+     */
+    function getBatchLifecycle(string memory _batchId)
+        external
+        view
+        returns (
+            BatchStatus status,
+            string memory reason,
+            uint256 updatedAt
+        )
+    {
+        MedicineBatch storage batch = _getBatch(_batchId);
+        
+        if (
+            (batch.status == BatchStatus.ACTIVE || batch.status == BatchStatus.ON_HOLD) &&
+            block.timestamp >= batch.expiryDate
+        ) {
+            return (BatchStatus.EXPIRED, "Expiry date reached", batch.expiryDate);
+        }
+        
+        return (batch.status, batch.statusReason, batch.statusUpdatedAt);
     }
 
     /**
@@ -282,8 +815,7 @@ contract MedicineRegistry is AccessControl, ReentrancyGuard {
             address rewardClaimedBy
         ) 
     {
-        MedicineBatch storage batch = batches[_batchId];
-        require(batch.exists, "Batch not found");
+        MedicineBatch storage batch = _getBatch(_batchId);
         
         return (
             batch.totalParticipants,
@@ -294,7 +826,7 @@ contract MedicineRegistry is AccessControl, ReentrancyGuard {
     }
 
     /**
-     * @dev Get supply chain participant details
+     * @dev Get supply chain participant details; position is zero when the address is not a participant
      */
     function getParticipantDetails(string memory _batchId, address _participant)
         external
@@ -303,22 +835,111 @@ contract MedicineRegistry is AccessControl, ReentrancyGuard {
             SupplyChainRole role,
             bool hasVerified,
             uint256 verifiedAt,
-            string memory location,
-            string memory additionalData
+            uint256 hop,
+            uint256 position
         )
     {
-        require(batches[_batchId].exists, "Batch not found");
-        SupplyChainParticipant memory participant = batchParticipants[_batchId][_participant];
+        SupplyChainParticipant storage participant = _getBatch(_batchId).participants[_participant];
         
         return (
             participant.role,
             participant.hasVerified,
             participant.verifiedAt,
-            participant.location,
-            participant.additionalData
+            participant.hop,
+            participant.position
         );
     }
 
+    /**
+     * @dev Get the hop currently expected to verify and its outstanding participants
+     */
+    function getCurrentHop(string memory _batchId)
+        external
+        view
+        returns (
+            uint256 hop,
+            uint256 totalHops,
+            address[] memory pendingParticipants
+        )
+    {
+        MedicineBatch storage batch = _getBatch(_batchId);
+        
+        hop = batch.currentHop;
+        totalHops = batch.totalHops;
+        if (hop >= totalHops) {
+            return (hop, totalHops, new address[](0));
+        }
+        
+        pendingParticipants = new address[](batch.pendingAtHop[hop]);
+        uint256 count = 0;
+        for (uint256 i = 0; i < batch.participantList.length; i++) {
+            address participantAddress = batch.participantList[i];
+            SupplyChainParticipant storage participant = batch.participants[participantAddress];
+            if (participant.hop == hop && !participant.hasVerified) {
+                pendingParticipants[count++] = participantAddress;
+            }
+        }
+    }
+
+    /**
+     * @dev Get a batch's storage policy and the minutes it has spent out of range
+     */
+    function getColdChainStatus(string memory _batchId)
+        external
+        view
+        returns (ColdChainPolicy memory policy, uint256 excursionMinutes)
+    {
+        MedicineBatch storage batch = _getBatch(_batchId);
+        
+        return (batch.coldChainPolicy, batch.excursionMinutes);
+    }
+
+    /**
+     * @dev Get the lot a batch was split from (empty for a root batch), the lots it was
+     * split into, and its quantity
+     */
+    function getBatchLineage(string memory _batchId)
+        external
+        view
+        returns (
+            string memory parentBatchId,
+            string[] memory childBatchIds,
+            uint256 quantity
+        )
+    {
+        MedicineBatch storage batch = _getBatch(_batchId);
+        
+        return (batch.parentBatchId, batch.childBatchIds, batch.quantity);
+    }
+
+    /**
+     * @dev Get the serial Merkle root of a batch and how many serials have claimed
+     */
+    function getSerialInfo(string memory _batchId)
+        external
+        view
+        returns (
+            bytes32 serialRoot,
+            uint256 serialCount,
+            uint256 claimedSerials
+        )
+    {
+        MedicineBatch storage batch = _getBatch(_batchId);
+        
+        return (batch.serialRoot, batch.serialCount, batch.claimedSerials);
+    }
+
+    /**
+     * @dev Get who claimed the reward for a unit serial (zero address if unclaimed)
+     */
+    function getSerialClaimant(string memory _batchId, string memory _serial)
+        external
+        view
+        returns (address)
+    {
+        return _batchOf(_batchId).serialClaimedBy[keccak256(bytes(_serial))];
+    }
+
     /**
      * @dev Get all participants for a batch
      */
@@ -327,158 +948,360 @@ contract MedicineRegistry is AccessControl, ReentrancyGuard {
         view 
         returns (address[] memory) 
     {
-        require(batches[_batchId].exists, "Batch not found");
-        return batchParticipantsList[_batchId];
+        return _getBatch(_batchId).participantList;
+    }
+
+    /**
+     * @dev Get every participant of a batch with its role, hop and verification in one call,
+     * in participant list order. Locations and notes are in SupplyChainVerification events.
+     */
+    function getSupplyChainParticipants(string memory _batchId)
+        external
+        view
+        returns (
+            address[] memory participants,
+            SupplyChainRole[] memory roles,
+            uint256[] memory hops,
+            bool[] memory verified,
+            uint256[] memory verifiedAt
+        )
+    {
+        MedicineBatch storage batch = _getBatch(_batchId);
+        participants = batch.participantList;
+        roles = new SupplyChainRole[](participants.length);
+        hops = new uint256[](participants.length);
+        verified = new bool[](participants.length);
+        verifiedAt = new uint256[](participants.length);
+        for (uint256 i = 0; i < participants.length; i++) {
+            SupplyChainParticipant storage participant = batch.participants[participants[i]];
+            roles[i] = participant.role;
+            hops[i] = participant.hop;
+            verified[i] = participant.hasVerified;
+            verifiedAt[i] = participant.verifiedAt;
+        }
+    }
+
+    /**
+     * @dev Whether a participant may verify a batch now: it is due at the current hop and the
+     * batch can still move. `alreadyVerified` tells a participant that is done apart from one
+     * that must wait.
+     */
+    function canVerifyBatch(string memory _batchId, address _participant)
+        external
+        view
+        returns (bool canVerify, bool alreadyVerified)
+    {
+        MedicineBatch storage batch = _getBatch(_batchId);
+        SupplyChainParticipant storage participant = batch.participants[_participant];
+        alreadyVerified = participant.hasVerified;
+        canVerify = participant.position != 0 &&
+            !alreadyVerified &&
+            participant.hop == batch.currentHop &&
+            !batch.rewardClaimed &&
+            batch.status == BatchStatus.ACTIVE &&
+            block.timestamp < batch.expiryDate &&
+            _ancestorsActive(batch);
+    }
+
+    /**
+     * @dev Get the participants that have verified a batch, oldest verification first.
+     * Locations and notes are in the matching SupplyChainVerification events.
+     */
+    function getVerificationHistory(string memory _batchId)
+        external
+        view
+        returns (address[] memory verifiers, uint256[] memory hops, uint256[] memory timestamps)
+    {
+        MedicineBatch storage batch = _getBatch(_batchId);
+        uint256 count = batch.verifiedCount;
+        verifiers = new address[](count);
+        hops = new uint256[](count);
+        timestamps = new uint256[](count);
+        
+        // Insertion sort by time, then hop; batches hold at most MAX_PARTICIPANTS
+        uint256 n = 0;
+        for (uint256 i = 0; i < batch.participantList.length; i++) {
+            address participantAddress = batch.participantList[i];
+            SupplyChainParticipant storage participant = batch.participants[participantAddress];
+            if (!participant.hasVerified) continue;
+            
+            uint256 j = n++;
+            while (
+                j > 0 &&
+                (timestamps[j - 1] > participant.verifiedAt ||
+                    (timestamps[j - 1] == participant.verifiedAt && hops[j - 1] > participant.hop))
+            ) {
+                verifiers[j] = verifiers[j - 1];
+                hops[j] = hops[j - 1];
+                timestamps[j] = timestamps[j - 1];
+                j--;
+            }
+            verifiers[j] = participantAddress;
+            hops[j] = participant.hop;
+            timestamps[j] = participant.verifiedAt;
+        }
     }
 
     /**
-     * @dev Check if address is a participant for a batch
+     * @dev Check if address is a participant for a batch, or an active delegate of one
      */
     function isParticipant(string memory _batchId, address _address) 
         external 
         view 
         returns (bool) 
     {
-        return batches[_batchId].isParticipant[_address];
+        mapping(address => SupplyChainParticipant) storage participants = _batchOf(_batchId).participants;
+        if (participants[_address].position != 0) return true;
+        return address(delegateRegistry) != address(0) &&
+            participants[delegateRegistry.organizationOf(_address)].position != 0;
     }
 
     /**
-     * @dev Get batch details
+     * @dev Get batch details; resolve `productId` through the product catalog
      */
     function getBatch(string memory _batchId) 
         external 
         view 
         returns (
             address manufacturer,
-            string memory drugName,
-            string memory ingredients,
+            bytes32 productId,
             uint256 expiryDate,
             uint256 registeredAt,
             bool rewardClaimed
         ) 
     {
-        MedicineBatch storage batch = batches[_batchId];
-        require(batch.exists, "Batch not found");
+        MedicineBatch storage batch = _getBatch(_batchId);
         
         return (
             batch.manufacturer,
-            batch.drugName,
-            batch.ingredients,
+            batch.productId,
             batch.expiryDate,
             batch.registeredAt,
             batch.rewardClaimed
         );
     }
 
-    // State channel functions
-    function openChannel(bytes32 _channelId, address[] memory _participants) 
-        external 
-        onlyRole(CHANNEL_ROLE) 
-    {
-        require(!channels[_channelId].isOpen, "Channel already open");
-        
-        channels[_channelId] = StateChannel({
-            id: _channelId,
-            participants: _participants,
-            nonce: 0,
-            isOpen: true,
-            openedAt: block.timestamp,
-            closedAt: 0
-        });
-        
-        emit ChannelOpened(_channelId, _participants);
-    }
-
-    function closeChannel(bytes32 _channelId) 
-        external 
-        onlyRole(CHANNEL_ROLE) 
-    {
-        require(channels[_channelId].isOpen, "Channel not open");
-        
-        channels[_channelId].isOpen = false;
-        channels[_channelId].closedAt = block.timestamp;
-        
-        emit ChannelClosed(_channelId, block.timestamp);
-    }
-
-    function settleChannel(
-        bytes32 _channelId,
-        BatchData[] memory _batches,
-        bytes memory /* _signature */
-    ) external onlyRole(CHANNEL_ROLE) {
-        require(!channels[_channelId].isOpen, "Channel still open");
-        
-        for (uint256 i = 0; i < _batches.length; i++) {
-            if (!batches[_batches[i].batchId].exists) {
-                // Call the internal function to register batch
-                _registerBatchWithSupplyChainInternal(
-                    _batches[i].batchId,
-                    _batches[i].drugName,
-                    _batches[i].ingredients,
-                    _batches[i].expiryDate,
-                    _batches[i].supplyChainAddresses,
-                    _batches[i].supplyChainRoles,
-                    _channelId
-                );
-                
-                emit BatchSettled(_batches[i].batchId, _channelId);
-            }
-        }
-    }
-    
     /**
-     * @dev Internal function for batch registration (used by settleChannel)
+     * @dev Internal function for batch registration (used by registerBatchWithSupplyChain,
+     * registerChannelBatch and splitBatch). Callers check the manufacturer may register the product.
      */
     function _registerBatchWithSupplyChainInternal(
         string memory _batchId,
-        string memory _drugName,
-        string memory _ingredients,
+        address _manufacturer,
+        bytes32 _productId,
         uint256 _expiryDate,
         address[] memory _participants,
         SupplyChainRole[] memory _roles,
+        uint256[] memory _hops,
         bytes32 _channelId
     ) internal {
-        require(!batches[_batchId].exists, "Batch already exists");
+        _requireNotPaused(EmergencyPause.Operation.REGISTRATION);
+        MedicineBatch storage newBatch = _batchOf(_batchId);
+        require(!newBatch.exists, "Batch already exists");
         require(_expiryDate > block.timestamp, "Expiry date must be in future");
-        require(_participants.length == _roles.length, "Participants and roles mismatch");
-        require(_participants.length > 0, "At least one participant required");
-        
-        MedicineBatch storage newBatch = batches[_batchId];
-        newBatch.manufacturer = msg.sender;
-        newBatch.batchId = _batchId;
-        newBatch.drugName = _drugName;
-        newBatch.ingredients = _ingredients;
+        
+        newBatch.manufacturer = _manufacturer;
+        newBatch.status = BatchStatus.ACTIVE;
+        newBatch.exists = true;
+        newBatch.productId = _productId;
         newBatch.expiryDate = _expiryDate;
         newBatch.registeredAt = block.timestamp;
         newBatch.channelId = _channelId;
-        newBatch.totalParticipants = _participants.length;
-        newBatch.verifiedCount = 0;
-        newBatch.rewardClaimed = false;
-        newBatch.exists = true;
+        newBatch.statusUpdatedAt = block.timestamp;
         
         // Add supply chain participants
-        batchParticipantsList[_batchId] = _participants;
+        SupplyChainAmendments.assign(newBatch, _participants, _roles, _hops);
         for (uint256 i = 0; i < _participants.length; i++) {
-            require(_participants[i] != address(0), "Invalid participant address");
-            require(!newBatch.isParticipant[_participants[i]], "Duplicate participant");
-            
-            SupplyChainParticipant memory participant;
-            participant.participantAddress = _participants[i];
-            participant.role = _roles[i];
-            participant.hasVerified = false;
-            participant.verifiedAt = 0;
-            
-            newBatch.supplyChainParticipants.push(participant);
-            newBatch.isParticipant[_participants[i]] = true;
-            batchParticipants[_batchId][_participants[i]] = participant;
+            _requireBonded(_participants[i]);
         }
         
         emit BatchRegistered(
             _batchId,
-            msg.sender,
+            _manufacturer,
             _channelId,
             block.timestamp,
             _participants.length
         );
     }
+
+    /**
+     * @dev Load a batch, reverting if it was never registered
+     */
+    function _getBatch(string memory _batchId) internal view returns (MedicineBatch storage batch) {
+        batch = _batchOf(_batchId);
+        require(batch.exists, "Batch not found");
+    }
+
+    /**
+     * @dev A batch's storage, registered or not
+     */
+    function _batchOf(string memory _batchId) internal view returns (MedicineBatch storage) {
+        return batches[keccak256(bytes(_batchId))];
+    }
+
+    /**
+     * @dev Revert unless the caller manufactured the batch or is a regulator. Kept out of
+     * the modifier so its body is not inlined into every guarded function.
+     */
+    function _checkBatchAuthority(string memory _batchId) internal view {
+        require(
+            _getBatch(_batchId).manufacturer == msg.sender || hasRole(REGULATOR_ROLE, msg.sender),
+            "Not batch manufacturer or regulator"
+        );
+    }
+
+    /**
+     * @dev Revert unless the participant's bond meets the staking registry's minimum, if one is set
+     */
+    function _requireBonded(address _participant) internal view {
+        require(
+            address(stakingRegistry) == address(0) || stakingRegistry.isBonded(_participant),
+            "Participant not bonded"
+        );
+    }
+
+    /**
+     * @dev Revert while the emergency pause, if one is set, stops an operation
+     */
+    function _requireNotPaused(EmergencyPause.Operation _operation) internal view {
+        if (address(emergencyPause) != address(0)) {
+            emergencyPause.requireNotPaused(_operation);
+        }
+    }
+
+    /**
+     * @dev Revert unless the batch can still move through the supply chain
+     */
+    function _requireActive(MedicineBatch storage _batch) internal view {
+        require(_batch.status != BatchStatus.RECALLED, "Batch recalled");
+        require(_batch.status != BatchStatus.ON_HOLD, "Batch on hold");
+        require(_batch.status != BatchStatus.COMPROMISED, "Batch compromised");
+        require(
+            _batch.status != BatchStatus.EXPIRED && block.timestamp < _batch.expiryDate,
+            "Medicine expired"
+        );
+        require(_ancestorsActive(_batch), "Parent lot not active");
+    }
+
+    /**
+     * @dev Whether every lot this batch was split from is still active
+     */
+    function _ancestorsActive(MedicineBatch storage _batch) internal view returns (bool) {
+        string memory parentBatchId = _batch.parentBatchId;
+        while (bytes(parentBatchId).length != 0) {
+            MedicineBatch storage parent = _batchOf(parentBatchId);
+            if (parent.status != BatchStatus.ACTIVE) return false;
+            parentBatchId = parent.parentBatchId;
+        }
+        return true;
+    }
+
+    /**
+     * @dev Transition a batch to a new lifecycle status
+     */
+    function _setStatus(string memory _batchId, BatchStatus _status, string memory _reason) internal {
+        MedicineBatch storage batch = _batchOf(_batchId);
+        BatchStatus previousStatus = batch.status;
+        
+        batch.status = _status;
+        batch.statusReason = _reason;
+        batch.statusUpdatedAt = block.timestamp;
+        
+        emit BatchStatusChanged(
+            _batchId,
+            previousStatus,
+            _status,
+            _reason,
+            msg.sender,
+            block.timestamp
+        );
+    }
+
+    /**
+     * @dev Record a participant's custody verification, enforcing hop order
+     */
+    function _recordVerification(
+        string memory _batchId,
+        address _participant,
+        string memory _location,
+        string memory _additionalData,
+        ConditionReading memory _reading
+    ) internal {
+        _requireNotPaused(EmergencyPause.Operation.VERIFICATION);
+        MedicineBatch storage batch = _getBatch(_batchId);
+        require(batch.participants[_participant].position != 0, "Not authorized participant");
+        require(!batch.rewardClaimed, "Batch already completed");
+        _requireActive(batch);
+        
+        CustodyVerification.record(
+            batch,
+            conditionReadings[_batchId],
+            _batchId,
+            _participant,
+            _location,
+            _additionalData,
+            _reading,
+            rewardPolicy,
+            quantityLedger
+        );
+    }
+
+    /**
+     * @dev Pay the customer reward for a fully verified batch, or for one unit
+     * serial of a serialized batch. The batch completes once every serial claimed.
+     */
+    function _claimReward(
+        string memory _batchId,
+        string memory _serial,
+        bytes32[] memory _proof,
+        bytes32 _codeHash,
+        address _customer
+    ) internal {
+        _requireNotPaused(EmergencyPause.Operation.CLAIMS);
+        MedicineBatch storage batch = _getBatch(_batchId);
+        require(!batch.rewardClaimed, "Reward already claimed");
+        require(batch.childBatchIds.length == 0, "Batch was split into lots");
+        _requireActive(batch);
+        require(batch.verifiedCount == batch.totalParticipants, "Supply chain verification incomplete");
+        require(batch.participants[_customer].position == 0, "Supply chain participants cannot claim rewards");
+        
+        bool completed = true;
+        if (batch.serialRoot == bytes32(0)) {
+            require(bytes(_serial).length == 0, "Batch is not serialized");
+            require(_codeHash == bytes32(0), "Batch has no claim codes");
+        } else {
+            bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(_serial, _codeHash))));
+            require(MerkleProof.verify(_proof, batch.serialRoot, leaf), "Invalid serial proof");
+            bytes32 serialHash = keccak256(bytes(_serial));
+            require(batch.serialClaimedBy[serialHash] == address(0), "Serial already claimed");
+            
+            batch.serialClaimedBy[serialHash] = _customer;
+            batch.claimedSerials++;
+            completed = batch.claimedSerials == batch.serialCount;
+        }
+        
+        // Mark reward as claimed
+        batch.rewardClaimedBy = _customer;
+        batch.rewardClaimedAt = block.timestamp;
+        if (completed) {
+            batch.rewardClaimed = true;
+            _setStatus(_batchId, BatchStatus.COMPLETED, "Reward claimed");
+        }
+        
+        // The reward policy mints or draws the reward from the manufacturer's pool
+        uint256 reward = CUSTOMER_REWARD;
+        if (address(rewardPolicy) != address(0)) {
+            reward = rewardPolicy.payCustomerReward(_batchId, _customer);
+        } else {
+            mediToken.mint(_customer, reward);
+        }
+        
+        emit CustomerRewardClaimed(
+            _batchId,
+            _customer,
+            _serial,
+            reward,
+            block.timestamp
+        );
+    }
 }
@@ -0,0 +1,256 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/Nonces.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "./MedicineRegistry.sol";
+
+/**
+ * @title PackagingRegistry
+ * @dev Aggregation of batch units into cases and cases into pallets, identified by SSCC-style
+ * codes. Deployed alongside MedicineRegistry, whose admin grants it VERIFIER_ROLE: scanning a
+ * sealed package verifies every batch inside it for the participant. Opening a package records its
+ * disaggregation and from then on its contents are verified on their own.
+ */
+contract PackagingRegistry is EIP712, Nonces {
+    using ECDSA for bytes32;
+
+    bytes32 public constant PACKAGE_VERIFICATION_TYPEHASH = keccak256(
+        "PackageVerification(string code,address participant,string location,string data,ConditionReading reading,uint256 nonce,uint256 deadline)"
+        "ConditionReading(int32 minTemperature,int32 maxTemperature,uint32 excursionMinutes,uint32 humidity,uint32 unitsReceived,uint32 unitsDispatched)"
+    );
+    bytes32 public constant CONDITION_READING_TYPEHASH = keccak256(
+        "ConditionReading(int32 minTemperature,int32 maxTemperature,uint32 excursionMinutes,uint32 humidity,uint32 unitsReceived,uint32 unitsDispatched)"
+    );
+    bytes32 public constant PACKAGE_OPENING_TYPEHASH = keccak256(
+        "PackageOpening(string code,address participant,uint256 nonce,uint256 deadline)"
+    );
+
+    enum PackageLevel {
+        NONE,
+        CASE,
+        PALLET
+    }
+
+    struct Package {
+        PackageLevel level;
+        string parentCode; // Pallet the case was aggregated into; kept after the pallet is opened
+        string[] childCodes; // Cases on a pallet
+        string[] batchIds; // Batches with units in the package, directly or through its cases
+        uint256[] units; // Units of each batch in the package
+        address packedBy;
+        uint256 packedAt;
+        bool opened;
+        address openedBy;
+        uint256 openedAt;
+    }
+
+    MedicineRegistry public immutable registry;
+
+    mapping(string => Package) internal packages;
+    mapping(string => string[]) internal batchPackages; // Cases holding units of a batch
+
+    event PackageAggregated(string code, PackageLevel level, address indexed packedBy, uint256 itemCount);
+    event PackageOpened(string code, address indexed openedBy);
+    event PackageVerified(string code, address indexed participant, uint256 batchesVerified);
+
+    constructor(MedicineRegistry _registry) EIP712("PackagingRegistry", "1") {
+        registry = _registry;
+    }
+
+    /**
+     * @dev Pack units of one or more batches into a case. The caller must manufacture or
+     * handle every batch it packs.
+     */
+    function aggregateCase(string memory _code, string[] memory _batchIds, uint256[] memory _units) external {
+        require(_batchIds.length > 0 && _batchIds.length == _units.length, "Batches and units mismatch");
+
+        Package storage package = _createPackage(_code, PackageLevel.CASE);
+        for (uint256 i = 0; i < _batchIds.length; i++) {
+            require(_units[i] > 0, "Invalid unit count");
+            _requireHandler(_batchIds[i], msg.sender);
+
+            package.batchIds.push(_batchIds[i]);
+            package.units.push(_units[i]);
+            batchPackages[_batchIds[i]].push(_code);
+        }
+
+        emit PackageAggregated(_code, PackageLevel.CASE, msg.sender, _batchIds.length);
+    }
+
+    /**
+     * @dev Stack sealed cases onto a pallet; the pallet carries the combined units of each batch.
+     * Like packing a case, the caller must handle every batch on the pallet.
+     */
+    function aggregatePallet(string memory _code, string[] memory _caseCodes) external {
+        require(_caseCodes.length > 0, "Pallet requires cases");
+
+        Package storage pallet = _createPackage(_code, PackageLevel.PALLET);
+        for (uint256 i = 0; i < _caseCodes.length; i++) {
+            Package storage packed = packages[_caseCodes[i]];
+            require(packed.level == PackageLevel.CASE, "Pallets hold cases");
+            require(!packed.opened, "Package opened");
+            require(bytes(packed.parentCode).length == 0, "Package already aggregated");
+
+            packed.parentCode = _code;
+            pallet.childCodes.push(_caseCodes[i]);
+            for (uint256 j = 0; j < packed.batchIds.length; j++) {
+                _addUnits(pallet, packed.batchIds[j], packed.units[j]);
+            }
+        }
+        for (uint256 i = 0; i < pallet.batchIds.length; i++) {
+            _requireHandler(pallet.batchIds[i], msg.sender);
+        }
+
+        emit PackageAggregated(_code, PackageLevel.PALLET, msg.sender, _caseCodes.length);
+    }
+
+    /**
+     * @dev Open a package, recording its disaggregation. A case on a sealed pallet can
+     * only be opened once the pallet is.
+     */
+    function openPackage(string memory _code) external {
+        _openPackage(_code, msg.sender);
+    }
+
+    /**
+     * @dev Relayed opening: the participant signs EIP-712 typed data in their own wallet
+     */
+    function openPackageWithSignature(
+        string memory _code,
+        address _participant,
+        uint256 _deadline,
+        bytes memory _signature
+    ) external {
+        require(block.timestamp <= _deadline, "Signature expired");
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                PACKAGE_OPENING_TYPEHASH,
+                keccak256(bytes(_code)),
+                _participant,
+                _useNonce(_participant),
+                _deadline
+            )
+        );
+        require(_hashTypedDataV4(structHash).recover(_signature) == _participant, "Invalid signature");
+
+        _openPackage(_code, _participant);
+    }
+
+    /**
+     * @dev Relayed package scan: verifies, for the signing participant, every batch in a sealed
+     * package it has not verified yet. The reading's conditions apply to every batch; its unit
+     * counts are replaced by each batch's units in the package, since a sealed package vouches
+     * for its contents.
+     */
+    function verifyPackage(
+        string memory _code,
+        address _participant,
+        string memory _location,
+        string memory _data,
+        MedicineRegistry.ConditionReading memory _reading,
+        uint256 _deadline,
+        bytes memory _signature
+    ) external {
+        require(block.timestamp <= _deadline, "Signature expired");
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                PACKAGE_VERIFICATION_TYPEHASH,
+                keccak256(bytes(_code)),
+                _participant,
+                keccak256(bytes(_location)),
+                keccak256(bytes(_data)),
+                keccak256(abi.encode(CONDITION_READING_TYPEHASH, _reading)),
+                _useNonce(_participant),
+                _deadline
+            )
+        );
+        require(_hashTypedDataV4(structHash).recover(_signature) == _participant, "Invalid signature");
+
+        Package storage package = _getPackage(_code);
+        require(!package.opened, "Package opened");
+
+        uint256 verified;
+        for (uint256 i = 0; i < package.batchIds.length; i++) {
+            (, bool hasVerified, , , ) = registry.getParticipantDetails(package.batchIds[i], _participant);
+            if (hasVerified) continue;
+
+            _reading.unitsReceived = uint32(package.units[i]);
+            _reading.unitsDispatched = uint32(package.units[i]);
+            registry.verifyBatchFor(package.batchIds[i], _participant, _location, _data, _reading);
+            verified++;
+        }
+        require(verified > 0, "Package already verified");
+
+        emit PackageVerified(_code, _participant, verified);
+    }
+
+    /**
+     * @dev Get a package (level NONE if the code was never aggregated)
+     */
+    function getPackage(string memory _code) external view returns (Package memory) {
+        return packages[_code];
+    }
+
+    /**
+     * @dev Get the codes of every case holding units of a batch
+     */
+    function getBatchPackages(string memory _batchId) external view returns (string[] memory) {
+        return batchPackages[_batchId];
+    }
+
+    function _createPackage(string memory _code, PackageLevel _level) internal returns (Package storage package) {
+        require(bytes(_code).length > 0, "Package code required");
+        package = packages[_code];
+        require(package.level == PackageLevel.NONE, "Package already exists");
+
+        package.level = _level;
+        package.packedBy = msg.sender;
+        package.packedAt = block.timestamp;
+    }
+
+    function _getPackage(string memory _code) internal view returns (Package storage package) {
+        package = packages[_code];
+        require(package.level != PackageLevel.NONE, "Package not found");
+    }
+
+    function _openPackage(string memory _code, address _participant) internal {
+        Package storage package = _getPackage(_code);
+        require(!package.opened, "Package opened");
+        require(
+            bytes(package.parentCode).length == 0 || packages[package.parentCode].opened,
+            "Open the parent package first"
+        );
+        for (uint256 i = 0; i < package.batchIds.length; i++) {
+            _requireHandler(package.batchIds[i], _participant);
+        }
+
+        package.opened = true;
+        package.openedBy = _participant;
+        package.openedAt = block.timestamp;
+
+        emit PackageOpened(_code, _participant);
+    }
+
+    function _addUnits(Package storage _package, string memory _batchId, uint256 _units) internal {
+        for (uint256 i = 0; i < _package.batchIds.length; i++) {
+            if (keccak256(bytes(_package.batchIds[i])) == keccak256(bytes(_batchId))) {
+                _package.units[i] += _units;
+                return;
+            }
+        }
+        _package.batchIds.push(_batchId);
+        _package.units.push(_units);
+    }
+
+    /**
+     * @dev Revert unless the account manufactured the batch or is one of its participants
+     */
+    function _requireHandler(string memory _batchId, address _account) internal view {
+        (address manufacturer, , , , ) = registry.getBatch(_batchId);
+        require(manufacturer == _account || registry.isParticipant(_batchId, _account), "Not a batch handler");
+    }
+}
@@ -0,0 +1,190 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/IAccessControl.sol";
+import "./ManufacturerRegistry.sol";
+
+/**
+ * @title ProductCatalog
+ * @dev Catalog of medicine products referenced by MedicineRegistry batches. Deployed against
+ * the registry's proxy and connected with setModules; the registry's MANUFACTURER_ROLE decides
+ * who may add products. A GTIN registered by the wrong manufacturer is reassigned by a regulator
+ * or the admin.
+ */
+contract ProductCatalog {
+    bytes32 public constant MANUFACTURER_ROLE = keccak256("MANUFACTURER_ROLE");
+    bytes32 public constant REGULATOR_ROLE = keccak256("REGULATOR_ROLE");
+    bytes32 public constant DEFAULT_ADMIN_ROLE = 0x00;
+
+    struct Product {
+        string gtin; // GTIN or NDC the product is sold under
+        string name;
+        string strength;
+        string dosageForm;
+        bytes32 ingredientsHash; // keccak256 of the ingredient list published in ProductRegistered
+        address manufacturer;
+        uint256 registeredAt;
+    }
+
+    IAccessControl public immutable registry;
+    ManufacturerRegistry public immutable manufacturerRegistry;
+
+    mapping(bytes32 => Product) internal products;
+    mapping(address => bytes32[]) internal manufacturerProducts;
+    mapping(bytes32 => uint256) internal productIndex; // 1-based index into its manufacturer's products
+
+    event ProductRegistered(
+        bytes32 indexed productId,
+        address indexed manufacturer,
+        string gtin,
+        string name,
+        string ingredients
+    );
+    event ProductReassigned(
+        bytes32 indexed productId,
+        address indexed previousManufacturer,
+        address indexed manufacturer,
+        string reason
+    );
+
+    constructor(address _registry, ManufacturerRegistry _manufacturerRegistry) {
+        registry = IAccessControl(_registry);
+        manufacturerRegistry = _manufacturerRegistry;
+    }
+
+    /**
+     * @dev Add a product to the catalog. Its id is keccak256 of the GTIN/NDC, so each code is
+     * registered once; the full ingredient list is only published in the event.
+     */
+    function registerProduct(
+        string memory _gtin,
+        string memory _name,
+        string memory _strength,
+        string memory _dosageForm,
+        string memory _ingredients
+    ) external returns (bytes32 productId) {
+        require(registry.hasRole(MANUFACTURER_ROLE, msg.sender), "Not a manufacturer");
+        require(bytes(_gtin).length > 0 && bytes(_name).length > 0, "GTIN and name required");
+
+        productId = keccak256(bytes(_gtin));
+        require(products[productId].registeredAt == 0, "Product already registered");
+
+        products[productId] = Product({
+            gtin: _gtin,
+            name: _name,
+            strength: _strength,
+            dosageForm: _dosageForm,
+            ingredientsHash: keccak256(bytes(_ingredients)),
+            manufacturer: msg.sender,
+            registeredAt: block.timestamp
+        });
+        _addManufacturerProduct(msg.sender, productId);
+
+        emit ProductRegistered(productId, msg.sender, _gtin, _name, _ingredients);
+    }
+
+    /**
+     * @dev Copy a product from an earlier registry's catalog when migrating. `_ingredients` is
+     * the list its ProductRegistered event published.
+     */
+    function importProduct(Product memory _product, string memory _ingredients) external {
+        require(registry.hasRole(DEFAULT_ADMIN_ROLE, msg.sender), "Not an admin");
+        require(keccak256(bytes(_ingredients)) == _product.ingredientsHash, "Ingredients mismatch");
+
+        bytes32 productId = keccak256(bytes(_product.gtin));
+        require(products[productId].registeredAt == 0, "Product already registered");
+
+        products[productId] = _product;
+        _addManufacturerProduct(_product.manufacturer, productId);
+
+        emit ProductRegistered(productId, _product.manufacturer, _product.gtin, _product.name, _ingredients);
+    }
+
+    /**
+     * @dev Hand a product registered by the wrong manufacturer to the one that owns its GTIN,
+     * with the details that manufacturer filed. Batches already registered against it keep
+     * their manufacturer; only new batches are checked against the new one.
+     */
+    function reassignProduct(
+        bytes32 _productId,
+        address _manufacturer,
+        string memory _name,
+        string memory _strength,
+        string memory _dosageForm,
+        string memory _ingredients,
+        string memory _reason
+    ) external {
+        require(
+            registry.hasRole(DEFAULT_ADMIN_ROLE, msg.sender) || registry.hasRole(REGULATOR_ROLE, msg.sender),
+            "Not authorized"
+        );
+        Product storage product = products[_productId];
+        require(product.registeredAt != 0, "Product not found");
+        require(registry.hasRole(MANUFACTURER_ROLE, _manufacturer), "Not a manufacturer");
+        require(_manufacturer != product.manufacturer, "Already product manufacturer");
+        require(bytes(_name).length > 0 && bytes(_reason).length > 0, "Name and reason required");
+
+        address previousManufacturer = product.manufacturer;
+        _removeManufacturerProduct(previousManufacturer, _productId);
+        _addManufacturerProduct(_manufacturer, _productId);
+
+        product.name = _name;
+        product.strength = _strength;
+        product.dosageForm = _dosageForm;
+        product.ingredientsHash = keccak256(bytes(_ingredients));
+        product.manufacturer = _manufacturer;
+
+        emit ProductReassigned(_productId, previousManufacturer, _manufacturer, _reason);
+        emit ProductRegistered(_productId, _manufacturer, product.gtin, _name, _ingredients);
+    }
+
+    /**
+     * @dev Get a catalog product
+     */
+    function getProduct(bytes32 _productId) external view returns (Product memory product) {
+        product = products[_productId];
+        require(product.registeredAt != 0, "Product not found");
+    }
+
+    /**
+     * @dev Get the manufacturer allowed to register batches of a product
+     */
+    function manufacturerOf(bytes32 _productId) external view returns (address) {
+        require(products[_productId].registeredAt != 0, "Product not found");
+        return products[_productId].manufacturer;
+    }
+
+    /**
+     * @dev Revert unless a manufacturer may register batches of a product: it registered the
+     * product and is currently approved with an unexpired license
+     */
+    function checkBatchManufacturer(bytes32 _productId, address _manufacturer) external view {
+        require(products[_productId].registeredAt != 0, "Product not found");
+        require(products[_productId].manufacturer == _manufacturer, "Not product manufacturer");
+        require(manufacturerRegistry.isActive(_manufacturer), "Manufacturer not active");
+    }
+
+    /**
+     * @dev Get the ids of every product a manufacturer holds, registered or reassigned to it
+     */
+    function getManufacturerProducts(address _manufacturer) external view returns (bytes32[] memory) {
+        return manufacturerProducts[_manufacturer];
+    }
+
+    function _addManufacturerProduct(address _manufacturer, bytes32 _productId) internal {
+        manufacturerProducts[_manufacturer].push(_productId);
+        productIndex[_productId] = manufacturerProducts[_manufacturer].length;
+    }
+
+    function _removeManufacturerProduct(address _manufacturer, bytes32 _productId) internal {
+        // Move the last product into the removed one's place
+        bytes32[] storage list = manufacturerProducts[_manufacturer];
+        uint256 index = productIndex[_productId];
+        bytes32 last = list[list.length - 1];
+        list[index - 1] = last;
+        productIndex[last] = index;
+        list.pop();
+
+        delete productIndex[_productId];
+    }
+}
@@ -0,0 +1,130 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title QuantityLedger
+ * @dev Unit counts behind MedicineRegistry batches. Deployed against the registry's proxy, which
+ * forwards each tracked batch's registered units and every participant's received/dispatched counts.
+ * A count that strays from what the previous hop dispatched, or a participant dispatching
+ * fewer units than it received, by more than the batch's tolerance emits QuantityDiscrepancy.
+ */
+contract QuantityLedger {
+    uint256 public constant MAX_TOLERANCE_BPS = 10000;
+
+    struct QuantityPolicy {
+        uint256 units; // Units registered by the manufacturer, or split into a lot
+        uint256 toleranceBps; // Discrepancy allowed before flagging, in basis points of units
+    }
+
+    struct UnitCount {
+        uint256 received;
+        uint256 dispatched;
+        bool reported;
+    }
+
+    address public immutable registry;
+
+    mapping(string => QuantityPolicy) internal policies;
+    mapping(string => mapping(address => UnitCount)) internal unitCounts;
+    // Units each hop handed on; members of a parallel group count the same consignment,
+    // so the group hands on the lowest count any member dispatched
+    mapping(string => mapping(uint256 => UnitCount)) internal hopCounts;
+    mapping(string => uint256) public splitUnits; // Units a batch handed on to child lots
+
+    event UnitsReported(string batchId, address indexed participant, uint256 hop, uint256 received, uint256 dispatched);
+    event QuantityDiscrepancy(
+        string indexed batchId,
+        address indexed participant,
+        uint256 hop,
+        uint256 expected,
+        uint256 received,
+        uint256 dispatched
+    );
+
+    modifier onlyRegistry() {
+        require(msg.sender == registry, "Only registry");
+        _;
+    }
+
+    constructor(address _registry) {
+        registry = _registry;
+    }
+
+    /**
+     * @dev Start tracking a batch's units
+     */
+    function setPolicy(string memory _batchId, uint256 _units, uint256 _toleranceBps) external onlyRegistry {
+        require(_units > 0, "Invalid unit count");
+        require(_toleranceBps <= MAX_TOLERANCE_BPS, "Invalid tolerance");
+
+        policies[_batchId] = QuantityPolicy(_units, _toleranceBps);
+    }
+
+    /**
+     * @dev Track a lot split off a batch with the parent's tolerance. When the parent's units
+     * are tracked, its lots cannot add up to more than its final hop dispatched.
+     */
+    function recordSplit(string memory _batchId, string memory _lotId, uint256 _units, uint256 _finalHop)
+        external
+        onlyRegistry
+    {
+        QuantityPolicy memory parent = policies[_batchId];
+        if (parent.units != 0) {
+            splitUnits[_batchId] += _units;
+            require(splitUnits[_batchId] <= hopCounts[_batchId][_finalHop].dispatched, "Lots exceed units held");
+        }
+
+        policies[_lotId] = QuantityPolicy(_units, parent.toleranceBps);
+    }
+
+    /**
+     * @dev Record a participant's counts for its hop and flag discrepancies beyond tolerance
+     */
+    function recordCounts(
+        string memory _batchId,
+        address _participant,
+        uint256 _hop,
+        uint256 _received,
+        uint256 _dispatched
+    ) external onlyRegistry {
+        require(_dispatched <= _received, "Dispatched exceeds received");
+
+        unitCounts[_batchId][_participant] = UnitCount(_received, _dispatched, true);
+        UnitCount storage hop = hopCounts[_batchId][_hop];
+        if (!hop.reported || _dispatched < hop.dispatched) {
+            hop.dispatched = _dispatched;
+        }
+        hop.reported = true;
+
+        emit UnitsReported(_batchId, _participant, _hop, _received, _dispatched);
+
+        uint256 expected = getExpectedUnits(_batchId, _hop);
+        uint256 allowed = (policies[_batchId].units * policies[_batchId].toleranceBps) / MAX_TOLERANCE_BPS;
+        uint256 transitGap = expected > _received ? expected - _received : _received - expected;
+        if (transitGap > allowed || _received - _dispatched > allowed) {
+            emit QuantityDiscrepancy(_batchId, _participant, _hop, expected, _received, _dispatched);
+        }
+    }
+
+    /**
+     * @dev Units a hop should receive: the registered units at the first hop, otherwise what
+     * the previous hop dispatched
+     */
+    function getExpectedUnits(string memory _batchId, uint256 _hop) public view returns (uint256) {
+        return _hop == 0 ? policies[_batchId].units : hopCounts[_batchId][_hop - 1].dispatched;
+    }
+
+    /**
+     * @dev Get a batch's registered units and tolerance (zero units when not tracked)
+     */
+    function getPolicy(string memory _batchId) external view returns (QuantityPolicy memory) {
+        return policies[_batchId];
+    }
+
+    /**
+     * @dev Get the counts a participant reported for a batch
+     */
+    function getUnitCount(string memory _batchId, address _participant) external view returns (UnitCount memory) {
+        return unitCounts[_batchId][_participant];
+    }
+}
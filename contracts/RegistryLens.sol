@@ -0,0 +1,69 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./MedicineRegistry.sol";
+import "./DelegateRegistry.sol";
+
+/**
+ * @title RegistryLens
+ * @dev Read-only views that combine MedicineRegistry with its modules, so clients fetch a batch's
+ * participants in one call instead of one per participant. Holds no state and no roles; deployed
+ * against the registry's proxy, it follows the registry's delegate registry as it is set.
+ */
+contract RegistryLens {
+    struct ParticipantView {
+        address participant;
+        MedicineRegistry.SupplyChainRole role;
+        uint256 hop;
+        bool verified;
+        uint256 verifiedAt;
+        MedicineRegistry.ConditionReading reading; // Zero until the participant verifies
+        address verifiedBy; // Delegate that verified for the participant, or zero if it signed itself
+    }
+
+    MedicineRegistry public immutable registry;
+
+    constructor(MedicineRegistry _registry) {
+        registry = _registry;
+    }
+
+    /**
+     * @dev Every participant of a batch with its role, hop, verification, condition reading and
+     * verifying delegate, in participant list order. Locations and notes are in
+     * SupplyChainVerification events.
+     */
+    function getParticipantViews(string calldata _batchId) external view returns (ParticipantView[] memory views) {
+        (
+            address[] memory participants,
+            MedicineRegistry.SupplyChainRole[] memory roles,
+            uint256[] memory hops,
+            bool[] memory verified,
+            uint256[] memory verifiedAt
+        ) = registry.getSupplyChainParticipants(_batchId);
+        DelegateRegistry delegates = registry.delegateRegistry();
+
+        views = new ParticipantView[](participants.length);
+        for (uint256 i = 0; i < participants.length; i++) {
+            ParticipantView memory participantView = views[i];
+            participantView.participant = participants[i];
+            participantView.role = roles[i];
+            participantView.hop = hops[i];
+            participantView.verified = verified[i];
+            participantView.verifiedAt = verifiedAt[i];
+            if (!verified[i]) continue;
+
+            MedicineRegistry.ConditionReading memory reading = participantView.reading;
+            (
+                reading.minTemperature,
+                reading.maxTemperature,
+                reading.excursionMinutes,
+                reading.humidity,
+                reading.unitsReceived,
+                reading.unitsDispatched
+            ) = registry.conditionReadings(_batchId, participants[i]);
+            if (address(delegates) != address(0)) {
+                participantView.verifiedBy = delegates.verifiedBy(_batchId, participants[i]);
+            }
+        }
+    }
+}
@@ -0,0 +1,189 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./MedicineRegistry.sol";
+import "./QuantityLedger.sol";
+
+/**
+ * @title RegistryMigration
+ * @dev Replays batches exported by scripts/migrate-registry.js into MedicineRegistry. Counters
+ * the registry derives as participants verify are rebuilt from the participants, and unit counts
+ * are replayed into the quantity ledger. Verifications are re-emitted with their original time,
+ * since their location and additional data are only kept in events.
+ */
+library RegistryMigration {
+    struct ParticipantImport {
+        address participantAddress;
+        MedicineRegistry.SupplyChainRole role;
+        uint256 hop;
+        bool hasVerified;
+        uint256 verifiedAt;
+        string location;
+        string additionalData;
+        MedicineRegistry.ConditionReading reading; // Conditions and unit counts logged when it verified
+    }
+
+    struct BatchImport {
+        address manufacturer;
+        string batchId;
+        bytes32 productId;
+        uint256 expiryDate;
+        uint256 registeredAt;
+        bytes32 channelId;
+        ParticipantImport[] participants; // In hop order, so unit counts replay as they were reported
+        bool rewardClaimed;
+        address rewardClaimedBy;
+        uint256 rewardClaimedAt;
+        bytes32 serialRoot;
+        uint256 serialCount;
+        string[] claimedSerials;
+        address[] serialClaimants; // Who claimed each of claimedSerials
+        MedicineRegistry.ColdChainPolicy coldChainPolicy;
+        uint256 excursionMinutes;
+        string parentBatchId; // Imported after its parent, which must already be here
+        string[] childBatchIds;
+        uint256 quantity;
+        uint256 toleranceBps; // Unit-count tolerance of a batch that is not a lot
+        MedicineRegistry.BatchStatus status;
+        string statusReason;
+        uint256 statusUpdatedAt;
+    }
+
+    event BatchImported(string indexed batchId, address indexed manufacturer, uint256 participantCount);
+    event SupplyChainVerification(
+        string indexed batchId,
+        address indexed verifier,
+        MedicineRegistry.SupplyChainRole role,
+        uint256 hop,
+        uint256 timestamp,
+        string location,
+        string additionalData
+    );
+
+    /**
+     * @dev Write an ABI-encoded BatchImport into the registry's storage
+     */
+    function importBatch(
+        mapping(bytes32 => MedicineRegistry.MedicineBatch) storage _batches,
+        mapping(string => mapping(address => MedicineRegistry.ConditionReading)) storage _readings,
+        QuantityLedger _quantityLedger,
+        bytes calldata _data
+    ) external {
+        BatchImport memory data = abi.decode(_data, (BatchImport));
+        MedicineRegistry.MedicineBatch storage batch = _batches[keccak256(bytes(data.batchId))];
+        require(!batch.exists && bytes(data.batchId).length > 0, "Batch already exists");
+        require(data.claimedSerials.length == data.serialClaimants.length, "Serial claims mismatch");
+
+        batch.exists = true;
+        batch.manufacturer = data.manufacturer;
+        batch.productId = data.productId;
+        batch.expiryDate = data.expiryDate;
+        batch.registeredAt = data.registeredAt;
+        batch.channelId = data.channelId;
+
+        _importParticipants(batch, _readings[data.batchId], data);
+
+        batch.rewardClaimed = data.rewardClaimed;
+        batch.rewardClaimedBy = data.rewardClaimedBy;
+        batch.rewardClaimedAt = data.rewardClaimedAt;
+        batch.serialRoot = data.serialRoot;
+        batch.serialCount = data.serialCount;
+        batch.claimedSerials = data.claimedSerials.length;
+        for (uint256 i = 0; i < data.claimedSerials.length; i++) {
+            batch.serialClaimedBy[keccak256(bytes(data.claimedSerials[i]))] = data.serialClaimants[i];
+        }
+
+        batch.coldChainPolicy = data.coldChainPolicy;
+        batch.excursionMinutes = data.excursionMinutes;
+        batch.parentBatchId = data.parentBatchId;
+        batch.childBatchIds = data.childBatchIds;
+        batch.quantity = data.quantity;
+        batch.status = data.status;
+        batch.statusReason = data.statusReason;
+        batch.statusUpdatedAt = data.statusUpdatedAt;
+
+        _importUnits(_batches, _quantityLedger, data);
+
+        emit BatchImported(data.batchId, data.manufacturer, data.participants.length);
+    }
+
+    function _importParticipants(
+        MedicineRegistry.MedicineBatch storage _batch,
+        mapping(address => MedicineRegistry.ConditionReading) storage _readings,
+        BatchImport memory _data
+    ) private {
+        ParticipantImport[] memory participants = _data.participants;
+        for (uint256 i = 0; i < participants.length; i++) {
+            ParticipantImport memory p = participants[i];
+            require(_batch.participants[p.participantAddress].position == 0, "Duplicate participant");
+
+            _batch.participantList.push(p.participantAddress);
+            _batch.participants[p.participantAddress] = MedicineRegistry.SupplyChainParticipant({
+                role: p.role,
+                hop: uint32(p.hop),
+                hasVerified: p.hasVerified,
+                verifiedAt: uint40(p.verifiedAt),
+                position: uint32(i + 1)
+            });
+            if (p.hop >= _batch.totalHops) {
+                _batch.totalHops = uint32(p.hop + 1);
+            }
+
+            if (p.hasVerified) {
+                _batch.verifiedCount++;
+                if (_data.coldChainPolicy.enabled) {
+                    _readings[p.participantAddress] = p.reading;
+                }
+                emit SupplyChainVerification(
+                    _data.batchId,
+                    p.participantAddress,
+                    p.role,
+                    p.hop,
+                    p.verifiedAt,
+                    p.location,
+                    p.additionalData
+                );
+            } else {
+                _batch.pendingAtHop[p.hop]++;
+            }
+        }
+        _batch.totalParticipants = uint32(participants.length);
+
+        // Custody is with the first hop that has not finished verifying
+        uint256 hop = 0;
+        while (hop < _batch.totalHops && _batch.pendingAtHop[hop] == 0) hop++;
+        _batch.currentHop = uint32(hop);
+    }
+
+    function _importUnits(
+        mapping(bytes32 => MedicineRegistry.MedicineBatch) storage _batches,
+        QuantityLedger _quantityLedger,
+        BatchImport memory _data
+    ) private {
+        MedicineRegistry.MedicineBatch storage parent = _batches[keccak256(bytes(_data.parentBatchId))];
+        bool isLot = bytes(_data.parentBatchId).length > 0;
+        require(!isLot || parent.exists, "Parent lot not imported");
+        // A batch re-imported into the registry it came from, once an upgrade has moved the
+        // registry's storage, already has its units in the ledger
+        if (_data.quantity == 0 || _quantityLedger.getPolicy(_data.batchId).units != 0) return;
+
+        if (isLot) {
+            _quantityLedger.recordSplit(_data.parentBatchId, _data.batchId, _data.quantity, parent.totalHops - 1);
+        } else {
+            _quantityLedger.setPolicy(_data.batchId, _data.quantity, _data.toleranceBps);
+        }
+
+        for (uint256 i = 0; i < _data.participants.length; i++) {
+            ParticipantImport memory p = _data.participants[i];
+            if (p.hasVerified) {
+                _quantityLedger.recordCounts(
+                    _data.batchId,
+                    p.participantAddress,
+                    p.hop,
+                    p.reading.unitsReceived,
+                    p.reading.unitsDispatched
+                );
+            }
+        }
+    }
+}
@@ -0,0 +1,85 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/interfaces/IERC1967.sol";
+import "@openzeppelin/contracts/proxy/Proxy.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/StorageSlot.sol";
+
+interface IRegistryProxy {
+    function upgradeToAndCall(address newImplementation, bytes calldata data) external payable;
+}
+
+/**
+ * @title RegistryProxy
+ * @dev Transparent proxy MedicineRegistry is deployed behind, following OpenZeppelin's
+ * TransparentUpgradeableProxy, which needs a newer compiler than this repo's 0.8.20. The
+ * implementation and admin are kept in the ERC-1967 slots. The admin is a RegistryProxyAdmin
+ * created with the proxy: it can only upgrade, and is never forwarded to the registry.
+ */
+contract RegistryProxy is Proxy, IERC1967 {
+    // keccak256("eip1967.proxy.implementation") - 1
+    bytes32 internal constant IMPLEMENTATION_SLOT = 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+    // keccak256("eip1967.proxy.admin") - 1
+    bytes32 internal constant ADMIN_SLOT = 0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103;
+
+    address private immutable _admin;
+
+    /**
+     * @dev Point the proxy at `_logic` and run `_data` (the registry's initialize call) against it
+     */
+    constructor(address _logic, address _initialOwner, bytes memory _data) payable {
+        _admin = address(new RegistryProxyAdmin(_initialOwner));
+        StorageSlot.getAddressSlot(ADMIN_SLOT).value = _admin;
+        emit AdminChanged(address(0), _admin);
+
+        _upgradeToAndCall(_logic, _data);
+    }
+
+    function _implementation() internal view override returns (address) {
+        return StorageSlot.getAddressSlot(IMPLEMENTATION_SLOT).value;
+    }
+
+    function _fallback() internal override {
+        if (msg.sender == _admin) {
+            require(msg.sig == IRegistryProxy.upgradeToAndCall.selector, "Admin cannot call the registry");
+            (address newImplementation, bytes memory data) = abi.decode(msg.data[4:], (address, bytes));
+            _upgradeToAndCall(newImplementation, data);
+        } else {
+            super._fallback();
+        }
+    }
+
+    function _upgradeToAndCall(address _newImplementation, bytes memory _data) private {
+        require(_newImplementation.code.length > 0, "Implementation is not a contract");
+        StorageSlot.getAddressSlot(IMPLEMENTATION_SLOT).value = _newImplementation;
+        emit Upgraded(_newImplementation);
+
+        if (_data.length > 0) {
+            Address.functionDelegateCall(_newImplementation, _data);
+        } else {
+            require(msg.value == 0, "Unexpected value");
+        }
+    }
+}
+
+/**
+ * @title RegistryProxyAdmin
+ * @dev Admin of a RegistryProxy. Its owner (the deployer, or whoever ownership is handed to)
+ * is the only account that can upgrade the registry.
+ */
+contract RegistryProxyAdmin is Ownable {
+    constructor(address _initialOwner) Ownable(_initialOwner) {}
+
+    /**
+     * @dev Upgrade the proxy to `_implementation`, optionally calling it with `_data` (e.g. a reinitializer)
+     */
+    function upgradeAndCall(
+        IRegistryProxy _proxy,
+        address _implementation,
+        bytes memory _data
+    ) external payable onlyOwner {
+        _proxy.upgradeToAndCall{value: msg.value}(_implementation, _data);
+    }
+}
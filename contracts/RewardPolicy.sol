@@ -0,0 +1,348 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./MediToken.sol";
+import "./MedicineRegistry.sol";
+
+/**
+ * @title RewardPolicy
+ * @dev What MedicineRegistry pays for a customer claim, and for participants who verify on time.
+ * Terms are set per product, falling back to per manufacturer, then to the admin's defaults.
+ * Funded terms draw the manufacturer's MEDI pool down; other terms mint, decayed by the
+ * emission schedule, and only the admin sets them. Claims are throttled per customer by the
+ * admin's limits, which a manufacturer can tighten for its own products; identity verifiers
+ * (IDENTITY_VERIFIER_ROLE on the registry) allow-list customers where limits require it.
+ * Deployed alongside the registry, whose admin points the registry at it; minting needs the
+ * token owner to add it as a minter.
+ */
+contract RewardPolicy {
+    uint256 public constant BPS = 10_000;
+    uint256 public constant MAX_DECAY_PERIODS = 100; // Minted rewards are zero after this many periods
+    uint256 public constant MAX_CLAIMS_PER_PERIOD = 20; // Claim times kept per customer for rolling caps
+    bytes32 public constant IDENTITY_VERIFIER_ROLE = keccak256("IDENTITY_VERIFIER_ROLE");
+
+    struct RewardTerms {
+        bool enabled; // Disabled terms fall back to the next level
+        bool funded; // Draw from the manufacturer's pool instead of minting
+        uint256 customerReward; // MEDI per customer claim
+        uint256 participantReward; // MEDI per on-time verification; zero for none
+        uint256 onTimeWindow; // Seconds a participant has from custody reaching its hop
+    }
+
+    struct ClaimLimits {
+        bool enabled; // Manufacturer limits only; the defaults always apply
+        bool identityRequired; // Only allow-listed customers may claim
+        uint256 cooldown; // Seconds a customer waits between claims
+        uint256 maxClaims; // Claims per customer in any rolling period; zero for no cap
+        uint256 period; // Seconds in the rolling period
+    }
+
+    MediToken public immutable token;
+    MedicineRegistry public immutable registry;
+
+    RewardTerms public defaultTerms;
+    mapping(address => RewardTerms) public manufacturerTerms;
+    mapping(bytes32 => RewardTerms) public productTerms;
+    mapping(address => uint256) public pools; // Manufacturer => MEDI held for its rewards
+    mapping(string => uint256) public hopStartedAt; // When custody reached the batch's current hop
+
+    ClaimLimits public defaultLimits;
+    mapping(address => ClaimLimits) public manufacturerLimits; // Applied on top of the defaults
+    mapping(address => bytes32) public customerIdentity; // Customer => hash of its verified identity
+    mapping(bytes32 => address) public identityHolder; // One wallet per verified identity
+    mapping(address => uint256) public claimCount;
+    mapping(address => uint256[MAX_CLAIMS_PER_PERIOD]) internal recentClaims; // Ring of claim times
+
+    // Minted rewards shrink by decayBps every decayPeriod from decayStartedAt
+    uint256 public decayPeriod;
+    uint256 public decayBps;
+    uint256 public decayStartedAt;
+
+    event DefaultTermsUpdated(RewardTerms terms);
+    event ManufacturerTermsUpdated(address indexed manufacturer, RewardTerms terms);
+    event ProductTermsUpdated(bytes32 indexed productId, RewardTerms terms);
+    event DecayScheduleUpdated(uint256 period, uint256 bps);
+    event PoolFunded(address indexed manufacturer, address indexed funder, uint256 amount, uint256 balance);
+    event PoolWithdrawn(address indexed manufacturer, uint256 amount, uint256 balance);
+    event VerificationRewardPaid(string indexed batchId, address indexed participant, uint256 amount, bool fromPool);
+    event VerificationRewardSkipped(string indexed batchId, address indexed participant, uint256 amount);
+    event DefaultLimitsUpdated(ClaimLimits limits);
+    event ManufacturerLimitsUpdated(address indexed manufacturer, ClaimLimits limits);
+    event CustomerVerified(address indexed customer, bytes32 identityHash, address indexed verifier);
+    event CustomerRevoked(address indexed customer, address indexed verifier);
+
+    modifier onlyAdmin() {
+        require(_isAdmin(msg.sender), "Not an admin");
+        _;
+    }
+
+    modifier onlyIdentityVerifier() {
+        require(registry.hasRole(IDENTITY_VERIFIER_ROLE, msg.sender), "Not an identity verifier");
+        _;
+    }
+
+    modifier onlyRegistry() {
+        require(msg.sender == address(registry), "Only registry");
+        _;
+    }
+
+    constructor(MediToken _token, MedicineRegistry _registry) {
+        token = _token;
+        registry = _registry;
+        // Same as the registry's fixed reward until the admin changes it
+        defaultTerms = RewardTerms(true, false, _registry.CUSTOMER_REWARD(), 0, 0);
+    }
+
+    function setDefaultTerms(RewardTerms memory _terms) external onlyAdmin {
+        require(_terms.enabled && !_terms.funded, "Defaults must mint");
+        defaultTerms = _terms;
+        emit DefaultTermsUpdated(_terms);
+    }
+
+    /**
+     * @dev Set a manufacturer's terms for all its products; disable them to use the defaults
+     */
+    function setManufacturerTerms(address _manufacturer, RewardTerms memory _terms) external {
+        _requireTermsSetter(_manufacturer, _terms);
+        manufacturerTerms[_manufacturer] = _terms;
+        emit ManufacturerTermsUpdated(_manufacturer, _terms);
+    }
+
+    /**
+     * @dev Set one product's terms; disable them to use its manufacturer's
+     */
+    function setProductTerms(bytes32 _productId, RewardTerms memory _terms) external {
+        _requireTermsSetter(registry.productCatalog().manufacturerOf(_productId), _terms);
+        productTerms[_productId] = _terms;
+        emit ProductTermsUpdated(_productId, _terms);
+    }
+
+    /**
+     * @dev Shrink minted rewards by `_bps` every `_period` seconds, starting now. A zero period stops decay.
+     */
+    function setDecaySchedule(uint256 _period, uint256 _bps) external onlyAdmin {
+        require(_bps <= BPS, "Invalid decay");
+        decayPeriod = _period;
+        decayBps = _bps;
+        decayStartedAt = block.timestamp;
+        emit DecayScheduleUpdated(_period, _bps);
+    }
+
+    function setDefaultLimits(ClaimLimits memory _limits) external onlyAdmin {
+        _requireValidLimits(_limits);
+        defaultLimits = _limits;
+        emit DefaultLimitsUpdated(_limits);
+    }
+
+    /**
+     * @dev Set limits a manufacturer's claims must meet as well as the defaults; disable them to use the defaults alone
+     */
+    function setManufacturerLimits(address _manufacturer, ClaimLimits memory _limits) external {
+        require(msg.sender == _manufacturer || _isAdmin(msg.sender), "Not manufacturer or admin");
+        _requireValidLimits(_limits);
+        manufacturerLimits[_manufacturer] = _limits;
+        emit ManufacturerLimitsUpdated(_manufacturer, _limits);
+    }
+
+    /**
+     * @dev Allow-list a customer whose identity was checked off-chain. Each identity holds one wallet;
+     * verifying a new wallet for it needs the old one revoked first.
+     */
+    function verifyCustomer(address _customer, bytes32 _identityHash) external onlyIdentityVerifier {
+        require(_identityHash != bytes32(0), "Identity required");
+        require(identityHolder[_identityHash] == address(0), "Identity already linked");
+
+        _unlinkIdentity(_customer);
+        customerIdentity[_customer] = _identityHash;
+        identityHolder[_identityHash] = _customer;
+        emit CustomerVerified(_customer, _identityHash, msg.sender);
+    }
+
+    function revokeCustomer(address _customer) external onlyIdentityVerifier {
+        require(customerIdentity[_customer] != bytes32(0), "Customer not verified");
+        _unlinkIdentity(_customer);
+        emit CustomerRevoked(_customer, msg.sender);
+    }
+
+    /**
+     * @dev Add approved MEDI to a manufacturer's reward pool; anyone may fund it
+     */
+    function fundPool(address _manufacturer, uint256 _amount) external {
+        require(_amount > 0, "Amount required");
+        require(IERC20(address(token)).transferFrom(msg.sender, address(this), _amount), "Transfer failed");
+        pools[_manufacturer] += _amount;
+        emit PoolFunded(_manufacturer, msg.sender, _amount, pools[_manufacturer]);
+    }
+
+    /**
+     * @dev Take MEDI back out of the caller's reward pool
+     */
+    function withdrawPool(uint256 _amount) external {
+        require(_amount > 0 && _amount <= pools[msg.sender], "Invalid amount");
+        pools[msg.sender] -= _amount;
+        require(IERC20(address(token)).transfer(msg.sender, _amount), "Transfer failed");
+        emit PoolWithdrawn(msg.sender, _amount, pools[msg.sender]);
+    }
+
+    /**
+     * @dev Pay a batch's customer reward and return the amount. Reverts when the customer is over
+     * its claim limits, the manufacturer's pool cannot cover the reward or minting would pass the
+     * token's supply cap, so the claim can be retried later.
+     */
+    function payCustomerReward(string memory _batchId, address _customer)
+        external
+        onlyRegistry
+        returns (uint256 amount)
+    {
+        (address manufacturer, bytes32 productId, , , ) = registry.getBatch(_batchId);
+        _checkLimits(_customer, defaultLimits);
+        if (manufacturerLimits[manufacturer].enabled) {
+            _checkLimits(_customer, manufacturerLimits[manufacturer]);
+        }
+        recentClaims[_customer][claimCount[_customer]++ % MAX_CLAIMS_PER_PERIOD] = block.timestamp;
+
+        RewardTerms memory terms = termsFor(manufacturer, productId);
+        amount = terms.funded ? terms.customerReward : decayed(terms.customerReward);
+        if (amount == 0) return 0;
+        if (terms.funded) {
+            require(pools[manufacturer] >= amount, "Reward pool empty");
+        } else {
+            require(token.totalSupply() + amount <= token.MAX_SUPPLY(), "Reward supply exhausted");
+        }
+        _pay(manufacturer, terms.funded, _customer, amount);
+    }
+
+    /**
+     * @dev Called on every verification: pays the participant if it verified within the
+     * on-time window, skipping (never reverting) when the reward cannot be covered or minting is paused
+     */
+    function recordVerification(string memory _batchId, address _participant, bool _hopCompleted)
+        external
+        onlyRegistry
+    {
+        (address manufacturer, bytes32 productId, , uint256 registeredAt, ) = registry.getBatch(_batchId);
+        uint256 startedAt = hopStartedAt[_batchId] == 0 ? registeredAt : hopStartedAt[_batchId];
+        if (_hopCompleted) {
+            hopStartedAt[_batchId] = block.timestamp;
+        }
+
+        RewardTerms memory terms = termsFor(manufacturer, productId);
+        if (terms.participantReward == 0 || block.timestamp > startedAt + terms.onTimeWindow) return;
+
+        uint256 amount = terms.funded ? terms.participantReward : decayed(terms.participantReward);
+        bool covered = terms.funded
+            ? pools[manufacturer] >= amount
+            : !_mintingPaused() && token.totalSupply() + amount <= token.MAX_SUPPLY();
+        if (amount == 0 || !covered) {
+            emit VerificationRewardSkipped(_batchId, _participant, amount);
+            return;
+        }
+
+        _pay(manufacturer, terms.funded, _participant, amount);
+        emit VerificationRewardPaid(_batchId, _participant, amount, terms.funded);
+    }
+
+    /**
+     * @dev The terms that apply to a manufacturer's product
+     */
+    function termsFor(address _manufacturer, bytes32 _productId) public view returns (RewardTerms memory) {
+        if (productTerms[_productId].enabled) return productTerms[_productId];
+        if (manufacturerTerms[_manufacturer].enabled) return manufacturerTerms[_manufacturer];
+        return defaultTerms;
+    }
+
+    /**
+     * @dev A minted amount after the decay schedule
+     */
+    function decayed(uint256 _amount) public view returns (uint256) {
+        if (decayPeriod == 0) return _amount;
+
+        uint256 periods = (block.timestamp - decayStartedAt) / decayPeriod;
+        if (periods >= MAX_DECAY_PERIODS) return 0;
+        for (uint256 i = 0; i < periods && _amount > 0; i++) {
+            _amount = (_amount * (BPS - decayBps)) / BPS;
+        }
+        return _amount;
+    }
+
+    /**
+     * @dev When a customer's next claim on a manufacturer's batches is within its limits; zero if already
+     */
+    function claimAvailableAt(address _customer, address _manufacturer) external view returns (uint256 availableAt) {
+        availableAt = _availableAt(_customer, defaultLimits);
+        if (manufacturerLimits[_manufacturer].enabled) {
+            uint256 manufacturerAt = _availableAt(_customer, manufacturerLimits[_manufacturer]);
+            if (manufacturerAt > availableAt) availableAt = manufacturerAt;
+        }
+        if (availableAt <= block.timestamp) return 0;
+    }
+
+    function _checkLimits(address _customer, ClaimLimits memory _limits) internal view {
+        require(!_limits.identityRequired || customerIdentity[_customer] != bytes32(0), "Customer identity not verified");
+        if (claimCount[_customer] == 0) return;
+
+        require(block.timestamp >= _claimTime(_customer, 1) + _limits.cooldown, "Claim cooldown active");
+        require(
+            _limits.maxClaims == 0 ||
+                claimCount[_customer] < _limits.maxClaims ||
+                block.timestamp >= _claimTime(_customer, _limits.maxClaims) + _limits.period,
+            "Claim limit reached"
+        );
+    }
+
+    function _availableAt(address _customer, ClaimLimits memory _limits) internal view returns (uint256 availableAt) {
+        if (claimCount[_customer] == 0) return 0;
+
+        availableAt = _claimTime(_customer, 1) + _limits.cooldown;
+        if (_limits.maxClaims > 0 && claimCount[_customer] >= _limits.maxClaims) {
+            uint256 capEndsAt = _claimTime(_customer, _limits.maxClaims) + _limits.period;
+            if (capEndsAt > availableAt) availableAt = capEndsAt;
+        }
+    }
+
+    // When the customer made its `_nth` most recent claim
+    function _claimTime(address _customer, uint256 _nth) internal view returns (uint256) {
+        return recentClaims[_customer][(claimCount[_customer] - _nth) % MAX_CLAIMS_PER_PERIOD];
+    }
+
+    /**
+     * @dev Manufacturers may only set terms paid from their own pool; minted terms are the admin's,
+     * so they wait out the governance timelock like the defaults do
+     */
+    function _requireTermsSetter(address _manufacturer, RewardTerms memory _terms) internal view {
+        if (_isAdmin(msg.sender)) return;
+        require(msg.sender == _manufacturer, "Not manufacturer or admin");
+        require(_terms.funded || !_terms.enabled, "Minted terms are admin-only");
+    }
+
+    function _requireValidLimits(ClaimLimits memory _limits) internal pure {
+        require(
+            _limits.maxClaims <= MAX_CLAIMS_PER_PERIOD && (_limits.maxClaims == 0 || _limits.period > 0),
+            "Invalid limits"
+        );
+    }
+
+    function _unlinkIdentity(address _customer) internal {
+        delete identityHolder[customerIdentity[_customer]];
+        delete customerIdentity[_customer];
+    }
+
+    function _pay(address _manufacturer, bool _funded, address _recipient, uint256 _amount) internal {
+        if (_funded) {
+            pools[_manufacturer] -= _amount;
+            require(IERC20(address(token)).transfer(_recipient, _amount), "Transfer failed");
+        } else {
+            token.mint(_recipient, _amount);
+        }
+    }
+
+    function _mintingPaused() internal view returns (bool) {
+        EmergencyPause emergencyPause = token.emergencyPause();
+        return address(emergencyPause) != address(0) && emergencyPause.isPaused(EmergencyPause.Operation.MINTING);
+    }
+
+    function _isAdmin(address _account) internal view returns (bool) {
+        return registry.hasRole(registry.DEFAULT_ADMIN_ROLE(), _account);
+    }
+}
@@ -0,0 +1,134 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./MediToken.sol";
+import "./MedicineRegistry.sol";
+
+/**
+ * @title StakingRegistry
+ * @dev MEDI bonds supply chain participants post to be eligible for assignment to batches.
+ * Deployed alongside MedicineRegistry, whose admin points the registry at it and sets the
+ * minimum bond. Withdrawals wait out an unbonding period, during which the tokens can still
+ * be slashed. Slashers (the DisputeRegistry) hold SLASHER_ROLE on the registry; slashed
+ * tokens are burned.
+ */
+contract StakingRegistry {
+    bytes32 public constant SLASHER_ROLE = keccak256("SLASHER_ROLE");
+    uint256 public constant UNBONDING_PERIOD = 7 days;
+    uint256 public constant MAX_SLASH_BPS = 10_000;
+
+    struct Stake {
+        uint256 bonded; // Counts towards eligibility
+        uint256 unbonding; // Requested for withdrawal, still slashable
+        uint256 unbondingEndsAt; // When the unbonding amount can be withdrawn
+    }
+
+    MediToken public immutable token;
+    MedicineRegistry public immutable registry;
+
+    uint256 public minimumStake; // Bond a participant needs to be assigned to a batch
+    uint256 public slashBps; // Share of a participant's bond and unbonding tokens slashed per offence
+    uint256 public totalSlashed;
+    mapping(address => Stake) internal stakes;
+
+    event Staked(address indexed participant, uint256 amount, uint256 bonded);
+    event UnbondingRequested(address indexed participant, uint256 amount, uint256 unbondingEndsAt);
+    event Withdrawn(address indexed participant, uint256 amount);
+    event Slashed(address indexed participant, uint256 amount, uint256 indexed disputeId);
+    event StakePolicyUpdated(uint256 minimumStake, uint256 slashBps);
+
+    constructor(MediToken _token, MedicineRegistry _registry) {
+        token = _token;
+        registry = _registry;
+    }
+
+    /**
+     * @dev Set the minimum bond for assignment and the share slashed per offence, in basis points
+     */
+    function setStakePolicy(uint256 _minimumStake, uint256 _slashBps) external {
+        require(registry.hasRole(registry.DEFAULT_ADMIN_ROLE(), msg.sender), "Not an admin");
+        require(_slashBps <= MAX_SLASH_BPS, "Invalid slash share");
+
+        minimumStake = _minimumStake;
+        slashBps = _slashBps;
+
+        emit StakePolicyUpdated(_minimumStake, _slashBps);
+    }
+
+    /**
+     * @dev Bond MEDI; the caller must have approved this contract for `_amount`
+     */
+    function stake(uint256 _amount) external {
+        require(_amount > 0, "Amount required");
+        require(IERC20(address(token)).transferFrom(msg.sender, address(this), _amount), "Transfer failed");
+
+        Stake storage s = stakes[msg.sender];
+        s.bonded += _amount;
+
+        emit Staked(msg.sender, _amount, s.bonded);
+    }
+
+    /**
+     * @dev Start unbonding part of the bond. Requesting more restarts the unbonding period.
+     */
+    function requestUnbond(uint256 _amount) external {
+        Stake storage s = stakes[msg.sender];
+        require(_amount > 0 && _amount <= s.bonded, "Invalid amount");
+
+        s.bonded -= _amount;
+        s.unbonding += _amount;
+        s.unbondingEndsAt = block.timestamp + UNBONDING_PERIOD;
+
+        emit UnbondingRequested(msg.sender, _amount, s.unbondingEndsAt);
+    }
+
+    /**
+     * @dev Withdraw tokens whose unbonding period has passed
+     */
+    function withdraw() external {
+        Stake storage s = stakes[msg.sender];
+        uint256 amount = s.unbonding;
+        require(amount > 0, "Nothing unbonding");
+        require(block.timestamp >= s.unbondingEndsAt, "Still unbonding");
+
+        s.unbonding = 0;
+        s.unbondingEndsAt = 0;
+        require(IERC20(address(token)).transfer(msg.sender, amount), "Transfer failed");
+
+        emit Withdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @dev Slash a participant proven to have falsified a verification, unbonding tokens first
+     */
+    function slash(address _participant, uint256 _disputeId) external returns (uint256 amount) {
+        require(registry.hasRole(SLASHER_ROLE, msg.sender), "Not a slasher");
+
+        Stake storage s = stakes[_participant];
+        amount = ((s.bonded + s.unbonding) * slashBps) / MAX_SLASH_BPS;
+        if (amount == 0) return 0;
+
+        uint256 fromUnbonding = amount < s.unbonding ? amount : s.unbonding;
+        s.unbonding -= fromUnbonding;
+        s.bonded -= amount - fromUnbonding;
+        totalSlashed += amount;
+        token.burn(amount);
+
+        emit Slashed(_participant, amount, _disputeId);
+    }
+
+    /**
+     * @dev Whether a participant's bond meets the minimum for assignment
+     */
+    function isBonded(address _participant) external view returns (bool) {
+        return stakes[_participant].bonded >= minimumStake;
+    }
+
+    /**
+     * @dev Get a participant's bonded and unbonding tokens
+     */
+    function getStake(address _participant) external view returns (Stake memory) {
+        return stakes[_participant];
+    }
+}
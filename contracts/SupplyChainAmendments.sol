@@ -0,0 +1,199 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./MedicineRegistry.sol";
+
+/**
+ * @title SupplyChainAmendments
+ * @dev Assigns a MedicineRegistry batch's participants at registration and amends those still
+ * to verify. Verified participants, and hops any of them verified, are never amended; a false
+ * verification is invalidated instead, and the participant's hop verifies again.
+ */
+library SupplyChainAmendments {
+    // Per batch, bounding the loops over its participants; imported batches are exempt
+    uint256 internal constant MAX_PARTICIPANTS = 20;
+
+    /**
+     * @dev Assign a new batch's participants in custody order. `_hops` gives each participant
+     * a hop, equal hops forming a parallel group, or is empty for strictly sequential custody.
+     */
+    function assign(
+        MedicineRegistry.MedicineBatch storage _batch,
+        address[] memory _participants,
+        MedicineRegistry.SupplyChainRole[] memory _roles,
+        uint256[] memory _hops
+    ) external {
+        require(_participants.length == _roles.length, "Participants and roles mismatch");
+        require(_participants.length > 0, "At least one participant required");
+        require(_hops.length == 0 || _hops.length == _participants.length, "Participants and hops mismatch");
+        require(_participants.length <= MAX_PARTICIPANTS, "Too many participants");
+
+        for (uint256 i = 0; i < _participants.length; i++) {
+            uint256 hop = _hops.length == 0 ? i : _hops[i];
+
+            // Hops start at zero and either repeat (parallel group) or advance by one
+            require(hop == _batch.totalHops || hop + 1 == _batch.totalHops, "Invalid hop order");
+            _addParticipant(_batch, _participants[i], _roles[i], hop);
+            _batch.totalHops = uint32(hop + 1);
+        }
+    }
+
+    /**
+     * @dev Apply an amendment to a batch and return the hop it applied to, and whether
+     * removing a participant completed the current hop
+     */
+    function amend(
+        MedicineRegistry.MedicineBatch storage _batch,
+        MedicineRegistry.AmendmentAction _action,
+        address _participant,
+        address _replacement,
+        MedicineRegistry.SupplyChainRole _role,
+        uint256 _hop
+    ) external returns (uint256 hop, bool hopCompleted) {
+        if (
+            _action == MedicineRegistry.AmendmentAction.ADD_HOP ||
+            _action == MedicineRegistry.AmendmentAction.ADD_TO_HOP
+        ) {
+            require(_hop >= _batch.currentHop, "Hop already verified");
+            require(_batch.totalParticipants < MAX_PARTICIPANTS, "Too many participants");
+            if (_action == MedicineRegistry.AmendmentAction.ADD_HOP) {
+                require(_hop <= _batch.totalHops, "Invalid hop");
+                _shiftHops(_batch, _hop, true);
+            } else {
+                require(_hop < _batch.totalHops, "Invalid hop");
+            }
+            _addParticipant(_batch, _participant, _role, _hop);
+            return (_hop, false);
+        }
+
+        MedicineRegistry.SupplyChainParticipant memory participant = _batch.participants[_participant];
+        require(participant.position != 0, "Not authorized participant");
+        require(!participant.hasVerified, "Already verified");
+        hop = participant.hop;
+
+        if (_action == MedicineRegistry.AmendmentAction.REPLACE) {
+            require(
+                _replacement != address(0) && _batch.participants[_replacement].position == 0,
+                "Invalid replacement"
+            );
+            participant.role = _role;
+            _batch.participants[_replacement] = participant;
+            _batch.participantList[participant.position - 1] = _replacement;
+            delete _batch.participants[_participant];
+            return (hop, false);
+        }
+
+        require(_batch.totalParticipants > 1, "At least one participant required");
+        hopCompleted = _removeParticipant(_batch, _participant, participant.position, hop);
+    }
+
+    /**
+     * @dev Strike a participant's verification. Custody returns to its hop until the participant
+     * verifies again; verifications of later hops stand. Returns the participant's hop.
+     */
+    function invalidate(MedicineRegistry.MedicineBatch storage _batch, address _participant)
+        external
+        returns (uint256 hop)
+    {
+        MedicineRegistry.SupplyChainParticipant storage participant = _batch.participants[_participant];
+        require(participant.position != 0, "Not authorized participant");
+        require(participant.hasVerified, "Not verified");
+
+        participant.hasVerified = false;
+        participant.verifiedAt = 0;
+        _batch.verifiedCount--;
+
+        hop = participant.hop;
+        _batch.pendingAtHop[hop]++;
+        if (hop < _batch.currentHop) {
+            _batch.currentHop = uint32(hop);
+        }
+    }
+
+    function _addParticipant(
+        MedicineRegistry.MedicineBatch storage _batch,
+        address _participant,
+        MedicineRegistry.SupplyChainRole _role,
+        uint256 _hop
+    ) private {
+        require(_participant != address(0), "Invalid participant address");
+        require(_batch.participants[_participant].position == 0, "Duplicate participant");
+
+        _batch.participantList.push(_participant);
+        _batch.participants[_participant] = MedicineRegistry.SupplyChainParticipant({
+            role: _role,
+            hop: uint32(_hop),
+            hasVerified: false,
+            verifiedAt: 0,
+            position: uint32(_batch.participantList.length)
+        });
+        _batch.pendingAtHop[_hop]++;
+        _batch.totalParticipants++;
+    }
+
+    /**
+     * @dev Drop an unverified participant, moving the last participant into its place. A hop
+     * left empty is closed; a current hop left with only verified members is completed.
+     */
+    function _removeParticipant(
+        MedicineRegistry.MedicineBatch storage _batch,
+        address _participant,
+        uint256 _position,
+        uint256 _hop
+    ) private returns (bool hopCompleted) {
+        address[] storage participants = _batch.participantList;
+        delete _batch.participants[_participant];
+
+        uint256 last = participants.length;
+        if (_position != last) {
+            address moved = participants[last - 1];
+            participants[_position - 1] = moved;
+            _batch.participants[moved].position = uint32(_position);
+        }
+        participants.pop();
+        _batch.totalParticipants--;
+
+        if (--_batch.pendingAtHop[_hop] != 0) return false;
+        for (uint256 i = 0; i < participants.length; i++) {
+            if (_batch.participants[participants[i]].hop == _hop) {
+                // Only verified members remain, so custody moves on if it was waiting on them
+                if (_hop != _batch.currentHop) return false;
+                uint256 next = _hop + 1;
+                while (next < _batch.totalHops && _batch.pendingAtHop[next] == 0) next++;
+                _batch.currentHop = uint32(next);
+                return true;
+            }
+        }
+        _shiftHops(_batch, _hop, false);
+    }
+
+    /**
+     * @dev Open an empty hop at `_hop` (`_insert`) or close the empty hop `_hop`, renumbering
+     * the hops after it, none of which may have been verified
+     */
+    function _shiftHops(MedicineRegistry.MedicineBatch storage _batch, uint256 _hop, bool _insert) private {
+        address[] storage participants = _batch.participantList;
+        for (uint256 i = 0; i < participants.length; i++) {
+            MedicineRegistry.SupplyChainParticipant storage participant = _batch.participants[participants[i]];
+            if (participant.hop >= _hop) {
+                require(!participant.hasVerified, "Hop already verified");
+                participant.hop = _insert ? participant.hop + 1 : participant.hop - 1;
+            }
+        }
+
+        uint256 totalHops = _batch.totalHops;
+        if (_insert) {
+            for (uint256 h = totalHops; h > _hop; h--) {
+                _batch.pendingAtHop[h] = _batch.pendingAtHop[h - 1];
+            }
+            _batch.pendingAtHop[_hop] = 0;
+            _batch.totalHops = uint32(totalHops + 1);
+        } else {
+            for (uint256 h = _hop; h + 1 < totalHops; h++) {
+                _batch.pendingAtHop[h] = _batch.pendingAtHop[h + 1];
+            }
+            delete _batch.pendingAtHop[totalHops - 1];
+            _batch.totalHops = uint32(totalHops - 1);
+        }
+    }
+}
@@ -63,6 +63,109 @@ const SUPPLY_CHAIN_ROLES = {
   RETAILER: { label: 'Retailer', icon: '🏬', color: '#EC4899' }
 };
 
+// Batch lifecycle statuses
+const BATCH_STATUSES = {
+  ACTIVE: { label: 'Active', icon: '🟢', color: '#10B981' },
+  ON_HOLD: { label: 'On Hold', icon: '⏸', color: '#F59E0B' },
+  RECALLED: { label: 'Recalled', icon: '⛔', color: '#EF4444' },
+  EXPIRED: { label: 'Expired', icon: '⌛', color: '#6B7280' },
+  COMPLETED: { label: 'Completed', icon: '🏁', color: '#3B82F6' },
+  COMPROMISED: { label: 'Compromised', icon: '🌡️', color: '#DC2626' }
+};
+
+// Amendments to a batch's participants shown in its journey
+const AMENDMENT_ACTIONS = {
+  ADD_HOP: { label: 'Hop added', icon: '➕' },
+  ADD_TO_HOP: { label: 'Participant added', icon: '➕' },
+  REMOVE: { label: 'Participant removed', icon: '➖' },
+  REPLACE: { label: 'Participant replaced', icon: '🔄' }
+};
+
+// Dispute statuses (mirrors DisputeRegistry.DisputeStatus)
+const DISPUTE_STATUSES = {
+  OPEN: { label: 'Under review', icon: '⚖️' },
+  UPHELD: { label: 'Upheld', icon: '🚩' },
+  DISMISSED: { label: 'Dismissed', icon: '✔' }
+};
+
+const EMPTY_DISPUTE = { participant: '', reason: '', evidence: '' };
+
+// Why a batch's manufacturer is not shown as verified
+const MANUFACTURER_STATUSES = {
+  NONE: 'Unregistered manufacturer',
+  PENDING: 'Approval pending',
+  APPROVED: 'License expired',
+  SUSPENDED: 'Manufacturer suspended',
+  REVOKED: 'Manufacturer revoked'
+};
+
+// Empty cold-chain forms; temperatures in °C, humidity in %
+const EMPTY_STORAGE_POLICY = { minTemperature: '', maxTemperature: '', maxExcursionMinutes: '', maxHumidity: '' };
+const EMPTY_READING = { minTemperature: '', maxTemperature: '', excursionMinutes: '', humidity: '' };
+
+// Empty unit-count forms
+const EMPTY_QUANTITY = { units: '', tolerancePercent: '' };
+const EMPTY_UNITS = { received: '', dispatched: '' };
+
+// Packaging levels a scanned code can resolve to
+const PACKAGE_LEVELS = {
+  PALLET: { label: 'Pallet', icon: '🪵' },
+  CASE: { label: 'Case', icon: '📦' },
+  BATCH: { label: 'Batch', icon: '🏷️' },
+  UNIT: { label: 'Pack', icon: '💊' }
+};
+
+// Empty catalog product form
+const EMPTY_PRODUCT = { gtin: '', name: '', strength: '', dosageForm: '', ingredients: '' };
+
+// One line summary of a participant's logged conditions
+const formatConditions = (c) =>
+  `🌡️ ${c.minTemperature}–${c.maxTemperature}°C${c.humidity ? ` · 💧 ${c.humidity}%` : ''}`;
+
+// One line summary of a participant's unit counts against what its hop should have received
+const formatUnits = (u) =>
+  `📦 ${u.received}/${u.expected} received · ${u.dispatched} dispatched`;
+
+// One line summary of what a batch pays under its reward policy
+const formatRewardTerms = (r) =>
+  `${r.customerReward} MEDI per claim${r.funded ? ` from the manufacturer's pool (${r.pool} MEDI left)` : ''}` +
+  (r.participantReward ? ` · ${r.participantReward} MEDI for verifying within ${Math.round(r.onTimeWindow / 3600)}h` : '');
+
+const shortAddress = (address) => `${address.substring(0, 10)}...`;
+
+// One line summary of an amendment
+const describeAmendment = (a) =>
+  a.action === 'REMOVE'
+    ? `${shortAddress(a.participant)} taken off the supply chain`
+    : a.action === 'REPLACE'
+      ? `${shortAddress(a.participant)} replaced by ${shortAddress(a.replacement)} (${SUPPLY_CHAIN_ROLES[a.role]?.label})`
+      : `${shortAddress(a.participant)} added as ${SUPPLY_CHAIN_ROLES[a.role]?.label}`;
+
+// What an upheld dispute did to the batch
+const describeOutcome = (outcome) => [
+  outcome.freeze && 'batch placed on hold',
+  outcome.invalidate && 'verification invalidated',
+  outcome.penalize && 'participant penalized'
+].filter(Boolean).join(', ') || 'no further action';
+
+// Journey entries: verifications and amendments as they happened, then the hops still to verify
+const journeyEntries = (supplyChain) => [
+  ...[
+    ...supplyChain.participants.filter(p => p.hasVerified).map(p => ({ participant: p, at: p.verifiedAt })),
+    ...(supplyChain.amendments || []).map(a => ({ amendment: a, at: a.amendedAt }))
+  ].sort((x, y) => x.at - y.at),
+  ...supplyChain.participants.filter(p => !p.hasVerified).map(p => ({ participant: p }))
+];
+
+// Per-pack QR download links shown after registration
+const SERIAL_LINK_LIMIT = 50;
+
+// A committed-but-unrevealed claim survives page reloads
+const PENDING_CLAIM_KEY = 'meditrust-pending-claim';
+
+// Claim codes are compared without case, spaces or dashes (mirrors utils/crypto.js)
+const normalizeClaimCode = (code) => code.toUpperCase().replace(/[^0-9A-Z]/g, '');
+
 function App() {
   // State management
   const [connected, setConnected] = useState(false);
@@ -79,25 +182,49 @@ function App() {
 
   // Registration form state
   const [batchId, setBatchId] = useState('');
-  const [drugName, setDrugName] = useState('');
-  const [ingredients, setIngredients] = useState('');
+  const [productId, setProductId] = useState('');
   const [expiryDate, setExpiryDate] = useState('');
+  const [serialList, setSerialList] = useState('');
+  const [storagePolicy, setStoragePolicy] = useState(EMPTY_STORAGE_POLICY);
+  const [quantity, setQuantity] = useState(EMPTY_QUANTITY);
   const [participants, setParticipants] = useState([
     { address: '', role: 'TRANSPORTER' }
   ]);
+  const [participantStakes, setParticipantStakes] = useState({});
   const [qrCode, setQrCode] = useState('');
   const [registrationResult, setRegistrationResult] = useState(null);
 
+  // Product catalog state
+  const [products, setProducts] = useState([]);
+  const [showProductForm, setShowProductForm] = useState(false);
+  const [newProduct, setNewProduct] = useState(EMPTY_PRODUCT);
+
   // Verification state
   const [verifyBatchId, setVerifyBatchId] = useState('');
+  const [reading, setReading] = useState(EMPTY_READING);
+  const [units, setUnits] = useState(EMPTY_UNITS);
   const [verificationResult, setVerificationResult] = useState(null);
   const [batchDetails, setBatchDetails] = useState(null);
-  const [privateKeyForVerification, setPrivateKeyForVerification] = useState('');
+  const [packageCode, setPackageCode] = useState('');
+  const [resolvedPackage, setResolvedPackage] = useState(null);
 
   // Customer claim state
   const [claimBatchId, setClaimBatchId] = useState('');
+  const [claimSerial, setClaimSerial] = useState('');
+  const [claimCode, setClaimCode] = useState('');
+  const [pendingClaim, setPendingClaim] = useState(() => {
+    const saved = localStorage.getItem(PENDING_CLAIM_KEY);
+    return saved ? JSON.parse(saved) : null;
+  });
   const [claimResult, setClaimResult] = useState(null);
-  const [privateKeyForClaim, setPrivateKeyForClaim] = useState('');
+  const [claimLimits, setClaimLimits] = useState(null);
+
+  // Delegate management state
+  const [delegateInfo, setDelegateInfo] = useState(null);
+  const [newDelegate, setNewDelegate] = useState('');
+
+  // Dispute report state
+  const [disputeReport, setDisputeReport] = useState(EMPTY_DISPUTE);
 
   // Fetch system status
   useEffect(() => {
@@ -129,11 +256,81 @@ function App() {
         setActiveTab('verify');
       } else if (actionFromUrl === 'claim') {
         setClaimBatchId(batchFromUrl);
+        setClaimSerial(urlParams.get('serial') || '');
         setActiveTab('claim');
       }
     }
   }, []);
 
+  // Load the manufacturer's catalog products for the selected chain
+  const loadProducts = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/products/${selectedChain}`);
+      const data = await response.json();
+      setProducts(data.products || []);
+    } catch (error) {
+      console.error('Failed to load products:', error);
+      setProducts([]);
+    }
+  };
+
+  useEffect(() => {
+    setProductId('');
+    loadProducts();
+  }, [selectedChain]);
+
+  // Load the connected organization's delegates, and whom the account itself is a delegate of
+  const loadDelegates = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/delegates/${selectedChain}/${account}`);
+      const data = await response.json();
+      setDelegateInfo(response.ok ? data : null);
+    } catch (error) {
+      console.error('Failed to load delegates:', error);
+      setDelegateInfo(null);
+    }
+  };
+
+  useEffect(() => {
+    if (activeTab === 'delegates' && account) {
+      loadDelegates();
+    }
+  }, [activeTab, account, selectedChain]);
+
+  // Look up the MEDI bond of each participant entered, to warn before registering under-bonded ones
+  const participantAddressKey = participants.map(p => p.address).join(',');
+  useEffect(() => {
+    const addresses = participants
+      .map(p => p.address)
+      .filter(address => window.ethers?.utils.isAddress(address) && !(address.toLowerCase() in participantStakes));
+    addresses.forEach(async (address) => {
+      try {
+        const response = await fetch(`${API_URL}/api/staking/${selectedChain}/${address}`);
+        const data = await response.json();
+        setParticipantStakes(prev => ({ ...prev, [address.toLowerCase()]: response.ok ? data : null }));
+      } catch (error) {
+        console.error('Failed to load stake:', error);
+      }
+    });
+  }, [participantAddressKey, selectedChain]);
+
+  useEffect(() => {
+    setParticipantStakes({});
+  }, [selectedChain]);
+
+  // Check the claim limits for the connected wallet, to explain a claim that would be rejected
+  const limitsBatchId = pendingClaim?.batchId || claimBatchId.trim();
+  useEffect(() => {
+    setClaimLimits(null);
+    if (activeTab !== 'claim' || !account || !limitsBatchId) return;
+    
+    const chain = pendingClaim?.chain || selectedChain;
+    fetch(`${API_URL}/api/claim/limits/${chain}/${encodeURIComponent(limitsBatchId)}/${account}`)
+      .then(response => (response.ok ? response.json() : null))
+      .then(setClaimLimits)
+      .catch(error => console.error('Failed to load claim limits:', error));
+  }, [activeTab, account, limitsBatchId, selectedChain, claimResult]);
+
   // Notification system
   const notify = (message, type = 'info') => {
     const id = Date.now();
@@ -194,6 +391,40 @@ function App() {
     setParticipants(updated);
   };
 
+  // Register a product in the catalog and select it for the batch
+  const handleRegisterProduct = async () => {
+    if (!newProduct.gtin || !newProduct.name) {
+      notify('GTIN/NDC and product name are required', 'warning');
+      return;
+    }
+    
+    setLoading(true);
+    try {
+      const response = await fetch(`${API_URL}/api/products/${selectedChain}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(newProduct)
+      });
+      const result = await response.json();
+      
+      if (result.success) {
+        setProducts(prev => [...prev, result.product]);
+        setProductId(result.product.productId);
+        setNewProduct(EMPTY_PRODUCT);
+        setShowProductForm(false);
+        notify(`Product ${result.product.name} added to the catalog`, 'success');
+      } else {
+        notify(result.error || 'Product registration failed', 'error');
+      }
+    } catch (error) {
+      notify('Product registration failed: ' + error.message, 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const selectedProduct = products.find(p => p.productId === productId);
+
   // Register batch
   const handleRegister = async (e) => {
     e.preventDefault();
@@ -207,15 +438,30 @@ function App() {
         return;
       }
 
+      // Participants marked "parallel" share a hop with the one before them
+      let hop = -1;
+      const orderedParticipants = validParticipants.map((p, i) => {
+        if (i === 0 || !p.parallel) hop++;
+        return { address: p.address, role: p.role, hop };
+      });
+
+      // One serial number per line; each becomes a separately claimable pack
+      const serials = serialList.split('\n').map(s => s.trim()).filter(Boolean);
+      
+      // A storage policy is only sent once its temperature range is filled in
+      const coldChain = storagePolicy.minTemperature !== '' && storagePolicy.maxTemperature !== '';
+
       const response = await fetch(`${API_URL}/api/register/${selectedChain}`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           batchId,
-          drugName,
-          ingredients,
+          productId,
           expiryDate,
-          participants: validParticipants,
+          participants: orderedParticipants,
+          ...(serials.length > 0 && { serials }),
+          ...(coldChain && { storagePolicy }),
+          ...(quantity.units !== '' && { quantity }),
           useStateChannel: true
         })
       });
@@ -224,16 +470,23 @@ function App() {
       
       if (result.success) {
         setQrCode(result.qrCode);
-        setRegistrationResult(result);
+        setRegistrationResult({ ...result, serialNumbers: serials });
         notify(`Batch registered successfully! ${result.participants} participants added`, 'success');
         
         // Reset form
         setBatchId('');
-        setDrugName('');
-        setIngredients('');
         setExpiryDate('');
+        setSerialList('');
+        setStoragePolicy(EMPTY_STORAGE_POLICY);
+        setQuantity(EMPTY_QUANTITY);
         setParticipants([{ address: '', role: 'TRANSPORTER' }]);
       } else {
+        if (result.underBonded) {
+          setParticipantStakes(prev => ({
+            ...prev,
+            ...Object.fromEntries(result.underBonded.map(stake => [stake.participant.toLowerCase(), stake]))
+          }));
+        }
         notify(result.error || 'Registration failed', 'error');
       }
     } catch (error) {
@@ -243,34 +496,68 @@ function App() {
     }
   };
 
-  // Supply chain verification (with private key for production)
+  // Ask the connected wallet to sign EIP-712 typed data prepared by the backend
+  const signTypedData = async (action, payload) => {
+    const response = await fetch(`${API_URL}/api/${action}/typed-data/${selectedChain}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+    const result = await response.json();
+    if (!result.typedData) {
+      throw new Error(result.error || 'Failed to prepare signature request');
+    }
+
+    const signature = await window.ethereum.request({
+      method: 'eth_signTypedData_v4',
+      params: [account, JSON.stringify(result.typedData)]
+    });
+
+    return { signature, deadline: result.typedData.message.deadline };
+  };
+
+  // Supply chain verification (signed in the participant's wallet, relayed by the backend)
   const handleSupplyChainVerify = async () => {
-    if (!privateKeyForVerification) {
-      notify('Please enter your private key to sign the verification', 'error');
+    if (!connected) {
+      notify('Please connect the wallet registered as a supply chain participant', 'error');
       return;
     }
 
     setLoading(true);
     try {
-      const wallet = new ethers.Wallet(privateKeyForVerification);
-      const verifierAddress = wallet.address;
+      const verification = {
+        batchId: verifyBatchId,
+        verifier: account,
+        location: `GPS: ${navigator.geolocation ? 'Available' : 'Not available'}`,
+        additionalData: `Verified at ${new Date().toLocaleString()}`,
+        ...(reading.minTemperature !== '' && reading.maxTemperature !== '' && { reading }),
+        ...(units.received !== '' && units.dispatched !== '' && { units })
+      };
+      const { signature, deadline } = await signTypedData('verify', verification);
 
       const response = await fetch(`${API_URL}/api/verify/supply-chain/${selectedChain}`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          batchId: verifyBatchId,
-          verifier: verifierAddress,
-          privateKey: privateKeyForVerification,
-          location: `GPS: ${navigator.geolocation ? 'Available' : 'Not available'}`,
-          additionalData: `Verified at ${new Date().toLocaleString()}`
-        })
+        body: JSON.stringify({ ...verification, deadline, signature })
       });
 
       const result = await response.json();
       
       if (result.success) {
         setVerificationResult(result);
+        setReading(EMPTY_READING);
+        setUnits(EMPTY_UNITS);
+        if (result.units?.discrepancy) {
+          notify(`Unit discrepancy flagged: expected ${result.units.expected}, received ${result.units.received}`, 'warning');
+        }
+        if (result.coldChain?.compromised) {
+          notify('Cold chain excursion: this batch is now compromised', 'error');
+        } else if (result.coldChain?.excursion) {
+          notify(`Excursion recorded (${result.coldChain.totalExcursionMinutes} min out of range so far)`, 'warning');
+        }
+        if (result.delegate) {
+          notify(`Verified on behalf of ${shortAddress(result.participant)}`, 'info');
+        }
         notify(`Verification successful! Progress: ${result.progress}`, 'success');
         
         if (result.explorer) {
@@ -285,49 +572,210 @@ function App() {
       notify('Verification failed: ' + error.message, 'error');
     } finally {
       setLoading(false);
-      setPrivateKeyForVerification(''); // Clear private key after use
     }
   };
 
-  // Customer claim reward (with private key for production)
-  const handleCustomerClaim = async () => {
-    if (!privateKeyForClaim) {
-      notify('Please enter your private key to claim the reward', 'error');
+  // Invite (active) or revoke a delegate, signed in the organization's wallet and relayed by the backend
+  const handleDelegateUpdate = async (delegate, active) => {
+    setLoading(true);
+    try {
+      const update = { organization: account, delegate, active };
+      const { signature, deadline } = await signTypedData('delegates', update);
+
+      const response = await fetch(`${API_URL}/api/delegates/${selectedChain}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...update, deadline, signature })
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        setDelegateInfo(prev => ({ ...prev, delegates: result.delegates }));
+        setNewDelegate('');
+        notify(
+          result.awaitingAcceptance
+            ? `Invitation sent. ${shortAddress(delegate)} verifies for you once it accepts.`
+            : 'Delegate revoked',
+          'success'
+        );
+      } else {
+        notify(result.error || 'Failed to update delegate', 'error');
+      }
+    } catch (error) {
+      notify('Failed to update delegate: ' + error.message, 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Accept an organization's invitation (active) or resign from it, signed in the delegate's wallet
+  const handleDelegateConsent = async (organization, active) => {
+    setLoading(true);
+    try {
+      const consent = { organization, delegate: account, active };
+      const { signature, deadline } = await signTypedData('delegates/consent', consent);
+
+      const response = await fetch(`${API_URL}/api/delegates/consent/${selectedChain}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...consent, deadline, signature })
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        notify(
+          active
+            ? `Invitation accepted. You now verify on behalf of ${shortAddress(organization)}.`
+            : `You are no longer a delegate of ${shortAddress(organization)}`,
+          'success'
+        );
+        await loadDelegates();
+      } else {
+        notify(result.error || 'Failed to update delegation', 'error');
+      }
+    } catch (error) {
+      notify('Failed to update delegation: ' + error.message, 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Report a counterfeit pack or a falsified hop, signed in the reporter's wallet and relayed by the backend
+  const handleDisputeReport = async () => {
+    if (!connected) {
+      notify('Please connect your wallet to report a problem', 'error');
       return;
     }
 
     setLoading(true);
     try {
-      const wallet = new ethers.Wallet(privateKeyForClaim);
-      const customerAddress = wallet.address;
+      const report = {
+        batchId: batchDetails.batchId,
+        participant: disputeReport.participant,
+        reason: disputeReport.reason,
+        // One piece of evidence per line: a document hash, a photo URL or a note
+        evidence: disputeReport.evidence.split('\n').map(line => line.trim()).filter(Boolean),
+        reporter: account
+      };
+      const { signature, deadline } = await signTypedData('disputes', report);
 
-      const response = await fetch(`${API_URL}/api/claim/${selectedChain}`, {
+      const response = await fetch(`${API_URL}/api/disputes/${selectedChain}`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          batchId: claimBatchId,
-          customer: customerAddress,
-          privateKey: privateKeyForClaim
-        })
+        body: JSON.stringify({ ...report, deadline, signature })
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        setDisputeReport(EMPTY_DISPUTE);
+        notify(`Dispute #${result.dispute.disputeId} opened; an arbiter will review it`, 'success');
+        await fetchBatchDetails(batchDetails.batchId);
+      } else {
+        notify(result.error || 'Failed to report problem', 'error');
+      }
+    } catch (error) {
+      notify('Failed to report problem: ' + error.message, 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const savePendingClaim = (claim) => {
+    setPendingClaim(claim);
+    if (claim) {
+      localStorage.setItem(PENDING_CLAIM_KEY, JSON.stringify(claim));
+    } else {
+      localStorage.removeItem(PENDING_CLAIM_KEY);
+    }
+  };
+
+  // Claim step 1: commit to the scratch-off code without revealing it
+  const handleClaimCommit = async () => {
+    if (!connected) {
+      notify('Please connect your wallet to claim the reward', 'error');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const claim = {
+        batchId: claimBatchId,
+        serial: claimSerial.trim(),
+        claimCode: normalizeClaimCode(claimCode),
+        customer: account
+      };
+      const commitment = ethers.utils.keccak256(
+        ethers.utils.defaultAbiCoder.encode(
+          ['string', 'string', 'string', 'address'],
+          [claim.batchId, claim.serial, claim.claimCode, claim.customer]
+        )
+      );
+
+      const response = await fetch(`${API_URL}/api/claim/commit/${selectedChain}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ commitment, batchId: claim.batchId, serial: claim.serial, customer: claim.customer })
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        savePendingClaim({ ...claim, commitment, chain: selectedChain });
+        notify('Step 1 done: your claim is locked in. Now reveal it to receive the reward.', 'success');
+      } else {
+        notify(
+          result.retryAt
+            ? `${result.error} (you can try again after ${new Date(result.retryAt * 1000).toLocaleString()})`
+            : result.error || 'Commit failed',
+          'error'
+        );
+      }
+    } catch (error) {
+      notify('Commit failed: ' + error.message, 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Claim step 2: reveal the code; the reward can only go to the committed wallet
+  const handleClaimReveal = async () => {
+    setLoading(true);
+    try {
+      const { batchId, serial, claimCode, customer, chain } = pendingClaim;
+      const response = await fetch(`${API_URL}/api/claim/reveal/${chain}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ batchId, serial, claimCode, customer })
       });
 
       const result = await response.json();
       
       if (result.success) {
         setClaimResult(result);
+        savePendingClaim(null);
+        setClaimCode('');
         notify(`🎉 Congratulations! You received ${result.reward}`, 'success');
         
         if (result.explorer) {
           window.open(result.explorer, '_blank');
         }
       } else {
-        notify(result.error || 'Claim failed', 'error');
+        // Keep the commitment on 409 (reward pool empty), 429 (claim limits) and 403 (identity
+        // required) so the customer can reveal again later
+        if (response.status === 400 && result.error !== 'Supply chain verification incomplete') {
+          savePendingClaim(null);
+        }
+        notify(
+          result.retryAt
+            ? `${result.error} (you can claim again after ${new Date(result.retryAt * 1000).toLocaleString()})`
+            : result.error || 'Claim failed',
+          'error'
+        );
       }
     } catch (error) {
       notify('Claim failed: ' + error.message, 'error');
     } finally {
       setLoading(false);
-      setPrivateKeyForClaim(''); // Clear private key after use
     }
   };
 
@@ -361,6 +809,114 @@ function App() {
     }
   };
 
+  // Open another lot of the same custody tree
+  const trackLot = async (lotId) => {
+    setVerifyBatchId(lotId);
+    setLoading(true);
+    try {
+      await fetchBatchDetails(lotId);
+    } catch (error) {
+      notify('Failed to fetch batch details', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderLot = (lot) => (
+    <li key={lot.batchId}>
+      <button
+        className={`link-button ${lot.batchId === batchDetails.batchId ? 'current-lot' : ''}`}
+        onClick={() => trackLot(lot.batchId)}
+        disabled={lot.batchId === batchDetails.batchId}
+      >
+        {lot.batchId}
+      </button>
+      {lot.quantity && <span className="lot-quantity">{lot.quantity} units</span>}
+      <span className="lot-status" style={{ color: BATCH_STATUSES[lot.status]?.color }}>
+        {BATCH_STATUSES[lot.status]?.icon} {lot.progress} verified
+      </span>
+      {lot.children.length > 0 && <ul>{lot.children.map(renderLot)}</ul>}
+    </li>
+  );
+
+  // Resolve a scanned case or pallet code to its parent and contents
+  const resolvePackage = async (code) => {
+    setPackageCode(code);
+    try {
+      const response = await fetch(`${API_URL}/api/packages/${selectedChain}/resolve/${encodeURIComponent(code)}`);
+      const result = await response.json();
+      if (response.ok) {
+        setResolvedPackage(result);
+      } else {
+        setResolvedPackage(null);
+        notify(result.error || 'Unknown package code', 'error');
+      }
+    } catch (error) {
+      notify('Failed to look up package: ' + error.message, 'error');
+    }
+  };
+
+  // Package scan: one signature verifies every batch in a sealed case or pallet
+  const handlePackageVerify = async () => {
+    setLoading(true);
+    try {
+      const scan = {
+        code: packageCode,
+        verifier: account,
+        location: `GPS: ${navigator.geolocation ? 'Available' : 'Not available'}`,
+        additionalData: `Package scanned at ${new Date().toLocaleString()}`,
+        ...(reading.minTemperature !== '' && reading.maxTemperature !== '' && { reading })
+      };
+      const { signature, deadline } = await signTypedData('packages', { action: 'verify', ...scan });
+
+      const response = await fetch(`${API_URL}/api/packages/verify/${selectedChain}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...scan, deadline, signature })
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        setReading(EMPTY_READING);
+        notify(result.message, 'success');
+        await resolvePackage(packageCode);
+      } else {
+        notify(result.error || 'Package verification failed', 'error');
+      }
+    } catch (error) {
+      notify('Package verification failed: ' + error.message, 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Record that this participant opened the package
+  const handlePackageOpen = async () => {
+    setLoading(true);
+    try {
+      const opening = { code: packageCode, verifier: account };
+      const { signature, deadline } = await signTypedData('packages', { action: 'open', ...opening });
+
+      const response = await fetch(`${API_URL}/api/packages/open/${selectedChain}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...opening, deadline, signature })
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        setResolvedPackage(result.package);
+        notify('Package opened; scan its contents individually from now on', 'success');
+      } else {
+        notify(result.error || 'Failed to open package', 'error');
+      }
+    } catch (error) {
+      notify('Failed to open package: ' + error.message, 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // Download QR Code
   const downloadQRCode = () => {
     const link = document.createElement('a');
@@ -369,6 +925,17 @@ function App() {
     link.click();
   };
 
+  // Download the scratch-off claim codes for printing; they are shown only once
+  const downloadClaimCodes = () => {
+    const rows = registrationResult.claimCodes.map(({ serial, claimCode }) => `${serial},${claimCode}`);
+    const blob = new Blob([['serial,claimCode', ...rows].join('\n')], { type: 'text/csv' });
+    const link = document.createElement('a');
+    link.download = `meditrust-claim-codes-${registrationResult.batchId}.csv`;
+    link.href = URL.createObjectURL(blob);
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
   // Share batch link
   const shareBatchLink = (batchId, action) => {
     const url = `${window.location.origin}?batch=${batchId}&action=${action}`;
@@ -521,6 +1088,13 @@ function App() {
               <span className="tab-icon">📍</span>
               Track Batch
             </button>
+            <button
+              className={`tab-button ${activeTab === 'delegates' ? 'active' : ''}`}
+              onClick={() => setActiveTab('delegates')}
+            >
+              <span className="tab-icon">👥</span>
+              Delegates
+            </button>
           </div>
 
           {/* Tab Content */}
@@ -542,24 +1116,26 @@ function App() {
                       />
                     </div>
                     <div className="form-group">
-                      <label>Drug Name</label>
-                      <input
-                        type="text"
-                        value={drugName}
-                        onChange={(e) => setDrugName(e.target.value)}
-                        placeholder="e.g., Aspirin"
+                      <label>Product</label>
+                      <select
+                        value={productId}
+                        onChange={(e) => setProductId(e.target.value)}
                         required
-                      />
-                    </div>
-                    <div className="form-group">
-                      <label>Ingredients</label>
-                      <input
-                        type="text"
-                        value={ingredients}
-                        onChange={(e) => setIngredients(e.target.value)}
-                        placeholder="e.g., Acetylsalicylic acid"
-                        required
-                      />
+                      >
+                        <option value="">Select a catalog product</option>
+                        {products.map(product => (
+                          <option key={product.productId} value={product.productId}>
+                            {product.name} {product.strength} ({product.gtin})
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        type="button"
+                        onClick={() => setShowProductForm(!showProductForm)}
+                        className="link-button"
+                      >
+                        {showProductForm ? 'Cancel' : '+ Register new product'}
+                      </button>
                     </div>
                     <div className="form-group">
                       <label>Expiry Date</label>
@@ -572,6 +1148,136 @@ function App() {
                     </div>
                   </div>
 
+                  {showProductForm && (
+                    <div className="form-group product-form">
+                      <label>New Catalog Product</label>
+                      <div className="form-grid">
+                        <input
+                          type="text"
+                          value={newProduct.gtin}
+                          onChange={(e) => setNewProduct({ ...newProduct, gtin: e.target.value })}
+                          placeholder="GTIN or NDC"
+                        />
+                        <input
+                          type="text"
+                          value={newProduct.name}
+                          onChange={(e) => setNewProduct({ ...newProduct, name: e.target.value })}
+                          placeholder="Name, e.g. Aspirin"
+                        />
+                        <input
+                          type="text"
+                          value={newProduct.strength}
+                          onChange={(e) => setNewProduct({ ...newProduct, strength: e.target.value })}
+                          placeholder="Strength, e.g. 500 mg"
+                        />
+                        <input
+                          type="text"
+                          value={newProduct.dosageForm}
+                          onChange={(e) => setNewProduct({ ...newProduct, dosageForm: e.target.value })}
+                          placeholder="Dosage form, e.g. Tablet"
+                        />
+                      </div>
+                      <input
+                        type="text"
+                        value={newProduct.ingredients}
+                        onChange={(e) => setNewProduct({ ...newProduct, ingredients: e.target.value })}
+                        placeholder="Ingredients, e.g. Acetylsalicylic acid"
+                      />
+                      <button
+                        type="button"
+                        onClick={handleRegisterProduct}
+                        disabled={loading}
+                        className="secondary-button"
+                      >
+                        Add to Catalog
+                      </button>
+                    </div>
+                  )}
+
+                  {selectedProduct && (
+                    <div className="product-details">
+                      <p><strong>{selectedProduct.name}</strong> {selectedProduct.strength} · {selectedProduct.dosageForm}</p>
+                      <p><strong>GTIN/NDC:</strong> {selectedProduct.gtin}</p>
+                      <p><strong>Ingredients:</strong> {selectedProduct.ingredients}</p>
+                    </div>
+                  )}
+
+                  <div className="form-group">
+                    <label>Unit Serial Numbers (optional, one per line)</label>
+                    <textarea
+                      value={serialList}
+                      onChange={(e) => setSerialList(e.target.value)}
+                      placeholder={'SN-0001\nSN-0002\nSN-0003'}
+                      rows={4}
+                    />
+                    <small className="form-hint">
+                      Each serial gets its own QR code and its own customer reward.
+                    </small>
+                  </div>
+
+                  <div className="form-group">
+                    <label>Cold Chain Storage Policy (optional)</label>
+                    <div className="form-grid">
+                      <input
+                        type="number"
+                        step="0.1"
+                        value={storagePolicy.minTemperature}
+                        onChange={(e) => setStoragePolicy({ ...storagePolicy, minTemperature: e.target.value })}
+                        placeholder="Min °C, e.g. 2"
+                      />
+                      <input
+                        type="number"
+                        step="0.1"
+                        value={storagePolicy.maxTemperature}
+                        onChange={(e) => setStoragePolicy({ ...storagePolicy, maxTemperature: e.target.value })}
+                        placeholder="Max °C, e.g. 8"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        value={storagePolicy.maxExcursionMinutes}
+                        onChange={(e) => setStoragePolicy({ ...storagePolicy, maxExcursionMinutes: e.target.value })}
+                        placeholder="Allowed minutes out of range"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={storagePolicy.maxHumidity}
+                        onChange={(e) => setStoragePolicy({ ...storagePolicy, maxHumidity: e.target.value })}
+                        placeholder="Max humidity %"
+                      />
+                    </div>
+                    <small className="form-hint">
+                      Every hop must then report its logged conditions. Exceeding the allowance compromises the batch.
+                    </small>
+                  </div>
+
+                  <div className="form-group">
+                    <label>Unit Count (optional)</label>
+                    <div className="form-grid">
+                      <input
+                        type="number"
+                        min="1"
+                        value={quantity.units}
+                        onChange={(e) => setQuantity({ ...quantity, units: e.target.value })}
+                        placeholder="Units shipped, e.g. 1000"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        step="0.1"
+                        value={quantity.tolerancePercent}
+                        onChange={(e) => setQuantity({ ...quantity, tolerancePercent: e.target.value })}
+                        placeholder="Tolerance %, e.g. 1"
+                      />
+                    </div>
+                    <small className="form-hint">
+                      Every hop must then count the units it received and dispatched. Gaps beyond the tolerance are flagged.
+                    </small>
+                  </div>
+
                   <div className="participants-section">
                     <h3>Supply Chain Participants</h3>
                     {participants.map((participant, index) => (
@@ -595,6 +1301,21 @@ function App() {
                               </option>
                             ))}
                           </select>
+                          {index > 0 && (
+                            <label className="parallel-toggle" title="Verifies alongside the previous participant instead of after it">
+                              <input
+                                type="checkbox"
+                                checked={!!participant.parallel}
+                                onChange={(e) => updateParticipant(index, 'parallel', e.target.checked)}
+                              />
+                              Parallel
+                            </label>
+                          )}
+                          {participantStakes[participant.address.toLowerCase()]?.eligible === false && (
+                            <small className="stake-warning">
+                              ⚠️ Under-bonded: {participantStakes[participant.address.toLowerCase()].bonded} of {participantStakes[participant.address.toLowerCase()].minimumStake} MEDI staked. Registration will be rejected until this participant bonds more.
+                            </small>
+                          )}
                         </div>
                         {participants.length > 1 && (
                           <button
@@ -637,6 +1358,9 @@ function App() {
                       <p><strong>Chain:</strong> {registrationResult.chain}</p>
                       <p><strong>Participants:</strong> {registrationResult.participants}</p>
                       <p><strong>Status:</strong> {registrationResult.status}</p>
+                      {registrationResult.serials && (
+                        <p><strong>Unit Serials:</strong> {registrationResult.serials.count}</p>
+                      )}
                       {registrationResult.transactionHash && (
                         <p>
                           <strong>Transaction:</strong>{' '}
@@ -653,7 +1377,36 @@ function App() {
                       <button onClick={() => shareBatchLink(registrationResult.batchId, 'verify')} className="secondary-button">
                         📤 Share Link
                       </button>
+                      {registrationResult.claimCodes && (
+                        <button onClick={downloadClaimCodes} className="secondary-button">
+                          🔐 Download Claim Codes
+                        </button>
+                      )}
                     </div>
+                    {registrationResult.claimCodes && (
+                      <p className="form-hint">
+                        Print each claim code under a scratch-off panel on its pack. Codes are shown only once.
+                      </p>
+                    )}
+                    {registrationResult.serials && (
+                      <div className="serial-qr-list">
+                        <h4>Per-Pack QR Codes</h4>
+                        {registrationResult.serialNumbers.slice(0, SERIAL_LINK_LIMIT).map(serial => (
+                          <a
+                            key={serial}
+                            href={`${API_URL}${registrationResult.serials.qrUrl.replace('{serial}', encodeURIComponent(serial))}`}
+                            download
+                          >
+                            📥 {serial}
+                          </a>
+                        ))}
+                        {registrationResult.serialNumbers.length > SERIAL_LINK_LIMIT && (
+                          <small>
+                            …and {registrationResult.serialNumbers.length - SERIAL_LINK_LIMIT} more via the serial QR endpoint
+                          </small>
+                        )}
+                      </div>
+                    )}
                   </div>
                 )}
               </div>
@@ -674,35 +1427,177 @@ function App() {
                     />
                   </div>
                   <div className="form-group">
-                    <label>Your Private Key (Required for Signature)</label>
-                    <input
-                      type="password"
-                      value={privateKeyForVerification}
-                      onChange={(e) => setPrivateKeyForVerification(e.target.value)}
-                      placeholder="Enter your private key (will not be stored)"
-                    />
-                    <small className="form-hint">
-                      ⚠️ Your private key is used to sign the transaction and is not stored
-                    </small>
+                    <label>Condition Reading (required for cold-chain batches)</label>
+                    <div className="form-grid">
+                      <input
+                        type="number"
+                        step="0.1"
+                        value={reading.minTemperature}
+                        onChange={(e) => setReading({ ...reading, minTemperature: e.target.value })}
+                        placeholder="Lowest °C logged"
+                      />
+                      <input
+                        type="number"
+                        step="0.1"
+                        value={reading.maxTemperature}
+                        onChange={(e) => setReading({ ...reading, maxTemperature: e.target.value })}
+                        placeholder="Highest °C logged"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        value={reading.excursionMinutes}
+                        onChange={(e) => setReading({ ...reading, excursionMinutes: e.target.value })}
+                        placeholder="Minutes out of range"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={reading.humidity}
+                        onChange={(e) => setReading({ ...reading, humidity: e.target.value })}
+                        placeholder="Peak humidity %"
+                      />
+                    </div>
+                    {batchDetails?.batchId === verifyBatchId && batchDetails.coldChain && (
+                      <small className="form-hint">
+                        Policy: {batchDetails.coldChain.policy.minTemperature}–{batchDetails.coldChain.policy.maxTemperature}°C,
+                        up to {batchDetails.coldChain.policy.maxExcursionMinutes} min out of range
+                        {batchDetails.coldChain.policy.maxHumidity && `, humidity ≤ ${batchDetails.coldChain.policy.maxHumidity}%`}
+                      </small>
+                    )}
                   </div>
+                  <div className="form-group">
+                    <label>Unit Count (required for batches with a unit count)</label>
+                    <div className="form-grid">
+                      <input
+                        type="number"
+                        min="0"
+                        value={units.received}
+                        onChange={(e) => setUnits({ ...units, received: e.target.value })}
+                        placeholder="Units received"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        value={units.dispatched}
+                        onChange={(e) => setUnits({ ...units, dispatched: e.target.value })}
+                        placeholder="Units dispatched"
+                      />
+                    </div>
+                    {batchDetails?.batchId === verifyBatchId && batchDetails.quantity && (
+                      <small className="form-hint">
+                        {batchDetails.quantity.units} units registered, {batchDetails.quantity.tolerancePercent}% tolerance
+                      </small>
+                    )}
+                  </div>
+                  <small className="form-hint">
+                    🔏 You will be asked to sign the verification in your wallet. No gas is required.
+                  </small>
                   <div className="button-group">
                     <button onClick={checkBatchStatus} className="secondary-button">
                       <span className="button-icon">🔍</span>
                       Check Status
                     </button>
-                    <button onClick={handleSupplyChainVerify} className="primary-button" disabled={loading || !verifyBatchId || !privateKeyForVerification}>
+                    <button onClick={handleSupplyChainVerify} className="primary-button" disabled={loading || !verifyBatchId || !connected}>
                       <span className="button-icon">✅</span>
                       Verify Transfer
                     </button>
                   </div>
                 </div>
 
+                <div className="package-scan">
+                  <h3>Scan a Case or Pallet</h3>
+                  <div className="form-group">
+                    <label>Package Code (SSCC)</label>
+                    <input
+                      type="text"
+                      value={packageCode}
+                      onChange={(e) => setPackageCode(e.target.value)}
+                      placeholder="Scan or enter a case or pallet code"
+                    />
+                  </div>
+                  <small className="form-hint">
+                    📦 One signature verifies every batch in a sealed package, using the condition reading above.
+                    Open the package before its contents move on separately.
+                  </small>
+                  <div className="button-group">
+                    <button onClick={() => resolvePackage(packageCode)} className="secondary-button" disabled={!packageCode}>
+                      <span className="button-icon">🔍</span>
+                      Look Up
+                    </button>
+                    <button onClick={handlePackageOpen} className="secondary-button" disabled={loading || !packageCode || !connected}>
+                      <span className="button-icon">📭</span>
+                      Open Package
+                    </button>
+                    <button onClick={handlePackageVerify} className="primary-button" disabled={loading || !packageCode || !connected}>
+                      <span className="button-icon">✅</span>
+                      Verify Package
+                    </button>
+                  </div>
+
+                  {resolvedPackage && (
+                    <div className="package-details">
+                      <p>
+                        <strong>{PACKAGE_LEVELS[resolvedPackage.level]?.icon} {PACKAGE_LEVELS[resolvedPackage.level]?.label}:</strong>{' '}
+                        {resolvedPackage.code}{resolvedPackage.serial && ` · ${resolvedPackage.serial}`}
+                        {resolvedPackage.openedAt && ` · 📭 Opened ${new Date(resolvedPackage.openedAt * 1000).toLocaleString()}`}
+                        {resolvedPackage.packedAt && !resolvedPackage.opened && ' · Sealed'}
+                      </p>
+                      {resolvedPackage.parent && (
+                        <p>
+                          <strong>Packed in:</strong>{' '}
+                          <button className="link-button" onClick={() => resolvePackage(resolvedPackage.parent.code)}>
+                            {PACKAGE_LEVELS[resolvedPackage.parent.level]?.label} {resolvedPackage.parent.code}
+                          </button>
+                          {resolvedPackage.parent.opened && ' (opened)'}
+                        </p>
+                      )}
+                      {resolvedPackage.contents && (
+                        <ul className="package-contents">
+                          {resolvedPackage.contents.map(item => (
+                            <li key={item.batchId}>
+                              <button className="link-button" onClick={() => trackLot(item.batchId)}>{item.batchId}</button>
+                              <span className="lot-quantity">{item.units} units</span>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                      {resolvedPackage.children.length > 0 && (
+                        <ul className="package-contents">
+                          {resolvedPackage.children.map(child => (
+                            <li key={`${child.code}:${child.serial || ''}`}>
+                              {PACKAGE_LEVELS[child.level]?.icon}{' '}
+                              {child.level === 'UNIT' ? `${child.code} · ${child.serial}` : (
+                                <button className="link-button" onClick={() => resolvePackage(child.code)}>{child.code}</button>
+                              )}
+                              {child.opened && ' (opened)'}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  )}
+                </div>
+
                 {verificationResult && (
                   <div className="verification-result">
                     <h3>Verification Complete</h3>
                     <div className="result-details">
                       <p><strong>Progress:</strong> {verificationResult.progress}</p>
                       <p><strong>Ready for Customer:</strong> {verificationResult.readyForCustomer ? 'Yes ✅' : 'No ❌'}</p>
+                      {verificationResult.coldChain && (
+                        <p className={verificationResult.coldChain.excursion ? 'excursion-note' : ''}>
+                          <strong>Conditions:</strong> {formatConditions(verificationResult.coldChain)}
+                          {verificationResult.coldChain.excursion && ` · ⚠️ ${verificationResult.coldChain.totalExcursionMinutes} min out of range in total`}
+                        </p>
+                      )}
+                      {verificationResult.units && (
+                        <p className={verificationResult.units.discrepancy ? 'excursion-note' : ''}>
+                          <strong>Units:</strong> {formatUnits(verificationResult.units)}
+                          {verificationResult.units.discrepancy && ' · ⚠️ Discrepancy flagged'}
+                        </p>
+                      )}
                       {verificationResult.transactionHash && (
                         <p>
                           <strong>Transaction:</strong>{' '}
@@ -726,20 +1621,32 @@ function App() {
                         ></div>
                       </div>
                       <p className="progress-text">{batchDetails.supplyChain.progress} Verified</p>
+                      {batchDetails.supplyChain.currentHop < batchDetails.supplyChain.totalHops && (
+                        <p className="progress-text">
+                          Awaiting hop {batchDetails.supplyChain.currentHop + 1} of {batchDetails.supplyChain.totalHops}
+                        </p>
+                      )}
                     </div>
                     <div className="participants-list">
                       {batchDetails.supplyChain.participants.map((p, i) => (
-                        <div key={i} className={`participant-card ${p.hasVerified ? 'verified' : ''}`}>
+                        <div key={i} className={`participant-card ${p.hasVerified ? 'verified' : ''} ${p.conditions?.excursion ? 'excursion' : ''}`}>
                           <div className="participant-header">
                             <span className="role-badge" style={{ backgroundColor: SUPPLY_CHAIN_ROLES[p.role]?.color }}>
                               {SUPPLY_CHAIN_ROLES[p.role]?.icon} {SUPPLY_CHAIN_ROLES[p.role]?.label}
                             </span>
                             {p.hasVerified && <span className="verified-badge">✅ Verified</span>}
+                            {p.expected && <span className="expected-badge">⏭ Expected next</span>}
                           </div>
                           <p className="participant-address">{p.address}</p>
                           {p.hasVerified && p.verifiedAt > 0 && (
                             <div className="verification-info">
                               <p><strong>Time:</strong> {new Date(p.verifiedAt * 1000).toLocaleString()}</p>
+                              {p.conditions && (
+                                <p className={p.conditions.excursion ? 'excursion-note' : ''}>
+                                  <strong>Conditions:</strong> {formatConditions(p.conditions)}
+                                  {p.conditions.excursion && ' · ⚠️ Excursion'}
+                                </p>
+                              )}
                             </div>
                           )}
                         </div>
@@ -765,27 +1672,81 @@ function App() {
                     />
                   </div>
                   <div className="form-group">
-                    <label>Your Private Key (Required for Claiming)</label>
+                    <label>Pack Serial Number (if printed on the pack)</label>
                     <input
-                      type="password"
-                      value={privateKeyForClaim}
-                      onChange={(e) => setPrivateKeyForClaim(e.target.value)}
-                      placeholder="Enter your private key (will not be stored)"
+                      type="text"
+                      value={claimSerial}
+                      onChange={(e) => setClaimSerial(e.target.value)}
+                      placeholder="e.g., SN-0001"
                     />
-                    <small className="form-hint">
-                      ⚠️ Your private key is used to claim rewards and is not stored
-                    </small>
                   </div>
-                  <button onClick={handleCustomerClaim} className="claim-button" disabled={loading || !claimBatchId || !privateKeyForClaim}>
-                    {loading ? (
-                      <span className="loading-spinner">⟳</span>
-                    ) : (
-                      <>
-                        <span className="button-icon">🎁</span>
-                        Claim Reward
-                      </>
-                    )}
-                  </button>
+                  <div className="form-group">
+                    <label>Claim Code (scratch off the panel on the pack)</label>
+                    <input
+                      type="text"
+                      value={claimCode}
+                      onChange={(e) => setClaimCode(e.target.value)}
+                      placeholder="XXXX-XXXX-XXXX"
+                      autoComplete="off"
+                    />
+                  </div>
+                  <ol className="claim-steps">
+                    <li className={pendingClaim ? 'done' : 'current'}>
+                      Lock in your claim. Your code stays hidden, so nobody watching the blockchain can copy it.
+                    </li>
+                    <li className={pendingClaim ? 'current' : ''}>
+                      Reveal your code. The reward can only go to the wallet that locked it in.
+                    </li>
+                  </ol>
+                  <small className="form-hint">
+                    No gas is required for either step.
+                  </small>
+                  {claimLimits?.identityRequired && !claimLimits.identityVerified && (
+                    <p className="claim-limit-warning">
+                      🪪 This manufacturer only rewards customers with a verified identity. Verify your identity before claiming.
+                    </p>
+                  )}
+                  {claimLimits?.availableAt && (
+                    <p className="claim-limit-warning">
+                      ⏳ You have claimed recently. You can claim again after {new Date(claimLimits.availableAt * 1000).toLocaleString()}.
+                    </p>
+                  )}
+                  {pendingClaim ? (
+                    <>
+                      <p className="form-hint">
+                        Pending claim for batch <strong>{pendingClaim.batchId}</strong>
+                        {pendingClaim.serial && <> · pack <strong>{pendingClaim.serial}</strong></>}
+                      </p>
+                      <button onClick={handleClaimReveal} className="claim-button" disabled={loading}>
+                        {loading ? (
+                          <span className="loading-spinner">⟳</span>
+                        ) : (
+                          <>
+                            <span className="button-icon">🎁</span>
+                            Step 2: Reveal &amp; Claim Reward
+                          </>
+                        )}
+                      </button>
+                      <button onClick={() => savePendingClaim(null)} className="secondary-button" disabled={loading}>
+                        Start over
+                      </button>
+                    </>
+                  ) : (
+                    <button
+                      onClick={handleClaimCommit}
+                      className="claim-button"
+                      disabled={loading || !claimBatchId || !claimCode || !connected}
+                    >
+                      {loading ? (
+                        <span className="loading-spinner">⟳</span>
+                      ) : (
+                        <>
+                          <span className="button-icon">🔒</span>
+                          Step 1: Lock In Claim
+                        </>
+                      )}
+                    </button>
+                  )}
                 </div>
 
                 {claimResult && (
@@ -831,36 +1792,144 @@ function App() {
                 {batchDetails && (
                   <div className="tracking-timeline">
                     <h3>Supply Chain Journey</h3>
+                    {batchDetails.status && (
+                      <div className="batch-status">
+                        <span
+                          className="status-badge"
+                          style={{ backgroundColor: BATCH_STATUSES[batchDetails.status]?.color }}
+                        >
+                          {BATCH_STATUSES[batchDetails.status]?.icon} {BATCH_STATUSES[batchDetails.status]?.label}
+                        </span>
+                        {batchDetails.status === 'RECALLED' && (
+                          <div className="recall-alert">
+                            <strong>⚠️ This batch has been recalled.</strong> Do not use this medicine.
+                            <p>Reason: {batchDetails.recallReason}</p>
+                          </div>
+                        )}
+                        {batchDetails.status === 'COMPROMISED' && (
+                          <div className="recall-alert">
+                            <strong>🌡️ Storage conditions were breached.</strong> This batch is compromised and cannot be claimed.
+                            <p>{batchDetails.coldChain?.excursionMinutes} minutes out of range across the supply chain.</p>
+                          </div>
+                        )}
+                        {batchDetails.status === 'ON_HOLD' && batchDetails.statusReason && (
+                          <p className="status-reason">Hold reason: {batchDetails.statusReason}</p>
+                        )}
+                      </div>
+                    )}
                     <div className="batch-info">
-                      <p><strong>Drug:</strong> {batchDetails.drugName}</p>
-                      <p><strong>Ingredients:</strong> {batchDetails.ingredients}</p>
+                      <p>
+                        <strong>Manufacturer:</strong> {batchDetails.manufacturerProfile.legalName || batchDetails.manufacturer}
+                        {' '}
+                        {batchDetails.manufacturerProfile.verified ? (
+                          <span className="verified-badge" title={`License ${batchDetails.manufacturerProfile.licenseNumber} (${batchDetails.manufacturerProfile.jurisdiction})`}>
+                            ✔ Verified manufacturer
+                          </span>
+                        ) : (
+                          <span className="unverified-badge">
+                            {MANUFACTURER_STATUSES[batchDetails.manufacturerProfile.status]}
+                          </span>
+                        )}
+                      </p>
+                      <p><strong>Drug:</strong> {batchDetails.product.name} {batchDetails.product.strength}</p>
+                      <p><strong>Dosage Form:</strong> {batchDetails.product.dosageForm}</p>
+                      <p><strong>GTIN/NDC:</strong> {batchDetails.product.gtin}</p>
+                      <p><strong>Ingredients:</strong> {batchDetails.product.ingredients}</p>
                       <p><strong>Expiry:</strong> {new Date(batchDetails.expiryDate * 1000).toLocaleDateString()}</p>
                       <p><strong>Registered:</strong> {new Date(batchDetails.registeredAt * 1000).toLocaleString()}</p>
+                      {batchDetails.reward && (
+                        <p>
+                          <strong>Rewards:</strong> {formatRewardTerms(batchDetails.reward)}
+                          {!batchDetails.reward.available && <span className="pool-warning"> · ⚠️ Pool empty, claims wait for a top-up</span>}
+                        </p>
+                      )}
+                      {batchDetails.serials && (
+                        <p><strong>Packs claimed:</strong> {batchDetails.serials.claimed}/{batchDetails.serials.count}</p>
+                      )}
+                      {batchDetails.quantity && (
+                        <p>
+                          <strong>Units:</strong> {batchDetails.quantity.units} registered
+                          {batchDetails.quantity.totalLoss !== null && `, ${batchDetails.quantity.finalDispatched} delivered (${batchDetails.quantity.totalLoss} missing)`}
+                          {batchDetails.quantity.discrepancies > 0 && ` · ⚠️ ${batchDetails.quantity.discrepancies} discrepancies`}
+                        </p>
+                      )}
+                      {batchDetails.lots.parentBatchId && (
+                        <p><strong>Split from:</strong> {batchDetails.lots.parentBatchId} ({batchDetails.lots.quantity} units)</p>
+                      )}
+                      {batchDetails.coldChain && (
+                        <p>
+                          <strong>Storage:</strong> {batchDetails.coldChain.policy.minTemperature}–{batchDetails.coldChain.policy.maxTemperature}°C
+                          {' '}({batchDetails.coldChain.excursionMinutes}/{batchDetails.coldChain.policy.maxExcursionMinutes} min out of range used)
+                        </p>
+                      )}
                     </div>
+                    {batchDetails.lots.tree.children.length > 0 && (
+                      <div className="lot-tree">
+                        <h4>Custody Tree</h4>
+                        {batchDetails.lots.blockedBy && (
+                          <p className="excursion-note">
+                            ⚠️ Parent lot {batchDetails.lots.blockedBy.batchId} is {BATCH_STATUSES[batchDetails.lots.blockedBy.status]?.label.toLowerCase()}; this lot cannot be claimed.
+                          </p>
+                        )}
+                        <ul>{renderLot(batchDetails.lots.tree)}</ul>
+                      </div>
+                    )}
                     <div className="timeline">
                       <div className="timeline-item">
                         <div className="timeline-marker completed">📝</div>
                         <div className="timeline-content">
                           <h4>Registered</h4>
-                          <p>By: {batchDetails.manufacturer}</p>
+                          <p>By: {batchDetails.manufacturerProfile.legalName || batchDetails.manufacturer}</p>
                           <p>{new Date(batchDetails.registeredAt * 1000).toLocaleString()}</p>
                         </div>
                       </div>
-                      {batchDetails.supplyChain.participants.map((p, i) => (
-                        <div key={i} className="timeline-item">
+                      {journeyEntries(batchDetails.supplyChain).map(({ participant: p, amendment: a }, i) => a ? (
+                        <div key={i} className="timeline-item amendment">
+                          <div className="timeline-marker">{AMENDMENT_ACTIONS[a.action]?.icon}</div>
+                          <div className="timeline-content">
+                            <h4>{AMENDMENT_ACTIONS[a.action]?.label} · Hop {a.hop + 1}</h4>
+                            <p>{describeAmendment(a)}</p>
+                            <p>Reason: {a.reason}</p>
+                            <p>{new Date(a.amendedAt * 1000).toLocaleString()} by {shortAddress(a.amendedBy)}</p>
+                          </div>
+                        </div>
+                      ) : (
+                        <div key={i} className={`timeline-item ${p.conditions?.excursion ? 'excursion' : ''}`}>
                           <div className={`timeline-marker ${p.hasVerified ? 'completed' : 'pending'}`}>
                             {SUPPLY_CHAIN_ROLES[p.role]?.icon}
                           </div>
                           <div className="timeline-content">
-                            <h4>{SUPPLY_CHAIN_ROLES[p.role]?.label}</h4>
+                            <h4>{SUPPLY_CHAIN_ROLES[p.role]?.label} · Hop {p.hop + 1}</h4>
                             {p.hasVerified ? (
                               <>
-                                <p>✅ Verified</p>
+                                <p>✅ Verified{p.verifiedBy && ` by delegate ${shortAddress(p.verifiedBy)}`}</p>
                                 <p>{new Date(p.verifiedAt * 1000).toLocaleString()}</p>
+                                {p.conditions && <p>{formatConditions(p.conditions)}</p>}
+                                {p.units && (
+                                  <p className={p.units.discrepancy ? 'excursion-note' : ''}>
+                                    {formatUnits(p.units)}{p.units.discrepancy && ' · ⚠️ Discrepancy'}
+                                  </p>
+                                )}
+                                {p.conditions?.excursion && (
+                                  <p className="excursion-note">
+                                    ⚠️ {p.conditions.temperatureExcursion ? `Temperature excursion, ${p.conditions.excursionMinutes} min` : ''}
+                                    {p.conditions.temperatureExcursion && p.conditions.humidityExcursion ? ' · ' : ''}
+                                    {p.conditions.humidityExcursion ? 'Humidity above limit' : ''}
+                                  </p>
+                                )}
                               </>
+                            ) : p.expected ? (
+                              <p>⏭ Expected next</p>
                             ) : (
                               <p>⏳ Pending verification</p>
                             )}
+                            {batchDetails.disputes
+                              .filter(d => d.participant === p.address && d.outcome?.invalidate)
+                              .map(d => (
+                                <p key={d.disputeId} className="excursion-note">
+                                  🚩 Earlier verification invalidated by dispute #{d.disputeId}
+                                </p>
+                              ))}
                           </div>
                         </div>
                       ))}
@@ -877,12 +1946,81 @@ function App() {
                             </>
                           ) : batchDetails.supplyChain.readyForCustomer ? (
                             <p>✅ Ready for customer claim</p>
+                          ) : batchDetails.lots.childBatchIds.length > 0 ? (
+                            <p>🔀 Split into {batchDetails.lots.childBatchIds.length} lots; packs are claimed on their lot</p>
                           ) : (
                             <p>⏳ Awaiting supply chain completion</p>
                           )}
                         </div>
                       </div>
                     </div>
+                    <div className="disputes-section">
+                      <h4>Disputes</h4>
+                      {batchDetails.disputes.length === 0 ? (
+                        <p className="dispute-empty">No problems reported for this batch</p>
+                      ) : (
+                        <ul className="dispute-list">
+                          {batchDetails.disputes.map(d => (
+                            <li key={d.disputeId} className={`dispute-item ${d.status.toLowerCase()}`}>
+                              <strong>
+                                {DISPUTE_STATUSES[d.status]?.icon} #{d.disputeId} · {DISPUTE_STATUSES[d.status]?.label}
+                              </strong>
+                              <p>
+                                {d.participant ? `Against ${shortAddress(d.participant)}` : 'Against the batch'}: {d.reason}
+                              </p>
+                              <p>
+                                {d.evidence.length} evidence {d.evidence.length === 1 ? 'hash' : 'hashes'} · reported {new Date(d.openedAt * 1000).toLocaleString()} by {shortAddress(d.reporter)}
+                              </p>
+                              {d.resolution && (
+                                <p>
+                                  Ruling: {d.resolution}
+                                  {d.outcome && ` (${describeOutcome(d.outcome)})`}
+                                </p>
+                              )}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                      <div className="dispute-form">
+                        <div className="form-group">
+                          <label>Report a Problem</label>
+                          <select
+                            value={disputeReport.participant}
+                            onChange={(e) => setDisputeReport({ ...disputeReport, participant: e.target.value })}
+                          >
+                            <option value="">Counterfeit or damaged pack (whole batch)</option>
+                            {batchDetails.supplyChain.participants.filter(p => p.hasVerified).map(p => (
+                              <option key={p.address} value={p.address}>
+                                False verification by {SUPPLY_CHAIN_ROLES[p.role]?.label} · Hop {p.hop + 1}
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                        <div className="form-group">
+                          <input
+                            type="text"
+                            value={disputeReport.reason}
+                            onChange={(e) => setDisputeReport({ ...disputeReport, reason: e.target.value })}
+                            placeholder="What is wrong?"
+                          />
+                        </div>
+                        <div className="form-group">
+                          <textarea
+                            value={disputeReport.evidence}
+                            onChange={(e) => setDisputeReport({ ...disputeReport, evidence: e.target.value })}
+                            placeholder="Evidence, one per line: photo or lab report links, document hashes"
+                            rows={3}
+                          />
+                        </div>
+                        <button
+                          onClick={handleDisputeReport}
+                          className="secondary-button"
+                          disabled={loading || !disputeReport.reason.trim() || !disputeReport.evidence.trim()}
+                        >
+                          🚩 Submit Report
+                        </button>
+                      </div>
+                    </div>
                     {batchDetails.explorer && (
                       <div className="explorer-link">
                         <a href={batchDetails.explorer} target="_blank" rel="noopener noreferrer" className="primary-button">
@@ -894,6 +2032,98 @@ function App() {
                 )}
               </div>
             )}
+
+            {/* Delegates Tab */}
+            {activeTab === 'delegates' && (
+              <div className="delegates-panel">
+                <h2 className="panel-title">Delegated Signers</h2>
+                {!connected ? (
+                  <p className="form-hint">Connect the wallet registered as a supply chain participant to manage its delegates, or a delegate's wallet to answer invitations.</p>
+                ) : (
+                  <>
+                    <small className="form-hint">
+                      👥 Delegates verify batches on your organization's behalf, so staff never share its key.
+                      Each verification records which delegate performed it. Invited delegates verify only once they accept.
+                      Changes are signed in your wallet; no gas is required.
+                    </small>
+                    {delegateInfo?.delegateOf && (
+                      <div className="participant-row">
+                        <p className="form-hint">
+                          This wallet is itself a delegate of {shortAddress(delegateInfo.delegateOf)} and verifies on its behalf.
+                        </p>
+                        <button
+                          onClick={() => handleDelegateConsent(delegateInfo.delegateOf, false)}
+                          className="secondary-button"
+                          title="Resign as delegate"
+                          disabled={loading}
+                        >
+                          Resign
+                        </button>
+                      </div>
+                    )}
+                    {delegateInfo?.invitedBy?.length > 0 && (
+                      <div className="participants-section">
+                        <h3>Pending Invitations</h3>
+                        <ul className="delegate-list">
+                          {delegateInfo.invitedBy.map(organization => (
+                            <li key={organization} className="participant-row">
+                              <span className="delegate-address">{organization}</span>
+                              <button
+                                onClick={() => handleDelegateConsent(organization, true)}
+                                className="primary-button"
+                                title={delegateInfo.delegateOf ? 'Resign from your current organization first' : 'Accept invitation'}
+                                disabled={loading || Boolean(delegateInfo.delegateOf)}
+                              >
+                                Accept
+                              </button>
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+                    <div className="participants-section">
+                      <h3>Active Delegates</h3>
+                      {delegateInfo?.delegates.length ? (
+                        <ul className="delegate-list">
+                          {delegateInfo.delegates.map(delegate => (
+                            <li key={delegate} className="participant-row">
+                              <span className="delegate-address">{delegate}</span>
+                              <button
+                                onClick={() => handleDelegateUpdate(delegate, false)}
+                                className="remove-button"
+                                title="Revoke delegate"
+                                disabled={loading}
+                              >
+                                ✕
+                              </button>
+                            </li>
+                          ))}
+                        </ul>
+                      ) : (
+                        <p className="form-hint">No delegates yet.</p>
+                      )}
+                      <div className="participant-row">
+                        <input
+                          type="text"
+                          value={newDelegate}
+                          onChange={(e) => setNewDelegate(e.target.value)}
+                          placeholder="Delegate address (0x...)"
+                          className="address-input"
+                        />
+                        <button
+                          onClick={() => handleDelegateUpdate(newDelegate, true)}
+                          className="primary-button"
+                          disabled={loading || !/^0x[0-9a-fA-F]{40}$/.test(newDelegate)}
+                        >
+                          <span className="button-icon">✉️</span>
+                          Invite Delegate
+                        </button>
+                      </div>
+                    </div>
+                  </>
+                )}
+              </div>
+            )}
           </div>
         </div>
       </main>
@@ -11,6 +11,14 @@ module.exports = {
       optimizer: {
         enabled: true,
         runs: 200
+      },
+      // The IR pipeline keeps MedicineRegistry under the 24KB contract size limit
+      viaIR: true,
+      // Storage layouts let scripts/check-storage-layout.js vet registry upgrades
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"]
+        }
       }
     }
   },
@@ -8,6 +8,57 @@ const WebSocket = require('ws');
 const QRCode = require('qrcode');
 const path = require('path');
 require('dotenv').config();
+const {
+  VERIFICATION_TYPES,
+  CLAIM_TYPES,
+  CHANNEL_STATE_TYPES,
+  PACKAGE_VERIFICATION_TYPES,
+  PACKAGE_OPENING_TYPES,
+  DELEGATE_UPDATE_TYPES,
+  DELEGATE_CONSENT_TYPES,
+  DELEGATED_VERIFICATION_TYPES,
+  DISPUTE_REPORT_TYPES,
+  getRegistryDomain,
+  getPackagingDomain,
+  getDelegateDomain,
+  getDisputeDomain,
+  getChannelDomain,
+  buildTypedData,
+  recoverTypedDataSigner,
+  hashChannelBatches,
+  buildSerialMerkleTree,
+  getSerialProof,
+  generateClaimCode,
+  normalizeClaimCode,
+  hashClaimCode,
+  hashClaimCommitment
+} = require('./utils/crypto');
+const { createChannelStore } = require('./utils/channelStore');
+const { createSerialStore } = require('./utils/serialStore');
+const {
+  EMPTY_READING,
+  toColdChainPolicy,
+  toConditionReading,
+  fromColdChainPolicy,
+  describeReading
+} = require('./utils/coldChain');
+const {
+  toQuantityPolicy,
+  toUnitReading,
+  fromQuantityPolicy,
+  describeUnitCount,
+  reconcileBatch
+} = require('./utils/quantities');
+const {
+  PACKAGE_LEVELS,
+  generateSscc,
+  isValidSscc,
+  toCaseContents,
+  fromPackage
+} = require('./utils/packaging');
+const { fromAmendmentEvent } = require('./utils/amendments');
+const { toDisputeReport, fromDispute } = require('./utils/disputes');
+const { GOVERNANCE_TIMELOCK_ABI, listOperations } = require('./utils/governance');
 
 // ==================== PRODUCTION CONFIGURATION ====================
 const PORT = process.env.PORT || 5000;
@@ -22,15 +73,45 @@ if (!PRIVATE_KEY) {
 
 const CLEARNODE_URL = process.env.CLEARNODE_URL || 'wss://clearnet.yellow.com/ws';
 
-// Production blockchain configuration
+// How long a participant or customer signature stays valid for relaying
+const SIGNATURE_TTL_SECONDS = parseInt(process.env.SIGNATURE_TTL_SECONDS || '900', 10);
+
+// Claim commitments the backend pays gas for, per client IP and per customer address in a rolling window
+const CLAIM_COMMIT_LIMIT = parseInt(process.env.CLAIM_COMMIT_LIMIT || '5', 10);
+const CLAIM_COMMIT_WINDOW_SECONDS = parseInt(process.env.CLAIM_COMMIT_WINDOW_SECONDS || '3600', 10);
+
+// Channel settlement tuning
+const CHANNEL_BATCH_LIMIT = 10;
+const MAX_SETTLEMENT_RETRIES = parseInt(process.env.MAX_SETTLEMENT_RETRIES || '3', 10);
+
+// Where open channels and settlement results survive restarts ('file' or 'memory')
+const CHANNEL_STORE = process.env.CHANNEL_STORE || 'file';
+const CHANNEL_STORE_PATH = process.env.CHANNEL_STORE_PATH;
+const SERIAL_STORE_PATH = process.env.SERIAL_STORE_PATH;
+
+// GS1 company prefix for the SSCCs generated for cases and pallets
+const GS1_COMPANY_PREFIX = process.env.GS1_COMPANY_PREFIX || '0614141';
+
+// Production blockchain configuration. fromBlock is the block the contracts were deployed in,
+// recorded by scripts/deploy.js; event lookups start there rather than at genesis.
 const CHAINS = {
   polygon: {
     name: 'Polygon Mainnet',
     rpc: process.env.POLYGON_RPC || 'https://polygon-rpc.com',
     chainId: 137,
+    fromBlock: Number(process.env.POLYGON_FROM_BLOCK || 0),
     contracts: {
       token: process.env.POLYGON_TOKEN || '0x0000000000000000000000000000000000000000',
-      registry: process.env.POLYGON_REGISTRY || '0x0000000000000000000000000000000000000000'
+      registry: process.env.POLYGON_REGISTRY || '0x0000000000000000000000000000000000000000',
+      packaging: process.env.POLYGON_PACKAGING || '0x0000000000000000000000000000000000000000',
+      channels: process.env.POLYGON_CHANNELS || '0x0000000000000000000000000000000000000000',
+      delegates: process.env.POLYGON_DELEGATES || '0x0000000000000000000000000000000000000000',
+      disputes: process.env.POLYGON_DISPUTES || '0x0000000000000000000000000000000000000000',
+      staking: process.env.POLYGON_STAKING || '0x0000000000000000000000000000000000000000',
+      rewards: process.env.POLYGON_REWARDS || '0x0000000000000000000000000000000000000000',
+      pause: process.env.POLYGON_PAUSE || '0x0000000000000000000000000000000000000000',
+      lens: process.env.POLYGON_LENS || '0x0000000000000000000000000000000000000000',
+      timelock: process.env.POLYGON_TIMELOCK || '0x0000000000000000000000000000000000000000'
     },
     explorer: 'https://polygonscan.com'
   },
@@ -38,9 +119,19 @@ const CHAINS = {
     name: 'Polygon Amoy Testnet',
     rpc: process.env.POLYGON_AMOY_RPC || 'https://rpc-amoy.polygon.technology',
     chainId: 80002,
+    fromBlock: Number(process.env.POLYGON_AMOY_FROM_BLOCK || 0),
     contracts: {
       token: process.env.POLYGON_AMOY_TOKEN || '0x0000000000000000000000000000000000000000',
-      registry: process.env.POLYGON_AMOY_REGISTRY || '0x0000000000000000000000000000000000000000'
+      registry: process.env.POLYGON_AMOY_REGISTRY || '0x0000000000000000000000000000000000000000',
+      packaging: process.env.POLYGON_AMOY_PACKAGING || '0x0000000000000000000000000000000000000000',
+      channels: process.env.POLYGON_AMOY_CHANNELS || '0x0000000000000000000000000000000000000000',
+      delegates: process.env.POLYGON_AMOY_DELEGATES || '0x0000000000000000000000000000000000000000',
+      disputes: process.env.POLYGON_AMOY_DISPUTES || '0x0000000000000000000000000000000000000000',
+      staking: process.env.POLYGON_AMOY_STAKING || '0x0000000000000000000000000000000000000000',
+      rewards: process.env.POLYGON_AMOY_REWARDS || '0x0000000000000000000000000000000000000000',
+      pause: process.env.POLYGON_AMOY_PAUSE || '0x0000000000000000000000000000000000000000',
+      lens: process.env.POLYGON_AMOY_LENS || '0x0000000000000000000000000000000000000000',
+      timelock: process.env.POLYGON_AMOY_TIMELOCK || '0x0000000000000000000000000000000000000000'
     },
     explorer: 'https://amoy.polygonscan.com'
   },
@@ -48,9 +139,19 @@ const CHAINS = {
     name: 'Base Mainnet',
     rpc: process.env.BASE_RPC || 'https://mainnet.base.org',
     chainId: 8453,
+    fromBlock: Number(process.env.BASE_FROM_BLOCK || 0),
     contracts: {
       token: process.env.BASE_TOKEN || '0x0000000000000000000000000000000000000000',
-      registry: process.env.BASE_REGISTRY || '0x0000000000000000000000000000000000000000'
+      registry: process.env.BASE_REGISTRY || '0x0000000000000000000000000000000000000000',
+      packaging: process.env.BASE_PACKAGING || '0x0000000000000000000000000000000000000000',
+      channels: process.env.BASE_CHANNELS || '0x0000000000000000000000000000000000000000',
+      delegates: process.env.BASE_DELEGATES || '0x0000000000000000000000000000000000000000',
+      disputes: process.env.BASE_DISPUTES || '0x0000000000000000000000000000000000000000',
+      staking: process.env.BASE_STAKING || '0x0000000000000000000000000000000000000000',
+      rewards: process.env.BASE_REWARDS || '0x0000000000000000000000000000000000000000',
+      pause: process.env.BASE_PAUSE || '0x0000000000000000000000000000000000000000',
+      lens: process.env.BASE_LENS || '0x0000000000000000000000000000000000000000',
+      timelock: process.env.BASE_TIMELOCK || '0x0000000000000000000000000000000000000000'
     },
     explorer: 'https://basescan.org'
   },
@@ -58,9 +159,19 @@ const CHAINS = {
     name: 'Base Sepolia Testnet',
     rpc: process.env.BASE_SEPOLIA_RPC || 'https://sepolia.base.org',
     chainId: 84532,
+    fromBlock: Number(process.env.BASE_SEPOLIA_FROM_BLOCK || 0),
     contracts: {
       token: process.env.BASE_SEPOLIA_TOKEN || '0x0000000000000000000000000000000000000000',
-      registry: process.env.BASE_SEPOLIA_REGISTRY || '0x0000000000000000000000000000000000000000'
+      registry: process.env.BASE_SEPOLIA_REGISTRY || '0x0000000000000000000000000000000000000000',
+      packaging: process.env.BASE_SEPOLIA_PACKAGING || '0x0000000000000000000000000000000000000000',
+      channels: process.env.BASE_SEPOLIA_CHANNELS || '0x0000000000000000000000000000000000000000',
+      delegates: process.env.BASE_SEPOLIA_DELEGATES || '0x0000000000000000000000000000000000000000',
+      disputes: process.env.BASE_SEPOLIA_DISPUTES || '0x0000000000000000000000000000000000000000',
+      staking: process.env.BASE_SEPOLIA_STAKING || '0x0000000000000000000000000000000000000000',
+      rewards: process.env.BASE_SEPOLIA_REWARDS || '0x0000000000000000000000000000000000000000',
+      pause: process.env.BASE_SEPOLIA_PAUSE || '0x0000000000000000000000000000000000000000',
+      lens: process.env.BASE_SEPOLIA_LENS || '0x0000000000000000000000000000000000000000',
+      timelock: process.env.BASE_SEPOLIA_TIMELOCK || '0x0000000000000000000000000000000000000000'
     },
     explorer: 'https://sepolia.basescan.org'
   }
@@ -76,20 +187,196 @@ const SupplyChainRoles = {
   RETAILER: 5
 };
 
+// Batch lifecycle statuses (mirrors MedicineRegistry.BatchStatus)
+const BatchStatuses = ['ACTIVE', 'ON_HOLD', 'RECALLED', 'EXPIRED', 'COMPLETED', 'COMPROMISED'];
+
+// Manufacturer onboarding statuses (mirrors ManufacturerRegistry.ManufacturerStatus)
+const ManufacturerStatuses = ['NONE', 'PENDING', 'APPROVED', 'SUSPENDED', 'REVOKED'];
+
+// Operations guardians can stop (mirrors EmergencyPause.Operation); ALL stops every other one
+const PauseOperations = ['ALL', 'REGISTRATION', 'VERIFICATION', 'CLAIMS', 'MINTING'];
+const PAUSED_MESSAGES = {
+  REGISTRATION: 'Batch registration is paused on this chain',
+  VERIFICATION: 'Supply chain verification is paused on this chain',
+  CLAIMS: 'Reward claims are paused on this chain',
+  MINTING: 'MEDI minting is paused on this chain, so this reward cannot be paid'
+};
+
+// Contract names for the configured addresses, describing the calls queued in the timelock
+const CONTRACT_NAMES = {
+  token: 'MediToken',
+  registry: 'MedicineRegistry',
+  packaging: 'PackagingRegistry',
+  channels: 'ChannelSettlement',
+  delegates: 'DelegateRegistry',
+  disputes: 'DisputeRegistry',
+  staking: 'StakingRegistry',
+  rewards: 'RewardPolicy',
+  pause: 'EmergencyPause',
+  lens: 'RegistryLens',
+  timelock: 'GovernanceTimelock'
+};
+
 // Contract ABIs
 const REGISTRY_ABI = [
-  "function registerBatchWithSupplyChain(string _batchId, string _drugName, string _ingredients, uint256 _expiryDate, address[] _participants, uint8[] _roles, bytes32 _channelId)",
-  "function verifySupplyChainTransfer(string _batchId, string _location, string _additionalData)",
-  "function claimCustomerReward(string _batchId)",
+  "function registerBatchWithSupplyChain(string _batchId, bytes32 _productId, uint256 _expiryDate, address[] _participants, uint8[] _roles, uint256[] _hops, bytes32 _channelId)",
+  "function verifySupplyChainTransfer(string _batchId, string _location, string _additionalData, tuple(int32 minTemperature, int32 maxTemperature, uint32 excursionMinutes, uint32 humidity, uint32 unitsReceived, uint32 unitsDispatched) _reading)",
+  "function claimCustomerReward(string _batchId, string _serial, bytes32[] _proof)",
+  "function verifyBatchAsParticipant(string _batchId, address _participant, string _location, string _data, tuple(int32 minTemperature, int32 maxTemperature, uint32 excursionMinutes, uint32 humidity, uint32 unitsReceived, uint32 unitsDispatched) _reading, uint256 _deadline, bytes _signature)",
+  "function setColdChainPolicy(string _batchId, tuple(int32 minTemperature, int32 maxTemperature, uint32 maxExcursionMinutes, uint32 maxHumidity, bool enabled) _policy)",
+  "function getColdChainStatus(string _batchId) view returns (tuple(int32 minTemperature, int32 maxTemperature, uint32 maxExcursionMinutes, uint32 maxHumidity, bool enabled) policy, uint256 excursionMinutes)",
+  "function setBatchQuantity(string _batchId, uint256 _units, uint256 _toleranceBps)",
+  "function claimCustomerRewardWithSignature(string _batchId, string _serial, bytes32[] _proof, address _customer, uint256 _deadline, bytes _signature)",
+  "function registerSerialRoot(string _batchId, bytes32 _serialRoot, uint256 _serialCount)",
+  "function getSerialInfo(string _batchId) view returns (bytes32 serialRoot, uint256 serialCount, uint256 claimedSerials)",
+  "function getSerialClaimant(string _batchId, string _serial) view returns (address)",
+  "function commitClaim(bytes32 _commitment)",
+  "function revealClaim(string _batchId, string _serial, bytes32[] _proof, string _claimCode, address _customer)",
+  "function claimCommitments(bytes32) view returns (uint256)",
+  "function nonces(address owner) view returns (uint256)",
   "function isBatchReadyForCustomer(string _batchId) view returns (bool)",
   "function getBatchSupplyChainStatus(string _batchId) view returns (uint256, uint256, bool, address)",
-  "function getParticipantDetails(string _batchId, address _participant) view returns (uint8, bool, uint256, string, string)",
+  "function getParticipantDetails(string _batchId, address _participant) view returns (uint8 role, bool hasVerified, uint256 verifiedAt, uint256 hop, uint256 position)",
+  "function getCurrentHop(string _batchId) view returns (uint256 hop, uint256 totalHops, address[] pendingParticipants)",
+  "function getBatchLifecycle(string _batchId) view returns (uint8 status, string reason, uint256 updatedAt)",
   "function getBatchParticipants(string _batchId) view returns (address[])",
+  "function getSupplyChainParticipants(string _batchId) view returns (address[] participants, uint8[] roles, uint256[] hops, bool[] verified, uint256[] verifiedAt)",
+  "function canVerifyBatch(string _batchId, address _participant) view returns (bool canVerify, bool alreadyVerified)",
+  "function getVerificationHistory(string _batchId) view returns (address[] verifiers, uint256[] hops, uint256[] timestamps)",
+  "function MAX_PARTICIPANTS() view returns (uint256)",
+  "function splitBatch(string _batchId, string _lotId, uint256 _quantity, address[] _participants, uint8[] _roles, uint256[] _hops)",
+  "function getBatchLineage(string _batchId) view returns (string parentBatchId, string[] childBatchIds, uint256 quantity)",
   "function isParticipant(string _batchId, address _address) view returns (bool)",
-  "function getBatch(string _batchId) view returns (address, string, string, uint256, uint256, bool)",
+  "function getBatch(string _batchId) view returns (address manufacturer, bytes32 productId, uint256 expiryDate, uint256 registeredAt, bool rewardClaimed)",
+  "function productCatalog() view returns (address)",
+  "function manufacturerRegistry() view returns (address)",
+  "function quantityLedger() view returns (address)",
   "event BatchRegistered(string indexed batchId, address indexed manufacturer, bytes32 indexed channelId, uint256 timestamp, uint256 participantCount)",
-  "event SupplyChainVerification(string indexed batchId, address indexed verifier, uint8 role, uint256 timestamp, string location)",
-  "event CustomerRewardClaimed(string indexed batchId, address indexed customer, uint256 reward, uint256 timestamp)"
+  "event SupplyChainVerification(string indexed batchId, address indexed verifier, uint8 role, uint256 hop, uint256 timestamp, string location, string additionalData)",
+  "event HopCompleted(string indexed batchId, uint256 hop, uint256 timestamp)",
+  "event BatchStatusChanged(string indexed batchId, uint8 previousStatus, uint8 newStatus, string reason, address indexed changedBy, uint256 timestamp)",
+  "event CustomerRewardClaimed(string indexed batchId, address indexed customer, string serial, uint256 reward, uint256 timestamp)",
+  "event SerialRootRegistered(string indexed batchId, bytes32 serialRoot, uint256 serialCount)",
+  "event ColdChainExcursion(string indexed batchId, address indexed participant, uint256 hop, uint256 totalExcursionMinutes, bool compromised)",
+  "event ClaimCommitted(bytes32 indexed commitment, uint256 blockNumber)",
+  "event BatchSplit(string indexed parentBatchId, string childBatchId, address indexed splitBy, uint256 quantity)",
+  "event SupplyChainAmended(string indexed batchId, uint8 action, address indexed participant, address replacement, uint8 role, uint256 hop, string reason, address indexed amendedBy)"
+];
+
+const CATALOG_ABI = [
+  "function registerProduct(string _gtin, string _name, string _strength, string _dosageForm, string _ingredients) returns (bytes32 productId)",
+  "function getProduct(bytes32 _productId) view returns (tuple(string gtin, string name, string strength, string dosageForm, bytes32 ingredientsHash, address manufacturer, uint256 registeredAt) product)",
+  "function getManufacturerProducts(address _manufacturer) view returns (bytes32[])",
+  "event ProductRegistered(bytes32 indexed productId, address indexed manufacturer, string gtin, string name, string ingredients)",
+  "event ProductReassigned(bytes32 indexed productId, address indexed previousManufacturer, address indexed manufacturer, string reason)"
+];
+
+const MANUFACTURER_REGISTRY_ABI = [
+  "function submitApplication(string _legalName, string _licenseNumber, string _jurisdiction, uint256 _licenseExpiry, bytes32 _metadataHash)",
+  "function getManufacturer(address _manufacturer) view returns (tuple(string legalName, string licenseNumber, string jurisdiction, uint256 licenseExpiry, bytes32 metadataHash, uint8 status, string statusReason, uint256 appliedAt, uint256 updatedAt))",
+  "function isActive(address _manufacturer) view returns (bool)",
+  "function getApplicants() view returns (address[])"
+];
+
+const QUANTITY_LEDGER_ABI = [
+  "function getPolicy(string _batchId) view returns (tuple(uint256 units, uint256 toleranceBps))",
+  "function getUnitCount(string _batchId, address _participant) view returns (tuple(uint256 received, uint256 dispatched, bool reported))",
+  "function getExpectedUnits(string _batchId, uint256 _hop) view returns (uint256)",
+  "function splitUnits(string _batchId) view returns (uint256)",
+  "event UnitsReported(string batchId, address indexed participant, uint256 hop, uint256 received, uint256 dispatched)",
+  "event QuantityDiscrepancy(string indexed batchId, address indexed participant, uint256 hop, uint256 expected, uint256 received, uint256 dispatched)"
+];
+
+const PACKAGING_ABI = [
+  "function aggregateCase(string _code, string[] _batchIds, uint256[] _units)",
+  "function aggregatePallet(string _code, string[] _caseCodes)",
+  "function openPackageWithSignature(string _code, address _participant, uint256 _deadline, bytes _signature)",
+  "function verifyPackage(string _code, address _participant, string _location, string _data, tuple(int32 minTemperature, int32 maxTemperature, uint32 excursionMinutes, uint32 humidity, uint32 unitsReceived, uint32 unitsDispatched) _reading, uint256 _deadline, bytes _signature)",
+  "function getPackage(string _code) view returns (tuple(uint8 level, string parentCode, string[] childCodes, string[] batchIds, uint256[] units, address packedBy, uint256 packedAt, bool opened, address openedBy, uint256 openedAt))",
+  "function getBatchPackages(string _batchId) view returns (string[])",
+  "function nonces(address owner) view returns (uint256)",
+  "event PackageAggregated(string code, uint8 level, address indexed packedBy, uint256 itemCount)",
+  "event PackageOpened(string code, address indexed openedBy)",
+  "event PackageVerified(string code, address indexed participant, uint256 batchesVerified)"
+];
+
+const CHANNEL_SETTLEMENT_ABI = [
+  "function openChannel(bytes32 _channelId, address[] _participants)",
+  "function closeChannel(bytes32 _channelId)",
+  "function settleChannel(bytes32 _channelId, tuple(string batchId, bytes32 productId, uint256 expiryDate, address[] supplyChainAddresses, uint8[] supplyChainRoles, uint256[] supplyChainHops)[] _batches, uint256 _nonce, bytes[] _signatures)",
+  "function channels(bytes32) view returns (bytes32 id, uint256 nonce, bool isOpen, uint256 openedAt, uint256 closedAt)",
+  "event BatchSettled(string indexed batchId, bytes32 channelId)",
+  "event ChannelStateSettled(bytes32 indexed channelId, uint256 nonce, bytes32 stateHash, uint256 batchCount)"
+];
+
+const DELEGATE_REGISTRY_ABI = [
+  "function updateDelegateWithSignature(address _organization, address _delegate, bool _active, uint256 _deadline, bytes _signature)",
+  "function updateConsentWithSignature(address _organization, address _delegate, bool _active, uint256 _deadline, bytes _signature)",
+  "function invitations(address, address) view returns (bool)",
+  "function verifyBatchAsDelegate(string _batchId, address _delegate, string _location, string _data, tuple(int32 minTemperature, int32 maxTemperature, uint32 excursionMinutes, uint32 humidity, uint32 unitsReceived, uint32 unitsDispatched) _reading, uint256 _deadline, bytes _signature)",
+  "function organizationOf(address) view returns (address)",
+  "function getDelegates(address _organization) view returns (address[])",
+  "function nonces(address owner) view returns (uint256)",
+  "event DelegateInvited(address indexed organization, address indexed delegate)",
+  "event DelegateAdded(address indexed organization, address indexed delegate)",
+  "event DelegateRevoked(address indexed organization, address indexed delegate)",
+  "event DelegateResigned(address indexed organization, address indexed delegate)",
+  "event DelegatedVerification(string indexed batchId, address indexed organization, address indexed delegate)"
+];
+
+const DISPUTE_REGISTRY_ABI = [
+  "function openDisputeWithSignature(string _batchId, address _participant, string _reason, bytes32[] _evidence, address _reporter, uint256 _deadline, bytes _signature) returns (uint256)",
+  "function getDispute(uint256 _disputeId) view returns (tuple(string batchId, address participant, string reason, bytes32[] evidence, address reporter, uint256 openedAt, uint8 status, tuple(bool freeze, bool invalidate, bool penalize) outcome, string resolution, address resolvedBy, uint256 resolvedAt))",
+  "function getBatchDisputes(string _batchId) view returns (uint256[])",
+  "function penalties(address) view returns (uint256)",
+  "function disputeCount() view returns (uint256)",
+  "function nonces(address owner) view returns (uint256)",
+  "event DisputeOpened(uint256 indexed disputeId, string batchId, address indexed participant, address indexed reporter)",
+  "event DisputeResolved(uint256 indexed disputeId, uint8 status, tuple(bool freeze, bool invalidate, bool penalize) outcome, address indexed resolvedBy)",
+  "event ParticipantPenalized(address indexed participant, uint256 indexed disputeId, uint256 penalties)"
+];
+
+const STAKING_REGISTRY_ABI = [
+  "function getStake(address _participant) view returns (tuple(uint256 bonded, uint256 unbonding, uint256 unbondingEndsAt))",
+  "function isBonded(address _participant) view returns (bool)",
+  "function minimumStake() view returns (uint256)",
+  "function slashBps() view returns (uint256)",
+  "function totalSlashed() view returns (uint256)",
+  "function UNBONDING_PERIOD() view returns (uint256)",
+  "event Staked(address indexed participant, uint256 amount, uint256 bonded)",
+  "event UnbondingRequested(address indexed participant, uint256 amount, uint256 unbondingEndsAt)",
+  "event Withdrawn(address indexed participant, uint256 amount)",
+  "event Slashed(address indexed participant, uint256 amount, uint256 indexed disputeId)"
+];
+
+const REWARD_POLICY_ABI = [
+  "function termsFor(address _manufacturer, bytes32 _productId) view returns (tuple(bool enabled, bool funded, uint256 customerReward, uint256 participantReward, uint256 onTimeWindow))",
+  "function decayed(uint256 _amount) view returns (uint256)",
+  "function pools(address _manufacturer) view returns (uint256)",
+  "function hopStartedAt(string _batchId) view returns (uint256)",
+  "function decayPeriod() view returns (uint256)",
+  "function decayBps() view returns (uint256)",
+  "function defaultLimits() view returns (bool enabled, bool identityRequired, uint256 cooldown, uint256 maxClaims, uint256 period)",
+  "function manufacturerLimits(address _manufacturer) view returns (bool enabled, bool identityRequired, uint256 cooldown, uint256 maxClaims, uint256 period)",
+  "function claimAvailableAt(address _customer, address _manufacturer) view returns (uint256)",
+  "function customerIdentity(address _customer) view returns (bytes32)",
+  "event PoolFunded(address indexed manufacturer, address indexed funder, uint256 amount, uint256 balance)",
+  "event PoolWithdrawn(address indexed manufacturer, uint256 amount, uint256 balance)",
+  "event VerificationRewardPaid(string indexed batchId, address indexed participant, uint256 amount, bool fromPool)",
+  "event VerificationRewardSkipped(string indexed batchId, address indexed participant, uint256 amount)",
+  "event CustomerVerified(address indexed customer, bytes32 identityHash, address indexed verifier)",
+  "event CustomerRevoked(address indexed customer, address indexed verifier)"
+];
+
+const EMERGENCY_PAUSE_ABI = [
+  "function paused(uint8 _operation) view returns (bool)",
+  "function isPaused(uint8 _operation) view returns (bool)",
+  "event Paused(uint8 indexed operation, address indexed by)",
+  "event Unpaused(uint8 indexed operation, address indexed by)"
+];
+
+const REGISTRY_LENS_ABI = [
+  "function getParticipantViews(string _batchId) view returns (tuple(address participant, uint8 role, uint256 hop, bool verified, uint256 verifiedAt, tuple(int32 minTemperature, int32 maxTemperature, uint32 excursionMinutes, uint32 humidity, uint32 unitsReceived, uint32 unitsDispatched) reading, address verifiedBy)[] views)"
 ];
 
 const TOKEN_ABI = [
@@ -100,8 +387,12 @@ const TOKEN_ABI = [
 
 // ==================== STATE CHANNEL MANAGER ====================
 class StateChannelManager {
-  constructor() {
-    this.channels = new Map();
+  constructor(store, serialStore) {
+    this.store = store;
+    this.serialStore = serialStore;
+    this.serialTrees = new Map();
+    this.productIngredients = new Map();
+    this.claimCommits = new Map(); // ip:<address> or customer:<address> -> times of relayed commitments
     this.providers = new Map();
     this.contracts = new Map();
     this.wallets = new Map();
@@ -128,6 +419,78 @@ class StateChannelManager {
           this.contracts.set(`${chainKey}_registry`, registry);
         }
         
+        // PackagingRegistry is deployed alongside the registry and granted VERIFIER_ROLE
+        if (chainConfig.contracts.packaging !== '0x0000000000000000000000000000000000000000') {
+          this.contracts.set(
+            `${chainKey}_packaging`,
+            new ethers.Contract(chainConfig.contracts.packaging, PACKAGING_ABI, wallet)
+          );
+        }
+        
+        // ChannelSettlement holds CHANNEL_ROLE on the registry; the backend wallet operates its channels
+        if (chainConfig.contracts.channels !== '0x0000000000000000000000000000000000000000') {
+          this.contracts.set(
+            `${chainKey}_channels`,
+            new ethers.Contract(chainConfig.contracts.channels, CHANNEL_SETTLEMENT_ABI, wallet)
+          );
+        }
+        
+        // DelegateRegistry verifies for participant organizations through VERIFIER_ROLE
+        if (chainConfig.contracts.delegates !== '0x0000000000000000000000000000000000000000') {
+          this.contracts.set(
+            `${chainKey}_delegates`,
+            new ethers.Contract(chainConfig.contracts.delegates, DELEGATE_REGISTRY_ABI, wallet)
+          );
+        }
+        
+        // DisputeRegistry holds REGULATOR_ROLE on the registry; the backend wallet relays signed reports
+        if (chainConfig.contracts.disputes !== '0x0000000000000000000000000000000000000000') {
+          this.contracts.set(
+            `${chainKey}_disputes`,
+            new ethers.Contract(chainConfig.contracts.disputes, DISPUTE_REGISTRY_ABI, wallet)
+          );
+        }
+        
+        // StakingRegistry holds participants' MEDI bonds; the registry checks them on assignment
+        if (chainConfig.contracts.staking !== '0x0000000000000000000000000000000000000000') {
+          this.contracts.set(
+            `${chainKey}_staking`,
+            new ethers.Contract(chainConfig.contracts.staking, STAKING_REGISTRY_ABI, wallet)
+          );
+        }
+        
+        // RewardPolicy decides what customer claims and on-time verifications pay
+        if (chainConfig.contracts.rewards !== '0x0000000000000000000000000000000000000000') {
+          this.contracts.set(
+            `${chainKey}_rewards`,
+            new ethers.Contract(chainConfig.contracts.rewards, REWARD_POLICY_ABI, wallet)
+          );
+        }
+        
+        // EmergencyPause lets guardians stop registration, verification, claims and minting
+        if (chainConfig.contracts.pause !== '0x0000000000000000000000000000000000000000') {
+          this.contracts.set(
+            `${chainKey}_pause`,
+            new ethers.Contract(chainConfig.contracts.pause, EMERGENCY_PAUSE_ABI, wallet)
+          );
+        }
+        
+        // RegistryLens reads a batch's participants with their readings and delegates in one call
+        if (chainConfig.contracts.lens !== '0x0000000000000000000000000000000000000000') {
+          this.contracts.set(
+            `${chainKey}_lens`,
+            new ethers.Contract(chainConfig.contracts.lens, REGISTRY_LENS_ABI, provider)
+          );
+        }
+        
+        // GovernanceTimelock holds the admin roles; sensitive changes queue there before taking effect
+        if (chainConfig.contracts.timelock !== '0x0000000000000000000000000000000000000000') {
+          this.contracts.set(
+            `${chainKey}_timelock`,
+            new ethers.Contract(chainConfig.contracts.timelock, GOVERNANCE_TIMELOCK_ABI, provider)
+          );
+        }
+        
         console.log(`✅ Initialized ${chainConfig.name}`);
       } catch (error) {
         console.error(`❌ Failed to initialize ${chainConfig.name}:`, error.message);
@@ -138,7 +501,7 @@ class StateChannelManager {
   async createChannel(chainKey) {
     const channelId = ethers.utils.id(Date.now().toString());
     
-    this.channels.set(channelId, {
+    await this.store.save({
       id: channelId,
       chainKey: chainKey,
       status: 'open',
@@ -149,286 +512,3261 @@ class StateChannelManager {
       },
       nonce: 0,
       createdAt: Date.now(),
-      settlementTx: null
+      onChain: { opened: false, closed: false },
+      settlements: [],
+      settlementTx: null,
+      lastError: null
     });
     
     return channelId;
   }
 
+  async findOpenChannel(chainKey) {
+    const channels = await this.store.list();
+    const channel = channels.find(c => c.chainKey === chainKey && c.status === 'open');
+    return channel ? channel.id : null;
+  }
+
   async addBatchToChannel(channelId, batchData) {
-    const channel = this.channels.get(channelId);
+    let channel = await this.store.get(channelId);
     if (!channel) throw new Error('Channel not found');
     
+    // A channel that started settling since it was looked up takes no more batches
+    if (channel.status !== 'open') {
+      channel = await this.store.get(await this.createChannel(channel.chainKey));
+    }
+    
     channel.state.batches.push({
       ...batchData,
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      settlement: { status: 'pending', transactionHash: null, error: null }
     });
     
     channel.nonce++;
+    await this.store.save(channel);
     
-    // Auto-settle after 10 batches
-    if (channel.state.batches.length >= 10) {
-      await this.closeAndSettleChannel(channelId);
+    // Auto-settle once the channel is full; failures stay visible on the channel
+    if (channel.state.batches.length >= CHANNEL_BATCH_LIMIT) {
+      this.closeAndSettleChannel(channel.id).catch(error => {
+        console.error(`❌ Auto-settlement of channel ${channel.id} failed:`, error.message);
+      });
     }
     
     return channel;
   }
 
+  /**
+   * Convert a channel batch into the registry's BatchData tuple
+   */
+  toBatchData(batch) {
+    return {
+      batchId: batch.batchId,
+      productId: batch.productId,
+      expiryDate: Math.floor(new Date(batch.expiryDate).getTime() / 1000),
+      supplyChainAddresses: batch.participants,
+      supplyChainRoles: batch.roles.map(role => 
+        typeof role === 'string' ? (SupplyChainRoles[role] || 0) : role
+      ),
+      supplyChainHops: batch.hops || []
+    };
+  }
+
   async closeAndSettleChannel(channelId) {
-    const channel = this.channels.get(channelId);
+    const channel = await this.store.get(channelId);
     if (!channel) throw new Error('Channel not found');
+    if (channel.status === 'settling') throw new Error('Channel settlement already in progress');
     
+    // Claim the channel before anything is awaited, so a concurrent settlement is turned away
+    const previousStatus = channel.status;
     channel.status = 'settling';
+    const paused = await this.pausedOperation(channel.chainKey, ['REGISTRATION']).catch(error => {
+      channel.status = previousStatus;
+      throw error;
+    });
+    if (paused) {
+      channel.status = previousStatus;
+      throw new Error('Batch registration is paused; settle the channel once it resumes');
+    }
+    await this.store.save(channel);
     
     try {
-      const registry = this.contracts.get(`${channel.chainKey}_registry`);
-      if (!registry) throw new Error('Registry contract not found');
+      const settlement = this.contracts.get(`${channel.chainKey}_channels`);
+      if (!settlement) throw new Error('Channel settlement contract not found');
+      const wallet = this.wallets.get(channel.chainKey);
+      const overrides = { gasLimit: 200000, gasPrice: ethers.utils.parseUnits('50', 'gwei') };
+      
+      // The backend wallet is the channel's sole signing participant
+      if (!channel.onChain.opened) {
+        const openTx = await settlement.openChannel(channelId, [wallet.address], overrides);
+        await openTx.wait();
+        channel.onChain.opened = true;
+        await this.store.save(channel);
+      }
+      
+      if (!channel.onChain.closed) {
+        const closeTx = await settlement.closeChannel(channelId, overrides);
+        await closeTx.wait();
+        channel.onChain.closed = true;
+        await this.store.save(channel);
+      }
+      
+      // Pending batches and earlier failures are (re-)submitted; settled and skipped ones are final
+      const unsettled = channel.state.batches.filter(b => 
+        b.settlement.status === 'pending' || b.settlement.status === 'failed'
+      );
+      await this.settleBatches(channel, settlement, wallet, unsettled);
+      
+      // Serial roots and storage policies can only be set once their batch exists on-chain
+      for (const batch of channel.state.batches) {
+        if (!['settled', 'skipped'].includes(batch.settlement.status)) continue;
+        if (batch.serialRoot) {
+          await this.registerSerialRoot(channel.chainKey, batch.batchId).catch(error => {
+            console.error(`❌ Serial root registration for ${batch.batchId} failed:`, error.message);
+          });
+        }
+        if (batch.coldChainPolicy) {
+          await this.applyColdChainPolicy(channel.chainKey, batch.batchId, batch.coldChainPolicy).catch(error => {
+            console.error(`❌ Cold chain policy for ${batch.batchId} failed:`, error.message);
+          });
+        }
+        if (batch.quantityPolicy) {
+          await this.applyBatchQuantity(channel.chainKey, batch.batchId, batch.quantityPolicy).catch(error => {
+            console.error(`❌ Unit count for ${batch.batchId} failed:`, error.message);
+          });
+        }
+      }
       
-      // Implementation for batch settlement
-      channel.status = 'settled';
+      const failedBatches = channel.state.batches.filter(b => b.settlement.status === 'failed');
+      channel.status = failedBatches.length === 0 ? 'settled' : 'partially_settled';
+      channel.lastError = null;
+      await this.store.save(channel);
       
       return {
         channelId,
-        settlementTx: 'pending',
-        batchCount: channel.state.batches.length
+        settlementTx: channel.settlementTx,
+        transactions: channel.settlements.map(settlement => settlement.transactionHash),
+        batchCount: channel.state.batches.length,
+        settledCount: channel.state.batches.filter(b => b.settlement.status === 'settled').length,
+        failedBatches: failedBatches.map(b => ({ batchId: b.batchId, error: b.settlement.error }))
       };
     } catch (error) {
       channel.status = 'failed';
+      channel.lastError = error.message;
+      await this.store.save(channel);
       throw error;
     }
   }
-}
 
-// ==================== CLEARNODE CONNECTION ====================
-class ClearNodeConnection {
-  constructor(manager) {
-    this.manager = manager;
-    this.ws = null;
-    this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 5;
+  /**
+   * Settle batches in one transaction, splitting the set in half whenever the
+   * registry rejects it so a single bad batch cannot block the others
+   */
+  async settleBatches(channel, settlement, wallet, batches) {
+    if (batches.length === 0) return;
+    
+    try {
+      await this.submitSettlement(channel, settlement, wallet, batches);
+    } catch (error) {
+      if (batches.length === 1) {
+        batches[0].settlement = {
+          status: 'failed',
+          transactionHash: null,
+          error: error.reason || error.message
+        };
+        await this.store.save(channel);
+        return;
+      }
+      
+      const middle = Math.ceil(batches.length / 2);
+      await this.settleBatches(channel, settlement, wallet, batches.slice(0, middle));
+      await this.settleBatches(channel, settlement, wallet, batches.slice(middle));
+    }
   }
 
-  async connect() {
-    return new Promise((resolve, reject) => {
+  /**
+   * Sign the channel state and submit settleChannel, retrying transient failures.
+   * Contract reverts are rethrown immediately so the caller can split the batch set.
+   * A transaction an earlier attempt broadcast is waited on rather than replaced.
+   */
+  async submitSettlement(channel, settlement, wallet, batches) {
+    const batchData = batches.map(batch => this.toBatchData(batch));
+    const domain = getChannelDomain(CHAINS[channel.chainKey].chainId, settlement.address);
+    const batchesHash = hashChannelBatches(batchData);
+    let receipt;
+    let lastError;
+    let sentTx = null;
+    
+    for (let attempt = 1; attempt <= MAX_SETTLEMENT_RETRIES; attempt++) {
       try {
-        this.manager.ws = new WebSocket(CLEARNODE_URL);
-        
-        this.manager.ws.on('open', () => {
-          console.log('✅ Connected to ClearNode');
-          this.manager.isConnected = true;
-          this.reconnectAttempts = 0;
-          resolve();
-        });
-        
-        this.manager.ws.on('message', async (data) => {
-          await this.handleMessage(data);
-        });
+        // An earlier attempt's transaction may be pending or mined even though waiting on it
+        // failed; resubmitting would settle its batches twice and record them as skipped
+        if (sentTx && await wallet.provider.getTransaction(sentTx.hash)) {
+          receipt = await sentTx.wait();
+          break;
+        }
         
-        this.manager.ws.on('error', (err) => {
-          console.error('❌ ClearNode error:', err.message);
+        // Every submission signs a fresh, strictly increasing nonce
+        const nonce = ++channel.nonce;
+        await this.store.save(channel);
+        const signature = await wallet._signTypedData(domain, CHANNEL_STATE_TYPES, {
+          channelId: channel.id,
+          nonce,
+          batchesHash
         });
         
-        this.manager.ws.on('close', () => {
-          console.log('📌 ClearNode disconnected');
-          this.manager.isConnected = false;
-          this.attemptReconnect();
+        const gasEstimate = await settlement.estimateGas.settleChannel(channel.id, batchData, nonce, [signature]);
+        sentTx = await settlement.settleChannel(channel.id, batchData, nonce, [signature], {
+          gasLimit: gasEstimate.mul(12).div(10),
+          gasPrice: ethers.utils.parseUnits('50', 'gwei')
         });
+        receipt = await sentTx.wait();
+        break;
       } catch (error) {
-        reject(error);
+        lastError = error;
+        if (['CALL_EXCEPTION', 'UNPREDICTABLE_GAS_LIMIT'].includes(error.code)) {
+          throw error;
+        }
+        console.log(`🔄 Settlement attempt ${attempt}/${MAX_SETTLEMENT_RETRIES} failed: ${error.message}`);
+        await new Promise(resolve => setTimeout(resolve, 2000 * attempt));
       }
-    });
+    }
+    
+    if (!receipt) {
+      throw lastError;
+    }
+    
+    // Recorded once, against the transaction that was mined
+    this.recordSettlement(channel, settlement, batches, channel.nonce, receipt);
+    await this.store.save(channel);
+    return receipt;
   }
 
-  attemptReconnect() {
-    if (this.reconnectAttempts < this.maxReconnectAttempts) {
-      this.reconnectAttempts++;
-      console.log(`🔄 Attempting reconnect ${this.reconnectAttempts}/${this.maxReconnectAttempts}...`);
-      setTimeout(() => this.connect(), 5000 * this.reconnectAttempts);
-    } else {
-      console.error('❌ Max reconnection attempts reached');
+  /**
+   * Record a settlement transaction and the per-batch outcome from its events
+   */
+  recordSettlement(channel, settlement, batches, nonce, receipt) {
+    const settledTopics = new Set(
+      receipt.logs
+        .map(log => {
+          try {
+            return settlement.interface.parseLog(log);
+          } catch (error) {
+            return null;
+          }
+        })
+        .filter(event => event && event.name === 'BatchSettled')
+        // Indexed strings only carry their keccak256 hash in the log topics
+        .map(event => event.args[0].hash)
+    );
+    
+    for (const batch of batches) {
+      const settled = settledTopics.has(ethers.utils.id(batch.batchId));
+      batch.settlement = {
+        status: settled ? 'settled' : 'skipped',
+        transactionHash: receipt.transactionHash,
+        error: settled ? null : 'Batch already registered on-chain'
+      };
     }
+    
+    channel.settlementTx = receipt.transactionHash;
+    channel.settlements.push({
+      nonce,
+      transactionHash: receipt.transactionHash,
+      batchIds: batches.map(batch => batch.batchId),
+      gasUsed: receipt.gasUsed.toString(),
+      settledAt: Date.now()
+    });
   }
 
-  async handleMessage(data) {
-    try {
-      const msg = JSON.parse(data.toString());
-      // Handle ClearNode messages
-    } catch (err) {
-      // Ignore non-JSON messages
+  /**
+   * Register a batch's stored serial Merkle root on-chain (no-op once registered)
+   */
+  async registerSerialRoot(chainKey, batchId) {
+    const record = await this.serialStore.get(chainKey, batchId);
+    if (!record || record.registeredOnChain) return record;
+    
+    const registry = this.contracts.get(`${chainKey}_registry`);
+    if (!registry) throw new Error('Registry contract not found');
+    
+    const tx = await registry.registerSerialRoot(batchId, record.serialRoot, record.serials.length, {
+      gasLimit: 150000,
+      gasPrice: ethers.utils.parseUnits('50', 'gwei')
+    });
+    await tx.wait();
+    
+    record.registeredOnChain = true;
+    record.transactionHash = tx.hash;
+    return this.serialStore.save(record);
+  }
+
+  /**
+   * Set a batch's cold-chain storage policy on-chain (no-op once a policy is set)
+   */
+  async applyColdChainPolicy(chainKey, batchId, policy) {
+    const registry = this.contracts.get(`${chainKey}_registry`);
+    if (!registry) throw new Error('Registry contract not found');
+    
+    const current = await registry.getColdChainStatus(batchId);
+    if (current.policy.enabled) return null;
+    
+    const tx = await registry.setColdChainPolicy(batchId, policy, {
+      gasLimit: 150000,
+      gasPrice: ethers.utils.parseUnits('50', 'gwei')
+    });
+    await tx.wait();
+    
+    return tx.hash;
+  }
+
+  /**
+   * Start tracking a batch's units on-chain (no-op once its units are set)
+   */
+  async applyBatchQuantity(chainKey, batchId, quantityPolicy) {
+    const registry = this.contracts.get(`${chainKey}_registry`);
+    if (!registry) throw new Error('Registry contract not found');
+    
+    const lineage = await registry.getBatchLineage(batchId);
+    if (!lineage.quantity.isZero()) return null;
+    
+    const tx = await registry.setBatchQuantity(batchId, quantityPolicy.units, quantityPolicy.toleranceBps, {
+      gasLimit: 150000,
+      gasPrice: ethers.utils.parseUnits('50', 'gwei')
+    });
+    await tx.wait();
+    
+    return tx.hash;
+  }
+
+  /**
+   * Where and how each participant last verified a batch, by address. The registry only
+   * emits these; a verification that was invalidated and redone reports the redo.
+   */
+  async getVerifications(chainKey, batchId) {
+    const registry = this.contracts.get(`${chainKey}_registry`);
+    const events = await registry.queryFilter(
+      registry.filters.SupplyChainVerification(batchId), CHAINS[chainKey].fromBlock
+    );
+    
+    const verifications = new Map();
+    for (const event of events) {
+      verifications.set(event.args.verifier, {
+        location: event.args.location,
+        additionalData: event.args.additionalData,
+        transactionHash: event.transactionHash
+      });
     }
+    return verifications;
   }
-}
 
-// ==================== EXPRESS SERVER ====================
-const app = express();
+  /**
+   * Every amendment made to a batch's participants, oldest first
+   */
+  async getAmendments(chainKey, batchId) {
+    const registry = this.contracts.get(`${chainKey}_registry`);
+    const events = await registry.queryFilter(
+      registry.filters.SupplyChainAmended(batchId), CHAINS[chainKey].fromBlock
+    );
+    
+    return Promise.all(events.map(async event =>
+      fromAmendmentEvent(event, await event.getBlock(), SupplyChainRoles)
+    ));
+  }
 
-// CORS configuration for production
-const corsOptions = {
-  origin: IS_PRODUCTION 
-    ? ['https://meditrust-complete.onrender.com', 'https://meditrust.vercel.app']
-    : ['http://localhost:3000', 'http://localhost:5173'],
-  credentials: true,
-  optionsSuccessStatus: 200
-};
+  /**
+   * Who a verifying wallet acts for on a batch: itself when it is a participant, otherwise the
+   * organization it is an active delegate of. Null when it may not verify the batch.
+   */
+  async resolveVerifier(chainKey, batchId, verifier) {
+    const registry = this.contracts.get(`${chainKey}_registry`);
+    // isParticipant also holds for active delegates of a participant
+    if (!(await registry.isParticipant(batchId, verifier))) return null;
+    
+    const details = await registry.getParticipantDetails(batchId, verifier);
+    if (!details.position.isZero()) {
+      return { participant: verifier, delegate: null };
+    }
+    
+    const delegates = this.contracts.get(`${chainKey}_delegates`);
+    if (!delegates) return null;
+    
+    return { participant: await delegates.organizationOf(verifier), delegate: verifier };
+  }
 
-app.use(cors(corsOptions));
-app.use(express.json());
+  /**
+   * Relay an organization's signed invitation (`active`) or revoke of a delegate
+   */
+  async updateDelegate(chainKey, { organization, delegate, active, deadline, signature }) {
+    const delegates = this.contracts.get(`${chainKey}_delegates`);
+    const args = [organization, delegate, active, deadline, signature];
+    const gasEstimate = await delegates.estimateGas.updateDelegateWithSignature(...args);
+    const tx = await delegates.updateDelegateWithSignature(...args, {
+      gasLimit: gasEstimate.mul(12).div(10),
+      gasPrice: ethers.utils.parseUnits('50', 'gwei')
+    });
+    await tx.wait();
+    
+    return tx.hash;
+  }
 
-// Serve static files in production
-if (IS_PRODUCTION) {
-  app.use(express.static(path.join(__dirname, 'frontend', 'dist')));
-}
+  /**
+   * Relay a delegate's signed acceptance of an invitation (`active`) or resignation
+   */
+  async updateConsent(chainKey, { organization, delegate, active, deadline, signature }) {
+    const delegates = this.contracts.get(`${chainKey}_delegates`);
+    const args = [organization, delegate, active, deadline, signature];
+    const gasEstimate = await delegates.estimateGas.updateConsentWithSignature(...args);
+    const tx = await delegates.updateConsentWithSignature(...args, {
+      gasLimit: gasEstimate.mul(12).div(10),
+      gasPrice: ethers.utils.parseUnits('50', 'gwei')
+    });
+    await tx.wait();
+    
+    return tx.hash;
+  }
 
-const manager = new StateChannelManager();
-const clearNode = new ClearNodeConnection(manager);
+  /**
+   * Organizations whose invitation an address has not yet accepted
+   */
+  async getInvitations(chainKey, delegate) {
+    const delegates = this.contracts.get(`${chainKey}_delegates`);
+    const invited = await delegates.queryFilter(
+      delegates.filters.DelegateInvited(null, delegate), CHAINS[chainKey].fromBlock
+    );
+    
+    const pending = [];
+    for (const organization of new Set(invited.map(event => event.args.organization))) {
+      if (await delegates.invitations(delegate, organization)) pending.push(organization);
+    }
+    return pending;
+  }
 
-// ==================== API ENDPOINTS ====================
+  /**
+   * A participant's MEDI bond against the minimum for assignment, or null where staking is not deployed
+   */
+  async getStake(chainKey, participant) {
+    const staking = this.contracts.get(`${chainKey}_staking`);
+    if (!staking) return null;
+    
+    const stake = await staking.getStake(participant);
+    const minimumStake = await staking.minimumStake();
+    const unbondingEndsAt = stake.unbondingEndsAt.toNumber();
+    
+    return {
+      participant: ethers.utils.getAddress(participant),
+      bonded: ethers.utils.formatEther(stake.bonded),
+      unbonding: ethers.utils.formatEther(stake.unbonding),
+      unbondingEndsAt: unbondingEndsAt || null,
+      withdrawable: !stake.unbonding.isZero() && unbondingEndsAt <= Math.floor(Date.now() / 1000),
+      minimumStake: ethers.utils.formatEther(minimumStake),
+      eligible: stake.bonded.gte(minimumStake)
+    };
+  }
 
-// Health check
-app.get('/api/health', (req, res) => {
-  const chainStatuses = {};
-  
-  for (const [chainKey, chainConfig] of Object.entries(CHAINS)) {
-    const hasContracts = chainConfig.contracts.registry !== '0x0000000000000000000000000000000000000000';
-    const provider = manager.providers.get(chainKey);
+  /**
+   * What a batch pays under the reward policy, or null where the registry mints its fixed reward
+   */
+  async getRewardTerms(chainKey, manufacturer, productId) {
+    const rewards = this.contracts.get(`${chainKey}_rewards`);
+    if (!rewards) return null;
     
-    chainStatuses[chainKey] = {
-      connected: provider ? true : false,
-      contractsDeployed: hasContracts,
-      status: hasContracts ? 'ready' : 'contracts-not-deployed',
-      explorer: chainConfig.explorer
+    const terms = await rewards.termsFor(manufacturer, productId);
+    // Funded rewards are paid as set; minted ones shrink with the decay schedule
+    const customerReward = terms.funded ? terms.customerReward : await rewards.decayed(terms.customerReward);
+    const participantReward = terms.funded ? terms.participantReward : await rewards.decayed(terms.participantReward);
+    const pool = terms.funded ? await rewards.pools(manufacturer) : null;
+    
+    return {
+      funded: terms.funded,
+      customerReward: ethers.utils.formatEther(customerReward),
+      participantReward: participantReward.isZero() ? null : ethers.utils.formatEther(participantReward),
+      onTimeWindow: participantReward.isZero() ? null : terms.onTimeWindow.toNumber(),
+      pool: pool && ethers.utils.formatEther(pool),
+      available: !pool || pool.gte(customerReward)
     };
   }
   
-  res.json({
-    status: 'healthy',
-    environment: IS_PRODUCTION ? 'production' : 'development',
-    clearNode: manager.isConnected ? 'connected' : 'disconnected',
-    chains: chainStatuses,
-    activeChannels: manager.channels.size,
-    timestamp: new Date().toISOString()
-  });
-});
-
-// Get available chains
-app.get('/api/chains', (req, res) => {
-  const chains = Object.entries(CHAINS).map(([key, config]) => ({
-    key,
-    name: config.name,
-    chainId: config.chainId,
-    hasContracts: config.contracts.registry !== '0x0000000000000000000000000000000000000000',
-    explorer: config.explorer
-  }));
+  /**
+   * Whether a customer may claim a batch now under the claim limits, or null where the registry has no reward policy
+   */
+  async getClaimLimits(chainKey, batchId, customer) {
+    const rewards = this.contracts.get(`${chainKey}_rewards`);
+    if (!rewards) return null;
+    
+    const registry = this.contracts.get(`${chainKey}_registry`);
+    const { manufacturer } = await registry.getBatch(batchId);
+    const defaults = await rewards.defaultLimits();
+    const own = await rewards.manufacturerLimits(manufacturer);
+    const availableAt = (await rewards.claimAvailableAt(customer, manufacturer)).toNumber();
+    
+    return {
+      customer: ethers.utils.getAddress(customer),
+      identityRequired: defaults.identityRequired || (own.enabled && own.identityRequired),
+      identityVerified: (await rewards.customerIdentity(customer)) !== ethers.constants.HashZero,
+      availableAt: availableAt || null
+    };
+  }
   
-  res.json(chains);
+  /**
+   * The timelock's delay and approval threshold, and the operations proposed to it, or null where it is not deployed
+   */
+  async getGovernance(chainKey) {
+    const timelock = this.contracts.get(`${chainKey}_timelock`);
+    if (!timelock) return null;
+    
+    const contractNames = {};
+    for (const [key, address] of Object.entries(CHAINS[chainKey].contracts)) {
+      contractNames[address.toLowerCase()] = CONTRACT_NAMES[key];
+    }
+    
+    return {
+      timelock: timelock.address,
+      minDelay: (await timelock.getMinDelay()).toNumber(),
+      approvalThreshold: (await timelock.approvalThreshold()).toNumber(),
+      operations: await listOperations(timelock, { contractNames })
+    };
+  }
+  
+  /**
+   * Which operations the emergency pause currently stops on a chain, or null where it is not deployed
+   */
+  async getPauseState(chainKey) {
+    const pause = this.contracts.get(`${chainKey}_pause`);
+    if (!pause) return null;
+    
+    const paused = await Promise.all(PauseOperations.map((_, operation) => pause.isPaused(operation)));
+    return Object.fromEntries(PauseOperations.map((operation, index) => [operation.toLowerCase(), paused[index]]));
+  }
+  
+  /**
+   * The first of `operations` the emergency pause stops, or null; transactions needing it would revert
+   */
+  async pausedOperation(chainKey, operations) {
+    const pause = this.contracts.get(`${chainKey}_pause`);
+    if (!pause) return null;
+    
+    for (const operation of operations) {
+      if (await pause.isPaused(PauseOperations.indexOf(operation))) return operation;
+    }
+    return null;
+  }
+  
+  /**
+   * The operations a customer claim on a batch needs; rewards the manufacturer's pool does not fund are minted
+   */
+  async claimOperations(chainKey, batchId) {
+    const registry = this.contracts.get(`${chainKey}_registry`);
+    const { manufacturer, productId } = await registry.getBatch(batchId);
+    const terms = await this.getRewardTerms(chainKey, manufacturer, productId);
+    
+    return terms && terms.funded ? ['CLAIMS'] : ['CLAIMS', 'MINTING'];
+  }
+  
+  /**
+   * Turn a claim rejected by the claim limits into a status and a message for the customer, or null for other errors
+   */
+  async describeClaimRejection(chainKey, batchId, customer, error) {
+    const message = error.reason || error.message || '';
+    
+    if (message.includes('Customer identity not verified')) {
+      return {
+        status: 403,
+        body: { error: 'This manufacturer only rewards customers with a verified identity', reason: 'IDENTITY_REQUIRED' }
+      };
+    }
+    
+    const reason = message.includes('Claim cooldown active') ? 'COOLDOWN'
+      : message.includes('Claim limit reached') ? 'LIMIT_REACHED'
+      : null;
+    if (!reason) return null;
+    
+    const limits = await this.getClaimLimits(chainKey, batchId, customer);
+    return {
+      status: 429,
+      body: {
+        error: reason === 'COOLDOWN'
+          ? 'You claimed a reward recently; please wait before claiming again'
+          : 'You have reached the maximum number of reward claims for now',
+        reason,
+        retryAt: limits && limits.availableAt
+      }
+    };
+  }
+  
+  /**
+   * Count a relayed claim commitment against each of `keys`. If any is already at CLAIM_COMMIT_LIMIT,
+   * count nothing and return when all of them allow another (unix seconds). Counts are kept in memory.
+   */
+  takeClaimCommit(keys) {
+    const now = Math.floor(Date.now() / 1000);
+    for (const [key, times] of this.claimCommits) {
+      if (times[times.length - 1] <= now - CLAIM_COMMIT_WINDOW_SECONDS) this.claimCommits.delete(key);
+    }
+    
+    const windows = keys.map(key =>
+      (this.claimCommits.get(key) || []).filter(time => time > now - CLAIM_COMMIT_WINDOW_SECONDS)
+    );
+    
+    const full = windows.filter(times => times.length >= CLAIM_COMMIT_LIMIT);
+    if (full.length > 0) {
+      return Math.max(...full.map(times => times[times.length - CLAIM_COMMIT_LIMIT])) + CLAIM_COMMIT_WINDOW_SECONDS;
+    }
+    
+    keys.forEach((key, index) => this.claimCommits.set(key, [...windows[index], now]));
+    return null;
+  }
+  
+  /**
+   * The MEDI a claim actually paid, from its CustomerRewardClaimed event
+   */
+  claimedReward(chainKey, receipt) {
+    const registry = this.contracts.get(`${chainKey}_registry`);
+    const claimed = receipt.logs
+      .map(log => {
+        try {
+          return registry.interface.parseLog(log);
+        } catch (error) {
+          return null;
+        }
+      })
+      .find(event => event && event.name === 'CustomerRewardClaimed');
+    
+    if (!claimed) return null;
+    
+    const [, , , reward] = claimed.args;
+    return `${ethers.utils.formatEther(reward)} MEDI`;
+  }
+
+  /**
+   * Every dispute opened on a batch, oldest first; empty where disputes are not deployed
+   */
+  async getDisputes(chainKey, batchId) {
+    const disputes = this.contracts.get(`${chainKey}_disputes`);
+    if (!disputes) return [];
+    
+    const ids = await disputes.getBatchDisputes(batchId);
+    return Promise.all(ids.map(async id => fromDispute(id, await disputes.getDispute(id))));
+  }
+
+  /**
+   * Relay a reporter's signed dispute and return its id
+   */
+  async openDispute(chainKey, { batchId, participant, reason, evidence, reporter, deadline, signature }) {
+    const disputes = this.contracts.get(`${chainKey}_disputes`);
+    const args = [batchId, participant, reason, evidence, reporter, deadline, signature];
+    const gasEstimate = await disputes.estimateGas.openDisputeWithSignature(...args);
+    const tx = await disputes.openDisputeWithSignature(...args, {
+      gasLimit: gasEstimate.mul(12).div(10),
+      gasPrice: ethers.utils.parseUnits('50', 'gwei')
+    });
+    const receipt = await tx.wait();
+    const opened = receipt.events.find(event => event.event === 'DisputeOpened');
+    
+    return { disputeId: opened.args.disputeId.toNumber(), transactionHash: tx.hash };
+  }
+
+  /**
+   * Reconcile a batch's unit counts hop by hop, or null when its units are not tracked
+   */
+  async getQuantityReport(chainKey, batchId) {
+    const registry = this.contracts.get(`${chainKey}_registry`);
+    const ledger = await this.getQuantityLedger(chainKey);
+    const policy = await ledger.getPolicy(batchId);
+    if (policy.units.isZero()) return null;
+    
+    const participants = [];
+    const { participants: addresses, roles, hops } = await registry.getSupplyChainParticipants(batchId);
+    for (const [index, address] of addresses.entries()) {
+      const hop = hops[index].toNumber();
+      const count = await ledger.getUnitCount(batchId, address);
+      participants.push({
+        address,
+        role: Object.keys(SupplyChainRoles).find(key => SupplyChainRoles[key] === roles[index]),
+        hop,
+        units: count.reported
+          ? describeUnitCount(policy, await ledger.getExpectedUnits(batchId, hop), count)
+          : null
+      });
+    }
+    
+    return { batchId, ...reconcileBatch(policy, participants, await ledger.splitUnits(batchId)) };
+  }
+
+  /**
+   * ProductCatalog, ManufacturerRegistry and QuantityLedger are connected to the registry
+   * once with setModules, so their addresses are read once from the registry
+   */
+  async getRegistryModule(chainKey, name, abi) {
+    const key = `${chainKey}_${name}`;
+    if (!this.contracts.has(key)) {
+      const registry = this.contracts.get(`${chainKey}_registry`);
+      if (!registry) return null;
+      const address = await registry[name]();
+      this.contracts.set(key, new ethers.Contract(address, abi, this.wallets.get(chainKey)));
+    }
+    
+    return this.contracts.get(key);
+  }
+
+  getCatalog(chainKey) {
+    return this.getRegistryModule(chainKey, 'productCatalog', CATALOG_ABI);
+  }
+
+  getManufacturerRegistry(chainKey) {
+    return this.getRegistryModule(chainKey, 'manufacturerRegistry', MANUFACTURER_REGISTRY_ABI);
+  }
+
+  getQuantityLedger(chainKey) {
+    return this.getRegistryModule(chainKey, 'quantityLedger', QUANTITY_LEDGER_ABI);
+  }
+
+  /**
+   * A manufacturer's onboarding profile. `verified` means approved with an
+   * unexpired license, i.e. currently allowed to register batches.
+   */
+  async getManufacturer(chainKey, address) {
+    const manufacturers = await this.getManufacturerRegistry(chainKey);
+    const profile = await manufacturers.getManufacturer(address);
+    
+    return {
+      address,
+      legalName: profile.legalName,
+      licenseNumber: profile.licenseNumber,
+      jurisdiction: profile.jurisdiction,
+      licenseExpiry: profile.licenseExpiry.toNumber(),
+      metadataHash: profile.metadataHash,
+      status: ManufacturerStatuses[profile.status],
+      statusReason: profile.statusReason,
+      appliedAt: profile.appliedAt.toNumber(),
+      verified: await manufacturers.isActive(address)
+    };
+  }
+
+  /**
+   * Look up a catalog product, or null if it is not registered. Only the ingredients
+   * hash is stored on-chain; the list itself comes from the latest ProductRegistered event,
+   * which a reassignment re-emits.
+   */
+  async getProduct(chainKey, productId) {
+    const catalog = await this.getCatalog(chainKey);
+    let product;
+    try {
+      product = await catalog.getProduct(productId);
+    } catch (error) {
+      if (error.reason === 'Product not found') return null;
+      throw error;
+    }
+    
+    const key = `${chainKey}:${productId}:${product.ingredientsHash}`;
+    if (!this.productIngredients.has(key)) {
+      const events = await catalog.queryFilter(
+        catalog.filters.ProductRegistered(productId), CHAINS[chainKey].fromBlock
+      );
+      const event = events[events.length - 1];
+      const ingredients = event ? event.args.ingredients : null;
+      // Only cache text that matches the committed hash
+      if (ingredients !== null && ethers.utils.id(ingredients) === product.ingredientsHash) {
+        this.productIngredients.set(key, ingredients);
+      }
+    }
+    
+    return {
+      productId,
+      gtin: product.gtin,
+      name: product.name,
+      strength: product.strength,
+      dosageForm: product.dosageForm,
+      ingredients: this.productIngredients.get(key) ?? null,
+      ingredientsHash: product.ingredientsHash,
+      manufacturer: product.manufacturer,
+      registeredAt: new Date(product.registeredAt.toNumber() * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Generate a scratch-off claim code for every pack of a batch and store the
+   * Merkle tree committing to them. Without serials the batch is a single pack
+   * with an empty serial. Codes are returned once and only their hashes are kept.
+   */
+  async createPacks(chainKey, batchId, serials) {
+    const packSerials = serials === undefined ? [''] : serials;
+    if (serials !== undefined && (!Array.isArray(serials) || serials.some(s => typeof s !== 'string' || !s.trim()))) {
+      throw new Error('Serial numbers must be non-empty strings');
+    }
+    
+    const claimCodes = packSerials.map(() => generateClaimCode());
+    const codeHashes = claimCodes.map(hashClaimCode);
+    const tree = buildSerialMerkleTree(packSerials, codeHashes);
+    
+    await this.serialStore.save({
+      chainKey,
+      batchId,
+      serialRoot: tree.root,
+      serials: packSerials,
+      codeHashes,
+      registeredOnChain: false,
+      transactionHash: null,
+      createdAt: Date.now()
+    });
+    this.serialTrees.set(`${chainKey}:${batchId}`, tree);
+    
+    return {
+      tree,
+      claimCodes: packSerials.map((serial, i) => ({ serial, claimCode: claimCodes[i] }))
+    };
+  }
+
+  /**
+   * Resolve the pack a customer is claiming. Returns { proof, codeHash } or
+   * { status, error } describing why the claim cannot proceed.
+   */
+  async resolveClaim(chainKey, batchId, serial) {
+    const registry = this.contracts.get(`${chainKey}_registry`);
+    const serialInfo = await registry.getSerialInfo(batchId);
+    
+    let pack = { proof: [], codeHash: ethers.constants.HashZero };
+    if (serialInfo.serialRoot !== ethers.constants.HashZero) {
+      const tree = await this.getSerialTree(chainKey, batchId);
+      const proof = tree && tree.root === serialInfo.serialRoot ? getSerialProof(tree, serial) : null;
+      if (!proof) {
+        return serial
+          ? { status: 404, error: 'Unknown serial number' }
+          : { status: 400, error: 'Serial number required for this batch' };
+      }
+      
+      const claimant = await registry.getSerialClaimant(batchId, serial);
+      if (claimant !== ethers.constants.AddressZero) {
+        return { status: 400, error: 'Rewards already claimed for this serial' };
+      }
+      
+      pack = { proof, codeHash: tree.codeHashes[tree.serials.indexOf(serial)] || ethers.constants.HashZero };
+    } else if (serial) {
+      return { status: 400, error: 'Batch is not serialized' };
+    }
+    
+    const isReady = await registry.isBatchReadyForCustomer(batchId);
+    if (!isReady) {
+      const status = await registry.getBatchSupplyChainStatus(batchId);
+      const lifecycle = await registry.getBatchLifecycle(batchId);
+      const lots = await this.getLotTree(chainKey, batchId);
+      if (status[2]) {
+        return { status: 400, error: 'Rewards already claimed' };
+      } else if (lots.childBatchIds.length > 0) {
+        return {
+          status: 400,
+          error: 'Batch was split into lots; claim on the lot printed on your pack',
+          lots: lots.childBatchIds
+        };
+      } else if (lots.blockedBy) {
+        return {
+          status: 400,
+          error: `Parent lot ${lots.blockedBy.batchId} is ${lots.blockedBy.status.toLowerCase().replace('_', ' ')}`,
+          batchStatus: lots.blockedBy.status
+        };
+      } else if (BatchStatuses[lifecycle.status] !== 'ACTIVE') {
+        return {
+          status: 400,
+          error: `Batch is ${BatchStatuses[lifecycle.status].toLowerCase().replace('_', ' ')}`,
+          batchStatus: BatchStatuses[lifecycle.status],
+          reason: lifecycle.reason
+        };
+      } else {
+        return {
+          status: 400,
+          error: 'Supply chain verification incomplete',
+          progress: `${status[1]}/${status[0]}`
+        };
+      }
+    }
+    
+    return pack;
+  }
+
+  /**
+   * The custody tree a batch belongs to: the path of lots from the root down to
+   * the batch, and every lot split from the root with its status and progress.
+   * Claims on a lot need every ancestor on the path to be active.
+   */
+  async getLotTree(chainKey, batchId) {
+    const registry = this.contracts.get(`${chainKey}_registry`);
+    
+    const lineage = await registry.getBatchLineage(batchId);
+    const path = [batchId];
+    let parentBatchId = lineage.parentBatchId;
+    while (parentBatchId) {
+      path.unshift(parentBatchId);
+      parentBatchId = (await registry.getBatchLineage(parentBatchId)).parentBatchId;
+    }
+    
+    const describeLot = async (lotId) => {
+      const lot = await registry.getBatchLineage(lotId);
+      const status = await registry.getBatchSupplyChainStatus(lotId);
+      const lifecycle = await registry.getBatchLifecycle(lotId);
+      const children = [];
+      for (const childId of lot.childBatchIds) {
+        children.push(await describeLot(childId));
+      }
+      
+      return {
+        batchId: lotId,
+        quantity: lot.quantity.toNumber() || null,
+        status: BatchStatuses[lifecycle.status],
+        progress: `${status[1]}/${status[0]}`,
+        children
+      };
+    };
+    const tree = await describeLot(path[0]);
+    
+    // Walk the tree along the path to find the first ancestor that stops this lot
+    let blockedBy = null;
+    let node = tree;
+    for (const lotId of path.slice(1)) {
+      if (node.status !== 'ACTIVE') {
+        blockedBy = { batchId: node.batchId, status: node.status };
+        break;
+      }
+      node = node.children.find(child => child.batchId === lotId);
+    }
+    
+    return {
+      rootBatchId: path[0],
+      parentBatchId: lineage.parentBatchId || null,
+      childBatchIds: lineage.childBatchIds,
+      quantity: lineage.quantity.toNumber() || null,
+      path,
+      blockedBy,
+      tree
+    };
+  }
+
+  /**
+   * A case or pallet as recorded on-chain, or null for codes never aggregated
+   */
+  async getPackage(chainKey, code) {
+    const packaging = this.contracts.get(`${chainKey}_packaging`);
+    const pkg = await packaging.getPackage(code);
+    return PACKAGE_LEVELS[pkg.level] === 'NONE' ? null : fromPackage(code, pkg);
+  }
+
+  /**
+   * Validate case contents against the stored serials. Throws for unknown serials
+   * and for serials already packed in another case.
+   */
+  async checkCaseContents(chainKey, items) {
+    const contents = toCaseContents(items);
+    for (const item of contents) {
+      if (!item.serials) continue;
+
+      const record = await this.serialStore.get(chainKey, item.batchId);
+      if (!record) throw new Error(`Batch ${item.batchId} has no stored serials`);
+      const packed = record.packages || {};
+      for (const serial of item.serials) {
+        if (!record.serials.includes(serial)) {
+          throw new Error(`Unknown serial ${serial} in batch ${item.batchId}`);
+        }
+        if (packed[serial]) {
+          throw new Error(`Serial ${serial} is already packed in ${packed[serial]}`);
+        }
+      }
+    }
+
+    return contents;
+  }
+
+  /**
+   * Aggregate checked contents into a case on-chain. The case each serial went into is kept
+   * in its batch's serial record, so a scanned pack resolves to its case.
+   */
+  async aggregateCase(chainKey, code, contents) {
+    const packaging = this.contracts.get(`${chainKey}_packaging`);
+    const args = [code, contents.map(item => item.batchId), contents.map(item => item.units)];
+    const gasEstimate = await packaging.estimateGas.aggregateCase(...args);
+    const tx = await packaging.aggregateCase(...args, {
+      gasLimit: gasEstimate.mul(12).div(10),
+      gasPrice: ethers.utils.parseUnits('50', 'gwei')
+    });
+    await tx.wait();
+
+    for (const item of contents) {
+      if (!item.serials) continue;
+      const record = await this.serialStore.get(chainKey, item.batchId);
+      record.packages = record.packages || {};
+      for (const serial of item.serials) {
+        record.packages[serial] = code;
+      }
+      await this.serialStore.save(record);
+    }
+
+    return tx.hash;
+  }
+
+  /**
+   * Stack sealed cases onto a pallet on-chain
+   */
+  async aggregatePallet(chainKey, code, caseCodes) {
+    const packaging = this.contracts.get(`${chainKey}_packaging`);
+    const gasEstimate = await packaging.estimateGas.aggregatePallet(code, caseCodes);
+    const tx = await packaging.aggregatePallet(code, caseCodes, {
+      gasLimit: gasEstimate.mul(12).div(10),
+      gasPrice: ethers.utils.parseUnits('50', 'gwei')
+    });
+    await tx.wait();
+
+    return tx.hash;
+  }
+
+  /**
+   * Resolve any scanned code to what it is, its parent and its children: a pallet's
+   * children are cases, a case's are the serialized packs in it, a batch's are the cases
+   * holding its units and a pack's parent is its case. Returns null for unknown codes.
+   */
+  async resolveCode(chainKey, code, serial) {
+    const packaging = this.contracts.get(`${chainKey}_packaging`);
+    const registry = this.contracts.get(`${chainKey}_registry`);
+    const summarize = async (packageCode) => {
+      const pkg = await this.getPackage(chainKey, packageCode);
+      return { code: packageCode, level: pkg.level, opened: pkg.opened };
+    };
+
+    const pkg = await this.getPackage(chainKey, code);
+    if (pkg) {
+      let children = [];
+      if (pkg.level === 'PALLET') {
+        for (const childCode of pkg.childCodes) children.push(await summarize(childCode));
+      } else {
+        for (const { batchId } of pkg.contents) {
+          const record = await this.serialStore.get(chainKey, batchId);
+          const packed = Object.entries((record && record.packages) || {}).filter(([, caseCode]) => caseCode === code);
+          children = children.concat(packed.map(([packSerial]) => ({ code: batchId, level: 'UNIT', serial: packSerial })));
+        }
+      }
+
+      return {
+        ...pkg,
+        parent: pkg.parentCode ? await summarize(pkg.parentCode) : null,
+        children
+      };
+    }
+
+    // Not a package: a batch ID, or a pack when the serial from its label is given
+    try {
+      await registry.getBatch(code);
+    } catch (error) {
+      return null;
+    }
+
+    if (serial) {
+      const record = await this.serialStore.get(chainKey, code);
+      if (!record || !record.serials.includes(serial)) return null;
+      const caseCode = record.packages && record.packages[serial];
+
+      return {
+        code,
+        serial,
+        level: 'UNIT',
+        parent: caseCode ? await summarize(caseCode) : null,
+        children: []
+      };
+    }
+
+    const children = [];
+    for (const caseCode of await packaging.getBatchPackages(code)) {
+      children.push(await summarize(caseCode));
+    }
+
+    return { code, level: 'BATCH', parent: null, children };
+  }
+
+  /**
+   * Merkle tree over a batch's stored serials, built once and cached
+   */
+  async getSerialTree(chainKey, batchId) {
+    const key = `${chainKey}:${batchId}`;
+    if (!this.serialTrees.has(key)) {
+      const record = await this.serialStore.get(chainKey, batchId);
+      if (!record) return null;
+      this.serialTrees.set(key, buildSerialMerkleTree(record.serials, record.codeHashes || []));
+    }
+    
+    return this.serialTrees.get(key);
+  }
+
+  /**
+   * Resume settling channels a previous process left open or mid-settlement.
+   * On-chain channel state wins over the store, since a transaction may have
+   * been mined after the last write; batches that already landed are skipped.
+   */
+  async recoverChannels() {
+    const channels = await this.store.list();
+    const unfinished = channels.filter(c => 
+      (c.status === 'open' || c.status === 'settling') && c.state.batches.length > 0
+    );
+    
+    for (const channel of unfinished) {
+      const settlement = this.contracts.get(`${channel.chainKey}_channels`);
+      if (!settlement) continue;
+      
+      try {
+        const onChain = await settlement.channels(channel.id);
+        if (onChain.openedAt.gt(0)) {
+          channel.onChain.opened = true;
+          channel.onChain.closed = !onChain.isOpen;
+          channel.nonce = Math.max(channel.nonce, onChain.nonce.toNumber());
+        }
+        
+        channel.status = 'open';
+        await this.store.save(channel);
+        
+        console.log(`♻️ Resuming settlement of channel ${channel.id} (${channel.state.batches.length} batches)`);
+        await this.closeAndSettleChannel(channel.id);
+      } catch (error) {
+        console.error(`❌ Recovery of channel ${channel.id} failed:`, error.message);
+      }
+    }
+  }
+}
+
+// ==================== CLEARNODE CONNECTION ====================
+class ClearNodeConnection {
+  constructor(manager) {
+    this.manager = manager;
+    this.ws = null;
+    this.reconnectAttempts = 0;
+    this.maxReconnectAttempts = 5;
+  }
+
+  async connect() {
+    return new Promise((resolve, reject) => {
+      try {
+        this.manager.ws = new WebSocket(CLEARNODE_URL);
+        
+        this.manager.ws.on('open', () => {
+          console.log('✅ Connected to ClearNode');
+          this.manager.isConnected = true;
+          this.reconnectAttempts = 0;
+          resolve();
+        });
+        
+        this.manager.ws.on('message', async (data) => {
+          await this.handleMessage(data);
+        });
+        
+        this.manager.ws.on('error', (err) => {
+          console.error('❌ ClearNode error:', err.message);
+        });
+        
+        this.manager.ws.on('close', () => {
+          console.log('📌 ClearNode disconnected');
+          this.manager.isConnected = false;
+          this.attemptReconnect();
+        });
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  attemptReconnect() {
+    if (this.reconnectAttempts < this.maxReconnectAttempts) {
+      this.reconnectAttempts++;
+      console.log(`🔄 Attempting reconnect ${this.reconnectAttempts}/${this.maxReconnectAttempts}...`);
+      setTimeout(() => this.connect(), 5000 * this.reconnectAttempts);
+    } else {
+      console.error('❌ Max reconnection attempts reached');
+    }
+  }
+
+  async handleMessage(data) {
+    try {
+      const msg = JSON.parse(data.toString());
+      // Handle ClearNode messages
+    } catch (err) {
+      // Ignore non-JSON messages
+    }
+  }
+}
+
+// ==================== EXPRESS SERVER ====================
+const app = express();
+
+// CORS configuration for production
+const corsOptions = {
+  origin: IS_PRODUCTION 
+    ? ['https://meditrust-complete.onrender.com', 'https://meditrust.vercel.app']
+    : ['http://localhost:3000', 'http://localhost:5173'],
+  credentials: true,
+  optionsSuccessStatus: 200
+};
+
+app.use(cors(corsOptions));
+app.use(express.json());
+
+// Render proxies requests in production; trust its hop so req.ip is the client's address
+if (IS_PRODUCTION) {
+  app.set('trust proxy', 1);
+}
+
+// Serve static files in production
+if (IS_PRODUCTION) {
+  app.use(express.static(path.join(__dirname, 'frontend', 'dist')));
+}
+
+const manager = new StateChannelManager(
+  createChannelStore({ type: CHANNEL_STORE, filePath: CHANNEL_STORE_PATH }),
+  createSerialStore({ type: CHANNEL_STORE, dirPath: SERIAL_STORE_PATH })
+);
+const clearNode = new ClearNodeConnection(manager);
+
+// ==================== API ENDPOINTS ====================
+
+// Health check
+app.get('/api/health', async (req, res) => {
+  const chainStatuses = {};
+  
+  for (const [chainKey, chainConfig] of Object.entries(CHAINS)) {
+    const hasContracts = chainConfig.contracts.registry !== '0x0000000000000000000000000000000000000000';
+    const provider = manager.providers.get(chainKey);
+    
+    chainStatuses[chainKey] = {
+      connected: provider ? true : false,
+      contractsDeployed: hasContracts,
+      status: hasContracts ? 'ready' : 'contracts-not-deployed',
+      explorer: chainConfig.explorer
+    };
+    
+    // Per-operation pause state; null where no emergency pause is deployed
+    try {
+      const paused = await manager.getPauseState(chainKey);
+      chainStatuses[chainKey].paused = paused;
+      if (paused && Object.values(paused).some(Boolean)) {
+        chainStatuses[chainKey].status = paused.all ? 'paused' : 'partially-paused';
+      }
+    } catch (error) {
+      chainStatuses[chainKey].paused = null;
+      chainStatuses[chainKey].pauseError = error.message;
+    }
+  }
+  
+  res.json({
+    status: 'healthy',
+    environment: IS_PRODUCTION ? 'production' : 'development',
+    clearNode: manager.isConnected ? 'connected' : 'disconnected',
+    chains: chainStatuses,
+    activeChannels: (await manager.store.list())
+      .filter(c => c.status === 'open' || c.status === 'settling').length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Get available chains
+app.get('/api/chains', (req, res) => {
+  const chains = Object.entries(CHAINS).map(([key, config]) => ({
+    key,
+    name: config.name,
+    chainId: config.chainId,
+    hasContracts: config.contracts.registry !== '0x0000000000000000000000000000000000000000',
+    explorer: config.explorer
+  }));
+  
+  res.json(chains);
+});
+
+// Apply for manufacturer approval as the backend's wallet; an admin approves on-chain
+app.post('/api/manufacturers/:chainKey/apply', async (req, res) => {
+  try {
+    const { chainKey } = req.params;
+    const { legalName, licenseNumber, jurisdiction = '', licenseExpiry, metadataHash = ethers.constants.HashZero } = req.body;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    const manufacturers = await manager.getManufacturerRegistry(chainKey);
+    if (!manufacturers) {
+      return res.status(400).json({ error: 'Registry contract not deployed on this chain' });
+    }
+    
+    if (!legalName || !licenseNumber) {
+      return res.status(400).json({ error: 'Legal name and license number required' });
+    }
+    
+    const expiry = Math.floor(new Date(licenseExpiry).getTime() / 1000);
+    if (!expiry || expiry <= Date.now() / 1000) {
+      return res.status(400).json({ error: 'licenseExpiry must be a future date' });
+    }
+    
+    if (!ethers.utils.isHexString(metadataHash, 32)) {
+      return res.status(400).json({ error: 'metadataHash must be a 32-byte hex string' });
+    }
+    
+    const address = manager.wallets.get(chainKey).address;
+    const current = await manager.getManufacturer(chainKey, address);
+    if (current.status !== 'NONE' && current.status !== 'PENDING') {
+      return res.status(409).json({ error: 'Application already decided', manufacturer: current });
+    }
+    
+    const tx = await manufacturers.submitApplication(legalName, licenseNumber, jurisdiction, expiry, metadataHash);
+    await tx.wait();
+    
+    res.json({
+      success: true,
+      manufacturer: await manager.getManufacturer(chainKey, address),
+      transactionHash: tx.hash,
+      explorer: `${CHAINS[chainKey].explorer}/tx/${tx.hash}`
+    });
+  } catch (error) {
+    console.error('Manufacturer application error:', error);
+    res.status(500).json({ error: error.reason || error.message });
+  }
+});
+
+// List manufacturer applications and their status
+app.get('/api/manufacturers/:chainKey', async (req, res) => {
+  try {
+    const { chainKey } = req.params;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    const manufacturers = await manager.getManufacturerRegistry(chainKey);
+    if (!manufacturers) {
+      return res.status(400).json({ error: 'Registry contract not deployed on this chain' });
+    }
+    
+    const profiles = [];
+    for (const address of await manufacturers.getApplicants()) {
+      profiles.push(await manager.getManufacturer(chainKey, address));
+    }
+    
+    res.json({
+      manufacturers: req.query.status
+        ? profiles.filter(p => p.status === req.query.status.toUpperCase())
+        : profiles
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a manufacturer's profile
+app.get('/api/manufacturers/:chainKey/:address', async (req, res) => {
+  try {
+    const { chainKey, address } = req.params;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    if (!manager.contracts.has(`${chainKey}_registry`)) {
+      return res.status(400).json({ error: 'Registry contract not deployed on this chain' });
+    }
+    
+    if (!ethers.utils.isAddress(address)) {
+      return res.status(400).json({ error: 'Invalid manufacturer address' });
+    }
+    
+    const manufacturer = await manager.getManufacturer(chainKey, ethers.utils.getAddress(address));
+    if (manufacturer.status === 'NONE') {
+      return res.status(404).json({ error: 'Manufacturer has not applied' });
+    }
+    
+    res.json(manufacturer);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Register a product in the catalog, once per GTIN/NDC
+app.post('/api/products/:chainKey', async (req, res) => {
+  try {
+    const { chainKey } = req.params;
+    const { gtin, name, strength = '', dosageForm = '', ingredients = '' } = req.body;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    const catalog = await manager.getCatalog(chainKey);
+    if (!catalog) {
+      return res.status(400).json({ error: 'Registry contract not deployed on this chain' });
+    }
+    
+    if (!gtin || !name) {
+      return res.status(400).json({ error: 'GTIN and name required' });
+    }
+    
+    const manufacturer = await manager.getManufacturer(chainKey, manager.wallets.get(chainKey).address);
+    if (manufacturer.status !== 'APPROVED' && manufacturer.status !== 'SUSPENDED') {
+      return res.status(403).json({ error: 'Manufacturer is not approved', manufacturerStatus: manufacturer.status });
+    }
+    
+    const productId = ethers.utils.id(gtin);
+    if (await manager.getProduct(chainKey, productId)) {
+      return res.status(409).json({ error: 'Product already registered', productId });
+    }
+    
+    const tx = await catalog.registerProduct(gtin, name, strength, dosageForm, ingredients);
+    await tx.wait();
+    
+    res.json({
+      success: true,
+      product: await manager.getProduct(chainKey, productId),
+      transactionHash: tx.hash,
+      explorer: `${CHAINS[chainKey].explorer}/tx/${tx.hash}`
+    });
+  } catch (error) {
+    console.error('Product registration error:', error);
+    res.status(500).json({ error: error.reason || error.message });
+  }
+});
+
+// List a manufacturer's products (the backend's own by default)
+app.get('/api/products/:chainKey', async (req, res) => {
+  try {
+    const { chainKey } = req.params;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    const catalog = await manager.getCatalog(chainKey);
+    if (!catalog) {
+      return res.status(400).json({ error: 'Registry contract not deployed on this chain' });
+    }
+    
+    const manufacturer = req.query.manufacturer || manager.wallets.get(chainKey).address;
+    if (!ethers.utils.isAddress(manufacturer)) {
+      return res.status(400).json({ error: 'Invalid manufacturer address' });
+    }
+    
+    const productIds = await catalog.getManufacturerProducts(manufacturer);
+    const products = [];
+    for (const productId of productIds) {
+      products.push(await manager.getProduct(chainKey, productId));
+    }
+    
+    res.json({ manufacturer, products });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a catalog product
+app.get('/api/products/:chainKey/:productId', async (req, res) => {
+  try {
+    const { chainKey, productId } = req.params;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    if (!manager.contracts.has(`${chainKey}_registry`)) {
+      return res.status(400).json({ error: 'Registry contract not deployed on this chain' });
+    }
+    
+    if (!ethers.utils.isHexString(productId, 32)) {
+      return res.status(400).json({ error: 'Invalid product id' });
+    }
+    
+    const product = await manager.getProduct(chainKey, productId);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    
+    res.json(product);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Register batch with supply chain participants
+app.post('/api/register/:chainKey', async (req, res) => {
+  try {
+    const { chainKey } = req.params;
+    const { 
+      batchId, 
+      productId: requestedProductId,
+      gtin,
+      expiryDate,
+      participants,
+      serials,
+      storagePolicy,
+      quantity,
+      useStateChannel = true 
+    } = req.body;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    if (!participants || !Array.isArray(participants) || participants.length === 0) {
+      return res.status(400).json({ error: 'At least one supply chain participant required' });
+    }
+    
+    // A mistyped role would otherwise register the participant with no role at all
+    const validRoles = Object.keys(SupplyChainRoles).filter(role => role !== 'NONE');
+    if (participants.some(p => !p || !validRoles.includes(p.role))) {
+      return res.status(400).json({ error: 'Unknown supply chain role', validRoles });
+    }
+    
+    if (!manager.contracts.has(`${chainKey}_registry`)) {
+      return res.status(400).json({ error: 'Registry contract not deployed on this chain' });
+    }
+    
+    // Channel batches would only fail at settlement, so refuse them too while registration is paused
+    const paused = await manager.pausedOperation(chainKey, ['REGISTRATION']);
+    if (paused) {
+      return res.status(503).json({ error: PAUSED_MESSAGES[paused], reason: 'PAUSED', operation: paused });
+    }
+    
+    // Batches reference a catalog product, by id or by its GTIN/NDC
+    const productId = requestedProductId || (gtin && ethers.utils.id(gtin));
+    if (!productId || !ethers.utils.isHexString(productId, 32)) {
+      return res.status(400).json({ error: 'productId or gtin required' });
+    }
+    const product = await manager.getProduct(chainKey, productId);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found in catalog' });
+    }
+    if (product.manufacturer !== manager.wallets.get(chainKey).address) {
+      return res.status(403).json({ error: 'Product belongs to another manufacturer' });
+    }
+    // Checked up front so channel batches do not fail only at settlement
+    const manufacturer = await manager.getManufacturer(chainKey, product.manufacturer);
+    if (!manufacturer.verified) {
+      return res.status(403).json({
+        error: 'Manufacturer is not approved to register batches',
+        manufacturerStatus: manufacturer.status
+      });
+    }
+    
+    const participantAddresses = participants.map(p => p.address);
+    const participantRoles = participants.map(p => SupplyChainRoles[p.role]);
+    
+    // The registry only assigns participants whose MEDI bond meets the minimum
+    const stakes = await Promise.all(participantAddresses
+      .filter(address => ethers.utils.isAddress(address || ''))
+      .map(address => manager.getStake(chainKey, address)));
+    const underBonded = stakes.filter(stake => stake && !stake.eligible);
+    if (underBonded.length > 0) {
+      return res.status(409).json({ error: 'Participants not bonded', underBonded });
+    }
+    
+    // Hops are optional; without them the registry enforces strict sequential custody
+    const participantHops = participants.some(p => p.hop !== undefined)
+      ? participants.map(p => Number(p.hop || 0))
+      : [];
+    
+    let coldChainPolicy = null;
+    if (storagePolicy) {
+      try {
+        coldChainPolicy = toColdChainPolicy(storagePolicy);
+      } catch (error) {
+        return res.status(400).json({ error: `Invalid storage policy: ${error.message}` });
+      }
+    }
+    
+    let quantityPolicy = null;
+    if (quantity) {
+      try {
+        quantityPolicy = toQuantityPolicy(quantity);
+      } catch (error) {
+        return res.status(400).json({ error: `Invalid quantity: ${error.message}` });
+      }
+    }
+    
+    const existing = await manager.serialStore.get(chainKey, batchId);
+    if (existing && existing.registeredOnChain) {
+      return res.status(409).json({ error: 'Serials already registered for this batch' });
+    }
+    
+    // Every pack (one per serial, or the whole batch) gets a scratch-off claim code
+    let packs;
+    try {
+      packs = await manager.createPacks(chainKey, batchId, serials);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const serialTree = packs.tree;
+    const serialInfo = serials !== undefined ? {
+      root: serialTree.root,
+      count: serials.length,
+      qrUrl: `/api/serials/${chainKey}/${encodeURIComponent(batchId)}/{serial}/qr`
+    } : null;
+    
+    // Generate QR code with production URL
+    const qrData = {
+      batchId,
+      chain: chainKey,
+      contractAddress: CHAINS[chainKey].contracts.registry,
+      participants: participantAddresses,
+      verifyUrl: `https://meditrust-complete.onrender.com/verify/${batchId}`
+    };
+    
+    const qrCode = await QRCode.toDataURL(JSON.stringify(qrData));
+    
+    // Without a ChannelSettlement deployment, batches are registered directly
+    if (useStateChannel && manager.contracts.has(`${chainKey}_channels`)) {
+      let channelId = await manager.findOpenChannel(chainKey);
+      
+      if (!channelId) {
+        channelId = await manager.createChannel(chainKey);
+      }
+      
+      // The batch lands on a new channel if this one started settling meanwhile
+      const channel = await manager.addBatchToChannel(channelId, {
+        batchId,
+        productId,
+        expiryDate,
+        participants: participantAddresses,
+        roles: participantRoles,
+        hops: participantHops,
+        serialRoot: serialTree.root,
+        coldChainPolicy,
+        quantityPolicy
+      });
+      
+      res.json({
+        success: true,
+        message: 'Batch added to state channel',
+        batchId,
+        channelId: channel.id,
+        product,
+        qrCode,
+        chain: CHAINS[chainKey].name,
+        participants: participants.length,
+        serials: serialInfo,
+        storagePolicy: coldChainPolicy && fromColdChainPolicy(coldChainPolicy),
+        quantity: quantityPolicy && fromQuantityPolicy(quantityPolicy),
+        claimCodes: packs.claimCodes,
+        status: 'pending_settlement',
+        explorer: `${CHAINS[chainKey].explorer}/address/${CHAINS[chainKey].contracts.registry}`
+      });
+    } else {
+      const registry = manager.contracts.get(`${chainKey}_registry`);
+      const channelId = ethers.utils.formatBytes32String('direct');
+      const registerArgs = [
+        batchId,
+        productId,
+        Math.floor(new Date(expiryDate).getTime() / 1000),
+        participantAddresses,
+        participantRoles,
+        participantHops,
+        channelId
+      ];
+      // Storage grows with every participant, so estimate rather than use a fixed limit
+      const gasEstimate = await registry.estimateGas.registerBatchWithSupplyChain(...registerArgs);
+      const tx = await registry.registerBatchWithSupplyChain(...registerArgs, {
+        gasLimit: gasEstimate.mul(12).div(10),
+        gasPrice: ethers.utils.parseUnits('50', 'gwei')
+      });
+      
+      await tx.wait();
+      
+      await manager.registerSerialRoot(chainKey, batchId);
+      if (coldChainPolicy) {
+        await manager.applyColdChainPolicy(chainKey, batchId, coldChainPolicy);
+      }
+      if (quantityPolicy) {
+        await manager.applyBatchQuantity(chainKey, batchId, quantityPolicy);
+      }
+      
+      res.json({
+        success: true,
+        message: 'Batch registered on-chain',
+        batchId,
+        transactionHash: tx.hash,
+        product,
+        qrCode,
+        chain: CHAINS[chainKey].name,
+        participants: participants.length,
+        serials: serialInfo,
+        storagePolicy: coldChainPolicy && fromColdChainPolicy(coldChainPolicy),
+        quantity: quantityPolicy && fromQuantityPolicy(quantityPolicy),
+        claimCodes: packs.claimCodes,
+        status: 'confirmed',
+        explorer: `${CHAINS[chainKey].explorer}/tx/${tx.hash}`
+      });
+    }
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({ 
+      error: error.message,
+      details: IS_PRODUCTION ? 'Contact support' : error.stack
+    });
+  }
+});
+
+// Typed data for a participant to sign in their own wallet before relaying
+app.post('/api/verify/typed-data/:chainKey', async (req, res) => {
+  try {
+    const { chainKey } = req.params;
+    const { batchId, verifier, location = '', additionalData = '', reading, units } = req.body;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    const registry = manager.contracts.get(`${chainKey}_registry`);
+    if (!registry) {
+      return res.status(400).json({ error: 'Registry contract not deployed on this chain' });
+    }
+    
+    if (!batchId || !ethers.utils.isAddress(verifier || '')) {
+      return res.status(400).json({ error: 'batchId and a valid verifier address are required' });
+    }
+    
+    let conditionReading = EMPTY_READING;
+    try {
+      if (reading) conditionReading = toConditionReading(reading);
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid condition reading: ${error.message}` });
+    }
+    try {
+      if (units) conditionReading = { ...conditionReading, ...toUnitReading(units) };
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid unit counts: ${error.message}` });
+    }
+    
+    const deadline = Math.floor(Date.now() / 1000) + SIGNATURE_TTL_SECONDS;
+    
+    // A delegate signs against the DelegateRegistry, which verifies for its organization
+    const acting = await manager.resolveVerifier(chainKey, batchId, verifier);
+    if (!acting) {
+      return res.status(403).json({ error: 'Not authorized to verify this batch' });
+    }
+    
+    // Nothing to sign until the participant's hop is due and the batch can move
+    const { canVerify, alreadyVerified } = await registry.canVerifyBatch(batchId, acting.participant);
+    if (alreadyVerified) {
+      return res.status(400).json({ error: 'Already verified this batch' });
+    }
+    if (!canVerify) {
+      const currentHop = await registry.getCurrentHop(batchId);
+      return res.status(409).json({
+        error: 'Cannot verify now: the participant\'s hop is not due or the batch is not active',
+        expectedHop: currentHop.hop.toNumber(),
+        expectedVerifiers: currentHop.pendingParticipants
+      });
+    }
+    
+    if (acting.delegate) {
+      const delegates = manager.contracts.get(`${chainKey}_delegates`);
+      const nonce = await delegates.nonces(verifier);
+      return res.json({
+        organization: acting.participant,
+        typedData: buildTypedData(
+          getDelegateDomain(CHAINS[chainKey].chainId, delegates.address),
+          DELEGATED_VERIFICATION_TYPES,
+          {
+            batchId,
+            delegate: verifier,
+            location,
+            data: additionalData,
+            reading: conditionReading,
+            nonce: nonce.toString(),
+            deadline
+          }
+        )
+      });
+    }
+    
+    const nonce = await registry.nonces(verifier);
+    const message = {
+      batchId,
+      participant: verifier,
+      location,
+      data: additionalData,
+      reading: conditionReading,
+      nonce: nonce.toString(),
+      deadline
+    };
+    
+    res.json({
+      typedData: buildTypedData(
+        getRegistryDomain(CHAINS[chainKey].chainId, registry.address),
+        VERIFICATION_TYPES,
+        message
+      )
+    });
+  } catch (error) {
+    console.error('Typed data error:', error);
+    res.status(500).json({ 
+      error: error.message,
+      details: IS_PRODUCTION ? 'Contact support' : error.stack
+    });
+  }
+});
+
+// Supply chain participant verification (relayed: the participant signs, the server pays gas)
+app.post('/api/verify/supply-chain/:chainKey', async (req, res) => {
+  try {
+    const { chainKey } = req.params;
+    const { batchId, verifier, location = '', additionalData = '', reading, units, deadline, signature } = req.body;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    const registry = manager.contracts.get(`${chainKey}_registry`);
+    if (!registry) {
+      return res.status(400).json({ error: 'Registry contract not deployed on this chain' });
+    }
+    
+    const paused = await manager.pausedOperation(chainKey, ['VERIFICATION']);
+    if (paused) {
+      return res.status(503).json({ error: PAUSED_MESSAGES[paused], reason: 'PAUSED', operation: paused });
+    }
+    
+    if (!ethers.utils.isAddress(verifier || '')) {
+      return res.status(400).json({ error: 'A valid verifier address is required' });
+    }
+    
+    if (!signature || !deadline) {
+      return res.status(400).json({ error: 'Signed verification (signature and deadline) required' });
+    }
+    
+    if (Number(deadline) < Math.floor(Date.now() / 1000)) {
+      return res.status(400).json({ error: 'Signature expired' });
+    }
+    
+    let conditionReading = EMPTY_READING;
+    try {
+      if (reading) conditionReading = toConditionReading(reading);
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid condition reading: ${error.message}` });
+    }
+    try {
+      if (units) conditionReading = { ...conditionReading, ...toUnitReading(units) };
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid unit counts: ${error.message}` });
+    }
+    
+    // Delegates verify for their organization through the DelegateRegistry
+    const acting = await manager.resolveVerifier(chainKey, batchId, verifier);
+    if (!acting) {
+      return res.status(403).json({ error: 'Not authorized to verify this batch' });
+    }
+    const { participant, delegate } = acting;
+    const delegates = manager.contracts.get(`${chainKey}_delegates`);
+    
+    // Check the signature off-chain first so bad requests never cost relayer gas
+    const signer = delegate
+      ? recoverTypedDataSigner(
+        getDelegateDomain(CHAINS[chainKey].chainId, delegates.address),
+        DELEGATED_VERIFICATION_TYPES,
+        {
+          batchId,
+          delegate: verifier,
+          location,
+          data: additionalData,
+          reading: conditionReading,
+          nonce: await delegates.nonces(verifier),
+          deadline
+        },
+        signature
+      )
+      : recoverTypedDataSigner(
+        getRegistryDomain(CHAINS[chainKey].chainId, registry.address),
+        VERIFICATION_TYPES,
+        {
+          batchId,
+          participant: verifier,
+          location,
+          data: additionalData,
+          reading: conditionReading,
+          nonce: await registry.nonces(verifier),
+          deadline
+        },
+        signature
+      );
+    if (!signer || signer.toLowerCase() !== verifier.toLowerCase()) {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+    
+    const lifecycle = await registry.getBatchLifecycle(batchId);
+    if (BatchStatuses[lifecycle.status] !== 'ACTIVE') {
+      return res.status(400).json({
+        error: `Batch is ${BatchStatuses[lifecycle.status].toLowerCase().replace('_', ' ')}`,
+        status: BatchStatuses[lifecycle.status],
+        reason: lifecycle.reason
+      });
+    }
+    
+    const details = await registry.getParticipantDetails(batchId, participant);
+    if (details.hasVerified) {
+      return res.status(400).json({ error: 'Already verified this batch' });
+    }
+    
+    const coldChain = await registry.getColdChainStatus(batchId);
+    if (coldChain.policy.enabled && !reading) {
+      return res.status(400).json({
+        error: 'This batch has a cold-chain policy; submit the condition reading for your custody',
+        storagePolicy: fromColdChainPolicy(coldChain.policy)
+      });
+    }
+    
+    const ledger = await manager.getQuantityLedger(chainKey);
+    const quantityPolicy = await ledger.getPolicy(batchId);
+    const expectedUnits = await ledger.getExpectedUnits(batchId, details.hop);
+    if (!quantityPolicy.units.isZero() && !units) {
+      return res.status(400).json({
+        error: 'This batch tracks unit counts; submit the units you received and dispatched',
+        expectedUnits: expectedUnits.toNumber()
+      });
+    }
+    
+    const currentHop = await registry.getCurrentHop(batchId);
+    if (!details.hop.eq(currentHop.hop)) {
+      return res.status(409).json({
+        error: 'Out of order: previous hop not verified',
+        verifierHop: details.hop.toNumber(),
+        expectedHop: currentHop.hop.toNumber(),
+        expectedVerifiers: currentHop.pendingParticipants
+      });
+    }
+    
+    // Gas depends on the location/data length, so estimate rather than use a fixed limit
+    const verifyArgs = [batchId, verifier, location, additionalData, conditionReading, deadline, signature];
+    const contract = delegate ? delegates : registry;
+    const method = delegate ? 'verifyBatchAsDelegate' : 'verifyBatchAsParticipant';
+    const gasEstimate = await contract.estimateGas[method](...verifyArgs);
+    const tx = await contract[method](...verifyArgs, {
+      gasLimit: gasEstimate.mul(12).div(10),
+      gasPrice: ethers.utils.parseUnits('50', 'gwei')
+    });
+    const receipt = await tx.wait();
+    
+    const excursion = receipt.logs
+      .map(log => {
+        try {
+          return registry.interface.parseLog(log);
+        } catch (error) {
+          return null;
+        }
+      })
+      .find(event => event && event.name === 'ColdChainExcursion');
+    
+    const status = await registry.getBatchSupplyChainStatus(batchId);
+    const nextHop = await registry.getCurrentHop(batchId);
+    
+    res.json({
+      success: true,
+      message: 'Supply chain verification recorded',
+      batchId,
+      verifier,
+      participant,
+      delegate,
+      role: details.role,
+      hop: details.hop.toNumber(),
+      relayer: manager.wallets.get(chainKey).address,
+      transactionHash: tx.hash,
+      progress: `${status[1]}/${status[0]}`,
+      currentHop: nextHop.hop.toNumber(),
+      totalHops: nextHop.totalHops.toNumber(),
+      expectedVerifiers: nextHop.pendingParticipants,
+      readyForCustomer: status[1].toString() === status[0].toString() && !(excursion && excursion.args[4]),
+      coldChain: coldChain.policy.enabled ? {
+        ...describeReading(coldChain.policy, conditionReading),
+        totalExcursionMinutes: excursion ? excursion.args[3].toNumber() : coldChain.excursionMinutes.toNumber(),
+        compromised: Boolean(excursion && excursion.args[4])
+      } : null,
+      units: quantityPolicy.units.isZero() ? null : describeUnitCount(quantityPolicy, expectedUnits, {
+        received: conditionReading.unitsReceived,
+        dispatched: conditionReading.unitsDispatched
+      }),
+      explorer: `${CHAINS[chainKey].explorer}/tx/${tx.hash}`
+    });
+  } catch (error) {
+    console.error('Supply chain verification error:', error);
+    res.status(500).json({ 
+      error: error.message,
+      details: IS_PRODUCTION ? 'Contact support' : error.stack
+    });
+  }
+});
+
+// An organization's delegates, the organization the address itself verifies for, if any,
+// and the invitations it has yet to accept
+app.get('/api/delegates/:chainKey/:organization', async (req, res) => {
+  try {
+    const { chainKey, organization } = req.params;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    const delegates = manager.contracts.get(`${chainKey}_delegates`);
+    if (!delegates) {
+      return res.status(400).json({ error: 'Delegate registry not deployed on this chain' });
+    }
+    
+    if (!ethers.utils.isAddress(organization)) {
+      return res.status(400).json({ error: 'Invalid organization address' });
+    }
+    
+    const delegateOf = await delegates.organizationOf(organization);
+    res.json({
+      organization: ethers.utils.getAddress(organization),
+      delegates: await delegates.getDelegates(organization),
+      delegateOf: delegateOf === ethers.constants.AddressZero ? null : delegateOf,
+      invitedBy: await manager.getInvitations(chainKey, ethers.utils.getAddress(organization))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Typed data for an organization to sign before relaying a delegate invitation (active) or revoke
+app.post('/api/delegates/typed-data/:chainKey', async (req, res) => {
+  try {
+    const { chainKey } = req.params;
+    const { organization, delegate, active = true } = req.body;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    const delegates = manager.contracts.get(`${chainKey}_delegates`);
+    if (!delegates) {
+      return res.status(400).json({ error: 'Delegate registry not deployed on this chain' });
+    }
+    
+    if (!ethers.utils.isAddress(organization || '') || !ethers.utils.isAddress(delegate || '')) {
+      return res.status(400).json({ error: 'Valid organization and delegate addresses are required' });
+    }
+    
+    const nonce = await delegates.nonces(organization);
+    res.json({
+      typedData: buildTypedData(
+        getDelegateDomain(CHAINS[chainKey].chainId, delegates.address),
+        DELEGATE_UPDATE_TYPES,
+        {
+          organization,
+          delegate,
+          active: Boolean(active),
+          nonce: nonce.toString(),
+          deadline: Math.floor(Date.now() / 1000) + SIGNATURE_TTL_SECONDS
+        }
+      )
+    });
+  } catch (error) {
+    console.error('Typed data error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Invite or revoke a delegate (relayed: the organization signs, the server pays gas). An invited
+// delegate only verifies for the organization once it accepts.
+app.post('/api/delegates/:chainKey', async (req, res) => {
+  try {
+    const { chainKey } = req.params;
+    const { organization, delegate, active = true, deadline, signature } = req.body;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    const delegates = manager.contracts.get(`${chainKey}_delegates`);
+    if (!delegates) {
+      return res.status(400).json({ error: 'Delegate registry not deployed on this chain' });
+    }
+    
+    if (!ethers.utils.isAddress(organization || '') || !ethers.utils.isAddress(delegate || '')) {
+      return res.status(400).json({ error: 'Valid organization and delegate addresses are required' });
+    }
+    
+    if (!signature || !deadline) {
+      return res.status(400).json({ error: 'Signed update (signature and deadline) required' });
+    }
+    
+    const nonce = await delegates.nonces(organization);
+    const signer = recoverTypedDataSigner(
+      getDelegateDomain(CHAINS[chainKey].chainId, delegates.address),
+      DELEGATE_UPDATE_TYPES,
+      { organization, delegate, active: Boolean(active), nonce, deadline },
+      signature
+    );
+    if (!signer || signer.toLowerCase() !== organization.toLowerCase()) {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+    
+    const current = await delegates.organizationOf(delegate);
+    if (active && current !== ethers.constants.AddressZero) {
+      return res.status(409).json({ error: 'Delegate already assigned', organization: current });
+    }
+    if (
+      !active &&
+      current.toLowerCase() !== organization.toLowerCase() &&
+      !(await delegates.invitations(delegate, organization))
+    ) {
+      return res.status(409).json({ error: 'Not a delegate of this organization' });
+    }
+    
+    const transactionHash = await manager.updateDelegate(chainKey, {
+      organization, delegate, active: Boolean(active), deadline, signature
+    });
+    
+    res.json({
+      success: true,
+      organization,
+      delegates: await delegates.getDelegates(organization),
+      awaitingAcceptance: Boolean(active),
+      transactionHash,
+      explorer: `${CHAINS[chainKey].explorer}/tx/${transactionHash}`
+    });
+  } catch (error) {
+    console.error('Delegate update error:', error);
+    res.status(500).json({ error: error.reason || error.message });
+  }
+});
+
+// Typed data for a delegate to sign before relaying its acceptance (active) or resignation
+app.post('/api/delegates/consent/typed-data/:chainKey', async (req, res) => {
+  try {
+    const { chainKey } = req.params;
+    const { organization, delegate, active = true } = req.body;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    const delegates = manager.contracts.get(`${chainKey}_delegates`);
+    if (!delegates) {
+      return res.status(400).json({ error: 'Delegate registry not deployed on this chain' });
+    }
+    
+    if (!ethers.utils.isAddress(organization || '') || !ethers.utils.isAddress(delegate || '')) {
+      return res.status(400).json({ error: 'Valid organization and delegate addresses are required' });
+    }
+    
+    const nonce = await delegates.nonces(delegate);
+    res.json({
+      typedData: buildTypedData(
+        getDelegateDomain(CHAINS[chainKey].chainId, delegates.address),
+        DELEGATE_CONSENT_TYPES,
+        {
+          organization,
+          delegate,
+          active: Boolean(active),
+          nonce: nonce.toString(),
+          deadline: Math.floor(Date.now() / 1000) + SIGNATURE_TTL_SECONDS
+        }
+      )
+    });
+  } catch (error) {
+    console.error('Typed data error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Accept an invitation or resign (relayed: the delegate signs, the server pays gas)
+app.post('/api/delegates/consent/:chainKey', async (req, res) => {
+  try {
+    const { chainKey } = req.params;
+    const { organization, delegate, active = true, deadline, signature } = req.body;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    const delegates = manager.contracts.get(`${chainKey}_delegates`);
+    if (!delegates) {
+      return res.status(400).json({ error: 'Delegate registry not deployed on this chain' });
+    }
+    
+    if (!ethers.utils.isAddress(organization || '') || !ethers.utils.isAddress(delegate || '')) {
+      return res.status(400).json({ error: 'Valid organization and delegate addresses are required' });
+    }
+    
+    if (!signature || !deadline) {
+      return res.status(400).json({ error: 'Signed consent (signature and deadline) required' });
+    }
+    
+    const nonce = await delegates.nonces(delegate);
+    const signer = recoverTypedDataSigner(
+      getDelegateDomain(CHAINS[chainKey].chainId, delegates.address),
+      DELEGATE_CONSENT_TYPES,
+      { organization, delegate, active: Boolean(active), nonce, deadline },
+      signature
+    );
+    if (!signer || signer.toLowerCase() !== delegate.toLowerCase()) {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+    
+    const current = await delegates.organizationOf(delegate);
+    if (active && !(await delegates.invitations(delegate, organization))) {
+      return res.status(409).json({ error: 'Not invited by this organization' });
+    }
+    if (active && current !== ethers.constants.AddressZero) {
+      return res.status(409).json({ error: 'Delegate already assigned', organization: current });
+    }
+    if (!active && current.toLowerCase() !== organization.toLowerCase()) {
+      return res.status(409).json({ error: 'Not a delegate of this organization' });
+    }
+    
+    const transactionHash = await manager.updateConsent(chainKey, {
+      organization, delegate, active: Boolean(active), deadline, signature
+    });
+    
+    res.json({
+      success: true,
+      organization,
+      delegates: await delegates.getDelegates(organization),
+      transactionHash,
+      explorer: `${CHAINS[chainKey].explorer}/tx/${transactionHash}`
+    });
+  } catch (error) {
+    console.error('Delegate consent error:', error);
+    res.status(500).json({ error: error.reason || error.message });
+  }
+});
+
+// Disputes opened on a batch, with any arbiter rulings
+app.get('/api/disputes/:chainKey/:batchId', async (req, res) => {
+  try {
+    const { chainKey, batchId } = req.params;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    if (!manager.contracts.has(`${chainKey}_disputes`)) {
+      return res.status(400).json({ error: 'Dispute registry not deployed on this chain' });
+    }
+    
+    res.json({ batchId, disputes: await manager.getDisputes(chainKey, batchId) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Typed data for a reporter to sign before relaying a dispute
+app.post('/api/disputes/typed-data/:chainKey', async (req, res) => {
+  try {
+    const { chainKey } = req.params;
+    const { reporter } = req.body;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    const disputes = manager.contracts.get(`${chainKey}_disputes`);
+    if (!disputes) {
+      return res.status(400).json({ error: 'Dispute registry not deployed on this chain' });
+    }
+    
+    if (!ethers.utils.isAddress(reporter || '')) {
+      return res.status(400).json({ error: 'Valid reporter address required' });
+    }
+    
+    let report;
+    try {
+      report = toDisputeReport(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    const nonce = await disputes.nonces(reporter);
+    res.json({
+      typedData: buildTypedData(
+        getDisputeDomain(CHAINS[chainKey].chainId, disputes.address),
+        DISPUTE_REPORT_TYPES,
+        {
+          ...report,
+          reporter,
+          nonce: nonce.toString(),
+          deadline: Math.floor(Date.now() / 1000) + SIGNATURE_TTL_SECONDS
+        }
+      )
+    });
+  } catch (error) {
+    console.error('Typed data error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Open a dispute on a batch or a verified hop (relayed: the reporter signs, the server pays gas)
+app.post('/api/disputes/:chainKey', async (req, res) => {
+  try {
+    const { chainKey } = req.params;
+    const { reporter, deadline, signature } = req.body;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    const disputes = manager.contracts.get(`${chainKey}_disputes`);
+    if (!disputes) {
+      return res.status(400).json({ error: 'Dispute registry not deployed on this chain' });
+    }
+    
+    if (!ethers.utils.isAddress(reporter || '')) {
+      return res.status(400).json({ error: 'Valid reporter address required' });
+    }
+    
+    if (!signature || !deadline) {
+      return res.status(400).json({ error: 'Signed report (signature and deadline) required' });
+    }
+    
+    let report;
+    try {
+      report = toDisputeReport(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    const nonce = await disputes.nonces(reporter);
+    const signer = recoverTypedDataSigner(
+      getDisputeDomain(CHAINS[chainKey].chainId, disputes.address),
+      DISPUTE_REPORT_TYPES,
+      { ...report, reporter, nonce, deadline },
+      signature
+    );
+    if (!signer || signer.toLowerCase() !== reporter.toLowerCase()) {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+    
+    // Only a verification that was recorded can be disputed
+    if (report.participant !== ethers.constants.AddressZero) {
+      const registry = manager.contracts.get(`${chainKey}_registry`);
+      const verified = await registry.isParticipant(report.batchId, report.participant) &&
+        (await registry.getParticipantDetails(report.batchId, report.participant)).hasVerified;
+      if (!verified) {
+        return res.status(409).json({ error: 'Participant has not verified this batch' });
+      }
+    }
+    
+    const { disputeId, transactionHash } = await manager.openDispute(chainKey, {
+      ...report, reporter, deadline, signature
+    });
+    
+    res.json({
+      success: true,
+      dispute: fromDispute(disputeId, await disputes.getDispute(disputeId)),
+      transactionHash,
+      explorer: `${CHAINS[chainKey].explorer}/tx/${transactionHash}`
+    });
+  } catch (error) {
+    console.error('Dispute report error:', error);
+    res.status(500).json({ error: error.reason || error.message });
+  }
+});
+
+// Staking policy: minimum bond for assignment, slash share and unbonding period
+app.get('/api/staking/:chainKey', async (req, res) => {
+  try {
+    const { chainKey } = req.params;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    const staking = manager.contracts.get(`${chainKey}_staking`);
+    if (!staking) {
+      return res.status(400).json({ error: 'Staking registry not deployed on this chain' });
+    }
+    
+    res.json({
+      minimumStake: ethers.utils.formatEther(await staking.minimumStake()),
+      slashPercent: (await staking.slashBps()).toNumber() / 100,
+      unbondingPeriod: (await staking.UNBONDING_PERIOD()).toNumber(),
+      totalSlashed: ethers.utils.formatEther(await staking.totalSlashed()),
+      contract: staking.address
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A participant's bonded and unbonding MEDI, and whether it can be assigned to batches
+app.get('/api/staking/:chainKey/:address', async (req, res) => {
+  try {
+    const { chainKey, address } = req.params;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    if (!manager.contracts.has(`${chainKey}_staking`)) {
+      return res.status(400).json({ error: 'Staking registry not deployed on this chain' });
+    }
+    
+    if (!ethers.utils.isAddress(address)) {
+      return res.status(400).json({ error: 'Invalid participant address' });
+    }
+    
+    res.json(await manager.getStake(chainKey, address));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Role grants, minters, reward parameters and upgrades proposed to the timelock; filter with ?status=QUEUED
+app.get('/api/governance/:chainKey', async (req, res) => {
+  try {
+    const { chainKey } = req.params;
+    const { status } = req.query;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    const governance = await manager.getGovernance(chainKey);
+    if (!governance) {
+      return res.status(400).json({ error: 'Governance timelock not deployed on this chain' });
+    }
+    
+    if (status) {
+      governance.operations = governance.operations.filter(operation => operation.status === status.toUpperCase());
+    }
+    res.json(governance);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Whether a customer can claim a batch now, or when the claim limits next allow it
+app.get('/api/claim/limits/:chainKey/:batchId/:customer', async (req, res) => {
+  try {
+    const { chainKey, batchId, customer } = req.params;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    if (!manager.contracts.has(`${chainKey}_rewards`)) {
+      return res.status(400).json({ error: 'Reward policy not deployed on this chain' });
+    }
+    
+    if (!ethers.utils.isAddress(customer)) {
+      return res.status(400).json({ error: 'Invalid customer address' });
+    }
+    
+    res.json({ batchId, ...(await manager.getClaimLimits(chainKey, batchId, customer)) });
+  } catch (error) {
+    if ((error.reason || error.message).includes('Batch not found')) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    res.status(500).json({ error: error.reason || error.message });
+  }
+});
+
+// Typed data for a customer to sign in their own wallet before relaying a claim
+app.post('/api/claim/typed-data/:chainKey', async (req, res) => {
+  try {
+    const { chainKey } = req.params;
+    const { batchId, customer, serial = '' } = req.body;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    const registry = manager.contracts.get(`${chainKey}_registry`);
+    if (!registry) {
+      return res.status(400).json({ error: 'Registry contract not deployed on this chain' });
+    }
+    
+    if (!batchId || !ethers.utils.isAddress(customer || '')) {
+      return res.status(400).json({ error: 'batchId and a valid customer address are required' });
+    }
+    
+    const nonce = await registry.nonces(customer);
+    const message = {
+      batchId,
+      serial,
+      customer,
+      nonce: nonce.toString(),
+      deadline: Math.floor(Date.now() / 1000) + SIGNATURE_TTL_SECONDS
+    };
+    
+    res.json({
+      typedData: buildTypedData(
+        getRegistryDomain(CHAINS[chainKey].chainId, registry.address),
+        CLAIM_TYPES,
+        message
+      )
+    });
+  } catch (error) {
+    console.error('Typed data error:', error);
+    res.status(500).json({ 
+      error: error.message,
+      details: IS_PRODUCTION ? 'Contact support' : error.stack
+    });
+  }
+});
+
+// Customer reward claim (relayed: the customer signs, the server pays gas)
+app.post('/api/claim/:chainKey', async (req, res) => {
+  try {
+    const { chainKey } = req.params;
+    const { batchId, customer, serial = '', deadline, signature } = req.body;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    const registry = manager.contracts.get(`${chainKey}_registry`);
+    if (!registry) {
+      return res.status(400).json({ error: 'Registry contract not deployed on this chain' });
+    }
+    
+    if (!ethers.utils.isAddress(customer || '')) {
+      return res.status(400).json({ error: 'A valid customer address is required' });
+    }
+    
+    if (!signature || !deadline) {
+      return res.status(400).json({ error: 'Signed claim (signature and deadline) required' });
+    }
+    
+    if (Number(deadline) < Math.floor(Date.now() / 1000)) {
+      return res.status(400).json({ error: 'Signature expired' });
+    }
+    
+    const nonce = await registry.nonces(customer);
+    const signer = recoverTypedDataSigner(
+      getRegistryDomain(CHAINS[chainKey].chainId, registry.address),
+      CLAIM_TYPES,
+      { batchId, serial, customer, nonce, deadline },
+      signature
+    );
+    if (!signer || signer.toLowerCase() !== customer.toLowerCase()) {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+    
+    // Serialized batches pay one reward per unit serial, proven against the on-chain root
+    const pack = await manager.resolveClaim(chainKey, batchId, serial);
+    if (pack.error) {
+      const { status: httpStatus, ...body } = pack;
+      return res.status(httpStatus).json(body);
+    }
+    
+    const paused = await manager.pausedOperation(chainKey, await manager.claimOperations(chainKey, batchId));
+    if (paused) {
+      return res.status(503).json({ error: PAUSED_MESSAGES[paused], reason: 'PAUSED', operation: paused });
+    }
+    
+    // Signed claims cannot hide a claim code from the mempool; coded packs must commit and reveal
+    if (pack.codeHash !== ethers.constants.HashZero) {
+      return res.status(400).json({ error: 'This pack has a claim code; claim it with commit and reveal' });
+    }
+    const { proof } = pack;
+    
+    // Proof length grows with the number of serials, so estimate rather than use a fixed limit
+    const claimArgs = [batchId, serial, proof, customer, deadline, signature];
+    const gasEstimate = await registry.estimateGas.claimCustomerRewardWithSignature(...claimArgs);
+    const tx = await registry.claimCustomerRewardWithSignature(...claimArgs, {
+      gasLimit: gasEstimate.mul(12).div(10),
+      gasPrice: ethers.utils.parseUnits('50', 'gwei')
+    });
+    const receipt = await tx.wait();
+    
+    res.json({
+      success: true,
+      message: 'Reward claimed successfully!',
+      batchId,
+      serial: serial || null,
+      customer,
+      reward: manager.claimedReward(chainKey, receipt),
+      transactionHash: tx.hash,
+      explorer: `${CHAINS[chainKey].explorer}/tx/${tx.hash}`
+    });
+  } catch (error) {
+    console.error('Reward claim error:', error);
+    
+    const rejection = await manager.describeClaimRejection(req.params.chainKey, req.body.batchId, req.body.customer, error);
+    if (rejection) {
+      return res.status(rejection.status).json(rejection.body);
+    }
+    
+    if (error.message.includes('Reward already claimed')) {
+      return res.status(400).json({ error: 'Rewards already claimed' });
+    }
+    
+    if (error.message.includes('Serial already claimed')) {
+      return res.status(400).json({ error: 'Rewards already claimed for this serial' });
+    }
+    
+    // The claim stays open; the customer can retry once the manufacturer tops its pool up
+    if (error.message.includes('Reward pool empty')) {
+      return res.status(409).json({ error: "The manufacturer's reward pool is empty; try again later" });
+    }
+    
+    if (error.message.includes('Reward supply exhausted')) {
+      return res.status(409).json({ error: 'All MEDI rewards have been issued' });
+    }
+    
+    res.status(500).json({ 
+      error: error.message,
+      details: IS_PRODUCTION ? 'Contact support' : error.stack
+    });
+  }
+});
+
+// Claim step one: relay a commitment to a pack's claim code (the code stays hidden)
+app.post('/api/claim/commit/:chainKey', async (req, res) => {
+  try {
+    const { chainKey } = req.params;
+    const { commitment, batchId, customer, serial = '' } = req.body;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    const registry = manager.contracts.get(`${chainKey}_registry`);
+    if (!registry) {
+      return res.status(400).json({ error: 'Registry contract not deployed on this chain' });
+    }
+    
+    if (!ethers.utils.isHexString(commitment, 32)) {
+      return res.status(400).json({ error: 'A 32-byte commitment is required' });
+    }
+    
+    if (!batchId || !ethers.utils.isAddress(customer || '')) {
+      return res.status(400).json({ error: 'batchId and a valid customer address are required' });
+    }
+    
+    const committedAt = await registry.claimCommitments(commitment);
+    if (!committedAt.isZero()) {
+      return res.json({ success: true, commitment, blockNumber: committedAt.toNumber(), alreadyCommitted: true });
+    }
+    
+    // The backend pays for every commitment, so only relay ones a reveal could follow
+    const pack = await manager.resolveClaim(chainKey, batchId, serial);
+    if (pack.error) {
+      const { status: httpStatus, ...body } = pack;
+      return res.status(httpStatus).json(body);
+    }
+    if (pack.codeHash === ethers.constants.HashZero) {
+      return res.status(400).json({ error: 'This pack has no claim code; claim it with a signed claim' });
+    }
+    
+    const limits = await manager.getClaimLimits(chainKey, batchId, customer);
+    if (limits && limits.identityRequired && !limits.identityVerified) {
+      return res.status(403).json({
+        error: 'This manufacturer only rewards customers with a verified identity',
+        reason: 'IDENTITY_REQUIRED'
+      });
+    }
+    if (limits && limits.availableAt) {
+      return res.status(429).json({
+        error: 'You claimed a reward recently; please wait before claiming again',
+        reason: 'COOLDOWN',
+        retryAt: limits.availableAt
+      });
+    }
+    
+    const retryAt = manager.takeClaimCommit([`ip:${req.ip}`, `customer:${customer.toLowerCase()}`]);
+    if (retryAt) {
+      return res.status(429).json({
+        error: 'Too many claim commitments; please try again later',
+        reason: 'COMMIT_LIMIT',
+        retryAt
+      });
+    }
+    
+    const tx = await registry.commitClaim(commitment, {
+      gasLimit: 100000,
+      gasPrice: ethers.utils.parseUnits('50', 'gwei')
+    });
+    const receipt = await tx.wait();
+    
+    res.json({
+      success: true,
+      commitment,
+      blockNumber: receipt.blockNumber,
+      transactionHash: tx.hash,
+      explorer: `${CHAINS[chainKey].explorer}/tx/${tx.hash}`
+    });
+  } catch (error) {
+    console.error('Claim commit error:', error);
+    if ((error.reason || error.message).includes('Batch not found')) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    res.status(500).json({ 
+      error: error.message,
+      details: IS_PRODUCTION ? 'Contact support' : error.stack
+    });
+  }
+});
+
+// Claim step two: reveal the claim code once the commitment is mined
+app.post('/api/claim/reveal/:chainKey', async (req, res) => {
+  try {
+    const { chainKey } = req.params;
+    const { batchId, customer, serial = '', claimCode } = req.body;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    const registry = manager.contracts.get(`${chainKey}_registry`);
+    if (!registry) {
+      return res.status(400).json({ error: 'Registry contract not deployed on this chain' });
+    }
+    
+    if (!batchId || !claimCode || !ethers.utils.isAddress(customer || '')) {
+      return res.status(400).json({ error: 'batchId, claimCode and a valid customer address are required' });
+    }
+    
+    const code = normalizeClaimCode(claimCode);
+    const commitment = hashClaimCommitment(batchId, serial, code, customer);
+    const committedAt = await registry.claimCommitments(commitment);
+    if (committedAt.isZero()) {
+      return res.status(400).json({ error: 'Claim not committed; submit the commitment first' });
+    }
+    
+    const pack = await manager.resolveClaim(chainKey, batchId, serial);
+    if (pack.error) {
+      const { status: httpStatus, ...body } = pack;
+      return res.status(httpStatus).json(body);
+    }
+    
+    const paused = await manager.pausedOperation(chainKey, await manager.claimOperations(chainKey, batchId));
+    if (paused) {
+      return res.status(503).json({ error: PAUSED_MESSAGES[paused], reason: 'PAUSED', operation: paused });
+    }
+    
+    if (pack.codeHash !== hashClaimCode(code)) {
+      return res.status(400).json({ error: 'Invalid claim code' });
+    }
+    
+    const revealArgs = [batchId, serial, pack.proof, code, customer];
+    const gasEstimate = await registry.estimateGas.revealClaim(...revealArgs);
+    const tx = await registry.revealClaim(...revealArgs, {
+      gasLimit: gasEstimate.mul(12).div(10),
+      gasPrice: ethers.utils.parseUnits('50', 'gwei')
+    });
+    const receipt = await tx.wait();
+    
+    res.json({
+      success: true,
+      message: 'Reward claimed successfully!',
+      batchId,
+      serial: serial || null,
+      customer,
+      reward: manager.claimedReward(chainKey, receipt),
+      transactionHash: tx.hash,
+      explorer: `${CHAINS[chainKey].explorer}/tx/${tx.hash}`
+    });
+  } catch (error) {
+    console.error('Claim reveal error:', error);
+    
+    const rejection = await manager.describeClaimRejection(req.params.chainKey, req.body.batchId, req.body.customer, error);
+    if (rejection) {
+      return res.status(rejection.status).json(rejection.body);
+    }
+    
+    if (error.message.includes('Reveal too early')) {
+      return res.status(425).json({ error: 'Commitment not yet confirmed; try again in a few seconds' });
+    }
+    
+    if (error.message.includes('Serial already claimed')) {
+      return res.status(400).json({ error: 'Rewards already claimed for this serial' });
+    }
+    
+    // The claim stays open; the customer can retry once the manufacturer tops its pool up
+    if (error.message.includes('Reward pool empty')) {
+      return res.status(409).json({ error: "The manufacturer's reward pool is empty; try again later" });
+    }
+    
+    if (error.message.includes('Reward supply exhausted')) {
+      return res.status(409).json({ error: 'All MEDI rewards have been issued' });
+    }
+    
+    res.status(500).json({ 
+      error: error.message,
+      details: IS_PRODUCTION ? 'Contact support' : error.stack
+    });
+  }
+});
+
+// Get batch details with supply chain status
+app.get('/api/batch/:chainKey/:batchId', async (req, res) => {
+  try {
+    const { chainKey, batchId } = req.params;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    const registry = manager.contracts.get(`${chainKey}_registry`);
+    if (!registry) {
+      return res.status(400).json({ error: 'Registry contract not deployed on this chain' });
+    }
+    
+    const lens = manager.contracts.get(`${chainKey}_lens`);
+    if (!lens) {
+      return res.status(400).json({ error: 'Registry lens not deployed on this chain' });
+    }
+    
+    const batch = await registry.getBatch(batchId);
+    const product = await manager.getProduct(chainKey, batch.productId);
+    const manufacturerProfile = await manager.getManufacturer(chainKey, batch.manufacturer);
+    const status = await registry.getBatchSupplyChainStatus(batchId);
+    // Every participant's role, hop, verification, reading and delegate in one call;
+    // locations and notes come from one event query
+    const participants = await lens.getParticipantViews(batchId);
+    const currentHop = await registry.getCurrentHop(batchId);
+    const lifecycle = await registry.getBatchLifecycle(batchId);
+    const batchStatus = BatchStatuses[lifecycle.status];
+    const serialInfo = await registry.getSerialInfo(batchId);
+    const serialized = serialInfo.serialRoot !== ethers.constants.HashZero;
+    const coldChain = await registry.getColdChainStatus(batchId);
+    const coldChainPolicy = coldChain.policy.enabled ? coldChain.policy : null;
+    const lots = await manager.getLotTree(chainKey, batchId);
+    const quantity = await manager.getQuantityReport(chainKey, batchId);
+    const amendments = await manager.getAmendments(chainKey, batchId);
+    const verifications = await manager.getVerifications(chainKey, batchId);
+    const disputes = await manager.getDisputes(chainKey, batchId);
+    const reward = await manager.getRewardTerms(chainKey, batch.manufacturer, batch.productId);
+    
+    const participantDetails = [];
+    for (const participant of participants) {
+      const address = participant.participant;
+      const hasVerified = participant.verified;
+      const hop = participant.hop.toNumber();
+      const verification = hasVerified ? verifications.get(address) : null;
+      participantDetails.push({
+        address,
+        role: Object.keys(SupplyChainRoles).find(key => SupplyChainRoles[key] === participant.role),
+        hasVerified,
+        hop,
+        verifiedAt: participant.verifiedAt.toNumber(),
+        location: verification ? verification.location : null,
+        additionalData: verification ? verification.additionalData : null,
+        verificationTx: verification ? verification.transactionHash : null,
+        // The delegate that verified for the organization, if it did not sign itself
+        verifiedBy: participant.verifiedBy !== ethers.constants.AddressZero ? participant.verifiedBy : null,
+        conditions: coldChainPolicy && hasVerified ? describeReading(coldChainPolicy, participant.reading) : null,
+        units: quantity ? quantity.hops[hop].participants.find(p => p.address === address).units : null,
+        expected: currentHop.pendingParticipants.includes(address)
+      });
+    }
+    // Amendments can leave the registry's participant list out of hop order
+    participantDetails.sort((a, b) => a.hop - b.hop);
+    
+    res.json({
+      batchId,
+      manufacturer: batch.manufacturer,
+      manufacturerProfile,
+      productId: batch.productId,
+      product,
+      // Flattened for clients that predate the product catalog
+      drugName: product.name,
+      ingredients: product.ingredients,
+      expiryDate: batch.expiryDate.toNumber(),
+      registeredAt: batch.registeredAt.toNumber(),
+      rewardClaimed: batch.rewardClaimed,
+      reward,
+      status: batchStatus,
+      statusReason: lifecycle.reason,
+      statusUpdatedAt: lifecycle.updatedAt.toNumber(),
+      recallReason: batchStatus === 'RECALLED' ? lifecycle.reason : null,
+      serials: serialized ? {
+        root: serialInfo.serialRoot,
+        count: serialInfo.serialCount.toNumber(),
+        claimed: serialInfo.claimedSerials.toNumber()
+      } : null,
+      lots,
+      disputes,
+      quantity: quantity && {
+        units: quantity.units,
+        tolerancePercent: quantity.tolerancePercent,
+        finalDispatched: quantity.finalDispatched,
+        totalLoss: quantity.totalLoss,
+        discrepancies: quantity.discrepancies
+      },
+      coldChain: coldChainPolicy ? {
+        policy: fromColdChainPolicy(coldChainPolicy),
+        excursionMinutes: coldChain.excursionMinutes.toNumber(),
+        excursionHops: participantDetails.filter(p => p.conditions && p.conditions.excursion).map(p => p.hop),
+        compromised: batchStatus === 'COMPROMISED'
+      } : null,
+      supplyChain: {
+        totalParticipants: status[0].toNumber(),
+        verifiedCount: status[1].toNumber(),
+        rewardClaimed: status[2],
+        rewardClaimedBy: status[3],
+        participants: participantDetails,
+        progress: `${status[1]}/${status[0]}`,
+        currentHop: currentHop.hop.toNumber(),
+        totalHops: currentHop.totalHops.toNumber(),
+        expectedVerifiers: currentHop.pendingParticipants,
+        readyForCustomer: status[1].toString() === status[0].toString() && !status[2] && batchStatus === 'ACTIVE',
+        amendments
+      },
+      explorer: `${CHAINS[chainKey].explorer}/address/${CHAINS[chainKey].contracts.registry}`
+    });
+  } catch (error) {
+    console.error('Get batch error:', error);
+    res.status(500).json({ 
+      error: error.message,
+      details: IS_PRODUCTION ? 'Contact support' : error.stack
+    });
+  }
+});
+
+// Unit reconciliation for a batch: what each hop received and dispatched, and where units went missing
+app.get('/api/reconciliation/:chainKey/batch/:batchId', async (req, res) => {
+  try {
+    const { chainKey, batchId } = req.params;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    if (!manager.contracts.has(`${chainKey}_registry`)) {
+      return res.status(400).json({ error: 'Registry contract not deployed on this chain' });
+    }
+    
+    const report = await manager.getQuantityReport(chainKey, batchId);
+    if (!report) {
+      return res.status(404).json({ error: 'Batch units are not tracked' });
+    }
+    
+    res.json(report);
+  } catch (error) {
+    console.error('Batch reconciliation error:', error);
+    res.status(500).json({ 
+      error: error.message,
+      details: IS_PRODUCTION ? 'Contact support' : error.stack
+    });
+  }
+});
+
+// Unit reconciliation for a participant across every batch it reported counts for
+app.get('/api/reconciliation/:chainKey/participant/:address', async (req, res) => {
+  try {
+    const { chainKey, address } = req.params;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    if (!ethers.utils.isAddress(address)) {
+      return res.status(400).json({ error: 'Invalid participant address' });
+    }
+    
+    if (!manager.contracts.has(`${chainKey}_registry`)) {
+      return res.status(400).json({ error: 'Registry contract not deployed on this chain' });
+    }
+    
+    const participant = ethers.utils.getAddress(address);
+    const ledger = await manager.getQuantityLedger(chainKey);
+    const reports = await ledger.queryFilter(
+      ledger.filters.UnitsReported(null, participant), CHAINS[chainKey].fromBlock
+    );
+    
+    const batches = [];
+    for (const { args } of reports) {
+      const policy = await ledger.getPolicy(args.batchId);
+      batches.push({
+        batchId: args.batchId,
+        hop: args.hop.toNumber(),
+        ...describeUnitCount(policy, await ledger.getExpectedUnits(args.batchId, args.hop), args)
+      });
+    }
+    
+    res.json({
+      participant,
+      batches,
+      received: batches.reduce((sum, b) => sum + b.received, 0),
+      dispatched: batches.reduce((sum, b) => sum + b.dispatched, 0),
+      transitLoss: batches.reduce((sum, b) => sum + b.transitLoss, 0),
+      custodyLoss: batches.reduce((sum, b) => sum + b.custodyLoss, 0),
+      discrepancies: batches.filter(b => b.discrepancy).length
+    });
+  } catch (error) {
+    console.error('Participant reconciliation error:', error);
+    res.status(500).json({ 
+      error: error.message,
+      details: IS_PRODUCTION ? 'Contact support' : error.stack
+    });
+  }
+});
+
+// Register unit serials for a batch that is already on-chain
+app.post('/api/serials/:chainKey/:batchId', async (req, res) => {
+  try {
+    const { chainKey, batchId } = req.params;
+    const { serials } = req.body;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    const registry = manager.contracts.get(`${chainKey}_registry`);
+    if (!registry) {
+      return res.status(400).json({ error: 'Registry contract not deployed on this chain' });
+    }
+    
+    const serialInfo = await registry.getSerialInfo(batchId);
+    if (serialInfo.serialRoot !== ethers.constants.HashZero) {
+      return res.status(409).json({ error: 'Serials already registered for this batch' });
+    }
+    
+    let packs;
+    try {
+      packs = await manager.createPacks(chainKey, batchId, serials);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const { tree } = packs;
+    
+    const record = await manager.registerSerialRoot(chainKey, batchId);
+    
+    res.json({
+      success: true,
+      batchId,
+      serialRoot: tree.root,
+      serialCount: packs.claimCodes.length,
+      claimCodes: packs.claimCodes,
+      transactionHash: record.transactionHash,
+      qrUrl: `/api/serials/${chainKey}/${encodeURIComponent(batchId)}/{serial}/qr`,
+      explorer: `${CHAINS[chainKey].explorer}/tx/${record.transactionHash}`
+    });
+  } catch (error) {
+    console.error('Serial registration error:', error);
+    res.status(500).json({ 
+      error: error.message,
+      details: IS_PRODUCTION ? 'Contact support' : error.stack
+    });
+  }
+});
+
+// Merkle proof and claim status for one unit serial
+app.get('/api/serials/:chainKey/:batchId/:serial', async (req, res) => {
+  try {
+    const { chainKey, batchId, serial } = req.params;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    const tree = await manager.getSerialTree(chainKey, batchId);
+    const proof = tree ? getSerialProof(tree, serial) : null;
+    if (!proof) {
+      return res.status(404).json({ error: 'Unknown serial number' });
+    }
+    
+    const registry = manager.contracts.get(`${chainKey}_registry`);
+    const claimedBy = registry ? await registry.getSerialClaimant(batchId, serial) : null;
+    
+    res.json({
+      batchId,
+      serial,
+      serialRoot: tree.root,
+      proof,
+      claimed: Boolean(claimedBy) && claimedBy !== ethers.constants.AddressZero,
+      claimedBy: claimedBy === ethers.constants.AddressZero ? null : claimedBy
+    });
+  } catch (error) {
+    console.error('Serial lookup error:', error);
+    res.status(500).json({ 
+      error: error.message,
+      details: IS_PRODUCTION ? 'Contact support' : error.stack
+    });
+  }
+});
+
+// Download the QR code printed on one unit pack
+app.get('/api/serials/:chainKey/:batchId/:serial/qr', async (req, res) => {
+  try {
+    const { chainKey, batchId, serial } = req.params;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    const tree = await manager.getSerialTree(chainKey, batchId);
+    if (!tree || !tree.serials.includes(serial)) {
+      return res.status(404).json({ error: 'Unknown serial number' });
+    }
+    
+    const qrData = {
+      batchId,
+      serial,
+      chain: chainKey,
+      contractAddress: CHAINS[chainKey].contracts.registry,
+      verifyUrl: `https://meditrust-complete.onrender.com/verify/${batchId}?serial=${encodeURIComponent(serial)}`
+    };
+    
+    const png = await QRCode.toBuffer(JSON.stringify(qrData));
+    
+    res.set('Content-Type', 'image/png');
+    res.set('Content-Disposition', `attachment; filename="${encodeURIComponent(`${batchId}-${serial}`)}.png"`);
+    res.send(png);
+  } catch (error) {
+    console.error('Serial QR error:', error);
+    res.status(500).json({ 
+      error: error.message,
+      details: IS_PRODUCTION ? 'Contact support' : error.stack
+    });
+  }
+});
+
+// Aggregate units into a case with an SSCC (generated unless given) and print its label
+app.post('/api/packages/:chainKey/case', async (req, res) => {
+  try {
+    const { chainKey } = req.params;
+    const { items } = req.body;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    if (!manager.contracts.has(`${chainKey}_packaging`)) {
+      return res.status(400).json({ error: 'Packaging registry not deployed on this chain' });
+    }
+    
+    const code = req.body.code || generateSscc(GS1_COMPANY_PREFIX, '1');
+    if (await manager.getPackage(chainKey, code)) {
+      return res.status(409).json({ error: 'Package already exists', code });
+    }
+    
+    let contents;
+    try {
+      contents = await manager.checkCaseContents(chainKey, items);
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid case contents: ${error.message}` });
+    }
+    
+    const transactionHash = await manager.aggregateCase(chainKey, code, contents);
+    
+    res.json({
+      success: true,
+      code,
+      level: 'CASE',
+      contents: contents.map(({ batchId, units }) => ({ batchId, units })),
+      transactionHash,
+      labelUrl: `/api/packages/${chainKey}/${encodeURIComponent(code)}/label`,
+      explorer: `${CHAINS[chainKey].explorer}/tx/${transactionHash}`
+    });
+  } catch (error) {
+    console.error('Case aggregation error:', error);
+    res.status(500).json({ error: error.reason || error.message });
+  }
+});
+
+// Stack sealed cases onto a pallet with an SSCC (generated unless given) and print its label
+app.post('/api/packages/:chainKey/pallet', async (req, res) => {
+  try {
+    const { chainKey } = req.params;
+    const { cases } = req.body;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    if (!manager.contracts.has(`${chainKey}_packaging`)) {
+      return res.status(400).json({ error: 'Packaging registry not deployed on this chain' });
+    }
+    
+    if (!Array.isArray(cases) || cases.length === 0) {
+      return res.status(400).json({ error: 'cases must list at least one case code' });
+    }
+    
+    for (const caseCode of cases) {
+      const packed = await manager.getPackage(chainKey, caseCode);
+      if (!packed || packed.level !== 'CASE') {
+        return res.status(400).json({ error: `Unknown case ${caseCode}` });
+      }
+      if (packed.opened || packed.parentCode) {
+        return res.status(409).json({
+          error: `Case ${caseCode} is ${packed.opened ? 'opened' : `already on pallet ${packed.parentCode}`}`
+        });
+      }
+    }
+    
+    const code = req.body.code || generateSscc(GS1_COMPANY_PREFIX, '0');
+    if (await manager.getPackage(chainKey, code)) {
+      return res.status(409).json({ error: 'Package already exists', code });
+    }
+    
+    const transactionHash = await manager.aggregatePallet(chainKey, code, cases);
+    const pallet = await manager.getPackage(chainKey, code);
+    
+    res.json({
+      success: true,
+      code,
+      level: 'PALLET',
+      childCodes: pallet.childCodes,
+      contents: pallet.contents,
+      transactionHash,
+      labelUrl: `/api/packages/${chainKey}/${encodeURIComponent(code)}/label`,
+      explorer: `${CHAINS[chainKey].explorer}/tx/${transactionHash}`
+    });
+  } catch (error) {
+    console.error('Pallet aggregation error:', error);
+    res.status(500).json({ error: error.reason || error.message });
+  }
 });
 
-// Register batch with supply chain participants
-app.post('/api/register/:chainKey', async (req, res) => {
+// Resolve a scanned pallet, case, batch or pack (batch ID with ?serial=) to its parent and children
+app.get('/api/packages/:chainKey/resolve/:code', async (req, res) => {
   try {
-    const { chainKey } = req.params;
-    const { 
-      batchId, 
-      drugName, 
-      ingredients, 
-      expiryDate,
-      participants,
-      useStateChannel = true 
-    } = req.body;
+    const { chainKey, code } = req.params;
     
     if (!CHAINS[chainKey]) {
       return res.status(400).json({ error: 'Invalid chain' });
     }
     
-    if (!participants || !Array.isArray(participants) || participants.length === 0) {
-      return res.status(400).json({ error: 'At least one supply chain participant required' });
+    if (!manager.contracts.has(`${chainKey}_packaging`)) {
+      return res.status(400).json({ error: 'Packaging registry not deployed on this chain' });
     }
     
-    const participantAddresses = participants.map(p => p.address);
-    const participantRoles = participants.map(p => SupplyChainRoles[p.role] || 0);
+    const resolved = await manager.resolveCode(chainKey, code, req.query.serial);
+    if (!resolved) {
+      return res.status(404).json({ error: 'Unknown code' });
+    }
+    
+    res.json(resolved);
+  } catch (error) {
+    console.error('Code resolution error:', error);
+    res.status(500).json({ 
+      error: error.message,
+      details: IS_PRODUCTION ? 'Contact support' : error.stack
+    });
+  }
+});
+
+// Download the label printed on a case or pallet (packs use their serial QR)
+app.get('/api/packages/:chainKey/:code/label', async (req, res) => {
+  try {
+    const { chainKey, code } = req.params;
+    
+    if (!CHAINS[chainKey]) {
+      return res.status(400).json({ error: 'Invalid chain' });
+    }
+    
+    if (!manager.contracts.has(`${chainKey}_packaging`)) {
+      return res.status(400).json({ error: 'Packaging registry not deployed on this chain' });
+    }
+    
+    const pkg = await manager.getPackage(chainKey, code);
+    if (!pkg) {
+      return res.status(404).json({ error: 'Unknown package' });
+    }
     
-    // Generate QR code with production URL
     const qrData = {
-      batchId,
+      code,
+      // GS1 element string for scanners that read SSCCs
+      gs1: isValidSscc(code) ? `(00)${code}` : null,
+      level: pkg.level,
+      contents: pkg.contents,
       chain: chainKey,
-      contractAddress: CHAINS[chainKey].contracts.registry,
-      participants: participantAddresses,
-      verifyUrl: `https://meditrust-complete.onrender.com/verify/${batchId}`
+      contractAddress: CHAINS[chainKey].contracts.packaging,
+      resolveUrl: `https://meditrust-complete.onrender.com/api/packages/${chainKey}/resolve/${encodeURIComponent(code)}`
     };
     
-    const qrCode = await QRCode.toDataURL(JSON.stringify(qrData));
+    const png = await QRCode.toBuffer(JSON.stringify(qrData));
     
-    if (useStateChannel && CHAINS[chainKey].contracts.registry !== '0x0000000000000000000000000000000000000000') {
-      let channelId = null;
-      
-      for (const [id, channel] of manager.channels) {
-        if (channel.chainKey === chainKey && channel.status === 'open') {
-          channelId = id;
-          break;
-        }
-      }
-      
-      if (!channelId) {
-        channelId = await manager.createChannel(chainKey);
-      }
-      
-      await manager.addBatchToChannel(channelId, {
-        batchId,
-        drugName,
-        ingredients,
-        expiryDate,
-        participants: participantAddresses,
-        roles: participantRoles
-      });
-      
-      res.json({
-        success: true,
-        message: 'Batch added to state channel',
-        batchId,
-        channelId,
-        qrCode,
-        chain: CHAINS[chainKey].name,
-        participants: participants.length,
-        status: 'pending_settlement',
-        explorer: `${CHAINS[chainKey].explorer}/address/${CHAINS[chainKey].contracts.registry}`
-      });
-    } else {
-      const registry = manager.contracts.get(`${chainKey}_registry`);
-      if (!registry) {
-        return res.status(400).json({ error: 'Registry contract not deployed on this chain' });
-      }
-      
-      const channelId = ethers.utils.formatBytes32String('direct');
-      const tx = await registry.registerBatchWithSupplyChain(
-        batchId,
-        drugName,
-        ingredients,
-        Math.floor(new Date(expiryDate).getTime() / 1000),
-        participantAddresses,
-        participantRoles,
-        channelId,
-        {
-          gasLimit: 500000,
-          gasPrice: ethers.utils.parseUnits('50', 'gwei')
-        }
-      );
-      
-      await tx.wait();
-      
-      res.json({
-        success: true,
-        message: 'Batch registered on-chain',
-        batchId,
-        transactionHash: tx.hash,
-        qrCode,
-        chain: CHAINS[chainKey].name,
-        participants: participants.length,
-        status: 'confirmed',
-        explorer: `${CHAINS[chainKey].explorer}/tx/${tx.hash}`
-      });
-    }
+    res.set('Content-Type', 'image/png');
+    res.set('Content-Disposition', `attachment; filename="${encodeURIComponent(`${pkg.level.toLowerCase()}-${code}`)}.png"`);
+    res.send(png);
   } catch (error) {
-    console.error('Registration error:', error);
+    console.error('Package label error:', error);
     res.status(500).json({ 
       error: error.message,
       details: IS_PRODUCTION ? 'Contact support' : error.stack
@@ -436,65 +3774,55 @@ app.post('/api/register/:chainKey', async (req, res) => {
   }
 });
 
-// Supply chain participant verification
-app.post('/api/verify/supply-chain/:chainKey', async (req, res) => {
+// Typed data for a participant to sign before relaying a package scan ('verify') or opening ('open')
+app.post('/api/packages/typed-data/:chainKey', async (req, res) => {
   try {
     const { chainKey } = req.params;
-    const { batchId, verifier, location = '', additionalData = '' } = req.body;
+    const { action, code, verifier, location = '', additionalData = '', reading } = req.body;
     
     if (!CHAINS[chainKey]) {
       return res.status(400).json({ error: 'Invalid chain' });
     }
     
-    const registry = manager.contracts.get(`${chainKey}_registry`);
-    if (!registry) {
-      return res.status(400).json({ error: 'Registry contract not deployed on this chain' });
+    const packaging = manager.contracts.get(`${chainKey}_packaging`);
+    if (!packaging) {
+      return res.status(400).json({ error: 'Packaging registry not deployed on this chain' });
     }
     
-    // For production, create a new wallet from verifier's private key if provided
-    let verifierWallet = manager.wallets.get(chainKey);
-    if (req.body.privateKey) {
-      verifierWallet = new ethers.Wallet(req.body.privateKey, manager.providers.get(chainKey));
+    if (!['verify', 'open'].includes(action) || !code || !ethers.utils.isAddress(verifier || '')) {
+      return res.status(400).json({ error: "action ('verify' or 'open'), code and a valid verifier address are required" });
     }
     
-    const registryWithSigner = registry.connect(verifierWallet);
+    const domain = getPackagingDomain(CHAINS[chainKey].chainId, packaging.address);
+    const nonce = (await packaging.nonces(verifier)).toString();
+    const deadline = Math.floor(Date.now() / 1000) + SIGNATURE_TTL_SECONDS;
     
-    const isParticipant = await registry.isParticipant(batchId, verifier);
-    if (!isParticipant) {
-      return res.status(403).json({ error: 'Not authorized to verify this batch' });
+    if (action === 'open') {
+      return res.json({
+        typedData: buildTypedData(domain, PACKAGE_OPENING_TYPES, { code, participant: verifier, nonce, deadline })
+      });
     }
     
-    const details = await registry.getParticipantDetails(batchId, verifier);
-    if (details.hasVerified) {
-      return res.status(400).json({ error: 'Already verified this batch' });
+    let conditionReading = EMPTY_READING;
+    try {
+      if (reading) conditionReading = toConditionReading(reading);
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid condition reading: ${error.message}` });
     }
     
-    const tx = await registryWithSigner.verifySupplyChainTransfer(
-      batchId, 
-      location, 
-      additionalData,
-      {
-        gasLimit: 200000,
-        gasPrice: ethers.utils.parseUnits('50', 'gwei')
-      }
-    );
-    await tx.wait();
-    
-    const status = await registry.getBatchSupplyChainStatus(batchId);
-    
     res.json({
-      success: true,
-      message: 'Supply chain verification recorded',
-      batchId,
-      verifier,
-      role: details.role,
-      transactionHash: tx.hash,
-      progress: `${status[1]}/${status[0]}`,
-      readyForCustomer: status[1].toString() === status[0].toString(),
-      explorer: `${CHAINS[chainKey].explorer}/tx/${tx.hash}`
+      typedData: buildTypedData(domain, PACKAGE_VERIFICATION_TYPES, {
+        code,
+        participant: verifier,
+        location,
+        data: additionalData,
+        reading: conditionReading,
+        nonce,
+        deadline
+      })
     });
   } catch (error) {
-    console.error('Supply chain verification error:', error);
+    console.error('Package typed data error:', error);
     res.status(500).json({ 
       error: error.message,
       details: IS_PRODUCTION ? 'Contact support' : error.stack
@@ -502,144 +3830,283 @@ app.post('/api/verify/supply-chain/:chainKey', async (req, res) => {
   }
 });
 
-// Customer reward claim
-app.post('/api/claim/:chainKey', async (req, res) => {
+// Package scan: one signature verifies every batch in a sealed case or pallet (relayed)
+app.post('/api/packages/verify/:chainKey', async (req, res) => {
   try {
     const { chainKey } = req.params;
-    const { batchId, customer, privateKey } = req.body;
+    const { code, verifier, location = '', additionalData = '', reading, deadline, signature } = req.body;
     
     if (!CHAINS[chainKey]) {
       return res.status(400).json({ error: 'Invalid chain' });
     }
     
+    const packaging = manager.contracts.get(`${chainKey}_packaging`);
     const registry = manager.contracts.get(`${chainKey}_registry`);
-    if (!registry) {
-      return res.status(400).json({ error: 'Registry contract not deployed on this chain' });
+    if (!packaging || !registry) {
+      return res.status(400).json({ error: 'Packaging registry not deployed on this chain' });
     }
     
-    // For customer claims, use their private key
-    let customerWallet = manager.wallets.get(chainKey);
-    if (privateKey) {
-      customerWallet = new ethers.Wallet(privateKey, manager.providers.get(chainKey));
+    const paused = await manager.pausedOperation(chainKey, ['VERIFICATION']);
+    if (paused) {
+      return res.status(503).json({ error: PAUSED_MESSAGES[paused], reason: 'PAUSED', operation: paused });
     }
     
-    const registryWithSigner = registry.connect(customerWallet);
+    if (!ethers.utils.isAddress(verifier || '')) {
+      return res.status(400).json({ error: 'A valid verifier address is required' });
+    }
     
-    const isReady = await registry.isBatchReadyForCustomer(batchId);
-    if (!isReady) {
-      const status = await registry.getBatchSupplyChainStatus(batchId);
-      if (status[2]) {
-        return res.status(400).json({ error: 'Rewards already claimed' });
-      } else {
-        return res.status(400).json({ 
-          error: 'Supply chain verification incomplete',
-          progress: `${status[1]}/${status[0]}`
+    if (!signature || !deadline) {
+      return res.status(400).json({ error: 'Signed verification (signature and deadline) required' });
+    }
+    
+    if (Number(deadline) < Math.floor(Date.now() / 1000)) {
+      return res.status(400).json({ error: 'Signature expired' });
+    }
+    
+    let conditionReading = EMPTY_READING;
+    try {
+      if (reading) conditionReading = toConditionReading(reading);
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid condition reading: ${error.message}` });
+    }
+    
+    const nonce = await packaging.nonces(verifier);
+    const signer = recoverTypedDataSigner(
+      getPackagingDomain(CHAINS[chainKey].chainId, packaging.address),
+      PACKAGE_VERIFICATION_TYPES,
+      { code, participant: verifier, location, data: additionalData, reading: conditionReading, nonce, deadline },
+      signature
+    );
+    if (!signer || signer.toLowerCase() !== verifier.toLowerCase()) {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+    
+    const pkg = await manager.getPackage(chainKey, code);
+    if (!pkg) {
+      return res.status(404).json({ error: 'Unknown package' });
+    }
+    if (pkg.opened) {
+      return res.status(409).json({ error: 'Package has been opened; scan the packages or batches inside it' });
+    }
+    
+    // Every batch in the package must accept this participant's verification, or none is recorded
+    const pending = [];
+    for (const { batchId, units } of pkg.contents) {
+      if (!(await registry.isParticipant(batchId, verifier))) {
+        return res.status(403).json({ error: `Not authorized to verify batch ${batchId}`, batchId });
+      }
+      
+      const details = await registry.getParticipantDetails(batchId, verifier);
+      if (details.hasVerified) continue;
+      
+      const lifecycle = await registry.getBatchLifecycle(batchId);
+      if (BatchStatuses[lifecycle.status] !== 'ACTIVE') {
+        return res.status(400).json({
+          error: `Batch ${batchId} is ${BatchStatuses[lifecycle.status].toLowerCase().replace('_', ' ')}`,
+          batchId,
+          status: BatchStatuses[lifecycle.status],
+          reason: lifecycle.reason
+        });
+      }
+      
+      const currentHop = await registry.getCurrentHop(batchId);
+      if (!details.hop.eq(currentHop.hop)) {
+        return res.status(409).json({
+          error: `Out of order: previous hop of batch ${batchId} not verified`,
+          batchId,
+          verifierHop: details.hop.toNumber(),
+          expectedHop: currentHop.hop.toNumber()
+        });
+      }
+      
+      const coldChain = await registry.getColdChainStatus(batchId);
+      if (coldChain.policy.enabled && !reading) {
+        return res.status(400).json({
+          error: `Batch ${batchId} has a cold-chain policy; submit the condition reading for your custody`,
+          batchId,
+          storagePolicy: fromColdChainPolicy(coldChain.policy)
         });
       }
+      
+      pending.push({ batchId, units });
+    }
+    if (pending.length === 0) {
+      return res.status(400).json({ error: 'Already verified every batch in this package' });
     }
     
-    const tx = await registryWithSigner.claimCustomerReward(batchId, {
-      gasLimit: 150000,
+    const verifyArgs = [code, verifier, location, additionalData, conditionReading, deadline, signature];
+    const gasEstimate = await packaging.estimateGas.verifyPackage(...verifyArgs);
+    const tx = await packaging.verifyPackage(...verifyArgs, {
+      gasLimit: gasEstimate.mul(12).div(10),
       gasPrice: ethers.utils.parseUnits('50', 'gwei')
     });
     await tx.wait();
     
+    const verified = [];
+    for (const { batchId, units } of pending) {
+      const status = await registry.getBatchSupplyChainStatus(batchId);
+      verified.push({ batchId, units, progress: `${status[1]}/${status[0]}` });
+    }
+    
     res.json({
       success: true,
-      message: 'Reward claimed successfully!',
-      batchId,
-      customer,
-      reward: '1 MEDI',
+      message: `Package scan verified ${verified.length} batch${verified.length === 1 ? '' : 'es'}`,
+      code,
+      level: pkg.level,
+      verifier,
+      verified,
+      relayer: manager.wallets.get(chainKey).address,
       transactionHash: tx.hash,
       explorer: `${CHAINS[chainKey].explorer}/tx/${tx.hash}`
     });
   } catch (error) {
-    console.error('Reward claim error:', error);
-    
-    if (error.message.includes('Reward already claimed')) {
-      return res.status(400).json({ error: 'Rewards already claimed' });
-    }
-    
-    res.status(500).json({ 
-      error: error.message,
-      details: IS_PRODUCTION ? 'Contact support' : error.stack
-    });
+    console.error('Package verification error:', error);
+    res.status(500).json({ error: error.reason || error.message });
   }
 });
 
-// Get batch details with supply chain status
-app.get('/api/batch/:chainKey/:batchId', async (req, res) => {
+// Record that a participant opened a case or pallet (relayed); its contents are scanned on their own afterwards
+app.post('/api/packages/open/:chainKey', async (req, res) => {
   try {
-    const { chainKey, batchId } = req.params;
+    const { chainKey } = req.params;
+    const { code, verifier, deadline, signature } = req.body;
     
     if (!CHAINS[chainKey]) {
       return res.status(400).json({ error: 'Invalid chain' });
     }
     
-    const registry = manager.contracts.get(`${chainKey}_registry`);
-    if (!registry) {
-      return res.status(400).json({ error: 'Registry contract not deployed on this chain' });
+    const packaging = manager.contracts.get(`${chainKey}_packaging`);
+    if (!packaging) {
+      return res.status(400).json({ error: 'Packaging registry not deployed on this chain' });
     }
     
-    const batch = await registry.getBatch(batchId);
-    const status = await registry.getBatchSupplyChainStatus(batchId);
-    const participants = await registry.getBatchParticipants(batchId);
+    if (!ethers.utils.isAddress(verifier || '') || !signature || !deadline) {
+      return res.status(400).json({ error: 'A valid verifier address, signature and deadline are required' });
+    }
     
-    const participantDetails = [];
-    for (const address of participants) {
-      const details = await registry.getParticipantDetails(batchId, address);
-      participantDetails.push({
-        address,
-        role: Object.keys(SupplyChainRoles).find(key => SupplyChainRoles[key] === details.role),
-        hasVerified: details.hasVerified,
-        verifiedAt: details.verifiedAt.toNumber(),
-        location: details.location,
-        additionalData: details.additionalData
-      });
+    const nonce = await packaging.nonces(verifier);
+    const signer = recoverTypedDataSigner(
+      getPackagingDomain(CHAINS[chainKey].chainId, packaging.address),
+      PACKAGE_OPENING_TYPES,
+      { code, participant: verifier, nonce, deadline },
+      signature
+    );
+    if (!signer || signer.toLowerCase() !== verifier.toLowerCase()) {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+    
+    const pkg = await manager.getPackage(chainKey, code);
+    if (!pkg) {
+      return res.status(404).json({ error: 'Unknown package' });
+    }
+    if (pkg.opened) {
+      return res.status(409).json({ error: 'Package already opened' });
     }
+    if (pkg.parentCode && !(await manager.getPackage(chainKey, pkg.parentCode)).opened) {
+      return res.status(409).json({ error: `Open pallet ${pkg.parentCode} first`, parentCode: pkg.parentCode });
+    }
+    
+    const gasEstimate = await packaging.estimateGas.openPackageWithSignature(code, verifier, deadline, signature);
+    const tx = await packaging.openPackageWithSignature(code, verifier, deadline, signature, {
+      gasLimit: gasEstimate.mul(12).div(10),
+      gasPrice: ethers.utils.parseUnits('50', 'gwei')
+    });
+    await tx.wait();
     
     res.json({
-      batchId,
-      manufacturer: batch[0],
-      drugName: batch[1],
-      ingredients: batch[2],
-      expiryDate: batch[3].toNumber(),
-      registeredAt: batch[4].toNumber(),
-      rewardClaimed: batch[5],
-      supplyChain: {
-        totalParticipants: status[0].toNumber(),
-        verifiedCount: status[1].toNumber(),
-        rewardClaimed: status[2],
-        rewardClaimedBy: status[3],
-        participants: participantDetails,
-        progress: `${status[1]}/${status[0]}`,
-        readyForCustomer: status[1].toString() === status[0].toString() && !status[2]
-      },
-      explorer: `${CHAINS[chainKey].explorer}/address/${CHAINS[chainKey].contracts.registry}`
+      success: true,
+      package: await manager.resolveCode(chainKey, code),
+      transactionHash: tx.hash,
+      explorer: `${CHAINS[chainKey].explorer}/tx/${tx.hash}`
     });
   } catch (error) {
-    console.error('Get batch error:', error);
-    res.status(500).json({ 
-      error: error.message,
-      details: IS_PRODUCTION ? 'Contact support' : error.stack
-    });
+    console.error('Package opening error:', error);
+    res.status(500).json({ error: error.reason || error.message });
   }
 });
 
 // Get active channels
-app.get('/api/channels', (req, res) => {
-  const channels = Array.from(manager.channels.entries()).map(([id, data]) => ({
-    id,
+app.get('/api/channels', async (req, res) => {
+  const stored = await manager.store.list();
+  const channels = stored.map(data => ({
+    id: data.id,
     chain: CHAINS[data.chainKey]?.name,
     status: data.status,
     batchCount: data.state.batches.length,
+    settledCount: data.state.batches.filter(b => b.settlement.status === 'settled').length,
+    failedCount: data.state.batches.filter(b => b.settlement.status === 'failed').length,
     createdAt: data.createdAt,
-    settlementTx: data.settlementTx
+    settlementTx: data.settlementTx,
+    lastError: data.lastError
   }));
   
   res.json(channels);
 });
 
+// Get a channel with the settlement outcome of each batch
+app.get('/api/channels/:channelId', async (req, res) => {
+  const channel = await manager.store.get(req.params.channelId);
+  if (!channel) {
+    return res.status(404).json({ error: 'Channel not found' });
+  }
+  
+  res.json({
+    id: channel.id,
+    chain: CHAINS[channel.chainKey]?.name,
+    status: channel.status,
+    nonce: channel.nonce,
+    createdAt: channel.createdAt,
+    settlementTx: channel.settlementTx,
+    settlements: channel.settlements,
+    lastError: channel.lastError,
+    batches: channel.state.batches.map(batch => ({
+      batchId: batch.batchId,
+      productId: batch.productId,
+      participants: batch.participants.length,
+      addedAt: batch.timestamp,
+      settlement: batch.settlement
+    })),
+    explorer: channel.settlementTx
+      ? `${CHAINS[channel.chainKey].explorer}/tx/${channel.settlementTx}`
+      : null
+  });
+});
+
+// Close and settle a channel, or re-settle batches that failed previously
+app.post('/api/channels/:channelId/settle', async (req, res) => {
+  try {
+    const channel = await manager.store.get(req.params.channelId);
+    if (!channel) {
+      return res.status(404).json({ error: 'Channel not found' });
+    }
+    
+    if (channel.status === 'settled') {
+      return res.status(400).json({ error: 'Channel already settled' });
+    }
+    
+    const paused = await manager.pausedOperation(channel.chainKey, ['REGISTRATION']);
+    if (paused) {
+      return res.status(503).json({ error: PAUSED_MESSAGES[paused], reason: 'PAUSED', operation: paused });
+    }
+    
+    const result = await manager.closeAndSettleChannel(channel.id);
+    
+    res.json({
+      success: result.failedBatches.length === 0,
+      ...result,
+      explorer: result.settlementTx
+        ? `${CHAINS[channel.chainKey].explorer}/tx/${result.settlementTx}`
+        : null
+    });
+  } catch (error) {
+    console.error('Channel settlement error:', error);
+    res.status(500).json({ 
+      error: error.message,
+      details: IS_PRODUCTION ? 'Contact support' : error.stack
+    });
+  }
+});
+
 // Serve React app for all other routes in production
 if (IS_PRODUCTION) {
   app.get('*', (req, res) => {
@@ -673,6 +4140,14 @@ async function start() {
       console.log('📌 Deploy contracts to production networks first');
     }
     
+    const storedChannels = await manager.store.load();
+    console.log(`💾 Loaded ${storedChannels.length} channels from ${CHANNEL_STORE} store`);
+    
+    // Settling resumes in the background so the API comes up immediately
+    manager.recoverChannels().catch(error => {
+      console.error('❌ Channel recovery failed:', error.message);
+    });
+    
     console.log('🌐 Connecting to ClearNode...');
     await clearNode.connect().catch(err => {
       console.log('⚠️ ClearNode connection failed, continuing without state channels');
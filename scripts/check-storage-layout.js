@@ -0,0 +1,151 @@
+// scripts/check-storage-layout.js
+// Compare MedicineRegistry's compiled storage layout with the snapshot of the implementation
+// last deployed behind the proxy (storage-layouts/MedicineRegistry.json). An upgrade may only
+// append: every existing variable and struct member keeps its slot, offset and type, and
+// structs only grow where they are mapping values. A variable no longer used may be retired
+// by renaming it `__retired_<name>`; it must keep its slot, offset and size, and its old
+// contents are never read again.
+//
+//   npx hardhat run scripts/check-storage-layout.js                  # check
+//   UPDATE_LAYOUT=1 npx hardhat run scripts/check-storage-layout.js  # record the current layout
+
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+const SOURCE = "contracts/MedicineRegistry.sol";
+const CONTRACT = "MedicineRegistry";
+const SNAPSHOT = path.join(__dirname, "..", "storage-layouts", `${CONTRACT}.json`);
+const RETIRED_PREFIX = "__retired_";
+
+// Type ids embed AST ids that change between compilations; describe types by label instead
+function describeType(typeId, types) {
+  const type = types[typeId];
+  const description = { label: type.label, numberOfBytes: type.numberOfBytes };
+  if (type.members) {
+    description.members = type.members.map(member => describeVariable(member, types));
+  }
+  if (type.key) {
+    description.key = describeType(type.key, types);
+  }
+  if (type.value) {
+    description.value = describeType(type.value, types);
+  }
+  if (type.base) {
+    description.base = describeType(type.base, types);
+  }
+  return description;
+}
+
+function describeVariable(variable, types) {
+  return {
+    label: variable.label,
+    slot: variable.slot,
+    offset: variable.offset,
+    type: describeType(variable.type, types)
+  };
+}
+
+async function readStorageLayout() {
+  await hre.run("compile", { quiet: true });
+  const buildInfo = await hre.artifacts.getBuildInfo(`${SOURCE}:${CONTRACT}`);
+  const { storageLayout } = buildInfo.output.contracts[SOURCE][CONTRACT];
+  if (!storageLayout) {
+    throw new Error("Compiler output has no storage layout; add storageLayout to outputSelection");
+  }
+  return storageLayout.storage.map(variable => describeVariable(variable, storageLayout.types));
+}
+
+function compareVariables(previous, current, where, errors, growable) {
+  previous.forEach((variable, index) => {
+    const name = `${where}${variable.label}`;
+    const next = current[index];
+    if (!next) {
+      errors.push(`${name} was removed`);
+    } else if (next.label === `${RETIRED_PREFIX}${variable.label}`) {
+      if (next.slot !== variable.slot || next.offset !== variable.offset) {
+        errors.push(`${name} was retired as ${next.label} at slot ${next.slot}, offset ${next.offset}`);
+      } else if (next.type.numberOfBytes !== variable.type.numberOfBytes) {
+        errors.push(`${name} was retired as ${next.label} with ${next.type.numberOfBytes} bytes ` +
+          `instead of ${variable.type.numberOfBytes}`);
+      }
+    } else if (next.label !== variable.label || next.slot !== variable.slot || next.offset !== variable.offset) {
+      errors.push(`${name} (slot ${variable.slot}, offset ${variable.offset}) became ` +
+        `${next.label} (slot ${next.slot}, offset ${next.offset})`);
+    } else {
+      compareTypes(variable.type, next.type, name, errors, false);
+    }
+  });
+  if (!growable && current.length > previous.length) {
+    errors.push(`${where.replace(/\.$/, "")} gained members, moving the data stored after it`);
+  }
+}
+
+// `growable` marks a struct stored as a mapping value, whose size can change without moving anything
+function compareTypes(previous, current, name, errors, growable) {
+  if (previous.label !== current.label) {
+    errors.push(`${name} changed type from ${previous.label} to ${current.label}`);
+    return;
+  }
+  if (previous.members) {
+    compareVariables(previous.members, current.members, `${name}.`, errors, growable);
+  } else if (!growable && previous.numberOfBytes !== current.numberOfBytes) {
+    errors.push(`${name} changed size from ${previous.numberOfBytes} to ${current.numberOfBytes} bytes`);
+  }
+  if (previous.key) {
+    compareTypes(previous.key, current.key, `${name} key`, errors, false);
+  }
+  if (previous.value) {
+    compareTypes(previous.value, current.value, `${name} value`, errors, true);
+  }
+  if (previous.base) {
+    compareTypes(previous.base, current.base, `${name} element`, errors, false);
+  }
+}
+
+/**
+ * Throw unless the current layout only appends to the snapshot; returns the current layout
+ */
+async function checkStorageLayout() {
+  const current = await readStorageLayout();
+  if (!fs.existsSync(SNAPSHOT)) {
+    throw new Error(`No storage layout snapshot at ${SNAPSHOT}; record one with UPDATE_LAYOUT=1`);
+  }
+
+  const errors = [];
+  compareVariables(JSON.parse(fs.readFileSync(SNAPSHOT, "utf8")).storage, current, "", errors, true);
+  if (errors.length > 0) {
+    throw new Error(`${CONTRACT} storage layout is not upgrade safe:\n  - ${errors.join("\n  - ")}`);
+  }
+  return current;
+}
+
+/**
+ * Record the current layout as the snapshot later upgrades are checked against
+ */
+async function writeStorageLayout() {
+  const storage = await readStorageLayout();
+  fs.mkdirSync(path.dirname(SNAPSHOT), { recursive: true });
+  fs.writeFileSync(SNAPSHOT, JSON.stringify({ contract: CONTRACT, storage }, null, 2) + "\n");
+  return SNAPSHOT;
+}
+
+async function main() {
+  if (process.env.UPDATE_LAYOUT) {
+    console.log(`✅ Storage layout recorded in ${await writeStorageLayout()}`);
+    return;
+  }
+  const storage = await checkStorageLayout();
+  console.log(`✅ ${CONTRACT} storage layout is upgrade safe (${storage.length} variables)`);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error.message || error);
+      process.exit(1);
+    });
+}
+
+module.exports = { checkStorageLayout, writeStorageLayout };
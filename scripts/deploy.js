@@ -4,6 +4,7 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { handOverToTimelock } = require("./timelock");
 
 // Network configurations
 const NETWORKS = {
@@ -58,6 +59,9 @@ const NETWORKS = {
   }
 };
 
+// keccak256("eip1967.proxy.admin") - 1: where RegistryProxy keeps its admin's address
+const ERC1967_ADMIN_SLOT = "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+
 async function saveABIs() {
   console.log("\n📁 Saving ABIs...");
   
@@ -68,6 +72,18 @@ async function saveABIs() {
   
   const MediToken = await hre.artifacts.readArtifact("MediToken");
   const MedicineRegistry = await hre.artifacts.readArtifact("MedicineRegistry");
+  const ProductCatalog = await hre.artifacts.readArtifact("ProductCatalog");
+  const ManufacturerRegistry = await hre.artifacts.readArtifact("ManufacturerRegistry");
+  const QuantityLedger = await hre.artifacts.readArtifact("QuantityLedger");
+  const PackagingRegistry = await hre.artifacts.readArtifact("PackagingRegistry");
+  const ChannelSettlement = await hre.artifacts.readArtifact("ChannelSettlement");
+  const DelegateRegistry = await hre.artifacts.readArtifact("DelegateRegistry");
+  const DisputeRegistry = await hre.artifacts.readArtifact("DisputeRegistry");
+  const StakingRegistry = await hre.artifacts.readArtifact("StakingRegistry");
+  const RewardPolicy = await hre.artifacts.readArtifact("RewardPolicy");
+  const EmergencyPause = await hre.artifacts.readArtifact("EmergencyPause");
+  const RegistryLens = await hre.artifacts.readArtifact("RegistryLens");
+  const GovernanceTimelock = await hre.artifacts.readArtifact("GovernanceTimelock");
   
   fs.writeFileSync(
     path.join(abiDir, "MediToken.json"),
@@ -79,6 +95,66 @@ async function saveABIs() {
     JSON.stringify(MedicineRegistry.abi, null, 2)
   );
   
+  fs.writeFileSync(
+    path.join(abiDir, "ProductCatalog.json"),
+    JSON.stringify(ProductCatalog.abi, null, 2)
+  );
+  
+  fs.writeFileSync(
+    path.join(abiDir, "ManufacturerRegistry.json"),
+    JSON.stringify(ManufacturerRegistry.abi, null, 2)
+  );
+  
+  fs.writeFileSync(
+    path.join(abiDir, "QuantityLedger.json"),
+    JSON.stringify(QuantityLedger.abi, null, 2)
+  );
+  
+  fs.writeFileSync(
+    path.join(abiDir, "PackagingRegistry.json"),
+    JSON.stringify(PackagingRegistry.abi, null, 2)
+  );
+  
+  fs.writeFileSync(
+    path.join(abiDir, "ChannelSettlement.json"),
+    JSON.stringify(ChannelSettlement.abi, null, 2)
+  );
+  
+  fs.writeFileSync(
+    path.join(abiDir, "DelegateRegistry.json"),
+    JSON.stringify(DelegateRegistry.abi, null, 2)
+  );
+  
+  fs.writeFileSync(
+    path.join(abiDir, "DisputeRegistry.json"),
+    JSON.stringify(DisputeRegistry.abi, null, 2)
+  );
+  
+  fs.writeFileSync(
+    path.join(abiDir, "StakingRegistry.json"),
+    JSON.stringify(StakingRegistry.abi, null, 2)
+  );
+  
+  fs.writeFileSync(
+    path.join(abiDir, "RewardPolicy.json"),
+    JSON.stringify(RewardPolicy.abi, null, 2)
+  );
+  
+  fs.writeFileSync(
+    path.join(abiDir, "EmergencyPause.json"),
+    JSON.stringify(EmergencyPause.abi, null, 2)
+  );
+  
+  fs.writeFileSync(
+    path.join(abiDir, "RegistryLens.json"),
+    JSON.stringify(RegistryLens.abi, null, 2)
+  );
+  
+  fs.writeFileSync(
+    path.join(abiDir, "GovernanceTimelock.json"),
+    JSON.stringify(GovernanceTimelock.abi, null, 2)
+  );
+  
   console.log("✅ ABIs saved to /abi directory");
 }
 
@@ -118,13 +194,141 @@ async function main() {
   console.log("✅ MediToken deployed to:", mediToken.address);
   console.log("   Transaction hash:", mediToken.deployTransaction.hash);
   
-  // Deploy MedicineRegistry
+  // Every contract below is deployed after this block; the backend reads events from it on
+  const { blockNumber: deploymentBlock } = await mediToken.deployTransaction.wait();
+  
+  // Deploy the libraries the registry links against
+  console.log("\n📦 Deploying SupplyChainAmendments...");
+  const SupplyChainAmendments = await hre.ethers.getContractFactory("SupplyChainAmendments");
+  const supplyChainAmendments = await SupplyChainAmendments.deploy();
+  await supplyChainAmendments.deployed();
+  console.log("✅ SupplyChainAmendments deployed to:", supplyChainAmendments.address);
+  
+  console.log("\n📦 Deploying RegistryMigration...");
+  const RegistryMigration = await hre.ethers.getContractFactory("RegistryMigration");
+  const registryMigration = await RegistryMigration.deploy();
+  await registryMigration.deployed();
+  console.log("✅ RegistryMigration deployed to:", registryMigration.address);
+  
+  console.log("\n📦 Deploying CustodyVerification...");
+  const CustodyVerification = await hre.ethers.getContractFactory("CustodyVerification");
+  const custodyVerification = await CustodyVerification.deploy();
+  await custodyVerification.deployed();
+  console.log("✅ CustodyVerification deployed to:", custodyVerification.address);
+  
+  // Deploy the MedicineRegistry implementation and the proxy everything else talks to
   console.log("\n📦 Deploying MedicineRegistry...");
-  const MedicineRegistry = await hre.ethers.getContractFactory("MedicineRegistry");
-  const medicineRegistry = await MedicineRegistry.deploy(mediToken.address);
-  await medicineRegistry.deployed();
-  console.log("✅ MedicineRegistry deployed to:", medicineRegistry.address);
-  console.log("   Transaction hash:", medicineRegistry.deployTransaction.hash);
+  const MedicineRegistry = await hre.ethers.getContractFactory("MedicineRegistry", {
+    libraries: {
+      SupplyChainAmendments: supplyChainAmendments.address,
+      RegistryMigration: registryMigration.address,
+      CustodyVerification: custodyVerification.address
+    }
+  });
+  const registryImplementation = await MedicineRegistry.deploy();
+  await registryImplementation.deployed();
+  console.log("✅ MedicineRegistry implementation deployed to:", registryImplementation.address);
+  
+  // The proxy is initialized in its constructor and creates the admin that can upgrade it
+  const RegistryProxy = await hre.ethers.getContractFactory("RegistryProxy");
+  const registryProxy = await RegistryProxy.deploy(
+    registryImplementation.address,
+    deployer.address,
+    MedicineRegistry.interface.encodeFunctionData("initialize", [mediToken.address, deployer.address])
+  );
+  await registryProxy.deployed();
+  const medicineRegistry = MedicineRegistry.attach(registryProxy.address);
+  const adminSlot = await hre.ethers.provider.getStorageAt(registryProxy.address, ERC1967_ADMIN_SLOT);
+  const proxyAdminAddress = hre.ethers.utils.getAddress(hre.ethers.utils.hexDataSlice(adminSlot, 12));
+  console.log("✅ MedicineRegistry proxy deployed to:", medicineRegistry.address);
+  console.log("   Proxy admin (owned by the deployer):", proxyAdminAddress);
+  console.log("   Transaction hash:", registryProxy.deployTransaction.hash);
+  
+  // Modules are deployed against the proxy's address and connected once
+  console.log("\n📦 Deploying registry modules...");
+  const ManufacturerRegistry = await hre.ethers.getContractFactory("ManufacturerRegistry");
+  const manufacturerRegistry = await ManufacturerRegistry.deploy(medicineRegistry.address);
+  await manufacturerRegistry.deployed();
+  console.log("✅ ManufacturerRegistry deployed to:", manufacturerRegistry.address);
+  const ProductCatalog = await hre.ethers.getContractFactory("ProductCatalog");
+  const productCatalog = await ProductCatalog.deploy(medicineRegistry.address, manufacturerRegistry.address);
+  await productCatalog.deployed();
+  console.log("✅ ProductCatalog deployed to:", productCatalog.address);
+  const QuantityLedger = await hre.ethers.getContractFactory("QuantityLedger");
+  const quantityLedger = await QuantityLedger.deploy(medicineRegistry.address);
+  await quantityLedger.deployed();
+  console.log("✅ QuantityLedger deployed to:", quantityLedger.address);
+  const setModulesTx = await medicineRegistry.setModules(
+    productCatalog.address,
+    manufacturerRegistry.address,
+    quantityLedger.address
+  );
+  await setModulesTx.wait();
+  console.log("   ✅ Modules connected");
+  
+  // The packaging registry is deployed separately, keeping the registry's init code under the limit
+  console.log("\n📦 Deploying PackagingRegistry...");
+  const PackagingRegistry = await hre.ethers.getContractFactory("PackagingRegistry");
+  const packagingRegistry = await PackagingRegistry.deploy(medicineRegistry.address);
+  await packagingRegistry.deployed();
+  console.log("✅ PackagingRegistry deployed to:", packagingRegistry.address);
+  
+  // Channel settlement lives in its own contract too; the deployer operates its channels
+  console.log("\n📦 Deploying ChannelSettlement...");
+  const ChannelSettlement = await hre.ethers.getContractFactory("ChannelSettlement");
+  const channelSettlement = await ChannelSettlement.deploy(medicineRegistry.address);
+  await channelSettlement.deployed();
+  console.log("✅ ChannelSettlement deployed to:", channelSettlement.address);
+  
+  console.log("\n📦 Deploying DelegateRegistry...");
+  const DelegateRegistry = await hre.ethers.getContractFactory("DelegateRegistry");
+  const delegateRegistry = await DelegateRegistry.deploy(medicineRegistry.address);
+  await delegateRegistry.deployed();
+  console.log("✅ DelegateRegistry deployed to:", delegateRegistry.address);
+  
+  console.log("\n📦 Deploying DisputeRegistry...");
+  const DisputeRegistry = await hre.ethers.getContractFactory("DisputeRegistry");
+  const disputeRegistry = await DisputeRegistry.deploy(medicineRegistry.address);
+  await disputeRegistry.deployed();
+  console.log("✅ DisputeRegistry deployed to:", disputeRegistry.address);
+  
+  console.log("\n📦 Deploying StakingRegistry...");
+  const StakingRegistry = await hre.ethers.getContractFactory("StakingRegistry");
+  const stakingRegistry = await StakingRegistry.deploy(mediToken.address, medicineRegistry.address);
+  await stakingRegistry.deployed();
+  console.log("✅ StakingRegistry deployed to:", stakingRegistry.address);
+  
+  console.log("\n📦 Deploying RewardPolicy...");
+  const RewardPolicy = await hre.ethers.getContractFactory("RewardPolicy");
+  const rewardPolicy = await RewardPolicy.deploy(mediToken.address, medicineRegistry.address);
+  await rewardPolicy.deployed();
+  console.log("✅ RewardPolicy deployed to:", rewardPolicy.address);
+  
+  console.log("\n📦 Deploying EmergencyPause...");
+  const EmergencyPause = await hre.ethers.getContractFactory("EmergencyPause");
+  const emergencyPause = await EmergencyPause.deploy(medicineRegistry.address);
+  await emergencyPause.deployed();
+  console.log("✅ EmergencyPause deployed to:", emergencyPause.address);
+  
+  // Read-only; the backend fetches a batch's participants through it in one call
+  console.log("\n📦 Deploying RegistryLens...");
+  const RegistryLens = await hre.ethers.getContractFactory("RegistryLens");
+  const registryLens = await RegistryLens.deploy(medicineRegistry.address);
+  await registryLens.deployed();
+  console.log("✅ RegistryLens deployed to:", registryLens.address);
+  
+  // Admin powers move here once the deployer has finished setting up
+  console.log("\n📦 Deploying GovernanceTimelock...");
+  const timelockDelay = Number(process.env.TIMELOCK_DELAY || 2 * 24 * 60 * 60);
+  const timelockProposers = process.env.TIMELOCK_PROPOSERS
+    ? process.env.TIMELOCK_PROPOSERS.split(",").map(address => hre.ethers.utils.getAddress(address.trim()))
+    : [deployer.address];
+  const approvalThreshold = Number(process.env.TIMELOCK_THRESHOLD || Math.floor(timelockProposers.length / 2) + 1);
+  const GovernanceTimelock = await hre.ethers.getContractFactory("GovernanceTimelock");
+  const governanceTimelock = await GovernanceTimelock.deploy(timelockDelay, timelockProposers, approvalThreshold);
+  await governanceTimelock.deployed();
+  console.log("✅ GovernanceTimelock deployed to:", governanceTimelock.address);
+  console.log(`   ${approvalThreshold} of ${timelockProposers.length} proposers, ${timelockDelay}s delay`);
   
   // Setup permissions
   console.log("\n🔐 Setting up permissions...");
@@ -135,12 +339,103 @@ async function main() {
   await addMinterTx.wait();
   console.log("   ✅ Minter role granted");
   
-  // Grant manufacturer role to deployer for testing
-  console.log("   Granting manufacturer role to deployer...");
-  const MANUFACTURER_ROLE = await medicineRegistry.MANUFACTURER_ROLE();
-  const grantRoleTx = await medicineRegistry.grantRole(MANUFACTURER_ROLE, deployer.address);
-  await grantRoleTx.wait();
-  console.log("   ✅ Manufacturer role granted");
+  // Package scans verify the batches inside on the participant's behalf
+  console.log("   Granting PackagingRegistry the verifier role...");
+  const verifierTx = await medicineRegistry.grantRole(await medicineRegistry.VERIFIER_ROLE(), packagingRegistry.address);
+  await verifierTx.wait();
+  console.log("   ✅ Verifier role granted");
+  
+  // Settled channel states register their batches through the settlement contract
+  console.log("   Granting ChannelSettlement the channel role...");
+  const channelTx = await medicineRegistry.grantRole(await medicineRegistry.CHANNEL_ROLE(), channelSettlement.address);
+  await channelTx.wait();
+  console.log("   ✅ Channel role granted");
+  
+  // Delegates verify on their organization's behalf and count as its participants
+  console.log("   Connecting DelegateRegistry...");
+  const delegateVerifierTx = await medicineRegistry.grantRole(await medicineRegistry.VERIFIER_ROLE(), delegateRegistry.address);
+  await delegateVerifierTx.wait();
+  const setDelegatesTx = await medicineRegistry.setDelegateRegistry(delegateRegistry.address);
+  await setDelegatesTx.wait();
+  console.log("   ✅ Delegate registry connected");
+  
+  // Upheld disputes freeze batches and invalidate verifications; the deployer arbitrates
+  console.log("   Granting DisputeRegistry the regulator role...");
+  const disputeRegulatorTx = await medicineRegistry.grantRole(await medicineRegistry.REGULATOR_ROLE(), disputeRegistry.address);
+  await disputeRegulatorTx.wait();
+  const arbiterTx = await medicineRegistry.grantRole(await disputeRegistry.ARBITER_ROLE(), deployer.address);
+  await arbiterTx.wait();
+  console.log("   ✅ Regulator role granted, deployer is an arbiter");
+  
+  // Participants bond MEDI to be assigned; penalized participants are slashed
+  console.log("   Connecting StakingRegistry...");
+  const setStakingTx = await medicineRegistry.setStakingRegistry(stakingRegistry.address);
+  await setStakingTx.wait();
+  const slasherTx = await medicineRegistry.grantRole(await stakingRegistry.SLASHER_ROLE(), disputeRegistry.address);
+  await slasherTx.wait();
+  console.log("   ✅ Staking registry connected, DisputeRegistry can slash");
+  
+  // Claims and on-time verifications pay what the policy sets; unfunded terms mint
+  console.log("   Connecting RewardPolicy...");
+  const rewardMinterTx = await mediToken.addMinter(rewardPolicy.address);
+  await rewardMinterTx.wait();
+  const setRewardsTx = await medicineRegistry.setRewardPolicy(rewardPolicy.address);
+  await setRewardsTx.wait();
+  console.log("   ✅ Reward policy connected and can mint");
+  
+  // Throttle claims per customer; the deployer allow-lists verified customer identities
+  console.log("   Setting claim limits...");
+  const claimLimitsTx = await rewardPolicy.setDefaultLimits({
+    enabled: true,
+    identityRequired: false,
+    cooldown: Number(process.env.CLAIM_COOLDOWN || 24 * 60 * 60),
+    maxClaims: Number(process.env.CLAIM_CAP || 0),
+    period: Number(process.env.CLAIM_PERIOD || 0)
+  });
+  await claimLimitsTx.wait();
+  const identityTx = await medicineRegistry.grantRole(await rewardPolicy.IDENTITY_VERIFIER_ROLE(), deployer.address);
+  await identityTx.wait();
+  console.log("   ✅ Claim limits set, deployer verifies customer identities");
+  
+  // Guardians can stop registration, verification, claims and minting at once; only the admin resumes them
+  console.log("   Connecting EmergencyPause...");
+  const guardian = process.env.GUARDIAN_ADDRESS || deployer.address;
+  const setPauseTx = await medicineRegistry.setEmergencyPause(emergencyPause.address);
+  await setPauseTx.wait();
+  const tokenPauseTx = await mediToken.setEmergencyPause(emergencyPause.address);
+  await tokenPauseTx.wait();
+  const guardianTx = await medicineRegistry.grantRole(await emergencyPause.GUARDIAN_ROLE(), guardian);
+  await guardianTx.wait();
+  console.log(`   ✅ Emergency pause connected, ${guardian} is a guardian`);
+  
+  // Onboard the deployer as a test manufacturer; approval grants the manufacturer role
+  console.log("   Approving deployer as manufacturer...");
+  const applyTx = await manufacturerRegistry.submitApplication(
+    "MediTrust Test Manufacturer",
+    `TEST-LICENSE-${network}`,
+    "Testnet",
+    Math.floor(Date.now() / 1000) + 365 * 24 * 60 * 60,
+    hre.ethers.constants.HashZero
+  );
+  await applyTx.wait();
+  const approveTx = await manufacturerRegistry.approveManufacturer(deployer.address);
+  await approveTx.wait();
+  console.log("   ✅ Manufacturer approved");
+  console.log("   Manufacturer registry:", manufacturerRegistry.address);
+  
+  // Register the test product batches reference
+  console.log("\n🧪 Registering test product...");
+  const testGtin = `TEST-${network}`;
+  const productTx = await productCatalog.registerProduct(
+    testGtin,
+    "Test Medicine",
+    "10 mg",
+    "Tablet",
+    "Test Ingredients"
+  );
+  await productTx.wait();
+  const testProductId = hre.ethers.utils.id(testGtin);
+  console.log(`   ✅ Test product registered: ${testProductId}`);
   
   // Register test batch with supply chain
   console.log("\n🧪 Creating test batch with supply chain...");
@@ -160,11 +455,11 @@ async function main() {
   
   const registerTx = await medicineRegistry.registerBatchWithSupplyChain(
     testBatchId,
-    "Test Medicine",
-    "Test Ingredients",
+    testProductId,
     expiryDate,
     supplyChainParticipants,
     supplyChainRoles,
+    [], // Strictly sequential custody: transporter -> supplier -> distributor
     hre.ethers.utils.formatBytes32String("test-channel")
   );
   
@@ -177,11 +472,25 @@ async function main() {
   if (network === 'localhost' && participant1) {
     console.log("\n🔍 Testing supply chain verification...");
     
+    // Store at 2-8°C (tenths of a degree), tolerating 30 minutes out of range
+    const policyTx = await medicineRegistry.setColdChainPolicy(testBatchId, {
+      minTemperature: 20,
+      maxTemperature: 80,
+      maxExcursionMinutes: 30,
+      maxHumidity: 60,
+      enabled: true
+    });
+    await policyTx.wait();
+    const reading = {
+      minTemperature: 40, maxTemperature: 60, excursionMinutes: 0, humidity: 45, unitsReceived: 0, unitsDispatched: 0
+    };
+    
     // Transporter verification
     const verifyTx1 = await medicineRegistry.connect(participant1).verifySupplyChainTransfer(
       testBatchId,
       "Test Location 1",
-      "Temperature: 5°C"
+      "Temperature: 5°C",
+      reading
     );
     await verifyTx1.wait();
     console.log("   ✅ Transporter verified");
@@ -190,7 +499,8 @@ async function main() {
     const verifyTx2 = await medicineRegistry.connect(participant2).verifySupplyChainTransfer(
       testBatchId,
       "Test Location 2",
-      "Condition: Good"
+      "Condition: Good",
+      reading
     );
     await verifyTx2.wait();
     console.log("   ✅ Supplier verified");
@@ -199,7 +509,8 @@ async function main() {
     const verifyTx3 = await medicineRegistry.connect(participant3).verifySupplyChainTransfer(
       testBatchId,
       "Test Location 3",
-      "Ready for delivery"
+      "Ready for delivery",
+      reading
     );
     await verifyTx3.wait();
     console.log("   ✅ Distributor verified");
@@ -209,6 +520,32 @@ async function main() {
     console.log(`   📍 Ready for customer claim: ${isReady}`);
   }
   
+  // Require bonds only after the test batch, whose participants have not staked
+  const minimumStake = hre.ethers.utils.parseEther(process.env.MINIMUM_STAKE || "100");
+  const slashBps = Number(process.env.SLASH_BPS || 5000);
+  const stakePolicyTx = await stakingRegistry.setStakePolicy(minimumStake, slashBps);
+  await stakePolicyTx.wait();
+  console.log(`\n🔒 Participants need ${hre.ethers.utils.formatEther(minimumStake)} MEDI bonded; offences slash ${slashBps / 100}%`);
+  
+  // From here on role grants, minters, reward parameters and upgrades wait out the timelock.
+  // DEFER_HANDOVER keeps the deployer admin, e.g. to migrate an earlier registry first.
+  const proxyAdmin = await hre.ethers.getContractAt("RegistryProxyAdmin", proxyAdminAddress);
+  if (process.env.DEFER_HANDOVER) {
+    console.log("\n⚠️  Deployer remains admin; hand over with TIMELOCK_ACTION=handover scripts/timelock.js");
+  } else {
+    console.log("\n⏳ Handing admin roles and ownership to the GovernanceTimelock...");
+    await handOverToTimelock({
+      registry: medicineRegistry,
+      channelSettlement,
+      mediToken,
+      proxyAdmin,
+      timelock: governanceTimelock,
+      deployer
+    });
+    console.log("   ✅ Registry and channel admin, token ownership and proxy admin handed over");
+  }
+  const proxyAdminOwner = await proxyAdmin.owner();
+  
   // Calculate deployment cost
   const deploymentCost = registerReceipt.gasUsed.mul(registerReceipt.effectiveGasPrice);
   
@@ -220,20 +557,89 @@ async function main() {
     chainId: networkConfig.chainId,
     deployer: deployer.address,
     timestamp: new Date().toISOString(),
+    deploymentBlock,
     contracts: {
       MediToken: {
         address: mediToken.address,
         transactionHash: mediToken.deployTransaction.hash,
         blockNumber: mediToken.deployTransaction.blockNumber
       },
+      // The proxy: the address every other contract, the backend and the frontend use
       MedicineRegistry: {
         address: medicineRegistry.address,
-        transactionHash: medicineRegistry.deployTransaction.hash,
-        blockNumber: medicineRegistry.deployTransaction.blockNumber
+        transactionHash: registryProxy.deployTransaction.hash,
+        blockNumber: registryProxy.deployTransaction.blockNumber
+      },
+      MedicineRegistryImplementation: {
+        address: registryImplementation.address,
+        transactionHash: registryImplementation.deployTransaction.hash,
+        blockNumber: registryImplementation.deployTransaction.blockNumber
+      },
+      MedicineRegistryProxyAdmin: {
+        address: proxyAdminAddress,
+        owner: proxyAdminOwner
+      },
+      ProductCatalog: {
+        address: productCatalog.address
+      },
+      ManufacturerRegistry: {
+        address: manufacturerRegistry.address
+      },
+      QuantityLedger: {
+        address: quantityLedger.address
+      },
+      PackagingRegistry: {
+        address: packagingRegistry.address,
+        transactionHash: packagingRegistry.deployTransaction.hash
+      },
+      ChannelSettlement: {
+        address: channelSettlement.address,
+        transactionHash: channelSettlement.deployTransaction.hash
+      },
+      DelegateRegistry: {
+        address: delegateRegistry.address,
+        transactionHash: delegateRegistry.deployTransaction.hash
+      },
+      DisputeRegistry: {
+        address: disputeRegistry.address,
+        transactionHash: disputeRegistry.deployTransaction.hash
+      },
+      StakingRegistry: {
+        address: stakingRegistry.address,
+        transactionHash: stakingRegistry.deployTransaction.hash
+      },
+      RewardPolicy: {
+        address: rewardPolicy.address,
+        transactionHash: rewardPolicy.deployTransaction.hash
+      },
+      EmergencyPause: {
+        address: emergencyPause.address,
+        transactionHash: emergencyPause.deployTransaction.hash
+      },
+      RegistryLens: {
+        address: registryLens.address
+      },
+      GovernanceTimelock: {
+        address: governanceTimelock.address,
+        transactionHash: governanceTimelock.deployTransaction.hash,
+        blockNumber: governanceTimelock.deployTransaction.blockNumber,
+        minDelay: timelockDelay,
+        proposers: timelockProposers,
+        approvalThreshold
+      },
+      SupplyChainAmendments: {
+        address: supplyChainAmendments.address
+      },
+      RegistryMigration: {
+        address: registryMigration.address
+      },
+      CustodyVerification: {
+        address: custodyVerification.address
       }
     },
     testBatch: {
       batchId: testBatchId,
+      productId: testProductId,
       participants: supplyChainParticipants,
       roles: supplyChainRoles,
       transactionHash: registerTx.hash,
@@ -272,6 +678,16 @@ PRIVATE_KEY=your_private_key_here
 # Contract Addresses - ${networkConfig.name}
 ${network.toUpperCase()}_REGISTRY=${medicineRegistry.address}
 ${network.toUpperCase()}_TOKEN=${mediToken.address}
+${network.toUpperCase()}_PACKAGING=${packagingRegistry.address}
+${network.toUpperCase()}_CHANNELS=${channelSettlement.address}
+${network.toUpperCase()}_DELEGATES=${delegateRegistry.address}
+${network.toUpperCase()}_DISPUTES=${disputeRegistry.address}
+${network.toUpperCase()}_STAKING=${stakingRegistry.address}
+${network.toUpperCase()}_REWARDS=${rewardPolicy.address}
+${network.toUpperCase()}_PAUSE=${emergencyPause.address}
+${network.toUpperCase()}_LENS=${registryLens.address}
+${network.toUpperCase()}_TIMELOCK=${governanceTimelock.address}
+${network.toUpperCase()}_FROM_BLOCK=${deploymentBlock}
 
 # RPC URLs
 ${network.toUpperCase()}_RPC=${networkConfig.rpc}
@@ -301,6 +717,17 @@ ARBISCAN_API_KEY=
   console.log(`   Network: ${networkConfig.name}`);
   console.log(`   MediToken: ${mediToken.address}`);
   console.log(`   MedicineRegistry: ${medicineRegistry.address}`);
+  console.log(`   MedicineRegistry implementation: ${registryImplementation.address}`);
+  console.log(`   MedicineRegistry proxy admin: ${proxyAdminAddress} (owned by ${proxyAdminOwner})`);
+  console.log(`   PackagingRegistry: ${packagingRegistry.address}`);
+  console.log(`   ChannelSettlement: ${channelSettlement.address}`);
+  console.log(`   DelegateRegistry: ${delegateRegistry.address}`);
+  console.log(`   DisputeRegistry: ${disputeRegistry.address}`);
+  console.log(`   StakingRegistry: ${stakingRegistry.address}`);
+  console.log(`   RewardPolicy: ${rewardPolicy.address}`);
+  console.log(`   EmergencyPause: ${emergencyPause.address}`);
+  console.log(`   RegistryLens: ${registryLens.address}`);
+  console.log(`   GovernanceTimelock: ${governanceTimelock.address}`);
   console.log(`   Test Batch: ${testBatchId}`);
   console.log(`   Supply Chain Participants: ${supplyChainParticipants.length}`);
   console.log(`   Total Cost: ${hre.ethers.utils.formatEther(deploymentCost)} ${networkConfig.symbol}`);
@@ -0,0 +1,213 @@
+// scripts/migrate-registry.js
+// Replay the manufacturers, products and batches of an earlier MedicineRegistry deployment
+// (such as one deployed before the registry sat behind a proxy) into the network's current
+// registry from deployments/<network>.json. The deployer must be the new registry's admin, so
+// deploy with DEFER_HANDOVER=1 and hand over to the timelock once the migration is done.
+// Anything already in the new registry is skipped, so an interrupted migration can be rerun.
+//
+//   OLD_REGISTRY=0x... npx hardhat run scripts/migrate-registry.js --network polygonAmoy
+//
+// MIGRATE_FROM_BLOCK limits the log search to blocks after the old registry was deployed.
+// Batch ids are recovered from the transactions that registered them; MIGRATE_BATCH_IDS
+// (comma-separated) adds any registered through contracts the script cannot decode.
+//
+// Not carried over: pending claim commitments, signature nonces (the new registry's EIP-712
+// domain differs anyway) and the old modules' role grants, which deploy.js sets up afresh.
+//
+// MIGRATE_EXPORT=<file> only writes OLD_REGISTRY's batches to the file, ready for importBatch.
+// Export a proxy's batches this way before an upgrade that moves where batches are stored,
+// and re-import them as part of it with UPGRADE_IMPORT (see scripts/upgrade.js).
+
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { exportBatch, encodeBatchImport, exportProduct } = require("../utils/migration");
+
+// Contracts whose calls register batches, decoded to recover the batch ids behind indexed topics
+const REGISTERING_CONTRACTS = ["MedicineRegistry", "ChannelSettlement"];
+
+function collectStrings(value, strings) {
+  if (typeof value === "string") {
+    strings.push(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectStrings(item, strings));
+  }
+  return strings;
+}
+
+/**
+ * Recover every batch id the old registry registered, parents before their lots
+ */
+async function discoverBatchIds(registry, fromBlock) {
+  const interfaces = await Promise.all(
+    REGISTERING_CONTRACTS.map(async name => new hre.ethers.utils.Interface((await hre.artifacts.readArtifact(name)).abi))
+  );
+  const known = new Map();
+  const remember = batchId => known.set(hre.ethers.utils.id(batchId), batchId);
+
+  (process.env.MIGRATE_BATCH_IDS || "").split(",").map(id => id.trim()).filter(Boolean).forEach(remember);
+  for (const split of await registry.queryFilter(registry.filters.BatchSplit(), fromBlock)) {
+    remember(split.args.childBatchId);
+  }
+
+  const batchIds = [];
+  const unresolved = [];
+  for (const registration of await registry.queryFilter(registry.filters.BatchRegistered(), fromBlock)) {
+    const topic = registration.topics[1];
+    if (!known.has(topic)) {
+      const tx = await hre.ethers.provider.getTransaction(registration.transactionHash);
+      for (const iface of interfaces) {
+        try {
+          collectStrings(iface.parseTransaction({ data: tx.data }).args, []).forEach(remember);
+        } catch (error) {
+          // Not a call to this contract
+        }
+      }
+    }
+    if (known.has(topic)) {
+      batchIds.push(known.get(topic));
+    } else {
+      unresolved.push(`${topic} (tx ${registration.transactionHash})`);
+    }
+  }
+
+  if (unresolved.length > 0) {
+    throw new Error(
+      `Could not recover the ids of ${unresolved.length} batches; list them in MIGRATE_BATCH_IDS:\n  ` +
+      unresolved.join("\n  ")
+    );
+  }
+  return batchIds;
+}
+
+/**
+ * Write every batch of `registry` to `file` as its encoded importBatch argument
+ */
+async function exportBatches(registry, fromBlock, file) {
+  const ledger = await hre.ethers.getContractAt("QuantityLedger", await registry.quantityLedger());
+  const batches = [];
+  for (const batchId of await discoverBatchIds(registry, fromBlock)) {
+    const batch = await exportBatch(registry, ledger, batchId, fromBlock);
+    batches.push({ batchId, data: encodeBatchImport(batch) });
+    console.log(`   ✅ ${batchId}: ${batch.participants.length} participants`);
+  }
+  fs.writeFileSync(file, JSON.stringify({ registry: registry.address, exportedAt: new Date().toISOString(), batches }, null, 2));
+  return batches.length;
+}
+
+async function exists(call) {
+  try {
+    await call();
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function main() {
+  const network = process.env.NETWORK || hre.network.name;
+  if (!process.env.OLD_REGISTRY) {
+    throw new Error("Set OLD_REGISTRY to the address of the registry to migrate from");
+  }
+  const fromBlock = Number(process.env.MIGRATE_FROM_BLOCK || 0);
+  const oldRegistry = await hre.ethers.getContractAt("MedicineRegistry", process.env.OLD_REGISTRY);
+
+  if (process.env.MIGRATE_EXPORT) {
+    console.log(`\n📤 Exporting batches of ${oldRegistry.address}...`);
+    const count = await exportBatches(oldRegistry, fromBlock, process.env.MIGRATE_EXPORT);
+    console.log(`\n🎉 Exported ${count} batches to ${process.env.MIGRATE_EXPORT}`);
+    return;
+  }
+
+  const deploymentFile = path.join(__dirname, "../deployments", `${network}.json`);
+  if (!fs.existsSync(deploymentFile)) {
+    throw new Error(`No deployment found for ${network}; run scripts/deploy.js first`);
+  }
+  const deployment = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+  const newRegistry = await hre.ethers.getContractAt("MedicineRegistry", deployment.contracts.MedicineRegistry.address);
+  if (oldRegistry.address === newRegistry.address) {
+    throw new Error("OLD_REGISTRY is the current registry");
+  }
+
+  const modules = async (registry) => ({
+    manufacturers: await hre.ethers.getContractAt("ManufacturerRegistry", await registry.manufacturerRegistry()),
+    catalog: await hre.ethers.getContractAt("ProductCatalog", await registry.productCatalog()),
+    ledger: await hre.ethers.getContractAt("QuantityLedger", await registry.quantityLedger())
+  });
+  const from = await modules(oldRegistry);
+  const to = await modules(newRegistry);
+
+  console.log("\n========================================");
+  console.log("🚚 MedicineRegistry Migration");
+  console.log("========================================");
+  console.log(`📍 Network: ${network}`);
+  console.log(`📤 From: ${oldRegistry.address}`);
+  console.log(`📥 To: ${newRegistry.address}`);
+
+  // Manufacturers first: products and batches reference them
+  console.log("\n🏭 Migrating manufacturers...");
+  const applicants = await from.manufacturers.getApplicants();
+  for (const manufacturer of applicants) {
+    if ((await to.manufacturers.getManufacturer(manufacturer)).status !== 0) continue;
+    const profile = await from.manufacturers.getManufacturer(manufacturer);
+    const tx = await to.manufacturers.importManufacturer(manufacturer, {
+      legalName: profile.legalName,
+      licenseNumber: profile.licenseNumber,
+      jurisdiction: profile.jurisdiction,
+      licenseExpiry: profile.licenseExpiry,
+      metadataHash: profile.metadataHash,
+      status: profile.status,
+      statusReason: profile.statusReason,
+      appliedAt: profile.appliedAt,
+      updatedAt: profile.updatedAt
+    });
+    await tx.wait();
+    console.log(`   ✅ ${profile.legalName} (${manufacturer})`);
+  }
+
+  console.log("\n💊 Migrating products...");
+  for (const manufacturer of applicants) {
+    for (const productId of await from.catalog.getManufacturerProducts(manufacturer)) {
+      if (await exists(() => to.catalog.getProduct(productId))) continue;
+      const { product, ingredients } = await exportProduct(from.catalog, productId, fromBlock);
+      const tx = await to.catalog.importProduct(product, ingredients);
+      await tx.wait();
+      console.log(`   ✅ ${product.name} (${product.gtin})`);
+    }
+  }
+
+  console.log("\n📦 Migrating batches...");
+  const batchIds = await discoverBatchIds(oldRegistry, fromBlock);
+  let imported = 0;
+  for (const batchId of batchIds) {
+    if (await exists(() => newRegistry.getBatch(batchId))) continue;
+    const batch = await exportBatch(oldRegistry, from.ledger, batchId, fromBlock);
+    const tx = await newRegistry.importBatch(encodeBatchImport(batch));
+    const receipt = await tx.wait();
+    imported++;
+    console.log(`   ✅ ${batchId}: ${batch.participants.length} participants, ${receipt.gasUsed.toString()} gas`);
+  }
+
+  deployment.migrations = [
+    ...(deployment.migrations || []),
+    {
+      timestamp: new Date().toISOString(),
+      from: oldRegistry.address,
+      manufacturers: applicants.length,
+      batches: batchIds.length,
+      imported
+    }
+  ];
+  fs.writeFileSync(deploymentFile, JSON.stringify(deployment, null, 2));
+
+  console.log(`\n🎉 Migrated ${imported} of ${batchIds.length} batches (the rest were already there)`);
+  console.log(`   Hand admin over when done: TIMELOCK_ACTION=handover npx hardhat run scripts/timelock.js --network ${network}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n❌ Migration failed!");
+    console.error("Error:", error.message);
+    process.exit(1);
+  });
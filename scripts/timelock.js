@@ -0,0 +1,204 @@
+// scripts/timelock.js
+// Propose, approve, execute and list GovernanceTimelock operations for a network's deployment in
+// deployments/<network>.json, or hand the deployer's admin powers over to the timelock.
+//
+//   npx hardhat run scripts/timelock.js --network polygonAmoy                # list operations
+//   TIMELOCK_ACTION=propose TIMELOCK_TARGET=MediToken TIMELOCK_CALL="addMinter(address)" \
+//     TIMELOCK_ARGS='["0x..."]' npx hardhat run scripts/timelock.js --network polygonAmoy
+//   TIMELOCK_ACTION=approve TIMELOCK_OPERATION=0x... npx hardhat run scripts/timelock.js --network polygonAmoy
+//   TIMELOCK_ACTION=execute TIMELOCK_OPERATION=0x... npx hardhat run scripts/timelock.js --network polygonAmoy
+//   TIMELOCK_ACTION=handover npx hardhat run scripts/timelock.js --network polygonAmoy
+//
+// TIMELOCK_TARGET is a contract name from the deployment file or an address. Proposals are
+// queued with the timelock's minimum delay once enough proposers have approved them.
+
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { listOperations } = require("../utils/governance");
+
+function loadDeployment(network) {
+  const deploymentFile = path.join(__dirname, "../deployments", `${network}.json`);
+  if (!fs.existsSync(deploymentFile)) {
+    throw new Error(`No deployment found for ${network}; run scripts/deploy.js first`);
+  }
+  return JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+}
+
+// Lowercased address => contract name, for describing the calls of an operation
+function contractNames(deployment) {
+  return Object.fromEntries(
+    Object.entries(deployment.contracts).map(([name, contract]) => [contract.address.toLowerCase(), name])
+  );
+}
+
+/**
+ * Propose (and approve) calls through the timelock. Returns the operation id, which other
+ * proposers approve by; the operation is queued once enough of them have.
+ */
+async function proposeOperation(timelock, calls, salt = hre.ethers.utils.hexlify(hre.ethers.utils.randomBytes(32))) {
+  const delay = await timelock.getMinDelay();
+  const predecessor = hre.ethers.constants.HashZero;
+  let id;
+  let tx;
+  if (calls.length === 1) {
+    const [{ target, value = 0, data }] = calls;
+    id = await timelock.hashOperation(target, value, data, predecessor, salt);
+    tx = await timelock.schedule(target, value, data, predecessor, salt, delay);
+  } else {
+    const targets = calls.map(call => call.target);
+    const values = calls.map(call => call.value || 0);
+    const payloads = calls.map(call => call.data);
+    id = await timelock.hashOperationBatch(targets, values, payloads, predecessor, salt);
+    tx = await timelock.scheduleBatch(targets, values, payloads, predecessor, salt, delay);
+  }
+  await tx.wait();
+  return id;
+}
+
+/**
+ * The calls of a proposed operation, recovered from its OperationProposed event
+ */
+async function findProposal(timelock, id) {
+  const [proposal] = (await timelock.queryFilter(timelock.filters.OperationProposed(id))).slice(-1);
+  if (!proposal) {
+    throw new Error(`No operation ${id} was proposed to this timelock`);
+  }
+  return proposal.args;
+}
+
+/**
+ * Move the deployer's admin powers to the timelock: the registry's and ChannelSettlement's
+ * DEFAULT_ADMIN_ROLE, MediToken's ownership and the registry's proxy admin. Roles the
+ * deployer holds for day-to-day operation (arbiter, guardian, identity verifier, channel
+ * operator) stay with it.
+ */
+async function handOverToTimelock({ registry, channelSettlement, mediToken, proxyAdmin, timelock, deployer }) {
+  const adminRole = await registry.DEFAULT_ADMIN_ROLE();
+  for (const contract of [registry, channelSettlement]) {
+    if (!(await contract.hasRole(adminRole, timelock.address))) {
+      await (await contract.grantRole(adminRole, timelock.address)).wait();
+    }
+    if (await contract.hasRole(adminRole, deployer.address)) {
+      await (await contract.renounceRole(adminRole, deployer.address)).wait();
+    }
+  }
+  for (const contract of [mediToken, proxyAdmin]) {
+    if ((await contract.owner()) === deployer.address) {
+      await (await contract.transferOwnership(timelock.address)).wait();
+    }
+  }
+}
+
+async function main() {
+  const network = process.env.NETWORK || hre.network.name;
+  const deployment = loadDeployment(network);
+  if (!deployment.contracts.GovernanceTimelock) {
+    throw new Error(`The ${network} deployment has no GovernanceTimelock; redeploy with scripts/deploy.js`);
+  }
+  const timelock = await hre.ethers.getContractAt("GovernanceTimelock", deployment.contracts.GovernanceTimelock.address);
+  const action = process.env.TIMELOCK_ACTION || "list";
+
+  if (action === "list") {
+    const operations = await listOperations(timelock, {
+      fromBlock: deployment.contracts.GovernanceTimelock.blockNumber || 0,
+      contractNames: contractNames(deployment)
+    });
+    console.log(`\n⏳ GovernanceTimelock ${timelock.address}: ${(await timelock.getMinDelay()).toString()}s delay`);
+    for (const operation of operations) {
+      console.log(`\n${operation.id} ${operation.status} (${operation.approvals}/${operation.approvalThreshold} approvals)`);
+      if (operation.readyAt) console.log(`   Ready at: ${operation.readyAt}`);
+      for (const call of operation.calls) {
+        const args = call.args ? JSON.stringify(call.args) : call.data;
+        console.log(`   ${call.contract || call.target}.${call.function || "?"} ${args}`);
+      }
+    }
+    if (operations.length === 0) console.log("   No operations proposed");
+    return;
+  }
+
+  if (action === "propose") {
+    const targetName = process.env.TIMELOCK_TARGET;
+    const target = hre.ethers.utils.isAddress(targetName || "")
+      ? targetName
+      : deployment.contracts[targetName] && deployment.contracts[targetName].address;
+    if (!target || !process.env.TIMELOCK_CALL) {
+      throw new Error("Set TIMELOCK_TARGET to a deployed contract and TIMELOCK_CALL to a function signature");
+    }
+    const iface = new hre.ethers.utils.Interface([`function ${process.env.TIMELOCK_CALL}`]);
+    const data = iface.encodeFunctionData(iface.fragments[0], JSON.parse(process.env.TIMELOCK_ARGS || "[]"));
+    const id = await proposeOperation(timelock, [{ target, data }]);
+    console.log(`✅ Proposed ${targetName}.${process.env.TIMELOCK_CALL}: ${id}`);
+    console.log(`   Other proposers approve with TIMELOCK_ACTION=approve TIMELOCK_OPERATION=${id}`);
+    return;
+  }
+
+  const id = (process.env.TIMELOCK_OPERATION || "").toLowerCase();
+  if (action === "approve" || action === "execute") {
+    if (!id) throw new Error("Set TIMELOCK_OPERATION to the operation id");
+    const [, targets, values, payloads, predecessor, salt] = await findProposal(timelock, id);
+    // A single call is hashed differently from a batch holding one call
+    const single = targets.length === 1 &&
+      (await timelock.hashOperation(targets[0], values[0], payloads[0], predecessor, salt)) === id;
+    let tx;
+    if (action === "approve") {
+      const delay = await timelock.getMinDelay();
+      tx = single
+        ? await timelock.schedule(targets[0], values[0], payloads[0], predecessor, salt, delay)
+        : await timelock.scheduleBatch(targets, values, payloads, predecessor, salt, delay);
+    } else {
+      tx = single
+        ? await timelock.execute(targets[0], values[0], payloads[0], predecessor, salt)
+        : await timelock.executeBatch(targets, values, payloads, predecessor, salt);
+    }
+    const receipt = await tx.wait();
+    if (action === "approve") {
+      const approvals = (await timelock.getApprovers(id)).length;
+      console.log(`✅ Approved ${id} (${approvals}/${(await timelock.approvalThreshold()).toString()})`);
+      return;
+    }
+    console.log(`✅ Executed ${id}`);
+
+    // A registry upgrade proposed by scripts/upgrade.js now runs the new implementation
+    const upgrade = (deployment.upgrades || []).find(entry => entry.operation === id);
+    if (upgrade) {
+      const { recordUpgrade } = require("./upgrade");
+      Object.assign(upgrade, { status: "executed", transactionHash: tx.hash, blockNumber: receipt.blockNumber });
+      await recordUpgrade(deployment, upgrade);
+      fs.writeFileSync(path.join(__dirname, "../deployments", `${network}.json`), JSON.stringify(deployment, null, 2));
+      console.log(`✅ Registry upgraded to ${upgrade.implementation}; deployment, ABI and storage layout updated`);
+    }
+    return;
+  }
+
+  if (action === "handover") {
+    const [deployer] = await hre.ethers.getSigners();
+    const { contracts } = deployment;
+    await handOverToTimelock({
+      registry: await hre.ethers.getContractAt("MedicineRegistry", contracts.MedicineRegistry.address),
+      channelSettlement: await hre.ethers.getContractAt("ChannelSettlement", contracts.ChannelSettlement.address),
+      mediToken: await hre.ethers.getContractAt("MediToken", contracts.MediToken.address),
+      proxyAdmin: await hre.ethers.getContractAt("RegistryProxyAdmin", contracts.MedicineRegistryProxyAdmin.address),
+      timelock,
+      deployer
+    });
+    contracts.MedicineRegistryProxyAdmin.owner = timelock.address;
+    fs.writeFileSync(path.join(__dirname, "../deployments", `${network}.json`), JSON.stringify(deployment, null, 2));
+    console.log(`✅ Admin roles and ownership handed over to ${timelock.address}`);
+    return;
+  }
+
+  throw new Error(`Unknown TIMELOCK_ACTION ${action}; use list, propose, approve, execute or handover`);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Timelock action failed!");
+      console.error("Error:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { proposeOperation, handOverToTimelock };
@@ -0,0 +1,178 @@
+// scripts/upgrade.js
+// Upgrade the MedicineRegistry behind a network's proxy to the compiled implementation.
+// Checks the storage layout against storage-layouts/MedicineRegistry.json, deploys the linked
+// libraries and the new implementation, upgrades through the proxy admin and records the new
+// implementation in deployments/<network>.json. Once the proxy admin belongs to the
+// GovernanceTimelock, the upgrade is proposed instead and takes effect when the timelock
+// executes it (see scripts/timelock.js).
+//
+//   npx hardhat run scripts/upgrade.js --network polygonAmoy
+//
+// UPGRADE_CALLDATA optionally runs a call against the new implementation as part of the
+// upgrade, e.g. a reinitializer for state added in this version. UPGRADE_IMPORT names a file
+// of batches exported with MIGRATE_EXPORT (see scripts/migrate-registry.js) to re-import right
+// after the upgrade, for versions that move where batches are stored; under the timelock they
+// are part of the same operation.
+
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { checkStorageLayout, writeStorageLayout } = require("./check-storage-layout");
+const { proposeOperation } = require("./timelock");
+
+/**
+ * Point deployments/<network>.json at an upgrade's implementation and libraries, and save the
+ * ABI and storage layout later upgrades are checked against
+ */
+async function recordUpgrade(deployment, upgrade) {
+  deployment.contracts.MedicineRegistryImplementation = { address: upgrade.implementation };
+  for (const [name, address] of Object.entries(upgrade.libraries)) {
+    deployment.contracts[name] = { address };
+  }
+
+  // New functions and events reach the backend through the saved ABI
+  const artifact = await hre.artifacts.readArtifact("MedicineRegistry");
+  fs.writeFileSync(path.join(__dirname, "../abi/MedicineRegistry.json"), JSON.stringify(artifact.abi, null, 2));
+
+  // Later upgrades are checked against this version's layout
+  await writeStorageLayout();
+}
+
+async function main() {
+  const network = process.env.NETWORK || hre.network.name;
+  const deploymentFile = path.join(__dirname, "../deployments", `${network}.json`);
+  if (!fs.existsSync(deploymentFile)) {
+    throw new Error(`No deployment found for ${network}; run scripts/deploy.js first`);
+  }
+  const deployment = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+  const { MedicineRegistry: proxy, MedicineRegistryProxyAdmin: admin } = deployment.contracts;
+  if (!admin) {
+    throw new Error(`The ${network} registry is not behind a proxy; move it with scripts/migrate-registry.js`);
+  }
+
+  console.log("\n========================================");
+  console.log("⬆️  MedicineRegistry Upgrade");
+  console.log("========================================");
+  console.log(`📍 Network: ${network}`);
+  console.log(`📦 Proxy: ${proxy.address}`);
+
+  // Refuse upgrades that would reinterpret existing storage
+  console.log("\n🔍 Checking storage layout...");
+  await checkStorageLayout();
+  console.log("✅ Storage layout only appends to the deployed one");
+
+  const [deployer] = await hre.ethers.getSigners();
+  const proxyAdmin = await hre.ethers.getContractAt("RegistryProxyAdmin", admin.address);
+  const owner = await proxyAdmin.owner();
+  const { GovernanceTimelock: governance } = deployment.contracts;
+  const governed = Boolean(governance) && owner === governance.address;
+  if (!governed && owner !== deployer.address) {
+    throw new Error(`The proxy admin is owned by ${owner}, not the deployer ${deployer.address} or the timelock`);
+  }
+
+  console.log("\n📦 Deploying libraries...");
+  const SupplyChainAmendments = await hre.ethers.getContractFactory("SupplyChainAmendments");
+  const supplyChainAmendments = await SupplyChainAmendments.deploy();
+  await supplyChainAmendments.deployed();
+  console.log("✅ SupplyChainAmendments deployed to:", supplyChainAmendments.address);
+  const RegistryMigration = await hre.ethers.getContractFactory("RegistryMigration");
+  const registryMigration = await RegistryMigration.deploy();
+  await registryMigration.deployed();
+  console.log("✅ RegistryMigration deployed to:", registryMigration.address);
+  const CustodyVerification = await hre.ethers.getContractFactory("CustodyVerification");
+  const custodyVerification = await CustodyVerification.deploy();
+  await custodyVerification.deployed();
+  console.log("✅ CustodyVerification deployed to:", custodyVerification.address);
+
+  console.log("\n📦 Deploying MedicineRegistry implementation...");
+  const MedicineRegistry = await hre.ethers.getContractFactory("MedicineRegistry", {
+    libraries: {
+      SupplyChainAmendments: supplyChainAmendments.address,
+      RegistryMigration: registryMigration.address,
+      CustodyVerification: custodyVerification.address
+    }
+  });
+  const implementation = await MedicineRegistry.deploy();
+  await implementation.deployed();
+  console.log("✅ Implementation deployed to:", implementation.address);
+
+  const previousImplementation = deployment.contracts.MedicineRegistryImplementation;
+  const upgrade = {
+    timestamp: new Date().toISOString(),
+    previousImplementation: previousImplementation ? previousImplementation.address : null,
+    implementation: implementation.address,
+    libraries: {
+      SupplyChainAmendments: supplyChainAmendments.address,
+      RegistryMigration: registryMigration.address,
+      CustodyVerification: custodyVerification.address
+    }
+  };
+  const upgradeCall = {
+    target: proxyAdmin.address,
+    data: proxyAdmin.interface.encodeFunctionData("upgradeAndCall", [
+      proxy.address,
+      implementation.address,
+      process.env.UPGRADE_CALLDATA || "0x"
+    ])
+  };
+  // Batches re-imported into the proxy once it runs the new implementation
+  const imports = process.env.UPGRADE_IMPORT
+    ? JSON.parse(fs.readFileSync(process.env.UPGRADE_IMPORT, "utf8")).batches.map(batch => ({
+        target: proxy.address,
+        data: implementation.interface.encodeFunctionData("importBatch", [batch.data])
+      }))
+    : [];
+
+  if (governed) {
+    // The proxy still runs the old implementation until the timelock executes the upgrade
+    console.log("\n⏳ Proposing upgrade to the GovernanceTimelock...");
+    const timelock = await hre.ethers.getContractAt("GovernanceTimelock", governance.address);
+    upgrade.operation = await proposeOperation(timelock, [upgradeCall, ...imports]);
+    upgrade.status = "proposed";
+    deployment.upgrades = [...(deployment.upgrades || []), upgrade];
+    fs.writeFileSync(deploymentFile, JSON.stringify(deployment, null, 2));
+    console.log("✅ Upgrade proposed:", upgrade.operation);
+    if (imports.length > 0) console.log(`   It re-imports ${imports.length} batches`);
+    console.log("   Other proposers approve it, then anyone executes it once the delay passes:");
+    console.log(`   TIMELOCK_ACTION=execute TIMELOCK_OPERATION=${upgrade.operation} npx hardhat run scripts/timelock.js --network ${network}`);
+    return;
+  }
+
+  console.log("\n⬆️  Upgrading proxy...");
+  const upgradeTx = await deployer.sendTransaction({ to: upgradeCall.target, data: upgradeCall.data });
+  const receipt = await upgradeTx.wait();
+  console.log("✅ Proxy upgraded");
+  console.log("   Transaction hash:", upgradeTx.hash);
+
+  if (imports.length > 0) {
+    console.log(`\n📥 Re-importing ${imports.length} batches...`);
+    for (const call of imports) {
+      await (await deployer.sendTransaction({ to: call.target, data: call.data })).wait();
+    }
+    console.log("✅ Batches re-imported");
+  }
+
+  // Record the new implementation; the proxy address everything uses is unchanged
+  deployment.upgrades = [
+    ...(deployment.upgrades || []),
+    { ...upgrade, status: "executed", transactionHash: upgradeTx.hash, blockNumber: receipt.blockNumber }
+  ];
+  await recordUpgrade(deployment, upgrade);
+  fs.writeFileSync(deploymentFile, JSON.stringify(deployment, null, 2));
+  console.log(`✅ Deployment info saved to: deployments/${network}.json`);
+  console.log("✅ Storage layout snapshot updated");
+
+  console.log("\n🎉 MedicineRegistry upgraded!");
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Upgrade failed!");
+      console.error("Error:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { recordUpgrade };
@@ -1,11 +1,24 @@
 // test/SupplyChain.test.js
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  buildSerialMerkleTree,
+  getSerialProof,
+  generateClaimCode,
+  hashClaimCode,
+  hashClaimCommitment
+} = require("../utils/crypto");
+const { exportBatch, encodeBatchImport } = require("../utils/migration");
+const { checkStorageLayout } = require("../scripts/check-storage-layout");
+const { handOverToTimelock } = require("../scripts/timelock");
+const { listOperations } = require("../utils/governance");
 
 describe("MediTrust Supply Chain System", function () {
   let MediToken, mediToken;
-  let MedicineRegistry, medicineRegistry;
+  let MedicineRegistry, medicineRegistry, registryImplementation, registryProxy;
   let owner, manufacturer, transporter, supplier, distributor, customer, unauthorized;
+  let productCatalog, productId, manufacturerRegistry;
   
   const ROLES = {
     TRANSPORTER: 1,
@@ -14,6 +27,58 @@ describe("MediTrust Supply Chain System", function () {
     WHOLESALER: 4,
     RETAILER: 5
   };
+  
+  // Verifications of batches without a cold-chain policy or unit count carry an empty reading
+  const NO_READING = {
+    minTemperature: 0, maxTemperature: 0, excursionMinutes: 0, humidity: 0, unitsReceived: 0, unitsDispatched: 0
+  };
+
+  // Apply as a licensed manufacturer and have the admin approve the application
+  async function onboardManufacturer(signer, legalName = "PharmaCorp Ltd") {
+    const licenseExpiry = (await time.latest()) + 365 * 24 * 60 * 60;
+    await manufacturerRegistry.connect(signer).submitApplication(
+      legalName, `LIC-${signer.address.slice(2, 8)}`, "EU", licenseExpiry, ethers.constants.HashZero
+    );
+    await manufacturerRegistry.approveManufacturer(signer.address);
+  }
+
+  // Sign EIP-712 verification typed data as a participant would in their wallet
+  async function signVerification(
+    signer, batchId, location, data, { participant = signer.address, reading = NO_READING } = {}
+  ) {
+    const domain = {
+      name: "MedicineRegistry",
+      version: "1",
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: medicineRegistry.address
+    };
+    const types = {
+      Verification: [
+        { name: "batchId", type: "string" },
+        { name: "participant", type: "address" },
+        { name: "location", type: "string" },
+        { name: "data", type: "string" },
+        { name: "reading", type: "ConditionReading" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ],
+      ConditionReading: [
+        { name: "minTemperature", type: "int32" },
+        { name: "maxTemperature", type: "int32" },
+        { name: "excursionMinutes", type: "uint32" },
+        { name: "humidity", type: "uint32" },
+        { name: "unitsReceived", type: "uint32" },
+        { name: "unitsDispatched", type: "uint32" }
+      ]
+    };
+    const deadline = (await time.latest()) + 3600;
+    const nonce = await medicineRegistry.nonces(participant);
+    const signature = await signer._signTypedData(
+      domain, types, { batchId, participant, location, data, reading, nonce, deadline }
+    );
+    
+    return { deadline, signature };
+  }
 
   beforeEach(async function () {
     // Get signers
@@ -25,40 +90,76 @@ describe("MediTrust Supply Chain System", function () {
     mediToken = await MediToken.deploy();
     await mediToken.deployed();
 
-    // Deploy MedicineRegistry
-    MedicineRegistry = await ethers.getContractFactory("MedicineRegistry");
-    medicineRegistry = await MedicineRegistry.deploy(mediToken.address);
-    await medicineRegistry.deployed();
+    // Deploy the MedicineRegistry implementation, linked against its libraries, behind a proxy
+    const SupplyChainAmendments = await ethers.getContractFactory("SupplyChainAmendments");
+    const supplyChainAmendments = await SupplyChainAmendments.deploy();
+    const RegistryMigration = await ethers.getContractFactory("RegistryMigration");
+    const registryMigration = await RegistryMigration.deploy();
+    const CustodyVerification = await ethers.getContractFactory("CustodyVerification");
+    const custodyVerification = await CustodyVerification.deploy();
+    MedicineRegistry = await ethers.getContractFactory("MedicineRegistry", {
+      libraries: {
+        SupplyChainAmendments: supplyChainAmendments.address,
+        RegistryMigration: registryMigration.address,
+        CustodyVerification: custodyVerification.address
+      }
+    });
+    registryImplementation = await MedicineRegistry.deploy();
+    await registryImplementation.deployed();
+    const RegistryProxy = await ethers.getContractFactory("RegistryProxy");
+    registryProxy = await RegistryProxy.deploy(
+      registryImplementation.address,
+      owner.address,
+      MedicineRegistry.interface.encodeFunctionData("initialize", [mediToken.address, owner.address])
+    );
+    await registryProxy.deployed();
+    medicineRegistry = MedicineRegistry.attach(registryProxy.address);
+
+    // Modules are deployed against the proxy's address and connected once
+    manufacturerRegistry = await (await ethers.getContractFactory("ManufacturerRegistry"))
+      .deploy(medicineRegistry.address);
+    productCatalog = await (await ethers.getContractFactory("ProductCatalog"))
+      .deploy(medicineRegistry.address, manufacturerRegistry.address);
+    const quantityLedger = await (await ethers.getContractFactory("QuantityLedger"))
+      .deploy(medicineRegistry.address);
+    await medicineRegistry.setModules(
+      productCatalog.address, manufacturerRegistry.address, quantityLedger.address
+    );
 
     // Setup roles
     await mediToken.addMinter(medicineRegistry.address);
-    const MANUFACTURER_ROLE = await medicineRegistry.MANUFACTURER_ROLE();
-    await medicineRegistry.grantRole(MANUFACTURER_ROLE, manufacturer.address);
+    await onboardManufacturer(manufacturer);
+    
+    // Batches reference a catalog product the manufacturer registered once
+    await productCatalog.connect(manufacturer).registerProduct(
+      "00312345678906", "Paracetamol", "500 mg", "Tablet", "Acetaminophen"
+    );
+    productId = ethers.utils.id("00312345678906");
   });
 
   describe("Supply Chain Registration", function () {
+    const channelId = ethers.utils.formatBytes32String("direct");
+
     it("Should register batch with multiple participants", async function () {
       const batchId = "TEST-001";
       const expiryDate = Math.floor(Date.now() / 1000) + 365 * 24 * 60 * 60;
       
       const participants = [transporter.address, supplier.address, distributor.address];
       const roles = [ROLES.TRANSPORTER, ROLES.SUPPLIER, ROLES.DISTRIBUTOR];
-      const locations = ["Mumbai", "Delhi", "Bangalore"];
       
       await medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
         batchId,
-        "Paracetamol",
-        "Acetaminophen",
+        productId,
         expiryDate,
         participants,
         roles,
-        locations
+        [],
+        channelId
       );
       
-      const status = await medicineRegistry.getBatchStatus(batchId);
-      expect(status.exists).to.be.true;
-      expect(status.requiredVerifications).to.equal(3);
-      expect(status.completedVerifications).to.equal(0);
+      const status = await medicineRegistry.getBatchSupplyChainStatus(batchId);
+      expect(status.totalParticipants).to.equal(3);
+      expect(status.verifiedCount).to.equal(0);
     });
 
     it("Should prevent duplicate participants", async function () {
@@ -68,17 +169,16 @@ describe("MediTrust Supply Chain System", function () {
       // Same participant twice
       const participants = [transporter.address, transporter.address];
       const roles = [ROLES.TRANSPORTER, ROLES.SUPPLIER];
-      const locations = ["Mumbai", "Delhi"];
       
       await expect(
         medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
           batchId,
-          "Aspirin",
-          "ASA",
+          productId,
           expiryDate,
           participants,
           roles,
-          locations
+          [],
+          channelId
         )
       ).to.be.revertedWith("Duplicate participant");
     });
@@ -90,24 +190,33 @@ describe("MediTrust Supply Chain System", function () {
       // Create 21 participants (exceeds max of 20)
       const participants = [];
       const roles = [];
-      const locations = [];
       
       for (let i = 0; i < 21; i++) {
         const wallet = ethers.Wallet.createRandom();
         participants.push(wallet.address);
         roles.push(ROLES.TRANSPORTER);
-        locations.push(`Location ${i}`);
       }
       
       await expect(
         medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
           batchId,
-          "Medicine",
-          "Ingredients",
+          productId,
           expiryDate,
           participants,
           roles,
-          locations
+          [],
+          channelId
+        )
+      ).to.be.revertedWith("Too many participants");
+      
+      // Amendments cannot grow a full batch past the cap either
+      await medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
+        batchId, productId, expiryDate, participants.slice(0, 20), roles.slice(0, 20), [], channelId
+      );
+      expect(await medicineRegistry.MAX_PARTICIPANTS()).to.equal(20);
+      await expect(
+        medicineRegistry.connect(manufacturer).amendSupplyChain(
+          batchId, 0, participants[20], ethers.constants.AddressZero, ROLES.RETAILER, 20, "Extra carrier"
         )
       ).to.be.revertedWith("Too many participants");
     });
@@ -123,117 +232,121 @@ describe("MediTrust Supply Chain System", function () {
       
       const participants = [transporter.address, supplier.address, distributor.address];
       const roles = [ROLES.TRANSPORTER, ROLES.SUPPLIER, ROLES.DISTRIBUTOR];
-      const locations = ["Location A", "Location B", "Location C"];
       
       await medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
         batchId,
-        "Test Medicine",
-        "Test Ingredients",
+        productId,
         expiryDate,
         participants,
         roles,
-        locations
+        [],
+        ethers.utils.formatBytes32String("direct")
       );
     });
 
     it("Should allow participant to verify with valid signature", async function () {
-      // Generate signature
-      const messageHash = ethers.utils.solidityKeccak256(
-        ['string', 'address', 'uint256'],
-        [batchId, transporter.address, Math.floor(Date.now() / 1000)]
+      // Participant signs, anyone relays
+      const { deadline, signature } = await signVerification(
+        transporter, batchId, "Location A", "Received in good condition"
       );
-      const signature = await transporter.signMessage(ethers.utils.arrayify(messageHash));
       
-      await medicineRegistry.connect(transporter).verifyBatchAsParticipant(
+      await medicineRegistry.connect(owner).verifyBatchAsParticipant(
         batchId,
+        transporter.address,
+        "Location A",
         "Received in good condition",
+        NO_READING,
+        deadline,
         signature
       );
       
-      const status = await medicineRegistry.getBatchStatus(batchId);
-      expect(status.completedVerifications).to.equal(1);
+      const status = await medicineRegistry.getBatchSupplyChainStatus(batchId);
+      expect(status.verifiedCount).to.equal(1);
     });
 
     it("Should prevent unauthorized verification", async function () {
-      const messageHash = ethers.utils.solidityKeccak256(
-        ['string', 'address', 'uint256'],
-        [batchId, unauthorized.address, Math.floor(Date.now() / 1000)]
+      const { deadline, signature } = await signVerification(
+        unauthorized, batchId, "Nowhere", "Unauthorized attempt"
       );
-      const signature = await unauthorized.signMessage(ethers.utils.arrayify(messageHash));
       
       await expect(
         medicineRegistry.connect(unauthorized).verifyBatchAsParticipant(
           batchId,
+          unauthorized.address,
+          "Nowhere",
           "Unauthorized attempt",
+          NO_READING,
+          deadline,
           signature
         )
       ).to.be.revertedWith("Not authorized participant");
     });
 
-    it("Should prevent double verification", async function () {
-      // First verification
-      const messageHash1 = ethers.utils.solidityKeccak256(
-        ['string', 'address', 'uint256'],
-        [batchId, transporter.address, Math.floor(Date.now() / 1000)]
-      );
-      const signature1 = await transporter.signMessage(ethers.utils.arrayify(messageHash1));
-      
-      await medicineRegistry.connect(transporter).verifyBatchAsParticipant(
-        batchId,
-        "First verification",
-        signature1
-      );
-      
-      // Attempt second verification
-      const messageHash2 = ethers.utils.solidityKeccak256(
-        ['string', 'address', 'uint256'],
-        [batchId, transporter.address, Math.floor(Date.now() / 1000)]
+    it("Should reject a signature from someone other than the participant", async function () {
+      const { deadline, signature } = await signVerification(
+        unauthorized, batchId, "Location A", "Forged", { participant: transporter.address }
       );
-      const signature2 = await transporter.signMessage(ethers.utils.arrayify(messageHash2));
       
       await expect(
-        medicineRegistry.connect(transporter).verifyBatchAsParticipant(
+        medicineRegistry.verifyBatchAsParticipant(
           batchId,
-          "Second verification",
-          signature2
+          transporter.address,
+          "Location A",
+          "Forged",
+          NO_READING,
+          deadline,
+          signature
         )
-      ).to.be.revertedWith("Already verified");
+      ).to.be.revertedWith("Invalid signature");
     });
 
-    it("Should mark batch as fully verified after all verifications", async function () {
-      // Transporter verification
-      const transporterMsg = ethers.utils.solidityKeccak256(
-        ['string', 'address', 'uint256'],
-        [batchId, transporter.address, Math.floor(Date.now() / 1000)]
+    it("Should prevent signature replay", async function () {
+      const { deadline, signature } = await signVerification(
+        transporter, batchId, "Location A", "Verified"
       );
-      const transporterSig = await transporter.signMessage(ethers.utils.arrayify(transporterMsg));
-      await medicineRegistry.connect(transporter).verifyBatchAsParticipant(
-        batchId, "Transporter notes", transporterSig
+      await medicineRegistry.verifyBatchAsParticipant(
+        batchId, transporter.address, "Location A", "Verified", NO_READING, deadline, signature
       );
       
-      // Supplier verification
-      const supplierMsg = ethers.utils.solidityKeccak256(
-        ['string', 'address', 'uint256'],
-        [batchId, supplier.address, Math.floor(Date.now() / 1000)]
-      );
-      const supplierSig = await supplier.signMessage(ethers.utils.arrayify(supplierMsg));
-      await medicineRegistry.connect(supplier).verifyBatchAsParticipant(
-        batchId, "Supplier notes", supplierSig
+      // The nonce was consumed, so the same signature no longer recovers to the participant
+      await expect(
+        medicineRegistry.verifyBatchAsParticipant(
+          batchId, transporter.address, "Location A", "Verified", NO_READING, deadline, signature
+        )
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should prevent double verification", async function () {
+      // First verification
+      const first = await signVerification(transporter, batchId, "Location A", "First verification");
+      await medicineRegistry.verifyBatchAsParticipant(
+        batchId, transporter.address, "Location A", "First verification", NO_READING, first.deadline, first.signature
       );
       
-      // Distributor verification
-      const distributorMsg = ethers.utils.solidityKeccak256(
-        ['string', 'address', 'uint256'],
-        [batchId, distributor.address, Math.floor(Date.now() / 1000)]
-      );
-      const distributorSig = await distributor.signMessage(ethers.utils.arrayify(distributorMsg));
-      await medicineRegistry.connect(distributor).verifyBatchAsParticipant(
-        batchId, "Distributor notes", distributorSig
-      );
+      // Attempt second verification
+      const second = await signVerification(transporter, batchId, "Location A", "Second verification");
+      await expect(
+        medicineRegistry.verifyBatchAsParticipant(
+          batchId, transporter.address, "Location A", "Second verification", NO_READING, second.deadline, second.signature
+        )
+      ).to.be.revertedWith("Already verified");
+    });
+
+    it("Should mark batch as fully verified after all verifications", async function () {
+      for (const [participant, notes] of [
+        [transporter, "Transporter notes"],
+        [supplier, "Supplier notes"],
+        [distributor, "Distributor notes"]
+      ]) {
+        const { deadline, signature } = await signVerification(participant, batchId, "Hub", notes);
+        await medicineRegistry.verifyBatchAsParticipant(
+          batchId, participant.address, "Hub", notes, NO_READING, deadline, signature
+        );
+      }
       
-      const status = await medicineRegistry.getBatchStatus(batchId);
-      expect(status.isFullyVerified).to.be.true;
-      expect(status.completedVerifications).to.equal(3);
+      const status = await medicineRegistry.getBatchSupplyChainStatus(batchId);
+      expect(await medicineRegistry.isBatchReadyForCustomer(batchId)).to.be.true;
+      expect(status.verifiedCount).to.equal(3);
     });
   });
 
@@ -247,23 +360,19 @@ describe("MediTrust Supply Chain System", function () {
       // Register and fully verify batch
       await medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
         batchId,
-        "Reward Medicine",
-        "Ingredients",
+        productId,
         expiryDate,
         [transporter.address, supplier.address],
         [ROLES.TRANSPORTER, ROLES.SUPPLIER],
-        ["Location X", "Location Y"]
+        [],
+        ethers.utils.formatBytes32String("direct")
       );
       
       // Complete all verifications
       for (const participant of [transporter, supplier]) {
-        const msg = ethers.utils.solidityKeccak256(
-          ['string', 'address', 'uint256'],
-          [batchId, participant.address, Math.floor(Date.now() / 1000)]
-        );
-        const sig = await participant.signMessage(ethers.utils.arrayify(msg));
-        await medicineRegistry.connect(participant).verifyBatchAsParticipant(
-          batchId, "Verified", sig
+        const { deadline, signature } = await signVerification(participant, batchId, "Hub", "Verified");
+        await medicineRegistry.verifyBatchAsParticipant(
+          batchId, participant.address, "Hub", "Verified", NO_READING, deadline, signature
         );
       }
     });
@@ -271,16 +380,45 @@ describe("MediTrust Supply Chain System", function () {
     it("Should allow customer to claim reward after full verification", async function () {
       const initialBalance = await mediToken.balanceOf(customer.address);
       
-      await medicineRegistry.connect(customer).claimCustomerReward(batchId);
+      await medicineRegistry.connect(customer).claimCustomerReward(batchId, "", []);
       
       const finalBalance = await mediToken.balanceOf(customer.address);
       const reward = finalBalance.sub(initialBalance);
       
       expect(reward).to.equal(ethers.utils.parseEther("1")); // 1 MEDI token
       
-      const status = await medicineRegistry.getBatchStatus(batchId);
+      const status = await medicineRegistry.getBatchSupplyChainStatus(batchId);
       expect(status.rewardClaimed).to.be.true;
-      expect(status.rewardClaimant).to.equal(customer.address);
+      expect(status.rewardClaimedBy).to.equal(customer.address);
+    });
+
+    it("Should allow a relayer to submit a customer-signed claim", async function () {
+      const domain = {
+        name: "MedicineRegistry",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: medicineRegistry.address
+      };
+      const types = {
+        Claim: [
+          { name: "batchId", type: "string" },
+          { name: "serial", type: "string" },
+          { name: "customer", type: "address" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ]
+      };
+      const deadline = (await time.latest()) + 3600;
+      const nonce = await medicineRegistry.nonces(customer.address);
+      const signature = await customer._signTypedData(
+        domain, types, { batchId, serial: "", customer: customer.address, nonce, deadline }
+      );
+      
+      await medicineRegistry.connect(owner).claimCustomerRewardWithSignature(
+        batchId, "", [], customer.address, deadline, signature
+      );
+      
+      expect(await mediToken.balanceOf(customer.address)).to.equal(ethers.utils.parseEther("1"));
     });
 
     it("Should prevent reward claim before full verification", async function () {
@@ -289,62 +427,59 @@ describe("MediTrust Supply Chain System", function () {
       
       await medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
         incompleteId,
-        "Incomplete Medicine",
-        "Ingredients",
+        productId,
         expiryDate,
         [transporter.address],
         [ROLES.TRANSPORTER],
-        ["Location"]
+        [],
+        ethers.utils.formatBytes32String("direct")
       );
       
       // Don't verify - try to claim directly
       await expect(
-        medicineRegistry.connect(customer).claimCustomerReward(incompleteId)
+        medicineRegistry.connect(customer).claimCustomerReward(incompleteId, "", [])
       ).to.be.revertedWith("Supply chain verification incomplete");
     });
 
     it("Should prevent duplicate reward claims", async function () {
       // First claim
-      await medicineRegistry.connect(customer).claimCustomerReward(batchId);
+      await medicineRegistry.connect(customer).claimCustomerReward(batchId, "", []);
       
       // Attempt second claim
       await expect(
-        medicineRegistry.connect(customer).claimCustomerReward(batchId)
+        medicineRegistry.connect(customer).claimCustomerReward(batchId, "", [])
       ).to.be.revertedWith("Reward already claimed");
       
       // Try with different customer
       await expect(
-        medicineRegistry.connect(unauthorized).claimCustomerReward(batchId)
+        medicineRegistry.connect(unauthorized).claimCustomerReward(batchId, "", [])
       ).to.be.revertedWith("Reward already claimed");
     });
 
     it("Should prevent reward claim for expired medicine", async function () {
       const expiredId = "EXPIRED-001";
-      const pastExpiry = Math.floor(Date.now() / 1000) - 1; // Already expired
+      const shortExpiry = (await time.latest()) + 24 * 60 * 60; // Expires tomorrow
       
       await medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
         expiredId,
-        "Expired Medicine",
-        "Ingredients",
-        pastExpiry,
+        productId,
+        shortExpiry,
         [transporter.address],
         [ROLES.TRANSPORTER],
-        ["Location"]
+        [],
+        ethers.utils.formatBytes32String("direct")
       );
       
       // Verify
-      const msg = ethers.utils.solidityKeccak256(
-        ['string', 'address', 'uint256'],
-        [expiredId, transporter.address, Math.floor(Date.now() / 1000)]
-      );
-      const sig = await transporter.signMessage(ethers.utils.arrayify(msg));
-      await medicineRegistry.connect(transporter).verifyBatchAsParticipant(
-        expiredId, "Verified", sig
+      const { deadline, signature } = await signVerification(transporter, expiredId, "Hub", "Verified");
+      await medicineRegistry.verifyBatchAsParticipant(
+        expiredId, transporter.address, "Hub", "Verified", NO_READING, deadline, signature
       );
       
-      // Try to claim reward
+      // Let the batch expire, then try to claim reward
+      await time.increase(2 * 24 * 60 * 60);
       await expect(
-        medicineRegistry.connect(customer).claimCustomerReward(expiredId)
+        medicineRegistry.connect(customer).claimCustomerReward(expiredId, "", [])
       ).to.be.revertedWith("Medicine expired");
     });
   });
@@ -358,12 +493,12 @@ describe("MediTrust Supply Chain System", function () {
       
       await medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
         batchId,
-        "View Medicine",
-        "Ingredients",
+        productId,
         expiryDate,
         [transporter.address, supplier.address],
         [ROLES.TRANSPORTER, ROLES.SUPPLIER],
-        ["Mumbai", "Delhi"]
+        [],
+        ethers.utils.formatBytes32String("direct")
       );
     });
 
@@ -375,6 +510,8 @@ describe("MediTrust Supply Chain System", function () {
       expect(result.participants[1]).to.equal(supplier.address);
       expect(result.roles[0]).to.equal(ROLES.TRANSPORTER);
       expect(result.roles[1]).to.equal(ROLES.SUPPLIER);
+      expect(result.hops.map(hop => hop.toNumber())).to.deep.equal([0, 1]);
+      expect(result.verified).to.deep.equal([false, false]);
     });
 
     it("Should check if participant can verify", async function () {
@@ -393,68 +530,2126 @@ describe("MediTrust Supply Chain System", function () {
       );
       expect(canVerifyUnauth).to.be.false;
       expect(alreadyVerifiedUnauth).to.be.false;
+      
+      // The supplier waits for the transporter's hop
+      expect((await medicineRegistry.canVerifyBatch(batchId, supplier.address)).canVerify).to.be.false;
+      await medicineRegistry.connect(transporter).verifySupplyChainTransfer(batchId, "Mumbai", "", NO_READING);
+      expect(await medicineRegistry.canVerifyBatch(batchId, transporter.address)).to.deep.equal([false, true]);
+      expect((await medicineRegistry.canVerifyBatch(batchId, supplier.address)).canVerify).to.be.true;
     });
 
     it("Should return verification history", async function () {
       // Perform verification
-      const msg = ethers.utils.solidityKeccak256(
-        ['string', 'address', 'uint256'],
-        [batchId, transporter.address, Math.floor(Date.now() / 1000)]
-      );
-      const sig = await transporter.signMessage(ethers.utils.arrayify(msg));
-      await medicineRegistry.connect(transporter).verifyBatchAsParticipant(
-        batchId, "Temperature: 25C", sig
+      const { deadline, signature } = await signVerification(transporter, batchId, "Mumbai", "Temperature: 25C");
+      await medicineRegistry.verifyBatchAsParticipant(
+        batchId, transporter.address, "Mumbai", "Temperature: 25C", NO_READING, deadline, signature
       );
       
       const history = await medicineRegistry.getVerificationHistory(batchId);
       
       expect(history.verifiers).to.have.lengthOf(1);
       expect(history.verifiers[0]).to.equal(transporter.address);
-      expect(history.notes[0]).to.equal("Temperature: 25C");
-      expect(history.locations[0]).to.equal("Mumbai");
+      expect(history.hops[0]).to.equal(0);
+      expect(history.timestamps[0]).to.equal(await time.latest());
+      
+      // Notes and locations are only kept in the verification events
+      const [verification] = await medicineRegistry.queryFilter(
+        medicineRegistry.filters.SupplyChainVerification(batchId, history.verifiers[0])
+      );
+      expect(verification.args.additionalData).to.equal("Temperature: 25C");
+      expect(verification.args.location).to.equal("Mumbai");
     });
   });
 
-  describe("Gas Optimization Tests", function () {
-    it("Should measure gas for different participant counts", async function () {
-      const gasUsage = [];
+  describe("Custody Ordering", function () {
+    const channelId = ethers.utils.formatBytes32String("direct");
+    let expiryDate;
+    
+    beforeEach(async function () {
+      expiryDate = Math.floor(Date.now() / 1000) + 365 * 24 * 60 * 60;
+    });
+
+    it("Should reject verification before the previous hop", async function () {
+      await medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
+        "ORDER-001",
+        productId,
+        expiryDate,
+        [transporter.address, supplier.address, distributor.address],
+        [ROLES.TRANSPORTER, ROLES.SUPPLIER, ROLES.DISTRIBUTOR],
+        [],
+        channelId
+      );
       
-      for (let participantCount of [1, 3, 5, 10]) {
-        const batchId = `GAS-${participantCount}`;
-        const expiryDate = Math.floor(Date.now() / 1000) + 365 * 24 * 60 * 60;
-        
-        const participants = [];
-        const roles = [];
-        const locations = [];
-        
-        for (let i = 0; i < participantCount; i++) {
-          const wallet = ethers.Wallet.createRandom();
-          participants.push(wallet.address);
-          roles.push(ROLES.TRANSPORTER);
-          locations.push(`Location ${i}`);
-        }
-        
-        const tx = await medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
-          batchId,
-          "Gas Test Medicine",
-          "Ingredients",
+      await expect(
+        medicineRegistry.connect(distributor).verifySupplyChainTransfer("ORDER-001", "Warehouse", "", NO_READING)
+      ).to.be.revertedWith("Out of order: previous hop not verified");
+      
+      await medicineRegistry.connect(transporter).verifySupplyChainTransfer("ORDER-001", "Dock", "", NO_READING);
+      
+      const current = await medicineRegistry.getCurrentHop("ORDER-001");
+      expect(current.hop).to.equal(1);
+      expect(current.totalHops).to.equal(3);
+      expect(current.pendingParticipants).to.deep.equal([supplier.address]);
+    });
+
+    it("Should allow a parallel group to verify in any order", async function () {
+      await medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
+        "ORDER-002",
+        productId,
+        expiryDate,
+        [transporter.address, supplier.address, distributor.address],
+        [ROLES.TRANSPORTER, ROLES.SUPPLIER, ROLES.DISTRIBUTOR],
+        [0, 1, 1],
+        channelId
+      );
+      
+      await medicineRegistry.connect(transporter).verifySupplyChainTransfer("ORDER-002", "Dock", "", NO_READING);
+      await medicineRegistry.connect(distributor).verifySupplyChainTransfer("ORDER-002", "Warehouse", "", NO_READING);
+      await expect(
+        medicineRegistry.connect(supplier).verifySupplyChainTransfer("ORDER-002", "Depot", "", NO_READING)
+      ).to.emit(medicineRegistry, "HopCompleted");
+      
+      expect(await medicineRegistry.isBatchReadyForCustomer("ORDER-002")).to.be.true;
+    });
+
+    it("Should reject hops that skip ahead", async function () {
+      await expect(
+        medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
+          "ORDER-003",
+          productId,
           expiryDate,
-          participants,
-          roles,
-          locations
-        );
+          [transporter.address, supplier.address],
+          [ROLES.TRANSPORTER, ROLES.SUPPLIER],
+          [0, 2],
+          channelId
+        )
+      ).to.be.revertedWith("Invalid hop order");
+    });
+  });
+
+  describe("Supply Chain Amendments", function () {
+    const channelId = ethers.utils.formatBytes32String("direct");
+    const AMEND = { ADD_HOP: 0, ADD_TO_HOP: 1, REMOVE: 2, REPLACE: 3 };
+    const NO_ROLE = 0;
+    let carrier;
+    
+    beforeEach(async function () {
+      carrier = (await ethers.getSigners())[7];
+      const expiryDate = Math.floor(Date.now() / 1000) + 365 * 24 * 60 * 60;
+      await medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
+        "AMEND-001",
+        productId,
+        expiryDate,
+        [transporter.address, supplier.address, distributor.address],
+        [ROLES.TRANSPORTER, ROLES.SUPPLIER, ROLES.DISTRIBUTOR],
+        [0, 1, 1],
+        channelId
+      );
+      await medicineRegistry.connect(transporter).verifySupplyChainTransfer("AMEND-001", "Dock", "", NO_READING);
+    });
+
+    it("Should replace an unverified participant but never a verified one", async function () {
+      await expect(
+        medicineRegistry.connect(manufacturer).amendSupplyChain(
+          "AMEND-001", AMEND.REPLACE, supplier.address, carrier.address, ROLES.TRANSPORTER, 0, "Carrier changed"
+        )
+      ).to.emit(medicineRegistry, "SupplyChainAmended")
+        .withArgs("AMEND-001", AMEND.REPLACE, supplier.address, carrier.address, ROLES.TRANSPORTER, 1, "Carrier changed", manufacturer.address);
+      
+      expect(await medicineRegistry.isParticipant("AMEND-001", supplier.address)).to.be.false;
+      await medicineRegistry.connect(carrier).verifySupplyChainTransfer("AMEND-001", "Depot", "", NO_READING);
+      expect((await medicineRegistry.getParticipantDetails("AMEND-001", carrier.address)).hasVerified).to.be.true;
+      
+      await expect(
+        medicineRegistry.connect(manufacturer).amendSupplyChain(
+          "AMEND-001", AMEND.REPLACE, transporter.address, supplier.address, ROLES.TRANSPORTER, 0, "Rewrite"
+        )
+      ).to.be.revertedWith("Already verified");
+      await expect(
+        medicineRegistry.connect(manufacturer).amendSupplyChain(
+          "AMEND-001", AMEND.REMOVE, distributor.address, ethers.constants.AddressZero, NO_ROLE, 0, ""
+        )
+      ).to.be.revertedWith("Reason required");
+      await expect(
+        medicineRegistry.connect(unauthorized).amendSupplyChain(
+          "AMEND-001", AMEND.REMOVE, distributor.address, ethers.constants.AddressZero, NO_ROLE, 0, "Not mine"
+        )
+      ).to.be.revertedWith("Not batch manufacturer or regulator");
+    });
+
+    it("Should insert and close hops after the verified ones", async function () {
+      await medicineRegistry.connect(manufacturer).amendSupplyChain(
+        "AMEND-001", AMEND.ADD_HOP, carrier.address, ethers.constants.AddressZero, ROLES.TRANSPORTER, 1, "Cross-dock added"
+      );
+      
+      let current = await medicineRegistry.getCurrentHop("AMEND-001");
+      expect(current.totalHops).to.equal(3);
+      expect(current.pendingParticipants).to.deep.equal([carrier.address]);
+      expect((await medicineRegistry.getParticipantDetails("AMEND-001", supplier.address)).hop).to.equal(2);
+      await expect(
+        medicineRegistry.connect(manufacturer).amendSupplyChain(
+          "AMEND-001", AMEND.ADD_TO_HOP, customer.address, ethers.constants.AddressZero, ROLES.RETAILER, 0, "Late"
+        )
+      ).to.be.revertedWith("Hop already verified");
+      
+      await medicineRegistry.connect(manufacturer).amendSupplyChain(
+        "AMEND-001", AMEND.REMOVE, carrier.address, ethers.constants.AddressZero, NO_ROLE, 0, "Cross-dock cancelled"
+      );
+      current = await medicineRegistry.getCurrentHop("AMEND-001");
+      expect(current.totalHops).to.equal(2);
+      expect(current.pendingParticipants).to.have.members([supplier.address, distributor.address]);
+      expect((await medicineRegistry.getBatchSupplyChainStatus("AMEND-001")).totalParticipants).to.equal(3);
+    });
+
+    it("Should complete the current hop when its last pending member is removed", async function () {
+      await medicineRegistry.connect(supplier).verifySupplyChainTransfer("AMEND-001", "Depot", "", NO_READING);
+      
+      await expect(
+        medicineRegistry.connect(manufacturer).amendSupplyChain(
+          "AMEND-001", AMEND.REMOVE, distributor.address, ethers.constants.AddressZero, NO_ROLE, 0, "Order cancelled"
+        )
+      ).to.emit(medicineRegistry, "HopCompleted");
+      
+      expect(await medicineRegistry.isBatchReadyForCustomer("AMEND-001")).to.be.true;
+    });
+  });
+
+  describe("Batch Lifecycle", function () {
+    const channelId = ethers.utils.formatBytes32String("direct");
+    const STATUS = { ACTIVE: 0, ON_HOLD: 1, RECALLED: 2, EXPIRED: 3, COMPLETED: 4 };
+    let batchId;
+    
+    beforeEach(async function () {
+      batchId = "LIFECYCLE-001";
+      const expiryDate = (await time.latest()) + 30 * 24 * 60 * 60;
+      
+      await medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
+        batchId,
+        productId,
+        expiryDate,
+        [transporter.address],
+        [ROLES.TRANSPORTER],
+        [],
+        channelId
+      );
+    });
+
+    it("Should block verification while on hold and resume after release", async function () {
+      await medicineRegistry.connect(manufacturer).placeBatchOnHold(batchId, "Temperature log missing");
+      
+      await expect(
+        medicineRegistry.connect(transporter).verifySupplyChainTransfer(batchId, "Dock", "", NO_READING)
+      ).to.be.revertedWith("Batch on hold");
+      
+      await medicineRegistry.connect(manufacturer).releaseBatchHold(batchId, "Log recovered");
+      await medicineRegistry.connect(transporter).verifySupplyChainTransfer(batchId, "Dock", "", NO_READING);
+      
+      const lifecycle = await medicineRegistry.getBatchLifecycle(batchId);
+      expect(lifecycle.status).to.equal(STATUS.ACTIVE);
+    });
+
+    it("Should let a regulator recall a batch with a reason", async function () {
+      const REGULATOR_ROLE = await medicineRegistry.REGULATOR_ROLE();
+      await medicineRegistry.grantRole(REGULATOR_ROLE, owner.address);
+      await medicineRegistry.connect(transporter).verifySupplyChainTransfer(batchId, "Dock", "", NO_READING);
+      
+      await expect(
+        medicineRegistry.connect(unauthorized).recallBatch(batchId, "Contamination")
+      ).to.be.revertedWith("Not batch manufacturer or regulator");
+      
+      await expect(medicineRegistry.recallBatch(batchId, "Contamination"))
+        .to.emit(medicineRegistry, "BatchStatusChanged");
+      
+      await expect(
+        medicineRegistry.connect(customer).claimCustomerReward(batchId, "", [])
+      ).to.be.revertedWith("Batch recalled");
+      
+      const lifecycle = await medicineRegistry.getBatchLifecycle(batchId);
+      expect(lifecycle.status).to.equal(STATUS.RECALLED);
+      expect(lifecycle.reason).to.equal("Contamination");
+    });
+
+    it("Should prevent claims on expired stock", async function () {
+      await medicineRegistry.connect(transporter).verifySupplyChainTransfer(batchId, "Dock", "", NO_READING);
+      await time.increase(31 * 24 * 60 * 60);
+      
+      await expect(
+        medicineRegistry.connect(customer).claimCustomerReward(batchId, "", [])
+      ).to.be.revertedWith("Medicine expired");
+      
+      await medicineRegistry.connect(unauthorized).markBatchExpired(batchId);
+      const lifecycle = await medicineRegistry.getBatchLifecycle(batchId);
+      expect(lifecycle.status).to.equal(STATUS.EXPIRED);
+    });
+
+    it("Should mark the batch completed once the reward is claimed", async function () {
+      await medicineRegistry.connect(transporter).verifySupplyChainTransfer(batchId, "Dock", "", NO_READING);
+      await medicineRegistry.connect(customer).claimCustomerReward(batchId, "", []);
+      
+      const lifecycle = await medicineRegistry.getBatchLifecycle(batchId);
+      expect(lifecycle.status).to.equal(STATUS.COMPLETED);
+    });
+  });
+
+  describe("Unit Serialization", function () {
+    const batchId = "SERIAL-001";
+    const serials = ["SN-0001", "SN-0002", "SN-0003"];
+    let tree;
+    
+    beforeEach(async function () {
+      const expiryDate = (await time.latest()) + 30 * 24 * 60 * 60;
+      tree = buildSerialMerkleTree(serials);
+      
+      await medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
+        batchId,
+        productId,
+        expiryDate,
+        [transporter.address],
+        [ROLES.TRANSPORTER],
+        [],
+        ethers.utils.formatBytes32String("direct")
+      );
+      await medicineRegistry.connect(manufacturer).registerSerialRoot(batchId, tree.root, serials.length);
+      await medicineRegistry.connect(transporter).verifySupplyChainTransfer(batchId, "Pharmacy", "", NO_READING);
+    });
+
+    it("Should only let the manufacturer register serials, once", async function () {
+      await expect(
+        medicineRegistry.connect(manufacturer).registerSerialRoot(batchId, tree.root, serials.length)
+      ).to.be.revertedWith("Serials already registered");
+      
+      await expect(
+        medicineRegistry.connect(unauthorized).registerSerialRoot(batchId, tree.root, serials.length)
+      ).to.be.revertedWith("Not batch manufacturer");
+    });
+
+    it("Should pay one reward per serial and complete the batch after the last", async function () {
+      const claimants = [customer, unauthorized, owner];
+      
+      for (let i = 0; i < serials.length; i++) {
+        await expect(
+          medicineRegistry.connect(claimants[i]).claimCustomerReward(
+            batchId, serials[i], getSerialProof(tree, serials[i])
+          )
+        ).to.emit(medicineRegistry, "CustomerRewardClaimed");
         
-        const receipt = await tx.wait();
-        gasUsage.push({
-          participants: participantCount,
-          gasUsed: receipt.gasUsed.toString()
-        });
+        expect(await medicineRegistry.getSerialClaimant(batchId, serials[i]))
+          .to.equal(claimants[i].address);
       }
       
-      console.log("\n⛽ Gas Usage by Participant Count:");
-      gasUsage.forEach(({ participants, gasUsed }) => {
-        console.log(`   ${participants} participants: ${gasUsed} gas`);
-      });
+      const info = await medicineRegistry.getSerialInfo(batchId);
+      expect(info.claimedSerials).to.equal(serials.length);
+      expect(await mediToken.balanceOf(unauthorized.address)).to.equal(ethers.utils.parseEther("1"));
+      
+      const lifecycle = await medicineRegistry.getBatchLifecycle(batchId);
+      expect(lifecycle.status).to.equal(4); // COMPLETED
+    });
+
+    it("Should reject reused serials, bad proofs and unserialized claims", async function () {
+      const proof = getSerialProof(tree, serials[0]);
+      await medicineRegistry.connect(customer).claimCustomerReward(batchId, serials[0], proof);
+      
+      await expect(
+        medicineRegistry.connect(unauthorized).claimCustomerReward(batchId, serials[0], proof)
+      ).to.be.revertedWith("Serial already claimed");
+      
+      await expect(
+        medicineRegistry.connect(unauthorized).claimCustomerReward(batchId, "SN-9999", proof)
+      ).to.be.revertedWith("Invalid serial proof");
+      
+      await expect(
+        medicineRegistry.connect(unauthorized).claimCustomerReward(batchId, "", [])
+      ).to.be.revertedWith("Invalid serial proof");
+    });
+  });
+
+  describe("Claim Codes", function () {
+    const batchId = "CODED-001";
+    const serials = ["PK-1", "PK-2"];
+    let tree, codes;
+    
+    beforeEach(async function () {
+      const expiryDate = (await time.latest()) + 30 * 24 * 60 * 60;
+      codes = serials.map(() => generateClaimCode());
+      tree = buildSerialMerkleTree(serials, codes.map(hashClaimCode));
+      
+      await medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
+        batchId,
+        productId,
+        expiryDate,
+        [transporter.address],
+        [ROLES.TRANSPORTER],
+        [],
+        ethers.utils.formatBytes32String("direct")
+      );
+      await medicineRegistry.connect(manufacturer).registerSerialRoot(batchId, tree.root, serials.length);
+      await medicineRegistry.connect(transporter).verifySupplyChainTransfer(batchId, "Pharmacy", "", NO_READING);
+    });
+
+    it("Should pay the committed customer when a relayer reveals the code", async function () {
+      const code = codes[0].replace(/-/g, "");
+      const commitment = hashClaimCommitment(batchId, serials[0], code, customer.address);
+      
+      await expect(medicineRegistry.connect(owner).commitClaim(commitment))
+        .to.emit(medicineRegistry, "ClaimCommitted");
+      await medicineRegistry.connect(owner).revealClaim(
+        batchId, serials[0], getSerialProof(tree, serials[0]), code, customer.address
+      );
+      
+      expect(await mediToken.balanceOf(customer.address)).to.equal(ethers.utils.parseEther("1"));
+      expect(await medicineRegistry.claimCommitments(commitment)).to.equal(0);
+    });
+
+    it("Should stop a mempool watcher from reusing a revealed code", async function () {
+      const code = codes[0].replace(/-/g, "");
+      const proof = getSerialProof(tree, serials[0]);
+      
+      // Without a code, a plain claim no longer matches the pack's leaf
+      await expect(
+        medicineRegistry.connect(unauthorized).claimCustomerReward(batchId, serials[0], proof)
+      ).to.be.revertedWith("Invalid serial proof");
+      
+      // Copying the revealed code needs an earlier commitment bound to the attacker
+      await medicineRegistry.commitClaim(hashClaimCommitment(batchId, serials[0], code, customer.address));
+      await expect(
+        medicineRegistry.connect(unauthorized).revealClaim(batchId, serials[0], proof, code, unauthorized.address)
+      ).to.be.revertedWith("Claim not committed");
+    });
+
+    it("Should reject a reveal in the same block as its commitment", async function () {
+      const code = codes[1].replace(/-/g, "");
+      const commitment = hashClaimCommitment(batchId, serials[1], code, customer.address);
+      
+      await ethers.provider.send("evm_setAutomine", [false]);
+      try {
+        await medicineRegistry.commitClaim(commitment);
+        const reveal = await medicineRegistry.revealClaim(
+          batchId, serials[1], getSerialProof(tree, serials[1]), code, customer.address, { gasLimit: 500000 }
+        );
+        await ethers.provider.send("evm_mine", []);
+        await expect(reveal.wait()).to.be.rejected;
+      } finally {
+        await ethers.provider.send("evm_setAutomine", [true]);
+      }
+    });
+
+    it("Should reject a wrong claim code", async function () {
+      const commitment = hashClaimCommitment(batchId, serials[0], "WRONGCODE000", customer.address);
+      await medicineRegistry.commitClaim(commitment);
+      
+      await expect(
+        medicineRegistry.revealClaim(
+          batchId, serials[0], getSerialProof(tree, serials[0]), "WRONGCODE000", customer.address
+        )
+      ).to.be.revertedWith("Invalid serial proof");
+    });
+  });
+
+  describe("Cold Chain Policy", function () {
+    const channelId = ethers.utils.formatBytes32String("direct");
+    const COMPROMISED = 5;
+    // 2-8°C in tenths of a degree, 30 minutes out of range allowed, humidity up to 60%
+    const POLICY = { minTemperature: 20, maxTemperature: 80, maxExcursionMinutes: 30, maxHumidity: 60, enabled: false };
+    const inRange = { ...NO_READING, minTemperature: 35, maxTemperature: 62, humidity: 45 };
+    let batchId;
+    
+    beforeEach(async function () {
+      batchId = "COLD-001";
+      const expiryDate = (await time.latest()) + 30 * 24 * 60 * 60;
+      
+      await medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
+        batchId,
+        productId,
+        expiryDate,
+        [transporter.address, distributor.address],
+        [ROLES.TRANSPORTER, ROLES.DISTRIBUTOR],
+        [],
+        channelId
+      );
+      await medicineRegistry.connect(manufacturer).setColdChainPolicy(batchId, POLICY);
+    });
+
+    it("Should record readings and keep an in-range batch claimable", async function () {
+      const { deadline, signature } = await signVerification(
+        transporter, batchId, "Cold store", "", { reading: inRange }
+      );
+      await medicineRegistry.verifyBatchAsParticipant(
+        batchId, transporter.address, "Cold store", "", inRange, deadline, signature
+      );
+      await medicineRegistry.connect(distributor).verifySupplyChainTransfer(batchId, "Pharmacy", "", inRange);
+      
+      const reading = await medicineRegistry.conditionReadings(batchId, transporter.address);
+      expect(reading.maxTemperature).to.equal(62);
+      
+      const status = await medicineRegistry.getColdChainStatus(batchId);
+      expect(status.policy.enabled).to.be.true;
+      expect(status.excursionMinutes).to.equal(0);
+      expect(await medicineRegistry.isBatchReadyForCustomer(batchId)).to.be.true;
+    });
+
+    it("Should accumulate excursion minutes and compromise the batch past the allowance", async function () {
+      const warm = { ...NO_READING, minTemperature: 40, maxTemperature: 95, excursionMinutes: 20, humidity: 50 };
+      
+      await expect(
+        medicineRegistry.connect(transporter).verifySupplyChainTransfer(batchId, "Truck", "", warm)
+      ).to.emit(medicineRegistry, "ColdChainExcursion").withArgs(batchId, transporter.address, 0, 20, false);
+      
+      await expect(
+        medicineRegistry.connect(distributor).verifySupplyChainTransfer(batchId, "Pharmacy", "", warm)
+      ).to.emit(medicineRegistry, "ColdChainExcursion").withArgs(batchId, distributor.address, 1, 40, true);
+      
+      const lifecycle = await medicineRegistry.getBatchLifecycle(batchId);
+      expect(lifecycle.status).to.equal(COMPROMISED);
+      expect(await medicineRegistry.isBatchReadyForCustomer(batchId)).to.be.false;
+      await expect(
+        medicineRegistry.connect(customer).claimCustomerReward(batchId, "", [])
+      ).to.be.revertedWith("Batch compromised");
+    });
+
+    it("Should compromise the batch on a humidity breach and stop further custody", async function () {
+      const humid = { ...inRange, humidity: 75 };
+      await medicineRegistry.connect(transporter).verifySupplyChainTransfer(batchId, "Truck", "", humid);
+      
+      await expect(
+        medicineRegistry.connect(distributor).verifySupplyChainTransfer(batchId, "Pharmacy", "", inRange)
+      ).to.be.revertedWith("Batch compromised");
+    });
+
+    it("Should only accept a policy from the batch authority before verification starts", async function () {
+      await expect(
+        medicineRegistry.connect(unauthorized).setColdChainPolicy(batchId, POLICY)
+      ).to.be.revertedWith("Not batch manufacturer or regulator");
+      await expect(
+        medicineRegistry.connect(manufacturer).setColdChainPolicy(
+          batchId, { ...POLICY, minTemperature: 90 }
+        )
+      ).to.be.revertedWith("Invalid temperature range");
+      
+      await medicineRegistry.connect(transporter).verifySupplyChainTransfer(batchId, "Truck", "", inRange);
+      await expect(
+        medicineRegistry.connect(manufacturer).setColdChainPolicy(batchId, POLICY)
+      ).to.be.revertedWith("Verification already started");
+    });
+  });
+
+  describe("Product Catalog", function () {
+    const channelId = ethers.utils.formatBytes32String("direct");
+    let expiryDate;
+    
+    beforeEach(async function () {
+      expiryDate = (await time.latest()) + 30 * 24 * 60 * 60;
+    });
+
+    it("Should register a product once per GTIN", async function () {
+      const product = await productCatalog.getProduct(productId);
+      expect(product.gtin).to.equal("00312345678906");
+      expect(product.name).to.equal("Paracetamol");
+      expect(product.strength).to.equal("500 mg");
+      expect(product.dosageForm).to.equal("Tablet");
+      expect(product.ingredientsHash).to.equal(ethers.utils.id("Acetaminophen"));
+      expect(product.manufacturer).to.equal(manufacturer.address);
+      expect(await productCatalog.getManufacturerProducts(manufacturer.address)).to.deep.equal([productId]);
+      
+      await expect(
+        productCatalog.connect(manufacturer).registerProduct("00312345678906", "Copy", "", "", "")
+      ).to.be.revertedWith("Product already registered");
+      await expect(
+        productCatalog.connect(unauthorized).registerProduct("00399999999999", "Fake", "", "", "")
+      ).to.be.revertedWith("Not a manufacturer");
+    });
+
+    it("Should only register batches of the manufacturer's own catalog products", async function () {
+      await expect(
+        medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
+          "PROD-001", ethers.utils.id("UNKNOWN"), expiryDate,
+          [transporter.address], [ROLES.TRANSPORTER], [], channelId
+        )
+      ).to.be.revertedWith("Product not found");
+      
+      // Another approved manufacturer cannot register batches of this product
+      await onboardManufacturer(owner, "Other Pharma");
+      await expect(
+        medicineRegistry.registerBatchWithSupplyChain(
+          "PROD-001", productId, expiryDate,
+          [transporter.address], [ROLES.TRANSPORTER], [], channelId
+        )
+      ).to.be.revertedWith("Not product manufacturer");
+    });
+
+    it("Should let a regulator reassign a GTIN registered by the wrong manufacturer", async function () {
+      await onboardManufacturer(owner, "Other Pharma");
+      const reassign = (signer, to) => productCatalog.connect(signer).reassignProduct(
+        productId, to, "Paracetamol", "650 mg", "Tablet", "Acetaminophen", "GTIN owned by Other Pharma"
+      );
+      await expect(reassign(manufacturer, owner.address)).to.be.revertedWith("Not authorized");
+      
+      await medicineRegistry.grantRole(await medicineRegistry.REGULATOR_ROLE(), transporter.address);
+      await expect(reassign(transporter, unauthorized.address)).to.be.revertedWith("Not a manufacturer");
+      await expect(reassign(transporter, owner.address))
+        .to.emit(productCatalog, "ProductReassigned")
+        .withArgs(productId, manufacturer.address, owner.address, "GTIN owned by Other Pharma")
+        .and.to.emit(productCatalog, "ProductRegistered");
+      
+      const product = await productCatalog.getProduct(productId);
+      expect(product.manufacturer).to.equal(owner.address);
+      expect(product.strength).to.equal("650 mg");
+      expect(await productCatalog.getManufacturerProducts(manufacturer.address)).to.deep.equal([]);
+      expect(await productCatalog.getManufacturerProducts(owner.address)).to.deep.equal([productId]);
+      await expect(reassign(transporter, owner.address)).to.be.revertedWith("Already product manufacturer");
+      
+      // New batches of the product now belong to the rightful manufacturer only
+      await expect(
+        medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
+          "PROD-001", productId, expiryDate,
+          [transporter.address], [ROLES.TRANSPORTER], [], channelId
+        )
+      ).to.be.revertedWith("Not product manufacturer");
+      await medicineRegistry.registerBatchWithSupplyChain(
+        "PROD-001", productId, expiryDate,
+        [transporter.address], [ROLES.TRANSPORTER], [], channelId
+      );
+    });
+
+    it("Should resolve product details for a batch", async function () {
+      await medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
+        "PROD-001", productId, expiryDate,
+        [transporter.address], [ROLES.TRANSPORTER], [], channelId
+      );
+      
+      const batch = await medicineRegistry.getBatch("PROD-001");
+      expect(batch.productId).to.equal(productId);
+      const product = await productCatalog.getProduct(batch.productId);
+      expect(product.name).to.equal("Paracetamol");
+      expect(product.manufacturer).to.equal(manufacturer.address);
+    });
+  });
+
+  describe("Batch Splitting", function () {
+    const channelId = ethers.utils.formatBytes32String("direct");
+    const rootId = "ROOT-001";
+    let retailerA, retailerB;
+    
+    beforeEach(async function () {
+      [retailerA, retailerB] = (await ethers.getSigners()).slice(7, 9);
+      const expiryDate = (await time.latest()) + 30 * 24 * 60 * 60;
+      
+      await medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
+        rootId,
+        productId,
+        expiryDate,
+        [transporter.address, distributor.address],
+        [ROLES.TRANSPORTER, ROLES.DISTRIBUTOR],
+        [],
+        channelId
+      );
+      await medicineRegistry.connect(transporter).verifySupplyChainTransfer(rootId, "Truck", "", NO_READING);
+    });
+
+    it("Should only let the custody holder split a fully verified batch", async function () {
+      await expect(
+        medicineRegistry.connect(distributor).splitBatch(rootId, "LOT-A", 600, [retailerA.address], [ROLES.RETAILER], [])
+      ).to.be.revertedWith("Supply chain verification incomplete");
+      
+      await medicineRegistry.connect(distributor).verifySupplyChainTransfer(rootId, "Hub", "", NO_READING);
+      await expect(
+        medicineRegistry.connect(transporter).splitBatch(rootId, "LOT-A", 600, [retailerA.address], [ROLES.RETAILER], [])
+      ).to.be.revertedWith("Not custody holder");
+      await expect(
+        medicineRegistry.connect(unauthorized).splitBatch(rootId, "LOT-A", 600, [retailerA.address], [ROLES.RETAILER], [])
+      ).to.be.revertedWith("Not custody holder");
+      await expect(
+        medicineRegistry.connect(distributor).splitBatch(rootId, "LOT-A", 0, [retailerA.address], [ROLES.RETAILER], [])
+      ).to.be.revertedWith("Invalid lot quantity");
+    });
+
+    it("Should link child lots to their parent", async function () {
+      await medicineRegistry.connect(distributor).verifySupplyChainTransfer(rootId, "Hub", "", NO_READING);
+      await expect(
+        medicineRegistry.connect(distributor).splitBatch(rootId, "LOT-A", 600, [retailerA.address], [ROLES.RETAILER], [])
+      ).to.emit(medicineRegistry, "BatchSplit").withArgs(rootId, "LOT-A", distributor.address, 600);
+      await medicineRegistry.connect(distributor).splitBatch(rootId, "LOT-B", 400, [retailerB.address], [ROLES.RETAILER], []);
+      
+      const root = await medicineRegistry.getBatchLineage(rootId);
+      expect(root.parentBatchId).to.equal("");
+      expect(root.childBatchIds).to.deep.equal(["LOT-A", "LOT-B"]);
+      
+      const lot = await medicineRegistry.getBatchLineage("LOT-A");
+      expect(lot.parentBatchId).to.equal(rootId);
+      expect(lot.quantity).to.equal(600);
+      expect((await medicineRegistry.getBatch("LOT-A")).manufacturer).to.equal(manufacturer.address);
+      
+      // Rewards move to the lots
+      expect(await medicineRegistry.isBatchReadyForCustomer(rootId)).to.be.false;
+      await expect(
+        medicineRegistry.connect(customer).claimCustomerReward(rootId, "", [])
+      ).to.be.revertedWith("Batch was split into lots");
+    });
+
+    it("Should validate the whole path up to the root on claims", async function () {
+      await medicineRegistry.connect(distributor).verifySupplyChainTransfer(rootId, "Hub", "", NO_READING);
+      await medicineRegistry.connect(distributor).splitBatch(rootId, "LOT-A", 600, [retailerA.address], [ROLES.RETAILER], []);
+      await medicineRegistry.connect(distributor).splitBatch(rootId, "LOT-B", 400, [retailerB.address], [ROLES.RETAILER], []);
+      await medicineRegistry.connect(retailerA).verifySupplyChainTransfer("LOT-A", "Pharmacy A", "", NO_READING);
+      
+      await medicineRegistry.connect(customer).claimCustomerReward("LOT-A", "", []);
+      expect(await mediToken.balanceOf(customer.address)).to.equal(ethers.utils.parseEther("1"));
+      
+      // Recalling the root stops every lot below it
+      await medicineRegistry.connect(manufacturer).recallBatch(rootId, "Contamination");
+      await expect(
+        medicineRegistry.connect(retailerB).verifySupplyChainTransfer("LOT-B", "Pharmacy B", "", NO_READING)
+      ).to.be.revertedWith("Parent lot not active");
+      expect(await medicineRegistry.isBatchReadyForCustomer("LOT-B")).to.be.false;
+    });
+  });
+
+  describe("Quantity Tracking", function () {
+    const channelId = ethers.utils.formatBytes32String("direct");
+    const batchId = "QTY-001";
+    const counted = (received, dispatched) => ({ ...NO_READING, unitsReceived: received, unitsDispatched: dispatched });
+    let quantityLedger;
+    
+    beforeEach(async function () {
+      quantityLedger = await ethers.getContractAt("QuantityLedger", await medicineRegistry.quantityLedger());
+      const expiryDate = (await time.latest()) + 30 * 24 * 60 * 60;
+      
+      await medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
+        batchId,
+        productId,
+        expiryDate,
+        [transporter.address, distributor.address],
+        [ROLES.TRANSPORTER, ROLES.DISTRIBUTOR],
+        [],
+        channelId
+      );
+      // 1,000 units with 1% (10 units) tolerance
+      await medicineRegistry.connect(manufacturer).setBatchQuantity(batchId, 1000, 100);
+    });
+
+    it("Should flag shrinkage beyond the tolerance", async function () {
+      await expect(
+        medicineRegistry.connect(transporter).verifySupplyChainTransfer(batchId, "Truck", "", counted(995, 995))
+      ).to.emit(quantityLedger, "UnitsReported").withArgs(batchId, transporter.address, 0, 995, 995)
+        .and.not.to.emit(quantityLedger, "QuantityDiscrepancy");
+      
+      await expect(
+        medicineRegistry.connect(distributor).verifySupplyChainTransfer(batchId, "Hub", "", counted(940, 930))
+      ).to.emit(quantityLedger, "QuantityDiscrepancy").withArgs(batchId, distributor.address, 1, 995, 940, 930);
+      
+      const count = await quantityLedger.getUnitCount(batchId, distributor.address);
+      expect(count.received).to.equal(940);
+      expect(count.dispatched).to.equal(930);
+      expect(await quantityLedger.getExpectedUnits(batchId, 1)).to.equal(995);
+    });
+
+    it("Should only accept unit counts from the manufacturer before verification", async function () {
+      await expect(
+        medicineRegistry.connect(unauthorized).setBatchQuantity(batchId, 1000, 100)
+      ).to.be.revertedWith("Not batch manufacturer or regulator");
+      await expect(
+        medicineRegistry.connect(manufacturer).setBatchQuantity(batchId, 500, 100)
+      ).to.be.revertedWith("Quantity already set");
+      await expect(
+        medicineRegistry.connect(transporter).verifySupplyChainTransfer(batchId, "Truck", "", counted(900, 950))
+      ).to.be.revertedWith("Dispatched exceeds received");
+      
+      await medicineRegistry.connect(transporter).verifySupplyChainTransfer(batchId, "Truck", "", counted(1000, 1000));
+      await expect(
+        medicineRegistry.connect(manufacturer).setBatchQuantity(batchId, 1000, 100)
+      ).to.be.revertedWith("Verification already started");
+    });
+
+    it("Should not split more units into lots than were dispatched", async function () {
+      const [retailerA, retailerB] = (await ethers.getSigners()).slice(7, 9);
+      await medicineRegistry.connect(transporter).verifySupplyChainTransfer(batchId, "Truck", "", counted(1000, 1000));
+      await medicineRegistry.connect(distributor).verifySupplyChainTransfer(batchId, "Hub", "", counted(1000, 980));
+      
+      await medicineRegistry.connect(distributor).splitBatch(batchId, "QTY-A", 600, [retailerA.address], [ROLES.RETAILER], []);
+      await expect(
+        medicineRegistry.connect(distributor).splitBatch(batchId, "QTY-B", 400, [retailerB.address], [ROLES.RETAILER], [])
+      ).to.be.revertedWith("Lots exceed units held");
+      
+      // Lots are tracked with their split quantity and the parent's tolerance
+      const lot = await quantityLedger.getPolicy("QTY-A");
+      expect(lot.units).to.equal(600);
+      expect(lot.toleranceBps).to.equal(100);
+      expect(await quantityLedger.splitUnits(batchId)).to.equal(600);
+    });
+  });
+
+  describe("Packaging Aggregation", function () {
+    const channelId = ethers.utils.formatBytes32String("direct");
+    const CASE = 1, PALLET = 2;
+    let packagingRegistry;
+    
+    // Sign a package scan as a participant would in their wallet
+    async function signPackageVerification(signer, code, location) {
+      const domain = {
+        name: "PackagingRegistry",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: packagingRegistry.address
+      };
+      const types = {
+        PackageVerification: [
+          { name: "code", type: "string" },
+          { name: "participant", type: "address" },
+          { name: "location", type: "string" },
+          { name: "data", type: "string" },
+          { name: "reading", type: "ConditionReading" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ],
+        ConditionReading: [
+          { name: "minTemperature", type: "int32" },
+          { name: "maxTemperature", type: "int32" },
+          { name: "excursionMinutes", type: "uint32" },
+          { name: "humidity", type: "uint32" },
+          { name: "unitsReceived", type: "uint32" },
+          { name: "unitsDispatched", type: "uint32" }
+        ]
+      };
+      const deadline = (await time.latest()) + 3600;
+      const nonce = await packagingRegistry.nonces(signer.address);
+      const signature = await signer._signTypedData(domain, types, {
+        code, participant: signer.address, location, data: "", reading: NO_READING, nonce, deadline
+      });
+      
+      return packagingRegistry.verifyPackage(code, signer.address, location, "", NO_READING, deadline, signature);
+    }
+    
+    beforeEach(async function () {
+      const expiryDate = (await time.latest()) + 30 * 24 * 60 * 60;
+      const PackagingRegistry = await ethers.getContractFactory("PackagingRegistry");
+      packagingRegistry = await PackagingRegistry.deploy(medicineRegistry.address);
+      await medicineRegistry.grantRole(await medicineRegistry.VERIFIER_ROLE(), packagingRegistry.address);
+      
+      for (const batchId of ["PKG-001", "PKG-002"]) {
+        await medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
+          batchId, productId, expiryDate,
+          [transporter.address, distributor.address], [ROLES.TRANSPORTER, ROLES.DISTRIBUTOR], [], channelId
+        );
+      }
+      await medicineRegistry.connect(manufacturer).setBatchQuantity("PKG-001", 100, 0);
+      
+      await packagingRegistry.connect(manufacturer).aggregateCase("CASE-1", ["PKG-001"], [50]);
+      await packagingRegistry.connect(manufacturer).aggregateCase("CASE-2", ["PKG-001", "PKG-002"], [50, 30]);
+      await packagingRegistry.connect(manufacturer).aggregatePallet("PALLET-1", ["CASE-1", "CASE-2"]);
+    });
+
+    it("Should aggregate cases onto a pallet with their combined units", async function () {
+      const pallet = await packagingRegistry.getPackage("PALLET-1");
+      expect(pallet.level).to.equal(PALLET);
+      expect(pallet.childCodes).to.deep.equal(["CASE-1", "CASE-2"]);
+      expect(pallet.batchIds).to.deep.equal(["PKG-001", "PKG-002"]);
+      expect(pallet.units.map(Number)).to.deep.equal([100, 30]);
+      
+      const packed = await packagingRegistry.getPackage("CASE-2");
+      expect(packed.level).to.equal(CASE);
+      expect(packed.parentCode).to.equal("PALLET-1");
+      expect(await packagingRegistry.getBatchPackages("PKG-001")).to.deep.equal(["CASE-1", "CASE-2"]);
+      
+      await expect(
+        packagingRegistry.connect(unauthorized).aggregateCase("CASE-3", ["PKG-001"], [10])
+      ).to.be.revertedWith("Not a batch handler");
+      await expect(
+        packagingRegistry.connect(manufacturer).aggregatePallet("PALLET-2", ["CASE-1"])
+      ).to.be.revertedWith("Package already aggregated");
+      await packagingRegistry.connect(manufacturer).aggregateCase("CASE-3", ["PKG-002"], [10]);
+      await expect(
+        packagingRegistry.connect(unauthorized).aggregatePallet("PALLET-2", ["CASE-3"])
+      ).to.be.revertedWith("Not a batch handler");
+      await expect(
+        packagingRegistry.connect(manufacturer).aggregateCase("CASE-1", ["PKG-002"], [10])
+      ).to.be.revertedWith("Package already exists");
+    });
+
+    it("Should verify every batch on a sealed pallet with one scan", async function () {
+      await expect(signPackageVerification(transporter, "PALLET-1", "Truck"))
+        .to.emit(packagingRegistry, "PackageVerified").withArgs("PALLET-1", transporter.address, 2);
+      
+      for (const batchId of ["PKG-001", "PKG-002"]) {
+        const details = await medicineRegistry.getParticipantDetails(batchId, transporter.address);
+        expect(details.hasVerified).to.be.true;
+        // Locations are only kept in the verification events
+        const [verification] = await medicineRegistry.queryFilter(
+          medicineRegistry.filters.SupplyChainVerification(batchId, transporter.address)
+        );
+        expect(verification.args.location).to.equal("Truck");
+      }
+      // The sealed pallet vouches for the units of each batch it carries
+      const quantityLedger = await ethers.getContractAt("QuantityLedger", await medicineRegistry.quantityLedger());
+      expect((await quantityLedger.getUnitCount("PKG-001", transporter.address)).received).to.equal(100);
+      
+      await expect(
+        signPackageVerification(transporter, "CASE-2", "Truck")
+      ).to.be.revertedWith("Package already verified");
+      await expect(
+        medicineRegistry.verifyBatchFor("PKG-001", distributor.address, "Hub", "", NO_READING)
+      ).to.be.reverted;
+    });
+
+    it("Should record disaggregation and stop scans of opened packages", async function () {
+      await expect(
+        packagingRegistry.connect(transporter).openPackage("CASE-1")
+      ).to.be.revertedWith("Open the parent package first");
+      await expect(
+        packagingRegistry.connect(unauthorized).openPackage("PALLET-1")
+      ).to.be.revertedWith("Not a batch handler");
+      
+      await expect(packagingRegistry.connect(transporter).openPackage("PALLET-1"))
+        .to.emit(packagingRegistry, "PackageOpened").withArgs("PALLET-1", transporter.address);
+      const pallet = await packagingRegistry.getPackage("PALLET-1");
+      expect(pallet.opened).to.be.true;
+      expect(pallet.openedBy).to.equal(transporter.address);
+      
+      // The cases inside are scanned on their own once the pallet is broken down
+      await expect(
+        signPackageVerification(transporter, "PALLET-1", "Truck")
+      ).to.be.revertedWith("Package opened");
+      await signPackageVerification(transporter, "CASE-1", "Truck");
+      expect(await medicineRegistry.isParticipant("PKG-001", transporter.address)).to.be.true;
+      expect((await medicineRegistry.getParticipantDetails("PKG-002", transporter.address)).hasVerified).to.be.false;
+    });
+  });
+
+  describe("Delegated Signers", function () {
+    const channelId = ethers.utils.formatBytes32String("direct");
+    const batchId = "DLG-001";
+    let delegateRegistry, scanner;
+    
+    // Sign a verification as a delegate would in their wallet
+    async function signDelegatedVerification(signer, location) {
+      const domain = {
+        name: "DelegateRegistry",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: delegateRegistry.address
+      };
+      const types = {
+        DelegatedVerification: [
+          { name: "batchId", type: "string" },
+          { name: "delegate", type: "address" },
+          { name: "location", type: "string" },
+          { name: "data", type: "string" },
+          { name: "reading", type: "ConditionReading" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ],
+        ConditionReading: [
+          { name: "minTemperature", type: "int32" },
+          { name: "maxTemperature", type: "int32" },
+          { name: "excursionMinutes", type: "uint32" },
+          { name: "humidity", type: "uint32" },
+          { name: "unitsReceived", type: "uint32" },
+          { name: "unitsDispatched", type: "uint32" }
+        ]
+      };
+      const deadline = (await time.latest()) + 3600;
+      const nonce = await delegateRegistry.nonces(signer.address);
+      const signature = await signer._signTypedData(domain, types, {
+        batchId, delegate: signer.address, location, data: "", reading: NO_READING, nonce, deadline
+      });
+      
+      return delegateRegistry.verifyBatchAsDelegate(batchId, signer.address, location, "", NO_READING, deadline, signature);
+    }
+    
+    beforeEach(async function () {
+      scanner = (await ethers.getSigners())[7];
+      const DelegateRegistry = await ethers.getContractFactory("DelegateRegistry");
+      delegateRegistry = await DelegateRegistry.deploy(medicineRegistry.address);
+      await medicineRegistry.grantRole(await medicineRegistry.VERIFIER_ROLE(), delegateRegistry.address);
+      await medicineRegistry.setDelegateRegistry(delegateRegistry.address);
+      
+      const expiryDate = (await time.latest()) + 30 * 24 * 60 * 60;
+      await medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
+        batchId, productId, expiryDate,
+        [transporter.address, distributor.address], [ROLES.TRANSPORTER, ROLES.DISTRIBUTOR], [], channelId
+      );
+      await delegateRegistry.connect(transporter).addDelegate(scanner.address);
+      await delegateRegistry.connect(scanner).acceptDelegation(transporter.address);
+    });
+
+    it("Should only assign a delegate once it accepts the invitation", async function () {
+      const [recruit, uninvited] = (await ethers.getSigners()).slice(8, 10);
+      await expect(delegateRegistry.connect(distributor).addDelegate(recruit.address))
+        .to.emit(delegateRegistry, "DelegateInvited").withArgs(distributor.address, recruit.address);
+      expect(await delegateRegistry.invitations(recruit.address, distributor.address)).to.be.true;
+      expect(await delegateRegistry.organizationOf(recruit.address)).to.equal(ethers.constants.AddressZero);
+      expect(await medicineRegistry.isParticipant(batchId, recruit.address)).to.be.false;
+      
+      await expect(
+        delegateRegistry.connect(recruit).acceptDelegation(transporter.address)
+      ).to.be.revertedWith("Not invited by organization");
+      
+      // Accepting by signature, relayed by someone else
+      const domain = {
+        name: "DelegateRegistry",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: delegateRegistry.address
+      };
+      const types = {
+        DelegateConsent: [
+          { name: "organization", type: "address" },
+          { name: "delegate", type: "address" },
+          { name: "active", type: "bool" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ]
+      };
+      const deadline = (await time.latest()) + 3600;
+      const consent = { organization: distributor.address, delegate: recruit.address, active: true, deadline };
+      const forged = await distributor._signTypedData(domain, types, { ...consent, nonce: 0 });
+      await expect(
+        delegateRegistry.updateConsentWithSignature(distributor.address, recruit.address, true, deadline, forged)
+      ).to.be.revertedWith("Invalid signature");
+      
+      const signature = await recruit._signTypedData(domain, types, { ...consent, nonce: 0 });
+      await expect(
+        delegateRegistry.updateConsentWithSignature(distributor.address, recruit.address, true, deadline, signature)
+      ).to.emit(delegateRegistry, "DelegateAdded").withArgs(distributor.address, recruit.address);
+      expect(await delegateRegistry.invitations(recruit.address, distributor.address)).to.be.false;
+      expect(await delegateRegistry.organizationOf(recruit.address)).to.equal(distributor.address);
+      
+      // A withdrawn invitation cannot be accepted
+      await delegateRegistry.connect(distributor).addDelegate(uninvited.address);
+      await expect(delegateRegistry.connect(distributor).revokeDelegate(uninvited.address))
+        .to.emit(delegateRegistry, "DelegateRevoked").withArgs(distributor.address, uninvited.address);
+      await expect(
+        delegateRegistry.connect(uninvited).acceptDelegation(distributor.address)
+      ).to.be.revertedWith("Not invited by organization");
+    });
+
+    it("Should let a delegate resign from its organization", async function () {
+      await expect(delegateRegistry.connect(scanner).resignDelegate())
+        .to.emit(delegateRegistry, "DelegateResigned").withArgs(transporter.address, scanner.address);
+      expect(await delegateRegistry.getDelegates(transporter.address)).to.deep.equal([]);
+      expect(await medicineRegistry.isParticipant(batchId, scanner.address)).to.be.false;
+      await expect(signDelegatedVerification(scanner, "Dock 4")).to.be.revertedWith("Not an active delegate");
+      
+      await expect(delegateRegistry.connect(scanner).resignDelegate()).to.be.revertedWith("Not an active delegate");
+    });
+
+    it("Should treat active delegates as participants until revoked", async function () {
+      expect(await delegateRegistry.organizationOf(scanner.address)).to.equal(transporter.address);
+      expect(await delegateRegistry.getDelegates(transporter.address)).to.deep.equal([scanner.address]);
+      expect(await medicineRegistry.isParticipant(batchId, scanner.address)).to.be.true;
+      // Only listed participants have a position; delegates verify through their organization's
+      expect((await medicineRegistry.getParticipantDetails(batchId, scanner.address)).position).to.equal(0);
+      expect((await medicineRegistry.getParticipantDetails(batchId, transporter.address)).position).to.equal(1);
+      
+      await expect(
+        delegateRegistry.connect(distributor).addDelegate(scanner.address)
+      ).to.be.revertedWith("Delegate already assigned");
+      await expect(
+        delegateRegistry.connect(distributor).revokeDelegate(scanner.address)
+      ).to.be.revertedWith("Not a delegate of organization");
+      
+      await expect(delegateRegistry.connect(transporter).revokeDelegate(scanner.address))
+        .to.emit(delegateRegistry, "DelegateRevoked").withArgs(transporter.address, scanner.address);
+      expect(await delegateRegistry.getDelegates(transporter.address)).to.deep.equal([]);
+      expect(await medicineRegistry.isParticipant(batchId, scanner.address)).to.be.false;
+    });
+
+    it("Should verify for the organization and record which delegate did", async function () {
+      await expect(signDelegatedVerification(scanner, "Dock 4"))
+        .to.emit(delegateRegistry, "DelegatedVerification")
+        .and.to.emit(medicineRegistry, "SupplyChainVerification");
+      
+      const details = await medicineRegistry.getParticipantDetails(batchId, transporter.address);
+      expect(details.hasVerified).to.be.true;
+      const [verification] = await medicineRegistry.queryFilter(
+        medicineRegistry.filters.SupplyChainVerification(batchId, transporter.address)
+      );
+      expect(verification.args.location).to.equal("Dock 4");
+      expect(await delegateRegistry.verifiedBy(batchId, transporter.address)).to.equal(scanner.address);
+      
+      // The organization's own key is still single-use per batch
+      await expect(
+        medicineRegistry.connect(transporter).verifySupplyChainTransfer(batchId, "Depot", "", NO_READING)
+      ).to.be.revertedWith("Already verified");
+    });
+
+    it("Should return participants with their readings and delegates in one lens call", async function () {
+      const RegistryLens = await ethers.getContractFactory("RegistryLens");
+      const lens = await RegistryLens.deploy(medicineRegistry.address);
+      await medicineRegistry.connect(manufacturer).setColdChainPolicy(batchId, {
+        minTemperature: 20, maxTemperature: 80, maxExcursionMinutes: 30, maxHumidity: 0, enabled: true
+      });
+      await signDelegatedVerification(scanner, "Dock 4");
+      
+      const [transporterView, distributorView] = await lens.getParticipantViews(batchId);
+      expect(transporterView.participant).to.equal(transporter.address);
+      expect(transporterView.role).to.equal(ROLES.TRANSPORTER);
+      expect(transporterView.verified).to.be.true;
+      expect(transporterView.verifiedBy).to.equal(scanner.address);
+      
+      // Unverified participants carry no reading or delegate
+      expect(distributorView.hop).to.equal(1);
+      expect(distributorView.verified).to.be.false;
+      expect(distributorView.verifiedBy).to.equal(ethers.constants.AddressZero);
+      
+      const reading = { ...NO_READING, minTemperature: 25, maxTemperature: 30, humidity: 40 };
+      await medicineRegistry.connect(distributor).verifySupplyChainTransfer(batchId, "Depot", "", reading);
+      const [, verifiedView] = await lens.getParticipantViews(batchId);
+      expect(verifiedView.verifiedBy).to.equal(ethers.constants.AddressZero);
+      expect(verifiedView.reading.maxTemperature).to.equal(30);
+      expect(verifiedView.reading.humidity).to.equal(40);
+    });
+
+    it("Should stop revoked and unregistered addresses from verifying", async function () {
+      await expect(
+        delegateRegistry.connect(unauthorized).verifyBatch(batchId, "Dock", "", NO_READING)
+      ).to.be.revertedWith("Not an active delegate");
+      
+      await delegateRegistry.connect(transporter).revokeDelegate(scanner.address);
+      await expect(signDelegatedVerification(scanner, "Dock 4")).to.be.revertedWith("Not an active delegate");
+      
+      // A delegate of a later hop's organization is held to the custody order too
+      await delegateRegistry.connect(distributor).addDelegate(scanner.address);
+      await delegateRegistry.connect(scanner).acceptDelegation(distributor.address);
+      await expect(
+        delegateRegistry.connect(scanner).verifyBatch(batchId, "Hub", "", NO_READING)
+      ).to.be.revertedWith("Out of order: previous hop not verified");
+    });
+  });
+
+  describe("Disputes", function () {
+    const channelId = ethers.utils.formatBytes32String("direct");
+    const batchId = "DSP-001";
+    const OPEN = 1, UPHELD = 2, DISMISSED = 3;
+    const ON_HOLD = 1;
+    const NO_OUTCOME = { freeze: false, invalidate: false, penalize: false };
+    const evidence = [ethers.utils.id("photo-of-pack"), ethers.utils.id("lab-report")];
+    let disputeRegistry, arbiter;
+    
+    beforeEach(async function () {
+      arbiter = (await ethers.getSigners())[7];
+      const DisputeRegistry = await ethers.getContractFactory("DisputeRegistry");
+      disputeRegistry = await DisputeRegistry.deploy(medicineRegistry.address);
+      await medicineRegistry.grantRole(await medicineRegistry.REGULATOR_ROLE(), disputeRegistry.address);
+      await medicineRegistry.grantRole(await disputeRegistry.ARBITER_ROLE(), arbiter.address);
+      
+      const expiryDate = (await time.latest()) + 30 * 24 * 60 * 60;
+      await medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
+        batchId, productId, expiryDate,
+        [transporter.address, supplier.address, distributor.address],
+        [ROLES.TRANSPORTER, ROLES.SUPPLIER, ROLES.DISTRIBUTOR], [], channelId
+      );
+      for (const participant of [transporter, supplier]) {
+        await medicineRegistry.connect(participant).verifySupplyChainTransfer(batchId, "Dock", "", NO_READING);
+      }
+    });
+
+    it("Should let anyone dispute a batch or a verified hop with evidence", async function () {
+      await expect(disputeRegistry.connect(customer).openDispute(batchId, ethers.constants.AddressZero, "Counterfeit pack", evidence))
+        .to.emit(disputeRegistry, "DisputeOpened").withArgs(1, batchId, ethers.constants.AddressZero, customer.address);
+      
+      // A patient without gas signs the report and a relayer submits it
+      const deadline = (await time.latest()) + 3600;
+      const report = {
+        batchId, participant: supplier.address, reason: "Hop falsified", evidence,
+        reporter: unauthorized.address, nonce: await disputeRegistry.nonces(unauthorized.address), deadline
+      };
+      const signature = await unauthorized._signTypedData(
+        {
+          name: "DisputeRegistry",
+          version: "1",
+          chainId: (await ethers.provider.getNetwork()).chainId,
+          verifyingContract: disputeRegistry.address
+        },
+        {
+          DisputeReport: [
+            { name: "batchId", type: "string" },
+            { name: "participant", type: "address" },
+            { name: "reason", type: "string" },
+            { name: "evidence", type: "bytes32[]" },
+            { name: "reporter", type: "address" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+          ]
+        },
+        report
+      );
+      await disputeRegistry.openDisputeWithSignature(
+        batchId, supplier.address, "Hop falsified", evidence, unauthorized.address, deadline, signature
+      );
+      
+      const dispute = await disputeRegistry.getDispute(2);
+      expect(dispute.reporter).to.equal(unauthorized.address);
+      expect(dispute.participant).to.equal(supplier.address);
+      expect(dispute.evidence).to.deep.equal(evidence);
+      expect(dispute.status).to.equal(OPEN);
+      expect(await disputeRegistry.getBatchDisputes(batchId)).to.deep.equal([1, 2].map(ethers.BigNumber.from));
+      
+      await expect(
+        disputeRegistry.openDispute(batchId, ethers.constants.AddressZero, "No proof", [])
+      ).to.be.revertedWith("Evidence required");
+      await expect(
+        disputeRegistry.openDispute(batchId, distributor.address, "Not there yet", evidence)
+      ).to.be.revertedWith("Verification not found");
+      await expect(
+        disputeRegistry.openDispute("UNKNOWN", ethers.constants.AddressZero, "Fake", evidence)
+      ).to.be.revertedWith("Batch not found");
+    });
+
+    it("Should freeze the batch, invalidate the hop and penalize the participant when upheld", async function () {
+      await disputeRegistry.connect(customer).openDispute(batchId, transporter.address, "Hop falsified", evidence);
+      
+      await expect(
+        disputeRegistry.connect(arbiter).resolveDispute(
+          1, true, { freeze: true, invalidate: true, penalize: true }, "Scan forged"
+        )
+      ).to.emit(medicineRegistry, "VerificationInvalidated").withArgs(batchId, transporter.address, 0, "Scan forged", disputeRegistry.address)
+        .and.to.emit(disputeRegistry, "ParticipantPenalized").withArgs(transporter.address, 1, 1);
+      
+      expect((await disputeRegistry.getDispute(1)).status).to.equal(UPHELD);
+      expect((await medicineRegistry.getBatchLifecycle(batchId)).status).to.equal(ON_HOLD);
+      expect((await medicineRegistry.getParticipantDetails(batchId, transporter.address)).hasVerified).to.be.false;
+      expect((await medicineRegistry.getCurrentHop(batchId)).hop).to.equal(0);
+      
+      // Once released, the redone hop hands custody past the hop whose verification stood
+      await medicineRegistry.connect(manufacturer).releaseBatchHold(batchId, "Investigation closed");
+      await medicineRegistry.connect(transporter).verifySupplyChainTransfer(batchId, "Dock", "", NO_READING);
+      expect((await medicineRegistry.getCurrentHop(batchId)).pendingParticipants).to.deep.equal([distributor.address]);
+      await medicineRegistry.connect(distributor).verifySupplyChainTransfer(batchId, "Pharmacy", "", NO_READING);
+      expect(await medicineRegistry.isBatchReadyForCustomer(batchId)).to.be.true;
+    });
+
+    it("Should only let arbiters resolve, once, with outcomes that fit the dispute", async function () {
+      await disputeRegistry.connect(customer).openDispute(batchId, ethers.constants.AddressZero, "Counterfeit pack", evidence);
+      
+      await expect(
+        disputeRegistry.connect(customer).resolveDispute(1, false, NO_OUTCOME, "Mine")
+      ).to.be.revertedWith("Not an arbiter");
+      await expect(
+        disputeRegistry.connect(arbiter).resolveDispute(1, false, { ...NO_OUTCOME, freeze: true }, "Genuine pack")
+      ).to.be.revertedWith("Dismissal has no outcome");
+      await expect(
+        disputeRegistry.connect(arbiter).resolveDispute(1, true, { ...NO_OUTCOME, penalize: true }, "Fake")
+      ).to.be.revertedWith("No participant disputed");
+      await expect(
+        medicineRegistry.connect(arbiter).invalidateVerification(batchId, transporter.address, "Direct")
+      ).to.be.reverted;
+      
+      await disputeRegistry.connect(arbiter).resolveDispute(1, false, NO_OUTCOME, "Genuine pack");
+      expect((await disputeRegistry.getDispute(1)).status).to.equal(DISMISSED);
+      await expect(
+        disputeRegistry.connect(arbiter).resolveDispute(1, true, NO_OUTCOME, "Reopened")
+      ).to.be.revertedWith("Dispute not open");
+    });
+  });
+
+  describe("Participant Staking", function () {
+    const channelId = ethers.utils.formatBytes32String("direct");
+    const bond = ethers.utils.parseEther("100");
+    let stakingRegistry, expiryDate;
+    
+    async function stake(signer, amount = bond) {
+      await mediToken.transfer(signer.address, amount);
+      await mediToken.connect(signer).approve(stakingRegistry.address, amount);
+      await stakingRegistry.connect(signer).stake(amount);
+    }
+    
+    beforeEach(async function () {
+      const StakingRegistry = await ethers.getContractFactory("StakingRegistry");
+      stakingRegistry = await StakingRegistry.deploy(mediToken.address, medicineRegistry.address);
+      await medicineRegistry.setStakingRegistry(stakingRegistry.address);
+      await stakingRegistry.setStakePolicy(ethers.utils.parseEther("50"), 5000);
+      expiryDate = (await time.latest()) + 30 * 24 * 60 * 60;
+    });
+
+    it("Should only assign participants whose bond meets the minimum", async function () {
+      await stake(transporter);
+      
+      await expect(
+        medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
+          "STK-001", productId, expiryDate,
+          [transporter.address, supplier.address], [ROLES.TRANSPORTER, ROLES.SUPPLIER], [], channelId
+        )
+      ).to.be.revertedWith("Participant not bonded");
+      
+      await stake(supplier, ethers.utils.parseEther("50"));
+      await medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
+        "STK-001", productId, expiryDate,
+        [transporter.address, supplier.address], [ROLES.TRANSPORTER, ROLES.SUPPLIER], [], channelId
+      );
+      
+      // Amendments cannot bring in unbonded participants either
+      await expect(
+        medicineRegistry.connect(manufacturer).amendSupplyChain(
+          "STK-001", 3, supplier.address, distributor.address, ROLES.DISTRIBUTOR, 0, "Carrier changed"
+        )
+      ).to.be.revertedWith("Participant not bonded");
+      await expect(
+        stakingRegistry.connect(manufacturer).setStakePolicy(0, 0)
+      ).to.be.revertedWith("Not an admin");
+    });
+
+    it("Should hold withdrawals until the unbonding period has passed", async function () {
+      await stake(transporter);
+      const balance = await mediToken.balanceOf(transporter.address);
+      
+      await expect(stakingRegistry.connect(transporter).requestUnbond(ethers.utils.parseEther("60")))
+        .to.emit(stakingRegistry, "UnbondingRequested");
+      expect(await stakingRegistry.isBonded(transporter.address)).to.be.false;
+      await expect(stakingRegistry.connect(transporter).withdraw()).to.be.revertedWith("Still unbonding");
+      await expect(
+        stakingRegistry.connect(transporter).requestUnbond(bond)
+      ).to.be.revertedWith("Invalid amount");
+      
+      await time.increase(await stakingRegistry.UNBONDING_PERIOD());
+      await stakingRegistry.connect(transporter).withdraw();
+      
+      expect(await mediToken.balanceOf(transporter.address)).to.equal(balance.add(ethers.utils.parseEther("60")));
+      const { bonded, unbonding } = await stakingRegistry.getStake(transporter.address);
+      expect(bonded).to.equal(ethers.utils.parseEther("40"));
+      expect(unbonding).to.equal(0);
+      await expect(stakingRegistry.connect(transporter).withdraw()).to.be.revertedWith("Nothing unbonding");
+    });
+
+    it("Should slash unbonding tokens first when an upheld dispute penalizes a falsified verification", async function () {
+      const DisputeRegistry = await ethers.getContractFactory("DisputeRegistry");
+      const disputeRegistry = await DisputeRegistry.deploy(medicineRegistry.address);
+      await medicineRegistry.grantRole(await medicineRegistry.REGULATOR_ROLE(), disputeRegistry.address);
+      await medicineRegistry.grantRole(await stakingRegistry.SLASHER_ROLE(), disputeRegistry.address);
+      await medicineRegistry.grantRole(await disputeRegistry.ARBITER_ROLE(), owner.address);
+      
+      await stake(transporter);
+      await medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
+        "STK-002", productId, expiryDate, [transporter.address], [ROLES.TRANSPORTER], [], channelId
+      );
+      await medicineRegistry.connect(transporter).verifySupplyChainTransfer("STK-002", "Dock", "", NO_READING);
+      
+      // Unbonding does not put tokens out of reach of a pending dispute
+      await stakingRegistry.connect(transporter).requestUnbond(ethers.utils.parseEther("40"));
+      await disputeRegistry.connect(customer).openDispute(
+        "STK-002", transporter.address, "Hop falsified", [ethers.utils.id("gps-log")]
+      );
+      const supply = await mediToken.totalSupply();
+      
+      await expect(
+        disputeRegistry.resolveDispute(1, true, { freeze: false, invalidate: true, penalize: true }, "Scan forged")
+      ).to.emit(stakingRegistry, "Slashed").withArgs(transporter.address, ethers.utils.parseEther("50"), 1);
+      
+      const { bonded, unbonding } = await stakingRegistry.getStake(transporter.address);
+      expect(unbonding).to.equal(0);
+      expect(bonded).to.equal(ethers.utils.parseEther("50"));
+      expect(await stakingRegistry.totalSlashed()).to.equal(ethers.utils.parseEther("50"));
+      expect(await mediToken.totalSupply()).to.equal(supply.sub(ethers.utils.parseEther("50")));
+      await expect(
+        stakingRegistry.connect(customer).slash(transporter.address, 1)
+      ).to.be.revertedWith("Not a slasher");
+    });
+  });
+
+  describe("Reward Policy", function () {
+    const channelId = ethers.utils.formatBytes32String("direct");
+    const MEDI = (amount) => ethers.utils.parseEther(amount);
+    const terms = (overrides) => ({
+      enabled: true, funded: false, customerReward: MEDI("1"), participantReward: 0, onTimeWindow: 0, ...overrides
+    });
+    let rewardPolicy;
+    
+    // Register a batch with one participant and verify it, ready for a customer claim
+    async function readyBatch(batchId) {
+      const expiryDate = (await time.latest()) + 30 * 24 * 60 * 60;
+      await medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
+        batchId, productId, expiryDate, [transporter.address], [ROLES.TRANSPORTER], [], channelId
+      );
+      await medicineRegistry.connect(transporter).verifySupplyChainTransfer(batchId, "Pharmacy", "", NO_READING);
+    }
+    
+    beforeEach(async function () {
+      const RewardPolicy = await ethers.getContractFactory("RewardPolicy");
+      rewardPolicy = await RewardPolicy.deploy(mediToken.address, medicineRegistry.address);
+      await medicineRegistry.setRewardPolicy(rewardPolicy.address);
+      await mediToken.addMinter(rewardPolicy.address);
+    });
+
+    it("Should prefer product terms over manufacturer terms and decay minted rewards", async function () {
+      await rewardPolicy.setManufacturerTerms(manufacturer.address, terms({ customerReward: MEDI("2") }));
+      await readyBatch("RWD-001");
+      await expect(medicineRegistry.connect(customer).claimCustomerReward("RWD-001", "", []))
+        .to.emit(medicineRegistry, "CustomerRewardClaimed");
+      expect(await mediToken.balanceOf(customer.address)).to.equal(MEDI("2"));
+      
+      // Halve minted rewards every day
+      await rewardPolicy.setProductTerms(productId, terms({ customerReward: MEDI("3") }));
+      await rewardPolicy.setDecaySchedule(24 * 60 * 60, 5000);
+      await time.increase(24 * 60 * 60);
+      await readyBatch("RWD-002");
+      await medicineRegistry.connect(unauthorized).claimCustomerReward("RWD-002", "", []);
+      expect(await mediToken.balanceOf(unauthorized.address)).to.equal(MEDI("1.5"));
+      
+      await expect(
+        rewardPolicy.connect(customer).setProductTerms(productId, terms())
+      ).to.be.revertedWith("Not manufacturer or admin");
+      await expect(
+        rewardPolicy.connect(manufacturer).setDecaySchedule(0, 0)
+      ).to.be.revertedWith("Not an admin");
+    });
+
+    it("Should only let the admin set minted terms", async function () {
+      await expect(
+        rewardPolicy.connect(manufacturer).setManufacturerTerms(manufacturer.address, terms({ customerReward: MEDI("1000") }))
+      ).to.be.revertedWith("Minted terms are admin-only");
+      await expect(
+        rewardPolicy.connect(manufacturer).setProductTerms(productId, terms({ participantReward: MEDI("1000"), onTimeWindow: 60 }))
+      ).to.be.revertedWith("Minted terms are admin-only");
+      
+      // Funded terms are paid from the manufacturer's own pool, and disabled terms fall back to the defaults
+      await rewardPolicy.connect(manufacturer).setProductTerms(productId, terms({ funded: true }));
+      await rewardPolicy.connect(manufacturer).setManufacturerTerms(manufacturer.address, terms({ enabled: false }));
+      expect((await rewardPolicy.termsFor(manufacturer.address, productId)).funded).to.be.true;
+    });
+
+    it("Should draw funded rewards from the manufacturer's pool and reject claims it cannot cover", async function () {
+      await rewardPolicy.connect(manufacturer).setManufacturerTerms(
+        manufacturer.address, terms({ funded: true, customerReward: MEDI("5") })
+      );
+      await mediToken.transfer(manufacturer.address, MEDI("10"));
+      await mediToken.connect(manufacturer).approve(rewardPolicy.address, MEDI("10"));
+      await rewardPolicy.connect(manufacturer).fundPool(manufacturer.address, MEDI("5"));
+      
+      await readyBatch("RWD-003");
+      const supply = await mediToken.totalSupply();
+      await medicineRegistry.connect(customer).claimCustomerReward("RWD-003", "", []);
+      expect(await mediToken.balanceOf(customer.address)).to.equal(MEDI("5"));
+      expect(await mediToken.totalSupply()).to.equal(supply);
+      expect(await rewardPolicy.pools(manufacturer.address)).to.equal(0);
+      
+      // The claim stays open until the pool is topped up
+      await readyBatch("RWD-004");
+      await expect(
+        medicineRegistry.connect(customer).claimCustomerReward("RWD-004", "", [])
+      ).to.be.revertedWith("Reward pool empty");
+      expect(await medicineRegistry.isBatchReadyForCustomer("RWD-004")).to.be.true;
+      
+      await rewardPolicy.connect(manufacturer).fundPool(manufacturer.address, MEDI("5"));
+      await medicineRegistry.connect(customer).claimCustomerReward("RWD-004", "", []);
+      expect(await mediToken.balanceOf(customer.address)).to.equal(MEDI("10"));
+    });
+
+    it("Should reward participants who verify within the on-time window", async function () {
+      await rewardPolicy.setManufacturerTerms(
+        manufacturer.address, terms({ participantReward: MEDI("0.5"), onTimeWindow: 60 * 60 })
+      );
+      const expiryDate = (await time.latest()) + 30 * 24 * 60 * 60;
+      await medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
+        "RWD-005", productId, expiryDate,
+        [transporter.address, supplier.address, distributor.address],
+        [ROLES.TRANSPORTER, ROLES.SUPPLIER, ROLES.DISTRIBUTOR], [], channelId
+      );
+      
+      await expect(medicineRegistry.connect(transporter).verifySupplyChainTransfer("RWD-005", "Dock", "", NO_READING))
+        .to.emit(rewardPolicy, "VerificationRewardPaid").withArgs("RWD-005", transporter.address, MEDI("0.5"), false);
+      
+      // The window runs from when custody reached the hop
+      await time.increase(2 * 60 * 60);
+      await expect(medicineRegistry.connect(supplier).verifySupplyChainTransfer("RWD-005", "Depot", "", NO_READING))
+        .to.not.emit(rewardPolicy, "VerificationRewardPaid");
+      await medicineRegistry.connect(distributor).verifySupplyChainTransfer("RWD-005", "Pharmacy", "", NO_READING);
+      
+      expect(await mediToken.balanceOf(transporter.address)).to.equal(MEDI("0.5"));
+      expect(await mediToken.balanceOf(supplier.address)).to.equal(0);
+      expect(await mediToken.balanceOf(distributor.address)).to.equal(MEDI("0.5"));
+    });
+
+    it("Should not reward a verification that compromises the batch", async function () {
+      await rewardPolicy.setManufacturerTerms(
+        manufacturer.address, terms({ participantReward: MEDI("0.5"), onTimeWindow: 60 * 60 })
+      );
+      const expiryDate = (await time.latest()) + 30 * 24 * 60 * 60;
+      await medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
+        "RWD-006", productId, expiryDate, [transporter.address, distributor.address],
+        [ROLES.TRANSPORTER, ROLES.DISTRIBUTOR], [], channelId
+      );
+      await medicineRegistry.connect(manufacturer).setColdChainPolicy("RWD-006", {
+        minTemperature: 20, maxTemperature: 80, maxExcursionMinutes: 30, maxHumidity: 60, enabled: false
+      });
+      
+      const humid = { ...NO_READING, minTemperature: 35, maxTemperature: 62, humidity: 90 };
+      await expect(medicineRegistry.connect(transporter).verifySupplyChainTransfer("RWD-006", "Truck", "", humid))
+        .to.emit(medicineRegistry, "ColdChainExcursion").withArgs("RWD-006", transporter.address, 0, 0, true)
+        .and.to.not.emit(rewardPolicy, "VerificationRewardPaid");
+      expect(await mediToken.balanceOf(transporter.address)).to.equal(0);
+    });
+  });
+
+  describe("Claim Limits", function () {
+    const channelId = ethers.utils.formatBytes32String("direct");
+    const DAY = 24 * 60 * 60;
+    const limits = (overrides) => ({
+      enabled: true, identityRequired: false, cooldown: 0, maxClaims: 0, period: 0, ...overrides
+    });
+    let rewardPolicy;
+    
+    async function readyBatch(batchId) {
+      const expiryDate = (await time.latest()) + 30 * DAY;
+      await medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
+        batchId, productId, expiryDate, [transporter.address], [ROLES.TRANSPORTER], [], channelId
+      );
+      await medicineRegistry.connect(transporter).verifySupplyChainTransfer(batchId, "Pharmacy", "", NO_READING);
+    }
+    
+    beforeEach(async function () {
+      const RewardPolicy = await ethers.getContractFactory("RewardPolicy");
+      rewardPolicy = await RewardPolicy.deploy(mediToken.address, medicineRegistry.address);
+      await medicineRegistry.setRewardPolicy(rewardPolicy.address);
+      await mediToken.addMinter(rewardPolicy.address);
+    });
+
+    it("Should make a customer wait out the cooldown between claims", async function () {
+      await rewardPolicy.setDefaultLimits(limits({ enabled: false, cooldown: DAY }));
+      await readyBatch("LIM-001");
+      await readyBatch("LIM-002");
+      
+      await medicineRegistry.connect(customer).claimCustomerReward("LIM-001", "", []);
+      const claimedAt = await time.latest();
+      await expect(
+        medicineRegistry.connect(customer).claimCustomerReward("LIM-002", "", [])
+      ).to.be.revertedWith("Claim cooldown active");
+      expect(await rewardPolicy.claimAvailableAt(customer.address, manufacturer.address)).to.equal(claimedAt + DAY);
+      
+      // The rejected claim stays open
+      await time.increase(DAY);
+      expect(await rewardPolicy.claimAvailableAt(customer.address, manufacturer.address)).to.equal(0);
+      await medicineRegistry.connect(customer).claimCustomerReward("LIM-002", "", []);
+      expect(await rewardPolicy.claimCount(customer.address)).to.equal(2);
+      
+      await expect(
+        rewardPolicy.connect(manufacturer).setDefaultLimits(limits())
+      ).to.be.revertedWith("Not an admin");
+    });
+
+    it("Should cap claims in a rolling period with manufacturer limits on top of the defaults", async function () {
+      await rewardPolicy.connect(manufacturer).setManufacturerLimits(
+        manufacturer.address, limits({ maxClaims: 2, period: 7 * DAY })
+      );
+      for (const batchId of ["LIM-003", "LIM-004", "LIM-005", "LIM-006"]) {
+        await readyBatch(batchId);
+      }
+      
+      await medicineRegistry.connect(customer).claimCustomerReward("LIM-003", "", []);
+      await time.increase(4 * DAY);
+      await medicineRegistry.connect(customer).claimCustomerReward("LIM-004", "", []);
+      const secondClaimAt = await time.latest();
+      await expect(
+        medicineRegistry.connect(customer).claimCustomerReward("LIM-005", "", [])
+      ).to.be.revertedWith("Claim limit reached");
+      
+      // The first claim leaves the window after a week; the second still counts
+      await time.increase(4 * DAY);
+      await medicineRegistry.connect(customer).claimCustomerReward("LIM-005", "", []);
+      await expect(
+        medicineRegistry.connect(customer).claimCustomerReward("LIM-006", "", [])
+      ).to.be.revertedWith("Claim limit reached");
+      expect(await rewardPolicy.claimAvailableAt(customer.address, manufacturer.address)).to.equal(secondClaimAt + 7 * DAY);
+      expect(await rewardPolicy.claimAvailableAt(customer.address, owner.address)).to.equal(0);
+      
+      await expect(
+        rewardPolicy.connect(manufacturer).setManufacturerLimits(manufacturer.address, limits({ maxClaims: 21, period: DAY }))
+      ).to.be.revertedWith("Invalid limits");
+    });
+
+    it("Should only pay allow-listed customers where limits require a verified identity", async function () {
+      await rewardPolicy.connect(manufacturer).setManufacturerLimits(
+        manufacturer.address, limits({ identityRequired: true })
+      );
+      await readyBatch("LIM-007");
+      await readyBatch("LIM-008");
+      await expect(
+        medicineRegistry.connect(customer).claimCustomerReward("LIM-007", "", [])
+      ).to.be.revertedWith("Customer identity not verified");
+      
+      const identityHash = ethers.utils.id("passport:X1234567");
+      await expect(
+        rewardPolicy.connect(unauthorized).verifyCustomer(customer.address, identityHash)
+      ).to.be.revertedWith("Not an identity verifier");
+      await medicineRegistry.grantRole(await rewardPolicy.IDENTITY_VERIFIER_ROLE(), owner.address);
+      await expect(rewardPolicy.verifyCustomer(customer.address, identityHash))
+        .to.emit(rewardPolicy, "CustomerVerified").withArgs(customer.address, identityHash, owner.address);
+      
+      // One wallet per identity
+      await expect(
+        rewardPolicy.verifyCustomer(unauthorized.address, identityHash)
+      ).to.be.revertedWith("Identity already linked");
+      await medicineRegistry.connect(customer).claimCustomerReward("LIM-007", "", []);
+      
+      await rewardPolicy.revokeCustomer(customer.address);
+      await expect(
+        medicineRegistry.connect(customer).claimCustomerReward("LIM-008", "", [])
+      ).to.be.revertedWith("Customer identity not verified");
+      await rewardPolicy.verifyCustomer(unauthorized.address, identityHash);
+      await medicineRegistry.connect(unauthorized).claimCustomerReward("LIM-008", "", []);
+    });
+  });
+
+  describe("Manufacturer Registry", function () {
+    const channelId = ethers.utils.formatBytes32String("direct");
+    const APPROVED = 2, SUSPENDED = 3, REVOKED = 4;
+    let expiryDate;
+    
+    async function registerBatch(batchId) {
+      return medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
+        batchId, productId, expiryDate, [transporter.address], [ROLES.TRANSPORTER], [], channelId
+      );
+    }
+    
+    beforeEach(async function () {
+      expiryDate = (await time.latest()) + 30 * 24 * 60 * 60;
+    });
+
+    it("Should grant the manufacturer role on approval", async function () {
+      const profile = await manufacturerRegistry.getManufacturer(manufacturer.address);
+      expect(profile.legalName).to.equal("PharmaCorp Ltd");
+      expect(profile.jurisdiction).to.equal("EU");
+      expect(profile.status).to.equal(APPROVED);
+      expect(await manufacturerRegistry.isActive(manufacturer.address)).to.be.true;
+      expect(await manufacturerRegistry.getApplicants()).to.deep.equal([manufacturer.address]);
+      
+      const MANUFACTURER_ROLE = await medicineRegistry.MANUFACTURER_ROLE();
+      expect(await medicineRegistry.hasRole(MANUFACTURER_ROLE, manufacturer.address)).to.be.true;
+      
+      // The role can no longer be handed out ad hoc
+      await expect(
+        medicineRegistry.grantRole(MANUFACTURER_ROLE, unauthorized.address)
+      ).to.be.reverted;
+      await expect(
+        manufacturerRegistry.connect(unauthorized).approveManufacturer(unauthorized.address)
+      ).to.be.revertedWith("Not authorized");
+    });
+
+    it("Should block batch registration while suspended", async function () {
+      await manufacturerRegistry.suspendManufacturer(manufacturer.address, "GMP inspection failed");
+      expect((await manufacturerRegistry.getManufacturer(manufacturer.address)).status).to.equal(SUSPENDED);
+      await expect(registerBatch("MFR-001")).to.be.revertedWith("Manufacturer not active");
+      
+      await manufacturerRegistry.reinstateManufacturer(manufacturer.address);
+      await registerBatch("MFR-001");
+    });
+
+    it("Should block batch registration once the license expires", async function () {
+      const licenseExpiry = (await time.latest()) + 60;
+      await manufacturerRegistry.renewLicense(manufacturer.address, licenseExpiry);
+      await time.increaseTo(licenseExpiry);
+      await expect(registerBatch("MFR-001")).to.be.revertedWith("Manufacturer not active");
+      
+      await manufacturerRegistry.renewLicense(manufacturer.address, expiryDate);
+      await registerBatch("MFR-001");
+    });
+
+    it("Should revoke the manufacturer role permanently", async function () {
+      await manufacturerRegistry.revokeManufacturer(manufacturer.address, "License withdrawn");
+      
+      const MANUFACTURER_ROLE = await medicineRegistry.MANUFACTURER_ROLE();
+      expect(await medicineRegistry.hasRole(MANUFACTURER_ROLE, manufacturer.address)).to.be.false;
+      expect((await manufacturerRegistry.getManufacturer(manufacturer.address)).status).to.equal(REVOKED);
+      await expect(
+        manufacturerRegistry.connect(manufacturer).submitApplication(
+          "PharmaCorp Ltd", "LIC-2", "EU", expiryDate, ethers.constants.HashZero
+        )
+      ).to.be.revertedWith("Application already decided");
+    });
+  });
+
+  describe("State Channel Settlement", function () {
+    const channelId = ethers.utils.id("channel-1");
+    const BATCH_DATA = "tuple(string batchId,bytes32 productId,uint256 expiryDate,address[] supplyChainAddresses,uint8[] supplyChainRoles,uint256[] supplyChainHops)[]";
+    let channelBatches, channelSettlement;
+    
+    // Channel participants co-sign the state off-chain
+    async function signChannelState(signer, nonce, batchList) {
+      const domain = {
+        name: "ChannelSettlement",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: channelSettlement.address
+      };
+      const types = {
+        ChannelState: [
+          { name: "channelId", type: "bytes32" },
+          { name: "nonce", type: "uint256" },
+          { name: "batchesHash", type: "bytes32" }
+        ]
+      };
+      const batchesHash = ethers.utils.keccak256(
+        ethers.utils.defaultAbiCoder.encode([BATCH_DATA], [batchList])
+      );
+      return signer._signTypedData(domain, types, { channelId, nonce, batchesHash });
+    }
+    
+    beforeEach(async function () {
+      const ChannelSettlement = await ethers.getContractFactory("ChannelSettlement");
+      channelSettlement = await ChannelSettlement.deploy(medicineRegistry.address);
+      await medicineRegistry.grantRole(await medicineRegistry.CHANNEL_ROLE(), channelSettlement.address);
+      
+      const expiryDate = Math.floor(Date.now() / 1000) + 365 * 24 * 60 * 60;
+      channelBatches = [{
+        batchId: "CHANNEL-001",
+        productId: ethers.utils.id("CHANNEL-GTIN"),
+        expiryDate,
+        supplyChainAddresses: [transporter.address],
+        supplyChainRoles: [ROLES.TRANSPORTER],
+        supplyChainHops: []
+      }];
+      
+      // The channel operator registers batches, so it settles its own product
+      await onboardManufacturer(owner, "Channel Pharma");
+      await productCatalog.registerProduct("CHANNEL-GTIN", "Channel Medicine", "10 mg", "Capsule", "Ingredients");
+      await channelSettlement.openChannel(channelId, [owner.address, manufacturer.address]);
+      await channelSettlement.closeChannel(channelId);
+    });
+
+    it("Should settle a state co-signed by every channel participant", async function () {
+      const signatures = [
+        await signChannelState(owner, 1, channelBatches),
+        await signChannelState(manufacturer, 1, channelBatches)
+      ];
+      
+      await expect(channelSettlement.settleChannel(channelId, channelBatches, 1, signatures))
+        .to.emit(channelSettlement, "ChannelStateSettled");
+      
+      expect(await medicineRegistry.isParticipant("CHANNEL-001", transporter.address)).to.be.true;
+      expect((await channelSettlement.channels(channelId)).nonce).to.equal(1);
+    });
+
+    it("Should reject states missing a participant signature", async function () {
+      const forged = [
+        await signChannelState(owner, 1, channelBatches),
+        await signChannelState(unauthorized, 1, channelBatches)
+      ];
+      
+      await expect(
+        channelSettlement.settleChannel(channelId, channelBatches, 1, forged)
+      ).to.be.revertedWith("Invalid participant signature");
+      
+      await expect(
+        channelSettlement.settleChannel(channelId, channelBatches, 1, [forged[0]])
+      ).to.be.revertedWith("Signature count mismatch");
+    });
+
+    it("Should reject stale states", async function () {
+      const signatures = [
+        await signChannelState(owner, 2, channelBatches),
+        await signChannelState(manufacturer, 2, channelBatches)
+      ];
+      await channelSettlement.settleChannel(channelId, channelBatches, 2, signatures);
+      
+      await expect(
+        channelSettlement.settleChannel(channelId, channelBatches, 2, signatures)
+      ).to.be.revertedWith("Stale channel state");
+    });
+
+    it("Should only register settled batches through the settlement contract", async function () {
+      await expect(
+        medicineRegistry.registerChannelBatch(channelBatches[0], owner.address, channelId)
+      ).to.be.reverted;
+    });
+
+    it("Should not allow a settled channel id to be reopened", async function () {
+      await expect(
+        channelSettlement.openChannel(channelId, [unauthorized.address])
+      ).to.be.revertedWith("Channel already exists");
+    });
+  });
+
+  describe("Emergency Pause", function () {
+    const channelId = ethers.utils.formatBytes32String("direct");
+    const OPERATION = { ALL: 0, REGISTRATION: 1, VERIFICATION: 2, CLAIMS: 3, MINTING: 4 };
+    let emergencyPause, guardian;
+    
+    async function registerBatch(batchId) {
+      const expiryDate = (await time.latest()) + 30 * 24 * 60 * 60;
+      return medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
+        batchId, productId, expiryDate, [transporter.address], [ROLES.TRANSPORTER], [], channelId
+      );
+    }
+    
+    beforeEach(async function () {
+      guardian = distributor;
+      const EmergencyPause = await ethers.getContractFactory("EmergencyPause");
+      emergencyPause = await EmergencyPause.deploy(medicineRegistry.address);
+      await medicineRegistry.setEmergencyPause(emergencyPause.address);
+      await mediToken.setEmergencyPause(emergencyPause.address);
+      await medicineRegistry.grantRole(await emergencyPause.GUARDIAN_ROLE(), guardian.address);
+    });
+
+    it("Should let a guardian pause everything while only the admin unpauses", async function () {
+      await expect(
+        emergencyPause.connect(unauthorized).pause(OPERATION.ALL)
+      ).to.be.revertedWith("Not a guardian");
+      await expect(emergencyPause.connect(guardian).pause(OPERATION.ALL))
+        .to.emit(emergencyPause, "Paused").withArgs(OPERATION.ALL, guardian.address);
+      
+      await expect(registerBatch("PAUSE-001")).to.be.revertedWith("Operation paused");
+      await expect(
+        emergencyPause.connect(guardian).unpause(OPERATION.ALL)
+      ).to.be.revertedWith("Not an admin");
+      
+      await expect(emergencyPause.unpause(OPERATION.ALL))
+        .to.emit(emergencyPause, "Unpaused").withArgs(OPERATION.ALL, owner.address);
+      await registerBatch("PAUSE-001");
+      expect(await medicineRegistry.isParticipant("PAUSE-001", transporter.address)).to.be.true;
+    });
+
+    it("Should pause claims alone, leaving registration and verification running", async function () {
+      await emergencyPause.connect(guardian).pause(OPERATION.CLAIMS);
+      expect(await emergencyPause.isPaused(OPERATION.CLAIMS)).to.be.true;
+      expect(await emergencyPause.isPaused(OPERATION.VERIFICATION)).to.be.false;
+      
+      await registerBatch("PAUSE-002");
+      await medicineRegistry.connect(transporter).verifySupplyChainTransfer("PAUSE-002", "Pharmacy", "", NO_READING);
+      await expect(
+        medicineRegistry.connect(customer).claimCustomerReward("PAUSE-002", "", [])
+      ).to.be.revertedWith("Operation paused");
+      
+      await emergencyPause.unpause(OPERATION.CLAIMS);
+      await medicineRegistry.connect(customer).claimCustomerReward("PAUSE-002", "", []);
+      expect(await mediToken.balanceOf(customer.address)).to.equal(ethers.utils.parseEther("1"));
+    });
+
+    it("Should stop verifications but let regulators still hold and recall batches", async function () {
+      await registerBatch("PAUSE-003");
+      await emergencyPause.connect(guardian).pause(OPERATION.VERIFICATION);
+      
+      await expect(
+        medicineRegistry.connect(transporter).verifySupplyChainTransfer("PAUSE-003", "Dock", "", NO_READING)
+      ).to.be.revertedWith("Operation paused");
+      const { deadline, signature } = await signVerification(transporter, "PAUSE-003", "Dock", "");
+      await expect(
+        medicineRegistry.verifyBatchAsParticipant(
+          "PAUSE-003", transporter.address, "Dock", "", NO_READING, deadline, signature
+        )
+      ).to.be.revertedWith("Operation paused");
+      
+      await medicineRegistry.connect(manufacturer).recallBatch("PAUSE-003", "Compromised signing key");
+      const [status] = await medicineRegistry.getBatchLifecycle("PAUSE-003");
+      expect(status).to.equal(2); // RECALLED
+    });
+
+    it("Should stop MediToken minting for every minter and skip minted on-time rewards", async function () {
+      await expect(
+        mediToken.connect(unauthorized).setEmergencyPause(ethers.constants.AddressZero)
+      ).to.be.revertedWithCustomError(mediToken, "OwnableUnauthorizedAccount");
+      
+      const RewardPolicy = await ethers.getContractFactory("RewardPolicy");
+      const rewardPolicy = await RewardPolicy.deploy(mediToken.address, medicineRegistry.address);
+      await medicineRegistry.setRewardPolicy(rewardPolicy.address);
+      await mediToken.addMinter(rewardPolicy.address);
+      await rewardPolicy.setManufacturerTerms(manufacturer.address, {
+        enabled: true, funded: false, customerReward: ethers.utils.parseEther("1"),
+        participantReward: ethers.utils.parseEther("0.5"), onTimeWindow: 60 * 60
+      });
+      await registerBatch("PAUSE-004");
+      
+      await emergencyPause.connect(guardian).pause(OPERATION.MINTING);
+      await expect(mediToken.mint(owner.address, 1)).to.be.revertedWith("Operation paused");
+      
+      // Verification carries on without the participant's reward; the customer's minted reward waits
+      await expect(
+        medicineRegistry.connect(transporter).verifySupplyChainTransfer("PAUSE-004", "Pharmacy", "", NO_READING)
+      ).to.emit(rewardPolicy, "VerificationRewardSkipped");
+      expect(await mediToken.balanceOf(transporter.address)).to.equal(0);
+      await expect(
+        medicineRegistry.connect(customer).claimCustomerReward("PAUSE-004", "", [])
+      ).to.be.revertedWith("Operation paused");
+    });
+  });
+
+  describe("Upgrades", function () {
+    const channelId = ethers.utils.formatBytes32String("direct");
+    // keccak256("eip1967.proxy.implementation") - 1 and keccak256("eip1967.proxy.admin") - 1
+    const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+    const ADMIN_SLOT = "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+    let proxyAdmin;
+    
+    async function readSlot(slot) {
+      const value = await ethers.provider.getStorageAt(registryProxy.address, slot);
+      return ethers.utils.getAddress(ethers.utils.hexDataSlice(value, 12));
+    }
+    
+    beforeEach(async function () {
+      proxyAdmin = await ethers.getContractAt("RegistryProxyAdmin", await readSlot(ADMIN_SLOT));
+    });
+
+    it("Should serve the registry through the proxy and initialize it once", async function () {
+      expect(await readSlot(IMPLEMENTATION_SLOT)).to.equal(registryImplementation.address);
+      expect(await proxyAdmin.owner()).to.equal(owner.address);
+      
+      const DEFAULT_ADMIN_ROLE = await medicineRegistry.DEFAULT_ADMIN_ROLE();
+      expect(await medicineRegistry.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.be.true;
+      expect(await registryImplementation.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.be.false;
+      
+      // Relayed signatures are bound to the proxy's address
+      expect(await medicineRegistry.domainSeparator()).to.equal(
+        ethers.utils._TypedDataEncoder.hashDomain({
+          name: "MedicineRegistry",
+          version: "1",
+          chainId: (await ethers.provider.getNetwork()).chainId,
+          verifyingContract: registryProxy.address
+        })
+      );
+      
+      await expect(
+        medicineRegistry.initialize(mediToken.address, unauthorized.address)
+      ).to.be.revertedWithCustomError(medicineRegistry, "InvalidInitialization");
+      await expect(
+        registryImplementation.initialize(mediToken.address, unauthorized.address)
+      ).to.be.revertedWithCustomError(registryImplementation, "InvalidInitialization");
+      await expect(
+        medicineRegistry.setModules(productCatalog.address, manufacturerRegistry.address, unauthorized.address)
+      ).to.be.revertedWith("Modules already set");
+    });
+
+    it("Should keep the registry's state across an upgrade by the admin's owner", async function () {
+      const expiryDate = (await time.latest()) + 30 * 24 * 60 * 60;
+      await medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
+        "UPG-001", productId, expiryDate, [transporter.address, distributor.address],
+        [ROLES.TRANSPORTER, ROLES.DISTRIBUTOR], [], channelId
+      );
+      await medicineRegistry.connect(transporter).verifySupplyChainTransfer("UPG-001", "Truck", "", NO_READING);
+      
+      const implementation = await MedicineRegistry.deploy();
+      await expect(
+        proxyAdmin.connect(unauthorized).upgradeAndCall(registryProxy.address, implementation.address, "0x")
+      ).to.be.revertedWithCustomError(proxyAdmin, "OwnableUnauthorizedAccount");
+      
+      await expect(
+        proxyAdmin.upgradeAndCall(registryProxy.address, implementation.address, "0x")
+      ).to.emit(registryProxy, "Upgraded").withArgs(implementation.address);
+      expect(await readSlot(IMPLEMENTATION_SLOT)).to.equal(implementation.address);
+      
+      const [hop, , pending] = await medicineRegistry.getCurrentHop("UPG-001");
+      expect(hop).to.equal(1);
+      expect(pending).to.deep.equal([distributor.address]);
+      await medicineRegistry.connect(distributor).verifySupplyChainTransfer("UPG-001", "Hub", "", NO_READING);
+      expect(await medicineRegistry.isBatchReadyForCustomer("UPG-001")).to.be.true;
+      expect(await medicineRegistry.productCatalog()).to.equal(productCatalog.address);
+    });
+
+    it("Should only append to the recorded storage layout", async function () {
+      const storage = await checkStorageLayout();
+      expect(storage.map(variable => variable.label)).to.include.members(["batches", "rewardPolicy"]);
+      
+      // Batches keyed by hash were appended; the string-keyed slot they replaced stays reserved
+      const slotOf = (label) => storage.find(variable => variable.label === label).slot;
+      expect(slotOf("__retired_batches")).to.equal("5");
+      expect(slotOf("__retired_pendingRewards")).to.equal("6");
+      expect(Number(slotOf("batches"))).to.be.greaterThan(Number(slotOf("emergencyPause")));
+    });
+
+    it("Should replay a batch exported from an earlier registry", async function () {
+      const ON_HOLD = 1;
+      const expiryDate = (await time.latest()) + 30 * 24 * 60 * 60;
+      const reading = { ...NO_READING, minTemperature: 30, maxTemperature: 70, unitsReceived: 1000, unitsDispatched: 995 };
+      await medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
+        "MIG-001", productId, expiryDate, [transporter.address, distributor.address],
+        [ROLES.TRANSPORTER, ROLES.DISTRIBUTOR], [], channelId
+      );
+      await medicineRegistry.connect(manufacturer).setBatchQuantity("MIG-001", 1000, 100);
+      await medicineRegistry.connect(manufacturer).setColdChainPolicy("MIG-001", {
+        minTemperature: 20, maxTemperature: 80, maxExcursionMinutes: 30, maxHumidity: 0, enabled: false
+      });
+      await medicineRegistry.connect(transporter).verifySupplyChainTransfer("MIG-001", "Truck", "", reading);
+      await medicineRegistry.connect(manufacturer).placeBatchOnHold("MIG-001", "Audit");
+      
+      const oldLedger = await ethers.getContractAt("QuantityLedger", await medicineRegistry.quantityLedger());
+      const exported = await exportBatch(medicineRegistry, oldLedger, "MIG-001");
+      
+      // A second registry stands in for the deployment being migrated to
+      const proxy = await (await ethers.getContractFactory("RegistryProxy")).deploy(
+        registryImplementation.address,
+        owner.address,
+        MedicineRegistry.interface.encodeFunctionData("initialize", [mediToken.address, owner.address])
+      );
+      const newRegistry = MedicineRegistry.attach(proxy.address);
+      const newLedger = await (await ethers.getContractFactory("QuantityLedger")).deploy(newRegistry.address);
+      await newRegistry.setModules(productCatalog.address, manufacturerRegistry.address, newLedger.address);
+      
+      await expect(
+        newRegistry.connect(unauthorized).importBatch(encodeBatchImport(exported))
+      ).to.be.reverted;
+      await expect(newRegistry.importBatch(encodeBatchImport(exported)))
+        .to.emit(newRegistry, "BatchImported").withArgs("MIG-001", manufacturer.address, 2);
+      // The transporter's verification is replayed, keeping where it took custody
+      const [replayed] = await newRegistry.queryFilter(newRegistry.filters.SupplyChainVerification("MIG-001"));
+      expect([replayed.args.verifier, replayed.args.location]).to.deep.equal([transporter.address, "Truck"]);
+      await expect(
+        newRegistry.importBatch(encodeBatchImport(exported))
+      ).to.be.revertedWith("Batch already exists");
+      
+      const [hop, totalHops, pending] = await newRegistry.getCurrentHop("MIG-001");
+      expect([hop.toNumber(), totalHops.toNumber()]).to.deep.equal([1, 2]);
+      expect(pending).to.deep.equal([distributor.address]);
+      const [status, reason] = await newRegistry.getBatchLifecycle("MIG-001");
+      expect([status, reason]).to.deep.equal([ON_HOLD, "Audit"]);
+      expect((await newRegistry.conditionReadings("MIG-001", transporter.address)).maxTemperature).to.equal(70);
+      expect((await newLedger.getUnitCount("MIG-001", transporter.address)).dispatched).to.equal(995);
+      
+      // The imported batch carries on where it left off
+      await newRegistry.connect(manufacturer).releaseBatchHold("MIG-001", "Audit passed");
+      await expect(
+        newRegistry.connect(distributor).verifySupplyChainTransfer(
+          "MIG-001", "Hub", "", { ...reading, unitsReceived: 995, unitsDispatched: 995 }
+        )
+      ).to.emit(newLedger, "UnitsReported").and.not.to.emit(newLedger, "QuantityDiscrepancy");
+      expect(await newRegistry.isBatchReadyForCustomer("MIG-001")).to.be.true;
+    });
+  });
+
+  describe("Governance", function () {
+    const DELAY = 2 * 24 * 60 * 60;
+    const ZERO = ethers.constants.HashZero;
+    let timelock, proxyAdmin, channelSettlement;
+    
+    // Approve a call as each of `proposers`; the operation id it is tracked under
+    async function approve(proposers, target, data, salt = ZERO) {
+      for (const proposer of proposers) {
+        await timelock.connect(proposer).schedule(target, 0, data, ZERO, salt, DELAY);
+      }
+      return timelock.hashOperation(target, 0, data, ZERO, salt);
+    }
+    
+    beforeEach(async function () {
+      const GovernanceTimelock = await ethers.getContractFactory("GovernanceTimelock");
+      timelock = await GovernanceTimelock.deploy(DELAY, [owner.address, supplier.address, distributor.address], 2);
+      channelSettlement = await (await ethers.getContractFactory("ChannelSettlement")).deploy(medicineRegistry.address);
+      const adminSlot = await ethers.provider.getStorageAt(
+        registryProxy.address, "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103"
+      );
+      proxyAdmin = await ethers.getContractAt("RegistryProxyAdmin", ethers.utils.hexDataSlice(adminSlot, 12));
+      await handOverToTimelock({
+        registry: medicineRegistry, channelSettlement, mediToken, proxyAdmin, timelock, deployer: owner
+      });
+    });
+
+    it("Should take the admin roles and ownership away from the deployer", async function () {
+      const DEFAULT_ADMIN_ROLE = await medicineRegistry.DEFAULT_ADMIN_ROLE();
+      expect(await medicineRegistry.hasRole(DEFAULT_ADMIN_ROLE, timelock.address)).to.be.true;
+      expect(await medicineRegistry.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.be.false;
+      expect(await channelSettlement.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.be.false;
+      expect(await mediToken.owner()).to.equal(timelock.address);
+      expect(await proxyAdmin.owner()).to.equal(timelock.address);
+      
+      await expect(
+        mediToken.addMinter(unauthorized.address)
+      ).to.be.revertedWithCustomError(mediToken, "OwnableUnauthorizedAccount");
+      await expect(
+        medicineRegistry.grantRole(await medicineRegistry.VERIFIER_ROLE(), unauthorized.address)
+      ).to.be.reverted;
+      await expect(manufacturerRegistry.approveManufacturer(unauthorized.address)).to.be.reverted;
+    });
+
+    it("Should queue a minter grant once enough proposers approve it and run it after the delay", async function () {
+      const data = mediToken.interface.encodeFunctionData("addMinter", [unauthorized.address]);
+      await expect(
+        timelock.connect(unauthorized).schedule(mediToken.address, 0, data, ZERO, ZERO, DELAY)
+      ).to.be.reverted;
+      
+      const id = await approve([owner], mediToken.address, data);
+      await expect(approve([owner], mediToken.address, data)).to.be.revertedWith("Already approved");
+      let [operation] = await listOperations(timelock);
+      expect(operation).to.include({ id, status: "PROPOSED", approvals: 1, approvalThreshold: 2 });
+      expect(operation.calls[0]).to.include({ function: "addMinter" });
+      expect(operation.calls[0].args).to.deep.equal({ _minter: unauthorized.address });
+      
+      await expect(
+        timelock.connect(supplier).schedule(mediToken.address, 0, data, ZERO, ZERO, DELAY)
+      ).to.emit(timelock, "CallScheduled");
+      [operation] = await listOperations(timelock);
+      expect(operation.status).to.equal("QUEUED");
+      await expect(timelock.execute(mediToken.address, 0, data, ZERO, ZERO))
+        .to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+      
+      // Anyone may execute once the delay has passed
+      await time.increase(DELAY);
+      await timelock.connect(customer).execute(mediToken.address, 0, data, ZERO, ZERO);
+      expect(await mediToken.minters(unauthorized.address)).to.be.true;
+      [operation] = await listOperations(timelock);
+      expect(operation.status).to.equal("EXECUTED");
+    });
+
+    it("Should upgrade the registry only through the timelock", async function () {
+      const implementation = await MedicineRegistry.deploy();
+      await expect(
+        proxyAdmin.upgradeAndCall(registryProxy.address, implementation.address, "0x")
+      ).to.be.revertedWithCustomError(proxyAdmin, "OwnableUnauthorizedAccount");
+      
+      const data = proxyAdmin.interface.encodeFunctionData(
+        "upgradeAndCall", [registryProxy.address, implementation.address, "0x"]
+      );
+      await approve([supplier, distributor], proxyAdmin.address, data);
+      await time.increase(DELAY);
+      await expect(timelock.execute(proxyAdmin.address, 0, data, ZERO, ZERO))
+        .to.emit(registryProxy, "Upgraded").withArgs(implementation.address);
+      expect(await medicineRegistry.productCatalog()).to.equal(productCatalog.address);
+    });
+
+    it("Should let proposers withdraw approvals and cancel queued operations", async function () {
+      const REGULATOR_ROLE = await medicineRegistry.REGULATOR_ROLE();
+      const data = medicineRegistry.interface.encodeFunctionData("grantRole", [REGULATOR_ROLE, unauthorized.address]);
+      
+      const id = await approve([owner], medicineRegistry.address, data);
+      await expect(timelock.connect(owner).revokeApproval(id))
+        .to.emit(timelock, "ApprovalRevoked").withArgs(id, owner.address, 0);
+      await expect(timelock.connect(owner).revokeApproval(id)).to.be.revertedWith("Not approved");
+      
+      await approve([owner, supplier], medicineRegistry.address, data);
+      await timelock.connect(distributor).cancel(id);
+      const [operation] = await listOperations(timelock);
+      expect(operation).to.include({ status: "CANCELLED", approvals: 0 });
+      
+      // The threshold only changes through a timelocked operation
+      await expect(timelock.setApprovalThreshold(1))
+        .to.be.revertedWithCustomError(timelock, "TimelockUnauthorizedCaller");
+      await approve([owner], medicineRegistry.address, data);
+      expect(await timelock.getApprovers(id)).to.deep.equal([owner.address]);
+      expect(await medicineRegistry.hasRole(REGULATOR_ROLE, unauthorized.address)).to.be.false;
+    });
+  });
+
+  describe("Gas Optimization Tests", function () {
+    // Gas the registry used before participants were packed into one slot and verification
+    // details moved into events, measured on the same batches
+    const GAS_BASELINE = require("./gas-baseline.json");
+
+    // Register a batch of `count` random participants and have each verify in turn
+    async function measureBatch(count) {
+      const batchId = `GAS-${count}`;
+      const expiryDate = (await time.latest()) + 365 * 24 * 60 * 60;
+      const participants = Array.from({ length: count }, () => ethers.Wallet.createRandom().address);
+      const roles = participants.map(() => ROLES.TRANSPORTER);
+
+      const registered = await (await medicineRegistry.connect(manufacturer).registerBatchWithSupplyChain(
+        batchId, productId, expiryDate, participants, roles, [], ethers.constants.HashZero
+      )).wait();
+      let verification = ethers.BigNumber.from(0);
+      for (const participant of participants) {
+        const receipt = await (await medicineRegistry.verifyBatchFor(
+          batchId, participant, "Warehouse 12, Mumbai", "2-8C, seals intact", NO_READING
+        )).wait();
+        verification = verification.add(receipt.gasUsed);
+      }
+      return { registration: registered.gasUsed.toNumber(), verification: verification.toNumber() };
+    }
+
+    it("Should use less gas than the unpacked registry for 1-20 participants", async function () {
+      await medicineRegistry.grantRole(await medicineRegistry.VERIFIER_ROLE(), owner.address);
+      const saving = (gas, baseline) => `${Math.round((1 - gas / baseline) * 100)}%`;
+
+      console.log("\n⛽ Gas Usage by Participant Count (saving against the unpacked registry):");
+      for (const [count, baseline] of Object.entries(GAS_BASELINE)) {
+        const { registration, verification } = await measureBatch(Number(count));
+        console.log(
+          `   ${count} participants: ${registration} gas to register (${saving(registration, baseline.registration)}), ` +
+          `${verification} gas to verify (${saving(verification, baseline.verification)})`
+        );
+        expect(registration).to.be.below(baseline.registration);
+        expect(verification).to.be.below(baseline.verification);
+      }
     });
   });
-});
\ No newline at end of file
+});
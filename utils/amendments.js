@@ -0,0 +1,30 @@
+// utils/amendments.js
+// A batch's amendment history as read back from SupplyChainAmended events
+
+// Amendment actions (mirrors MedicineRegistry.AmendmentAction)
+const AMENDMENT_ACTIONS = ['ADD_HOP', 'ADD_TO_HOP', 'REMOVE', 'REPLACE'];
+
+/**
+ * Format a SupplyChainAmended event for API responses; `roles` maps role names to values
+ */
+function fromAmendmentEvent(event, block, roles) {
+  const { action, participant, replacement, role, hop, reason, amendedBy } = event.args;
+  const name = AMENDMENT_ACTIONS[action];
+
+  return {
+    action: name,
+    participant,
+    replacement: name === 'REPLACE' ? replacement : null,
+    role: name === 'REMOVE' ? null : Object.keys(roles).find(key => roles[key] === role),
+    hop: hop.toNumber(),
+    reason,
+    amendedBy,
+    amendedAt: block.timestamp,
+    transactionHash: event.transactionHash
+  };
+}
+
+module.exports = {
+  AMENDMENT_ACTIONS,
+  fromAmendmentEvent
+};
@@ -0,0 +1,104 @@
+// utils/channelStore.js
+// Durable storage for state channels, their batches, nonces and settlement results
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Keeps channels in memory only. Used for tests and as the cache behind
+ * the persistent stores.
+ */
+class MemoryChannelStore {
+  constructor() {
+    this.channels = new Map();
+  }
+
+  async load() {
+    return this.list();
+  }
+
+  async get(channelId) {
+    return this.channels.get(channelId) || null;
+  }
+
+  async list() {
+    return Array.from(this.channels.values());
+  }
+
+  async save(channel) {
+    this.channels.set(channel.id, channel);
+    return channel;
+  }
+}
+
+/**
+ * Persists every channel to a single JSON file. Writes go to a temporary file
+ * that is renamed over the old one, so a crash mid-write never leaves a
+ * truncated store behind.
+ */
+class FileChannelStore extends MemoryChannelStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    let contents;
+    try {
+      contents = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const { channels = [] } = JSON.parse(contents);
+    this.channels = new Map(channels.map(channel => [channel.id, channel]));
+
+    return this.list();
+  }
+
+  async save(channel) {
+    await super.save(channel);
+    await this.flush();
+    return channel;
+  }
+
+  /**
+   * Serialize writes so concurrent saves cannot interleave on disk
+   */
+  flush() {
+    const write = async () => {
+      const tmpPath = `${this.filePath}.tmp`;
+      const snapshot = JSON.stringify({ channels: Array.from(this.channels.values()) }, null, 2);
+
+      await fs.promises.writeFile(tmpPath, snapshot);
+      await fs.promises.rename(tmpPath, this.filePath);
+    };
+
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue;
+  }
+}
+
+/**
+ * Create the configured channel store ('file' by default, or 'memory')
+ */
+function createChannelStore({ type = 'file', filePath } = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryChannelStore();
+    case 'file':
+      return new FileChannelStore(filePath || path.join(__dirname, '..', 'data', 'channels.json'));
+    default:
+      throw new Error(`Unknown channel store: ${type}`);
+  }
+}
+
+module.exports = {
+  MemoryChannelStore,
+  FileChannelStore,
+  createChannelStore
+};
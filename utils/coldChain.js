@@ -0,0 +1,106 @@
+// utils/coldChain.js
+// Conversions between human cold-chain units and MedicineRegistry's storage policy and readings
+
+// The registry stores temperatures as integer tenths of a degree Celsius
+const TEMPERATURE_SCALE = 10;
+
+// Reading sent for verifications of batches without a storage policy (ignored on-chain).
+// The unit counts share the reading and are filled in for batches whose units are tracked.
+const EMPTY_READING = Object.freeze({
+  minTemperature: 0,
+  maxTemperature: 0,
+  excursionMinutes: 0,
+  humidity: 0,
+  unitsReceived: 0,
+  unitsDispatched: 0
+});
+
+function toTenths(value, field) {
+  const number = Number(value);
+  if (value === '' || value === null || value === undefined || !Number.isFinite(number)) {
+    throw new Error(`${field} must be a number`);
+  }
+  return Math.round(number * TEMPERATURE_SCALE);
+}
+
+function toWholeNumber(value, field, max = Infinity) {
+  const number = Number(value || 0);
+  if (!Number.isInteger(number) || number < 0 || number > max) {
+    throw new Error(`${field} must be a whole number between 0 and ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Convert a storage policy in °C, minutes and % into the registry's ColdChainPolicy.
+ * A maxHumidity of zero (or omitted) leaves humidity unmonitored.
+ */
+function toColdChainPolicy(policy) {
+  const minTemperature = toTenths(policy.minTemperature, 'minTemperature');
+  const maxTemperature = toTenths(policy.maxTemperature, 'maxTemperature');
+  if (minTemperature > maxTemperature) {
+    throw new Error('minTemperature must not exceed maxTemperature');
+  }
+
+  return {
+    minTemperature,
+    maxTemperature,
+    maxExcursionMinutes: toWholeNumber(policy.maxExcursionMinutes, 'maxExcursionMinutes'),
+    maxHumidity: toWholeNumber(policy.maxHumidity, 'maxHumidity', 100),
+    enabled: true
+  };
+}
+
+/**
+ * Convert a participant's logged conditions (°C, minutes, %) into a ConditionReading
+ */
+function toConditionReading(reading) {
+  return {
+    ...EMPTY_READING,
+    minTemperature: toTenths(reading.minTemperature, 'minTemperature'),
+    maxTemperature: toTenths(reading.maxTemperature, 'maxTemperature'),
+    excursionMinutes: toWholeNumber(reading.excursionMinutes, 'excursionMinutes'),
+    humidity: toWholeNumber(reading.humidity, 'humidity', 100)
+  };
+}
+
+/**
+ * Format an on-chain policy for API responses
+ */
+function fromColdChainPolicy(policy) {
+  return {
+    minTemperature: policy.minTemperature / TEMPERATURE_SCALE,
+    maxTemperature: policy.maxTemperature / TEMPERATURE_SCALE,
+    maxExcursionMinutes: Number(policy.maxExcursionMinutes),
+    maxHumidity: Number(policy.maxHumidity) || null
+  };
+}
+
+/**
+ * Format an on-chain reading and flag which limits it breaches
+ * (mirrors MedicineRegistry._checkConditions)
+ */
+function describeReading(policy, reading) {
+  const temperatureExcursion = reading.minTemperature < policy.minTemperature ||
+    reading.maxTemperature > policy.maxTemperature;
+  const humidityExcursion = Number(policy.maxHumidity) !== 0 &&
+    Number(reading.humidity) > Number(policy.maxHumidity);
+
+  return {
+    minTemperature: reading.minTemperature / TEMPERATURE_SCALE,
+    maxTemperature: reading.maxTemperature / TEMPERATURE_SCALE,
+    excursionMinutes: Number(reading.excursionMinutes),
+    humidity: Number(reading.humidity),
+    temperatureExcursion,
+    humidityExcursion,
+    excursion: temperatureExcursion || humidityExcursion
+  };
+}
+
+module.exports = {
+  EMPTY_READING,
+  toColdChainPolicy,
+  toConditionReading,
+  fromColdChainPolicy,
+  describeReading
+};
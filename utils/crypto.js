@@ -4,6 +4,138 @@
 const ethers = require('ethers');
 const crypto = require('crypto');
 
+// EIP-712 domain and types signed by participants and customers (mirrors MedicineRegistry)
+const EIP712_DOMAIN_NAME = 'MedicineRegistry';
+const EIP712_DOMAIN_VERSION = '1';
+
+const EIP712_DOMAIN_TYPE = [
+  { name: 'name', type: 'string' },
+  { name: 'version', type: 'string' },
+  { name: 'chainId', type: 'uint256' },
+  { name: 'verifyingContract', type: 'address' }
+];
+
+const VERIFICATION_TYPES = {
+  Verification: [
+    { name: 'batchId', type: 'string' },
+    { name: 'participant', type: 'address' },
+    { name: 'location', type: 'string' },
+    { name: 'data', type: 'string' },
+    { name: 'reading', type: 'ConditionReading' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  ConditionReading: [
+    { name: 'minTemperature', type: 'int32' },
+    { name: 'maxTemperature', type: 'int32' },
+    { name: 'excursionMinutes', type: 'uint32' },
+    { name: 'humidity', type: 'uint32' },
+    { name: 'unitsReceived', type: 'uint32' },
+    { name: 'unitsDispatched', type: 'uint32' }
+  ]
+};
+
+// Package scans and openings are signed against the PackagingRegistry's own domain
+const PACKAGING_DOMAIN_NAME = 'PackagingRegistry';
+
+const PACKAGE_VERIFICATION_TYPES = {
+  PackageVerification: [
+    { name: 'code', type: 'string' },
+    { name: 'participant', type: 'address' },
+    { name: 'location', type: 'string' },
+    { name: 'data', type: 'string' },
+    { name: 'reading', type: 'ConditionReading' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  ConditionReading: VERIFICATION_TYPES.ConditionReading
+};
+
+const PACKAGE_OPENING_TYPES = {
+  PackageOpening: [
+    { name: 'code', type: 'string' },
+    { name: 'participant', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// Delegate authorizations and the verifications delegates sign use the DelegateRegistry's domain
+const DELEGATE_DOMAIN_NAME = 'DelegateRegistry';
+
+const DELEGATE_UPDATE_TYPES = {
+  DelegateUpdate: [
+    { name: 'organization', type: 'address' },
+    { name: 'delegate', type: 'address' },
+    { name: 'active', type: 'bool' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// Signed by the delegate: accepting an organization's invitation (`active`), or resigning
+const DELEGATE_CONSENT_TYPES = {
+  DelegateConsent: [
+    { name: 'organization', type: 'address' },
+    { name: 'delegate', type: 'address' },
+    { name: 'active', type: 'bool' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+const DELEGATED_VERIFICATION_TYPES = {
+  DelegatedVerification: [
+    { name: 'batchId', type: 'string' },
+    { name: 'delegate', type: 'address' },
+    { name: 'location', type: 'string' },
+    { name: 'data', type: 'string' },
+    { name: 'reading', type: 'ConditionReading' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  ConditionReading: VERIFICATION_TYPES.ConditionReading
+};
+
+// Reporters sign disputes against the DisputeRegistry's domain
+const DISPUTE_DOMAIN_NAME = 'DisputeRegistry';
+
+const DISPUTE_REPORT_TYPES = {
+  DisputeReport: [
+    { name: 'batchId', type: 'string' },
+    { name: 'participant', type: 'address' },
+    { name: 'reason', type: 'string' },
+    { name: 'evidence', type: 'bytes32[]' },
+    { name: 'reporter', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+const CLAIM_TYPES = {
+  Claim: [
+    { name: 'batchId', type: 'string' },
+    { name: 'serial', type: 'string' },
+    { name: 'customer', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// Channel participants sign states against the ChannelSettlement contract's domain
+const CHANNEL_DOMAIN_NAME = 'ChannelSettlement';
+
+const CHANNEL_STATE_TYPES = {
+  ChannelState: [
+    { name: 'channelId', type: 'bytes32' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'batchesHash', type: 'bytes32' }
+  ]
+};
+
+// ABI type of MedicineRegistry.BatchData[] as passed to ChannelSettlement.settleChannel
+const BATCH_DATA_ABI_TYPE = 'tuple(string batchId, bytes32 productId, uint256 expiryDate, address[] supplyChainAddresses, uint8[] supplyChainRoles, uint256[] supplyChainHops)[]';
+
 /**
  * Generate a unique batch ID
  */
@@ -14,24 +146,217 @@ function generateBatchId(prefix = 'BATCH') {
 }
 
 /**
- * Generate a signature for participant verification
+ * Build the EIP-712 domain for a MedicineRegistry deployment
+ */
+function getRegistryDomain(chainId, registryAddress) {
+  return {
+    name: EIP712_DOMAIN_NAME,
+    version: EIP712_DOMAIN_VERSION,
+    chainId,
+    verifyingContract: registryAddress
+  };
+}
+
+/**
+ * Build the EIP-712 domain for a PackagingRegistry deployment
+ */
+function getPackagingDomain(chainId, packagingAddress) {
+  return {
+    name: PACKAGING_DOMAIN_NAME,
+    version: EIP712_DOMAIN_VERSION,
+    chainId,
+    verifyingContract: packagingAddress
+  };
+}
+
+/**
+ * Build the EIP-712 domain for a DelegateRegistry deployment
  */
-async function generateVerificationSignature(batchId, participantAddress, privateKey) {
-  // Create message hash
-  const timestamp = Math.floor(Date.now() / 1000);
-  const messageHash = ethers.utils.solidityKeccak256(
-    ['string', 'address', 'uint256'],
-    [batchId, participantAddress, timestamp]
+function getDelegateDomain(chainId, delegatesAddress) {
+  return {
+    name: DELEGATE_DOMAIN_NAME,
+    version: EIP712_DOMAIN_VERSION,
+    chainId,
+    verifyingContract: delegatesAddress
+  };
+}
+
+/**
+ * Build the EIP-712 domain for a DisputeRegistry deployment
+ */
+function getDisputeDomain(chainId, disputesAddress) {
+  return {
+    name: DISPUTE_DOMAIN_NAME,
+    version: EIP712_DOMAIN_VERSION,
+    chainId,
+    verifyingContract: disputesAddress
+  };
+}
+
+/**
+ * Build the EIP-712 domain channel states are signed under
+ */
+function getChannelDomain(chainId, settlementAddress) {
+  return {
+    name: CHANNEL_DOMAIN_NAME,
+    version: EIP712_DOMAIN_VERSION,
+    chainId,
+    verifyingContract: settlementAddress
+  };
+}
+
+/**
+ * Build typed data in the shape wallets expect for eth_signTypedData_v4
+ */
+function buildTypedData(domain, types, message) {
+  return {
+    domain,
+    types: { EIP712Domain: EIP712_DOMAIN_TYPE, ...types },
+    primaryType: Object.keys(types)[0],
+    message
+  };
+}
+
+/**
+ * Recover the address that signed EIP-712 typed data
+ */
+function recoverTypedDataSigner(domain, types, message, signature) {
+  try {
+    return ethers.utils.verifyTypedData(domain, types, message, signature);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Hash channel batches the way ChannelSettlement.getChannelStateHash does
+ */
+function hashChannelBatches(batchData) {
+  return ethers.utils.keccak256(
+    ethers.utils.defaultAbiCoder.encode([BATCH_DATA_ABI_TYPE], [batchData])
   );
+}
+
+// Crockford base32 without ambiguous characters (no I, L, O, U)
+const CLAIM_CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const CLAIM_CODE_LENGTH = 12;
+
+/**
+ * Generate a scratch-off claim code for one pack (60 bits, shown as XXXX-XXXX-XXXX)
+ */
+function generateClaimCode() {
+  const bytes = crypto.randomBytes(CLAIM_CODE_LENGTH);
+  const chars = Array.from(bytes, byte => CLAIM_CODE_ALPHABET[byte % CLAIM_CODE_ALPHABET.length]);
+  return chars.join('').match(/.{4}/g).join('-');
+}
+
+/**
+ * Canonical form of a claim code as typed by a customer
+ */
+function normalizeClaimCode(code) {
+  return String(code).toUpperCase().replace(/[^0-9A-Z]/g, '');
+}
+
+/**
+ * Hash of a claim code as committed in the pack's Merkle leaf
+ */
+function hashClaimCode(code) {
+  return ethers.utils.id(normalizeClaimCode(code));
+}
+
+/**
+ * Commitment a customer submits before revealing their claim code
+ * (mirrors MedicineRegistry.revealClaim)
+ */
+function hashClaimCommitment(batchId, serial, code, customer) {
+  return ethers.utils.keccak256(
+    ethers.utils.defaultAbiCoder.encode(
+      ['string', 'string', 'string', 'address'],
+      [batchId, serial, normalizeClaimCode(code), customer]
+    )
+  );
+}
+
+/**
+ * Merkle leaf for a pack: its serial and claim code hash (zero when the pack has no code)
+ */
+function hashPackLeaf(serial, codeHash = ethers.constants.HashZero) {
+  const encoded = ethers.utils.defaultAbiCoder.encode(['string', 'bytes32'], [serial, codeHash]);
+  return ethers.utils.keccak256(ethers.utils.keccak256(encoded));
+}
+
+/**
+ * Hash two nodes in sorted order, as OpenZeppelin's MerkleProof expects
+ */
+function hashSortedPair(a, b) {
+  const [left, right] = a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a];
+  return ethers.utils.keccak256(ethers.utils.concat([left, right]));
+}
+
+/**
+ * Build a Merkle tree over a batch's packs, given their serial numbers and
+ * optionally their claim code hashes. An odd node at the end of a layer is
+ * carried up unchanged.
+ */
+function buildSerialMerkleTree(serials, codeHashes = []) {
+  if (!Array.isArray(serials) || serials.length === 0) {
+    throw new Error('At least one serial number required');
+  }
+  if (serials.some(serial => typeof serial !== 'string')) {
+    throw new Error('Serial numbers must be strings');
+  }
+  if (new Set(serials).size !== serials.length) {
+    throw new Error('Duplicate serial numbers');
+  }
   
-  // Sign the message
+  const layers = [serials.map((serial, i) => hashPackLeaf(serial, codeHashes[i]))];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(i + 1 < layer.length ? hashSortedPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(next);
+  }
+  
+  return {
+    root: layers[layers.length - 1][0],
+    serials,
+    codeHashes,
+    layers
+  };
+}
+
+/**
+ * Get the Merkle proof for a serial, or null if it is not in the tree
+ */
+function getSerialProof(tree, serial) {
+  let index = tree.serials.indexOf(serial);
+  if (index === -1) return null;
+  
+  const proof = [];
+  for (const layer of tree.layers.slice(0, -1)) {
+    const sibling = index ^ 1;
+    if (sibling < layer.length) {
+      proof.push(layer[sibling]);
+    }
+    index = Math.floor(index / 2);
+  }
+  
+  return proof;
+}
+
+/**
+ * Generate an EIP-712 signature for participant verification (testing only;
+ * real participants sign in their own wallet)
+ */
+async function generateVerificationSignature(domain, verification, privateKey) {
   const wallet = new ethers.Wallet(privateKey);
-  const signature = await wallet.signMessage(ethers.utils.arrayify(messageHash));
+  const signature = await wallet._signTypedData(domain, VERIFICATION_TYPES, verification);
   
   return {
     signature,
-    timestamp,
-    messageHash
+    digest: ethers.utils._TypedDataEncoder.hash(domain, VERIFICATION_TYPES, verification)
   };
 }
 
@@ -156,7 +481,32 @@ function decryptData(encryptedData, password) {
 }
 
 module.exports = {
+  VERIFICATION_TYPES,
+  CLAIM_TYPES,
+  CHANNEL_STATE_TYPES,
+  PACKAGE_VERIFICATION_TYPES,
+  PACKAGE_OPENING_TYPES,
+  DELEGATE_UPDATE_TYPES,
+  DELEGATE_CONSENT_TYPES,
+  DELEGATED_VERIFICATION_TYPES,
+  DISPUTE_REPORT_TYPES,
+  BATCH_DATA_ABI_TYPE,
   generateBatchId,
+  getRegistryDomain,
+  getPackagingDomain,
+  getDelegateDomain,
+  getDisputeDomain,
+  getChannelDomain,
+  buildTypedData,
+  recoverTypedDataSigner,
+  hashChannelBatches,
+  generateClaimCode,
+  normalizeClaimCode,
+  hashClaimCode,
+  hashClaimCommitment,
+  hashPackLeaf,
+  buildSerialMerkleTree,
+  getSerialProof,
   generateVerificationSignature,
   verifySignature,
   hashBatchData,
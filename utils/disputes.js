@@ -0,0 +1,83 @@
+// utils/disputes.js
+// Dispute reports against a batch or a participant's verification, and their rulings
+
+const { ethers } = require('ethers');
+
+// Dispute statuses (mirrors DisputeRegistry.DisputeStatus)
+const DISPUTE_STATUSES = ['NONE', 'OPEN', 'UPHELD', 'DISMISSED'];
+
+// Evidence is recorded as hashes; anything that is not already one (a URL, a note) is hashed
+function toEvidenceHash(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error('evidence entries must be non-empty strings');
+  }
+  return ethers.utils.isHexString(value, 32) ? value.toLowerCase() : ethers.utils.id(value.trim());
+}
+
+/**
+ * Validate a dispute report into the arguments of openDispute. Without a participant the
+ * dispute is against the batch itself, such as a counterfeit pack.
+ */
+function toDisputeReport(request) {
+  const batchId = typeof request.batchId === 'string' ? request.batchId.trim() : '';
+  if (!batchId) {
+    throw new Error('batchId is required');
+  }
+
+  let participant = ethers.constants.AddressZero;
+  if (request.participant) {
+    if (!ethers.utils.isAddress(request.participant)) {
+      throw new Error('participant must be a valid address');
+    }
+    participant = ethers.utils.getAddress(request.participant);
+  }
+
+  const reason = typeof request.reason === 'string' ? request.reason.trim() : '';
+  if (!reason) {
+    throw new Error('A reason is required for every dispute');
+  }
+
+  if (!Array.isArray(request.evidence) || request.evidence.length === 0) {
+    throw new Error('At least one piece of evidence is required');
+  }
+
+  return {
+    batchId,
+    participant,
+    reason,
+    evidence: request.evidence.map(toEvidenceHash)
+  };
+}
+
+/**
+ * Format a DisputeRegistry.getDispute result for API responses
+ */
+function fromDispute(disputeId, dispute) {
+  const status = DISPUTE_STATUSES[dispute.status];
+  const resolved = status === 'UPHELD' || status === 'DISMISSED';
+
+  return {
+    disputeId: Number(disputeId),
+    batchId: dispute.batchId,
+    participant: dispute.participant === ethers.constants.AddressZero ? null : dispute.participant,
+    reason: dispute.reason,
+    evidence: dispute.evidence,
+    reporter: dispute.reporter,
+    openedAt: dispute.openedAt.toNumber(),
+    status,
+    outcome: status === 'UPHELD' ? {
+      freeze: dispute.outcome.freeze,
+      invalidate: dispute.outcome.invalidate,
+      penalize: dispute.outcome.penalize
+    } : null,
+    resolution: resolved ? dispute.resolution : null,
+    resolvedBy: resolved ? dispute.resolvedBy : null,
+    resolvedAt: resolved ? dispute.resolvedAt.toNumber() : null
+  };
+}
+
+module.exports = {
+  DISPUTE_STATUSES,
+  toDisputeReport,
+  fromDispute
+};
@@ -0,0 +1,162 @@
+// utils/governance.js
+// Operations proposed to the GovernanceTimelock, decoded so partners can see what is queued
+
+const { ethers } = require('ethers');
+
+// Timelock operation states (mirrors TimelockController.OperationState)
+const OPERATION_STATES = ['UNSET', 'WAITING', 'READY', 'DONE'];
+
+// Calls the timelock governs, decoded into a function name and arguments
+const GOVERNED_ABI = [
+  "function grantRole(bytes32 role, address account)",
+  "function revokeRole(bytes32 role, address account)",
+  "function addMinter(address _minter)",
+  "function removeMinter(address _minter)",
+  "function transferOwnership(address newOwner)",
+  "function upgradeAndCall(address _proxy, address _implementation, bytes _data)",
+  "function setModules(address _productCatalog, address _manufacturerRegistry, address _quantityLedger)",
+  "function setDelegateRegistry(address _delegateRegistry)",
+  "function setStakingRegistry(address _stakingRegistry)",
+  "function setRewardPolicy(address _rewardPolicy)",
+  "function setEmergencyPause(address _emergencyPause)",
+  "function importBatch(bytes _data)",
+  "function approveManufacturer(address _manufacturer)",
+  "function reinstateManufacturer(address _manufacturer)",
+  "function revokeManufacturer(address _manufacturer, string _reason)",
+  "function setDefaultTerms(tuple(bool enabled, bool funded, uint256 customerReward, uint256 participantReward, uint256 onTimeWindow) _terms)",
+  "function setManufacturerTerms(address _manufacturer, tuple(bool enabled, bool funded, uint256 customerReward, uint256 participantReward, uint256 onTimeWindow) _terms)",
+  "function setProductTerms(bytes32 _productId, tuple(bool enabled, bool funded, uint256 customerReward, uint256 participantReward, uint256 onTimeWindow) _terms)",
+  "function setDecaySchedule(uint256 _period, uint256 _bps)",
+  "function setDefaultLimits(tuple(bool enabled, bool identityRequired, uint256 cooldown, uint256 maxClaims, uint256 period) _limits)",
+  "function setStakePolicy(uint256 _minimumStake, uint256 _slashBps)",
+  "function unpause(uint8 _operation)",
+  "function updateDelay(uint256 newDelay)",
+  "function setApprovalThreshold(uint256 _approvalThreshold)"
+];
+
+const GOVERNANCE_TIMELOCK_ABI = [
+  "function getMinDelay() view returns (uint256)",
+  "function approvalThreshold() view returns (uint256)",
+  "function getOperationState(bytes32 id) view returns (uint8)",
+  "function getTimestamp(bytes32 id) view returns (uint256)",
+  "function getApprovers(bytes32 id) view returns (address[])",
+  "event OperationProposed(bytes32 indexed id, address[] targets, uint256[] values, bytes[] payloads, bytes32 predecessor, bytes32 salt)",
+  "event Cancelled(bytes32 indexed id)"
+];
+
+// Roles governed calls grant or revoke, by name
+const ROLE_NAMES = Object.fromEntries(
+  ['MANUFACTURER_ROLE', 'VERIFIER_ROLE', 'CHANNEL_ROLE', 'REGULATOR_ROLE', 'MANUFACTURER_ADMIN_ROLE', 'ARBITER_ROLE',
+    'SLASHER_ROLE', 'IDENTITY_VERIFIER_ROLE', 'GUARDIAN_ROLE', 'PROPOSER_ROLE', 'CANCELLER_ROLE', 'EXECUTOR_ROLE']
+    .map(name => [ethers.utils.id(name), name])
+    .concat([[ethers.constants.HashZero, 'DEFAULT_ADMIN_ROLE']])
+);
+
+const governedInterface = new ethers.utils.Interface(GOVERNED_ABI);
+
+function formatArgument(value, param) {
+  if (param.type === 'bytes32' && param.name === 'role') {
+    return ROLE_NAMES[value] || value;
+  }
+  if (ethers.BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+  if (param.type === 'tuple') {
+    return Object.fromEntries(param.components.map((component, index) => [component.name, formatArgument(value[index], component)]));
+  }
+  return value;
+}
+
+/**
+ * Decode one call of an operation. `contractNames` maps lowercased addresses to contract names.
+ */
+function describeCall(target, value, payload, contractNames = {}) {
+  const call = {
+    target,
+    contract: contractNames[target.toLowerCase()] || null,
+    value: value.toString(),
+    data: payload,
+    function: null,
+    args: null
+  };
+  try {
+    const parsed = governedInterface.parseTransaction({ data: payload });
+    call.function = parsed.name;
+    call.args = Object.fromEntries(
+      parsed.functionFragment.inputs.map((param, index) => [param.name, formatArgument(parsed.args[index], param)])
+    );
+  } catch (error) {
+    // Not a call the timelock is expected to govern; partners still see the raw data
+  }
+  return call;
+}
+
+/**
+ * Where an operation stands: awaiting approvals, queued, ready, executed, cancelled, or withdrawn
+ * by every proposer that approved it
+ */
+function operationStatus(state, approvals, cancelled) {
+  switch (OPERATION_STATES[state]) {
+    case 'WAITING': return 'QUEUED';
+    case 'READY': return 'READY';
+    case 'DONE': return 'EXECUTED';
+    default:
+      if (approvals > 0) return 'PROPOSED';
+      return cancelled ? 'CANCELLED' : 'WITHDRAWN';
+  }
+}
+
+/**
+ * Every operation proposed to the timelock since `fromBlock`, newest first
+ */
+async function listOperations(timelock, { fromBlock = 0, contractNames = {} } = {}) {
+  const [proposals, cancellations, threshold] = await Promise.all([
+    timelock.queryFilter(timelock.filters.OperationProposed(), fromBlock),
+    timelock.queryFilter(timelock.filters.Cancelled(), fromBlock),
+    timelock.approvalThreshold()
+  ]);
+  const cancelled = new Set(cancellations.map(event => event.args.id));
+
+  // An operation is proposed again after a cancellation or withdrawal; its latest proposal is kept
+  const latest = new Map();
+  for (const proposal of proposals) {
+    latest.set(proposal.args.id, proposal);
+  }
+
+  const operations = await Promise.all([...latest.values()].map(async (proposal) => {
+    // Positional: `values` would resolve to Array.prototype.values on the decoded event
+    const [id, targets, values, payloads, predecessor, salt] = proposal.args;
+    const [state, timestamp, approvers] = await Promise.all([
+      timelock.getOperationState(id),
+      timelock.getTimestamp(id),
+      timelock.getApprovers(id)
+    ]);
+    const readyAt = timestamp.gt(1) ? timestamp.toNumber() : null;
+
+    return {
+      id,
+      status: operationStatus(state, approvers.length, cancelled.has(id)),
+      calls: targets.map((target, index) => describeCall(target, values[index], payloads[index], contractNames)),
+      predecessor,
+      salt,
+      approvers,
+      approvals: approvers.length,
+      approvalThreshold: threshold.toNumber(),
+      readyAt: readyAt ? new Date(readyAt * 1000).toISOString() : null,
+      proposedAt: proposal.blockNumber,
+      transactionHash: proposal.transactionHash
+    };
+  }));
+
+  return operations.sort((a, b) => b.proposedAt - a.proposedAt);
+}
+
+module.exports = {
+  OPERATION_STATES,
+  GOVERNED_ABI,
+  GOVERNANCE_TIMELOCK_ABI,
+  ROLE_NAMES,
+  describeCall,
+  operationStatus,
+  listOperations
+};
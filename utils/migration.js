@@ -0,0 +1,197 @@
+// utils/migration.js
+// Export batches and products from a MedicineRegistry deployment and encode them for the
+// registry's importBatch, which replays them into a new deployment (scripts/migrate-registry.js)
+
+const ethers = require('ethers');
+
+// RegistryMigration.BatchImport, field for field
+const CONDITION_READING_TYPE =
+  'tuple(int32 minTemperature, int32 maxTemperature, uint32 excursionMinutes, uint32 humidity, ' +
+  'uint32 unitsReceived, uint32 unitsDispatched)';
+const PARTICIPANT_IMPORT_TYPE =
+  'tuple(address participantAddress, uint8 role, uint256 hop, bool hasVerified, uint256 verifiedAt, ' +
+  `string location, string additionalData, ${CONDITION_READING_TYPE} reading)`;
+const COLD_CHAIN_POLICY_TYPE =
+  'tuple(int32 minTemperature, int32 maxTemperature, uint32 maxExcursionMinutes, uint32 maxHumidity, bool enabled)';
+const BATCH_IMPORT_TYPE =
+  'tuple(address manufacturer, string batchId, bytes32 productId, uint256 expiryDate, uint256 registeredAt, ' +
+  `bytes32 channelId, ${PARTICIPANT_IMPORT_TYPE}[] participants, bool rewardClaimed, address rewardClaimedBy, ` +
+  'uint256 rewardClaimedAt, bytes32 serialRoot, uint256 serialCount, string[] claimedSerials, ' +
+  `address[] serialClaimants, ${COLD_CHAIN_POLICY_TYPE} coldChainPolicy, uint256 excursionMinutes, ` +
+  'string parentBatchId, string[] childBatchIds, uint256 quantity, uint256 toleranceBps, uint8 status, ' +
+  'string statusReason, uint256 statusUpdatedAt)';
+
+// MedicineRegistry.BatchStatus.ACTIVE
+const ACTIVE = 0;
+
+// Registries deployed before participant records were packed into one slot store each
+// verification's location and additional data, and return them from getParticipantDetails
+const LEGACY_REGISTRY = new ethers.utils.Interface([
+  'function getParticipantDetails(string _batchId, address _participant) view returns (uint8 role, bool hasVerified, uint256 verifiedAt, string location, string additionalData, uint256 hop)'
+]);
+
+const EMPTY_READING = {
+  minTemperature: 0, maxTemperature: 0, excursionMinutes: 0, humidity: 0, unitsReceived: 0, unitsDispatched: 0
+};
+
+/**
+ * Read a participant's details, with the location and additional data it verified with. Those
+ * come from storage on a legacy registry and from the latest of `verifications` otherwise.
+ */
+async function readParticipant(registry, batchId, address, verifications) {
+  const data = await registry.provider.call({
+    to: registry.address,
+    data: LEGACY_REGISTRY.encodeFunctionData('getParticipantDetails', [batchId, address])
+  });
+  // A packed registry returns four words, or five with the list position; a legacy one appends
+  // the two strings
+  if (ethers.utils.hexDataLength(data) > 5 * 32) {
+    return LEGACY_REGISTRY.decodeFunctionResult('getParticipantDetails', data);
+  }
+
+  const [role, hasVerified, verifiedAt, hop] = ethers.utils.defaultAbiCoder.decode(
+    ['uint8', 'bool', 'uint256', 'uint256'], data
+  );
+  const verification = verifications.filter(event => event.args.verifier === address).pop();
+  return {
+    role,
+    hasVerified,
+    verifiedAt,
+    location: verification ? verification.args.location : '',
+    additionalData: verification ? verification.args.additionalData : '',
+    hop
+  };
+}
+
+/**
+ * Read everything RegistryMigration needs to recreate a batch. Values only kept in events
+ * (channel, claimed serials, the stored status behind getBatchLifecycle, verification
+ * locations and data) are read from logs from `fromBlock` on.
+ */
+async function exportBatch(registry, quantityLedger, batchId, fromBlock = 0) {
+  const [manufacturer, productId, expiryDate, registeredAt, rewardClaimed] = await registry.getBatch(batchId);
+  const [, , , rewardClaimedBy] = await registry.getBatchSupplyChainStatus(batchId);
+  const [serialRoot, serialCount] = await registry.getSerialInfo(batchId);
+  const [coldChainPolicy, excursionMinutes] = await registry.getColdChainStatus(batchId);
+  const [parentBatchId, childBatchIds, quantity] = await registry.getBatchLineage(batchId);
+
+  const [registered] = await registry.queryFilter(registry.filters.BatchRegistered(batchId), fromBlock);
+  const statusChanges = await registry.queryFilter(registry.filters.BatchStatusChanged(batchId), fromBlock);
+  const claims = await registry.queryFilter(registry.filters.CustomerRewardClaimed(batchId), fromBlock);
+  const verifications = await registry.queryFilter(registry.filters.SupplyChainVerification(batchId), fromBlock);
+
+  const participants = [];
+  for (const address of await registry.getBatchParticipants(batchId)) {
+    const { role, hasVerified, verifiedAt, location, additionalData, hop } =
+      await readParticipant(registry, batchId, address, verifications);
+    let reading = EMPTY_READING;
+    if (hasVerified && coldChainPolicy.enabled) {
+      reading = await registry.conditionReadings(batchId, address);
+    }
+    if (hasVerified && !quantity.isZero()) {
+      const count = await quantityLedger.getUnitCount(batchId, address);
+      reading = { ...readingFields(reading), unitsReceived: count.received, unitsDispatched: count.dispatched };
+    }
+    participants.push({
+      participantAddress: address,
+      role,
+      hop: hop.toNumber(),
+      hasVerified,
+      verifiedAt,
+      location,
+      additionalData,
+      reading: readingFields(reading)
+    });
+  }
+  // Unit counts are replayed in custody order
+  participants.sort((a, b) => a.hop - b.hop);
+
+  const serialClaims = claims.filter(claim => claim.args.serial !== '');
+  const lastClaim = claims[claims.length - 1];
+  const lastStatus = statusChanges[statusChanges.length - 1];
+  const toleranceBps = !quantity.isZero() && parentBatchId === ''
+    ? (await quantityLedger.getPolicy(batchId)).toleranceBps
+    : 0;
+
+  return {
+    manufacturer,
+    batchId,
+    productId,
+    expiryDate,
+    registeredAt,
+    channelId: registered ? registered.args.channelId : ethers.constants.HashZero,
+    participants,
+    rewardClaimed,
+    rewardClaimedBy,
+    rewardClaimedAt: lastClaim ? lastClaim.args.timestamp : 0,
+    serialRoot,
+    serialCount,
+    claimedSerials: serialClaims.map(claim => claim.args.serial),
+    serialClaimants: serialClaims.map(claim => claim.args.customer),
+    coldChainPolicy: {
+      minTemperature: coldChainPolicy.minTemperature,
+      maxTemperature: coldChainPolicy.maxTemperature,
+      maxExcursionMinutes: coldChainPolicy.maxExcursionMinutes,
+      maxHumidity: coldChainPolicy.maxHumidity,
+      enabled: coldChainPolicy.enabled
+    },
+    excursionMinutes,
+    parentBatchId,
+    childBatchIds,
+    quantity,
+    toleranceBps,
+    status: lastStatus ? lastStatus.args.newStatus : ACTIVE,
+    statusReason: lastStatus ? lastStatus.args.reason : '',
+    statusUpdatedAt: lastStatus ? lastStatus.args.timestamp : registeredAt
+  };
+}
+
+function readingFields(reading) {
+  return {
+    minTemperature: reading.minTemperature,
+    maxTemperature: reading.maxTemperature,
+    excursionMinutes: reading.excursionMinutes,
+    humidity: reading.humidity,
+    unitsReceived: reading.unitsReceived,
+    unitsDispatched: reading.unitsDispatched
+  };
+}
+
+/**
+ * ABI-encode an exported batch as the registry's importBatch argument
+ */
+function encodeBatchImport(batch) {
+  return ethers.utils.defaultAbiCoder.encode([BATCH_IMPORT_TYPE], [batch]);
+}
+
+/**
+ * Read a catalog product and the ingredient list only its latest ProductRegistered event carries
+ */
+async function exportProduct(productCatalog, productId, fromBlock = 0) {
+  const product = await productCatalog.getProduct(productId);
+  const events = await productCatalog.queryFilter(productCatalog.filters.ProductRegistered(productId), fromBlock);
+  const registered = events[events.length - 1];
+  if (!registered) {
+    throw new Error(`ProductRegistered event not found for ${productId}`);
+  }
+
+  return {
+    product: {
+      gtin: product.gtin,
+      name: product.name,
+      strength: product.strength,
+      dosageForm: product.dosageForm,
+      ingredientsHash: product.ingredientsHash,
+      manufacturer: product.manufacturer,
+      registeredAt: product.registeredAt
+    },
+    ingredients: registered.args.ingredients
+  };
+}
+
+module.exports = {
+  BATCH_IMPORT_TYPE,
+  exportBatch,
+  encodeBatchImport,
+  exportProduct
+};
@@ -0,0 +1,105 @@
+// utils/packaging.js
+// SSCC codes for cases and pallets and the contents aggregated under them
+
+const crypto = require('crypto');
+
+// Package levels (mirrors PackagingRegistry.PackageLevel)
+const PACKAGE_LEVELS = ['NONE', 'CASE', 'PALLET'];
+
+const SSCC_LENGTH = 18;
+
+/**
+ * GS1 mod-10 check digit: weights 3 and 1 alternate from the rightmost digit
+ */
+function gs1CheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    sum += Number(digits[digits.length - 1 - i]) * (i % 2 === 0 ? 3 : 1);
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Generate an 18-digit SSCC: extension digit, GS1 company prefix, a random serial
+ * reference filling the remaining digits, and the check digit
+ */
+function generateSscc(companyPrefix, extensionDigit = '0') {
+  if (!/^\d{7,10}$/.test(companyPrefix)) {
+    throw new Error('GS1 company prefix must be 7 to 10 digits');
+  }
+
+  const referenceLength = SSCC_LENGTH - 2 - companyPrefix.length;
+  const reference = String(crypto.randomInt(10 ** referenceLength)).padStart(referenceLength, '0');
+  const digits = `${extensionDigit}${companyPrefix}${reference}`;
+  return digits + gs1CheckDigit(digits);
+}
+
+/**
+ * Check an SSCC's length and check digit
+ */
+function isValidSscc(code) {
+  return typeof code === 'string' && /^\d{18}$/.test(code) &&
+    gs1CheckDigit(code.slice(0, -1)) === code.slice(-1);
+}
+
+/**
+ * Validate case contents: each item names a batch and either the serials packed
+ * (whose count becomes its units) or a unit count for unserialized batches
+ */
+function toCaseContents(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error('items must list at least one batch');
+  }
+
+  const seen = new Set();
+  return items.map(item => {
+    if (!item || typeof item.batchId !== 'string' || !item.batchId) {
+      throw new Error('Each item requires a batchId');
+    }
+    if (seen.has(item.batchId)) {
+      throw new Error(`Batch ${item.batchId} is listed twice`);
+    }
+    seen.add(item.batchId);
+
+    if (item.serials !== undefined) {
+      if (!Array.isArray(item.serials) || item.serials.length === 0 ||
+          item.serials.some(s => typeof s !== 'string' || !s.trim())) {
+        throw new Error(`Serials for ${item.batchId} must be non-empty strings`);
+      }
+      return { batchId: item.batchId, serials: item.serials, units: item.serials.length };
+    }
+
+    const units = Number(item.units);
+    if (!Number.isInteger(units) || units <= 0) {
+      throw new Error(`Units for ${item.batchId} must be a positive whole number`);
+    }
+    return { batchId: item.batchId, serials: null, units };
+  });
+}
+
+/**
+ * Format an on-chain package for API responses
+ */
+function fromPackage(code, pkg) {
+  return {
+    code,
+    level: PACKAGE_LEVELS[pkg.level],
+    parentCode: pkg.parentCode || null,
+    childCodes: pkg.childCodes,
+    contents: pkg.batchIds.map((batchId, i) => ({ batchId, units: pkg.units[i].toNumber() })),
+    packedBy: pkg.packedBy,
+    packedAt: pkg.packedAt.toNumber(),
+    opened: pkg.opened,
+    openedBy: pkg.opened ? pkg.openedBy : null,
+    openedAt: pkg.opened ? pkg.openedAt.toNumber() : null
+  };
+}
+
+module.exports = {
+  PACKAGE_LEVELS,
+  gs1CheckDigit,
+  generateSscc,
+  isValidSscc,
+  toCaseContents,
+  fromPackage
+};
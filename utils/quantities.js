@@ -0,0 +1,128 @@
+// utils/quantities.js
+// Unit counts reported along the supply chain and the shrinkage reconciliation built from them
+
+// The registry takes tolerances in basis points of the registered units
+const BPS_PER_PERCENT = 100;
+const MAX_UNITS = 2 ** 32 - 1;
+
+function toUnitCount(value, field) {
+  const number = Number(value);
+  if (value === '' || value === null || value === undefined || !Number.isInteger(number) ||
+      number < 0 || number > MAX_UNITS) {
+    throw new Error(`${field} must be a whole number between 0 and ${MAX_UNITS}`);
+  }
+  return number;
+}
+
+/**
+ * Convert registered units and a tolerance in percent into setBatchQuantity arguments
+ */
+function toQuantityPolicy(quantity) {
+  const units = toUnitCount(quantity.units, 'units');
+  if (units === 0) {
+    throw new Error('units must be greater than zero');
+  }
+
+  const tolerancePercent = Number(quantity.tolerancePercent || 0);
+  if (!Number.isFinite(tolerancePercent) || tolerancePercent < 0 || tolerancePercent > 100) {
+    throw new Error('tolerancePercent must be between 0 and 100');
+  }
+
+  return { units, toleranceBps: Math.round(tolerancePercent * BPS_PER_PERCENT) };
+}
+
+/**
+ * Convert a participant's counts into the reading fields signed with its verification
+ */
+function toUnitReading(units) {
+  const unitsReceived = toUnitCount(units.received, 'received');
+  const unitsDispatched = toUnitCount(units.dispatched, 'dispatched');
+  if (unitsDispatched > unitsReceived) {
+    throw new Error('dispatched must not exceed received');
+  }
+  return { unitsReceived, unitsDispatched };
+}
+
+/**
+ * Format an on-chain quantity policy for API responses
+ */
+function fromQuantityPolicy(policy) {
+  const units = Number(policy.units);
+  const toleranceBps = Number(policy.toleranceBps);
+  return {
+    units,
+    tolerancePercent: toleranceBps / BPS_PER_PERCENT,
+    allowedVariance: Math.floor((units * toleranceBps) / 10000)
+  };
+}
+
+/**
+ * Describe one participant's counts against what its hop should have received: units lost
+ * in transit to it, units lost in its custody, and whether either breaches the tolerance
+ * (mirrors QuantityLedger.recordCounts)
+ */
+function describeUnitCount(policy, expected, count) {
+  const { allowedVariance } = fromQuantityPolicy(policy);
+  const received = Number(count.received);
+  const dispatched = Number(count.dispatched);
+  const transitLoss = Number(expected) - received;
+  const custodyLoss = received - dispatched;
+
+  return {
+    expected: Number(expected),
+    received,
+    dispatched,
+    transitLoss,
+    custodyLoss,
+    discrepancy: Math.abs(transitLoss) > allowedVariance || custodyLoss > allowedVariance
+  };
+}
+
+/**
+ * Reconcile a batch from its participants' described counts: where units went missing, hop by
+ * hop, and how many left the final hop. `participants` carry `hop` and `units` (null when the
+ * participant has not reported yet).
+ */
+function reconcileBatch(policy, participants, splitUnits = 0) {
+  const { units, tolerancePercent, allowedVariance } = fromQuantityPolicy(policy);
+  const reported = participants.filter(p => p.units);
+  const hops = [];
+  for (const participant of participants) {
+    if (!hops[participant.hop]) hops[participant.hop] = { hop: participant.hop, participants: [] };
+    hops[participant.hop].participants.push(participant);
+  }
+
+  // Parallel members count the same consignment, so a hop hands on its lowest count
+  const handedOn = hops.map(hop => {
+    const counts = hop.participants.filter(p => p.units).map(p => p.units.dispatched);
+    return counts.length === hop.participants.length ? Math.min(...counts) : null;
+  });
+  const finalDispatched = handedOn[handedOn.length - 1];
+
+  return {
+    units,
+    tolerancePercent,
+    allowedVariance,
+    hops: hops.map((hop, index) => ({
+      hop: hop.hop,
+      expected: index === 0 ? units : handedOn[index - 1],
+      dispatched: handedOn[index],
+      participants: hop.participants
+    })),
+    complete: finalDispatched !== null,
+    finalDispatched,
+    splitUnits: Number(splitUnits),
+    totalLoss: finalDispatched === null ? null : units - finalDispatched,
+    transitLoss: reported.reduce((sum, p) => sum + p.units.transitLoss, 0),
+    custodyLoss: reported.reduce((sum, p) => sum + p.units.custodyLoss, 0),
+    discrepancies: reported.filter(p => p.units.discrepancy).length
+  };
+}
+
+module.exports = {
+  toQuantityPolicy,
+  toUnitReading,
+  fromQuantityPolicy,
+  describeUnitCount,
+  reconcileBatch
+};
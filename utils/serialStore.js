@@ -0,0 +1,86 @@
+// utils/serialStore.js
+// Storage for the unit serial numbers behind each batch's Merkle root
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Keeps serial lists in memory only
+ */
+class MemorySerialStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  key(chainKey, batchId) {
+    return `${chainKey}:${batchId}`;
+  }
+
+  async get(chainKey, batchId) {
+    return this.records.get(this.key(chainKey, batchId)) || null;
+  }
+
+  async save(record) {
+    this.records.set(this.key(record.chainKey, record.batchId), record);
+    return record;
+  }
+}
+
+/**
+ * Persists one JSON file per batch, since a batch can carry thousands of serials.
+ * Records are cached after the first read.
+ */
+class FileSerialStore extends MemorySerialStore {
+  constructor(dirPath) {
+    super();
+    this.dirPath = dirPath;
+  }
+
+  filePath(chainKey, batchId) {
+    return path.join(this.dirPath, chainKey, `${encodeURIComponent(batchId)}.json`);
+  }
+
+  async get(chainKey, batchId) {
+    const cached = await super.get(chainKey, batchId);
+    if (cached) return cached;
+
+    try {
+      const record = JSON.parse(await fs.promises.readFile(this.filePath(chainKey, batchId), 'utf8'));
+      return super.save(record);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async save(record) {
+    const filePath = this.filePath(record.chainKey, record.batchId);
+    const tmpPath = `${filePath}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(tmpPath, JSON.stringify(record));
+    await fs.promises.rename(tmpPath, filePath);
+
+    return super.save(record);
+  }
+}
+
+/**
+ * Create the configured serial store ('file' by default, or 'memory')
+ */
+function createSerialStore({ type = 'file', dirPath } = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemorySerialStore();
+    case 'file':
+      return new FileSerialStore(dirPath || path.join(__dirname, '..', 'data', 'serials'));
+    default:
+      throw new Error(`Unknown serial store: ${type}`);
+  }
+}
+
+module.exports = {
+  MemorySerialStore,
+  FileSerialStore,
+  createSerialStore
+};